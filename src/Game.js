@@ -8,6 +8,7 @@ import { ResourceManager } from "./core/ResourceManager.js";
 import { Terrain } from "./world/Terrain.js";
 import { GameStateManager } from "./world/GameStateManager.js";
 import { InstancedManager } from "./world/InstancedManager.js";
+import { NavigationGrid } from "./world/NavigationGrid.js";
 // Controllers
 import { CameraController } from "./controllers/CameraController.js";
 // Systems
@@ -60,6 +61,7 @@ const PERFORMANCE_PROFILES = {
     resourceNodeMultiplier: 0.5, // 50% of configured nodes
     spawnerActivationMultiplier: 0.3, // 30% of configured activation range currenetly 100 * 0.3 = 30
     maxShadowCastingLights: 1, // Limit shadow casters -> 0 off. 1 sun On moon off, 2 both on.
+    aiLod: { frameBudgetMs: 2 }, // Tighter AI time budget per frame
   },
   medium: {
     shadowMapSize: 4096, // Default from SceneConfig?
@@ -67,6 +69,7 @@ const PERFORMANCE_PROFILES = {
     resourceNodeMultiplier: 0.75, // 75% of configured nodes
     spawnerActivationMultiplier: 0.5, // 50% of configured activation range
     maxShadowCastingLights: 2,
+    aiLod: { frameBudgetMs: 3 },
   },
   high: {
     shadowMapSize: 8192, // Default from SceneConfig?
@@ -74,6 +77,7 @@ const PERFORMANCE_PROFILES = {
     resourceNodeMultiplier: 1, // 100% of configured nodes
     spawnerActivationMultiplier: 1, // 100% of configured activation range
     maxShadowCastingLights: 2, // Allow more shadow casters
+    aiLod: { frameBudgetMs: 4 },
   },
   ultra: {
     shadowMapSize: 16384, // Default from SceneConfig?
@@ -81,6 +85,7 @@ const PERFORMANCE_PROFILES = {
     resourceNodeMultiplier: 3, // 300% of configured nodes
     spawnerActivationMultiplier: 1, // 100% of configured activation range
     maxShadowCastingLights: 2, // Allow more shadow casters
+    aiLod: { frameBudgetMs: 4 },
   },
   ultra_low: {
     shadowMapSize: 8192, // Default from SceneConfig?
@@ -88,6 +93,7 @@ const PERFORMANCE_PROFILES = {
     resourceNodeMultiplier: 3, // 300% of configured nodes
     spawnerActivationMultiplier: 0.5, // 100% of configured activation range
     maxShadowCastingLights: 2, // Allow more shadow casters
+    aiLod: { frameBudgetMs: 3 },
   },
   // ultra low ai
   brick: {
@@ -96,14 +102,10 @@ const PERFORMANCE_PROFILES = {
     resourceNodeMultiplier: 3, // 300% of configured nodes
     spawnerActivationMultiplier: 3, // 300% of configured activation range
     maxShadowCastingLights: 2, // Allow more shadow casters
+    aiLod: { frameBudgetMs: 6 }, // Every enemy is active, still throttled by distance
   },
 };
 
-// move to config
-const CAMPFIRE_WARMTH_RADIUS = 5.0; // <<< Define warmth radius ()
-const CAMPFIRE_WARMTH_RADIUS_SQ =
-  CAMPFIRE_WARMTH_RADIUS * CAMPFIRE_WARMTH_RADIUS; // Use squared distance for efficiency
-
 export class Game {
   // New Systems
 
@@ -216,6 +218,7 @@ export class Game {
     this.uiManager = null;
     this.terrain = null;
     this.instancedManager = null;
+    this.navigationGrid = null;
 
     // // TEMPORARY: Add weather system
     // this.weatherSystem = new WeatherSystem(
@@ -257,7 +260,6 @@ export class Game {
     this.environmentSeed = null; // Initialize seed
 
     this.tempPlayerPos = new THREE.Vector3(); // Add temporary vector to avoid allocation in loop
-    this.tempCampfirePos = new THREE.Vector3(); // Add temporary vector
 
     this._prepareDynamicResourceConfigs(); // Call helper here
 
@@ -422,9 +424,14 @@ export class Game {
       this.abilitySystem = new AbilitySystem(
         this.physicsEngine,
         this.sceneManager,
-        this.uiManager
+        this.uiManager,
+        this.resourceManager // For projectile models
+      );
+      this.aiSystem = new AISystem(
+        this.physicsEngine,
+        this.uiManager,
+        this.performanceProfile.aiLod // <<< Per-profile AI tick budget
       );
-      this.aiSystem = new AISystem(this.physicsEngine, this.uiManager);
       this.enemyManager = new EnemyManager(
         this.resourceManager,
         this.physicsEngine,
@@ -476,6 +483,11 @@ export class Game {
         }
       );
       // --->>> End Instantiation <<<---
+      // Darkness and fog shorten enemy sight
+      this.aiSystem?.setEnvironmentSystems(
+        this.dayNightSystem,
+        this.environmentalEffectsSystem
+      );
 
       // --- Initialize Enemy Spawner AFTER managers it needs ---
       this.enemySpawner = new EnemySpawner( // <<< Instantiate Spawner
@@ -546,6 +558,15 @@ export class Game {
       );
       this.uiManager?.log("Instanced nodes created.");
 
+      // --- Build Navigation Grid (terrain slopes + node obstacles) ---
+      this.navigationGrid = new NavigationGrid();
+      this.navigationGrid.build(
+        this.terrain,
+        this.instancedManager.instancePhysicsBodies
+      );
+      this.aiSystem?.setNavigationGrid(this.navigationGrid);
+      this.uiManager?.log("Navigation grid built.");
+
       // --- 5. Create Player ---
       this.uiManager?.log("Creating player...");
       const playerDeps = {
@@ -600,6 +621,8 @@ export class Game {
         // HERE
         // --- Apply Player Stats (Level, XP)
         this.gameStateManager.applyPlayerStatsState(loadedData);
+        // --- Apply Known Recipes (needs the level, before skills teach theirs)
+        this.gameStateManager.applyPlayerRecipeBookState(loadedData);
         // --- Apply Player Inventory & Health
         this.gameStateManager.applyPlayerComponentState(loadedData);
         // --- END Apply Stats
@@ -608,6 +631,10 @@ export class Game {
         // this.gameStateManager.applyFinalPlayerHealthState(loadedData); // Applies health based on final maxHealth
         // --- Aplly Skill Tree
         this.gameStateManager.applyPlayerSkillTreeState(loadedData); // Applies skill ranks & effects, then recalculates stats
+        // --- Apply Faction Reputation
+        this.gameStateManager.applyPlayerReputationState(loadedData);
+        // --- Apply Crafting Queue (ingredients were spent before saving)
+        this.gameStateManager.applyCraftingQueueState(loadedData);
 
         // Update equipment UI too
         const playerEquipment =
@@ -642,11 +669,15 @@ export class Game {
           );
         }
         this.uiManager?.log("Saved loot items spawned.");
-        // extra enemies on load
-
-        // TODO: Spawn loaded enemies, loot
-        // await this.enemyManager.spawnLoadedEnemies(loadedData.enemies);
-        // await this.interactionSystem.spawnLoadedLoot(loadedData.world.activeLoot);
+        // --- Spawn Loaded Enemies, then restore spawner cooldowns
+        // (spawners re-link to restored enemies, so order matters)
+        if (this.enemyManager && loadedData.world?.enemies) {
+          const restoredEnemies = await this.enemyManager.spawnLoadedEnemies(
+            loadedData.world.enemies
+          );
+          this.uiManager?.log(`Restored ${restoredEnemies} enemies.`);
+        }
+        this.enemySpawner?.restoreSpawnersState(loadedData.world?.spawners);
         this.uiManager?.log("Saved game state applied.");
       } else {
         // New Game: Position player at default spawn
@@ -856,11 +887,18 @@ export class Game {
     }
   }
 
-  triggerLoadGame() {
-    // Reload the application to ensure a clean state
+  /**
+   * Loads a save slot by reloading the application to ensure a clean state.
+   * @param {string} [slotId] - Slot to load, defaults to the active slot.
+   */
+  triggerLoadGame(slotId) {
+    if (!this.gameStateManager) {
+      this.reloadGame();
+      return;
+    }
     this.uiManager?.log("Reloading game to load save...");
     this.isGameOver = false; // Reset flag before reloading
-    this.reloadGame();
+    this.gameStateManager.loadSlot(slotId);
   }
 
   triggerNewGame() {
@@ -995,29 +1033,6 @@ export class Game {
     }
     // --- End Weather Check Block ---
 
-    // --- Proximity Checks (e.g., Campfire Warmth) ---
-    let isPlayerWarmed = false;
-    if (this.playerController?.player && this.placementSystem) {
-      this.playerController.player.getWorldPosition(this.tempPlayerPos); // Use temp vector
-      const campfires = this.placementSystem.getActiveCampfires();
-
-      for (const campfire of campfires) {
-        // Use the stored position for distance check
-        this.tempCampfirePos.copy(campfire.position);
-        const distanceSq = this.tempPlayerPos.distanceToSquared(
-          this.tempCampfirePos
-        );
-
-        if (distanceSq < CAMPFIRE_WARMTH_RADIUS_SQ) {
-          isPlayerWarmed = true;
-          break; // Found a nearby campfire, no need to check others
-        }
-      }
-      // Update the flag on the player's userData
-      this.playerController.player.userData.isNearCampfire = isPlayerWarmed;
-    }
-    // --- End Proximity Check Block ---
-
     // --- Update Weather System (Particles) --- <<< Ensure this runs *after* potential setWeather call
     if (this.weatherSystem) {
       const cameraPosition = this.sceneManager
@@ -1124,9 +1139,9 @@ export class Game {
       const playerStatsComp = this.playerController.player.userData?.stats;
       // --- Use 'stats' to access the component --- ^
 
-      // --- Get Weather Effect Component ---
-      const playerWeatherComp =
-        this.playerController.player.userData?.weatherEffect; // Use the key assigned in PlayerSetup
+      // --- Get Temperature Component ---
+      const playerTemperatureComp =
+        this.playerController.player.userData?.temperature; // Use the key assigned in PlayerSetup
 
       // Update Components that need frame updates
       playerAbilityComp?.updateCooldowns(delta);
@@ -1134,8 +1149,35 @@ export class Game {
       // Now call updateModifiers (still use optional chaining initially just in case)
       playerStatsComp?.updateModifiers(delta); // <<< UPDATE BUFFS
 
-      // --- Update Weather Effect Component ---
-      playerWeatherComp?.update(delta); // Call update for DOT timers
+      // --- Body Temperature (also sets isNearCampfire) ---
+      if (playerTemperatureComp) {
+        this.playerController.player.getWorldPosition(this.tempPlayerPos); // Use temp vector
+        playerTemperatureComp.update(delta, {
+          weather: this.weatherSystem?.currentWeather,
+          daylight: this.dayNightSystem?.daylight ?? 1.0,
+          altitude:
+            this.terrain?.sampleHeight(
+              this.tempPlayerPos.x,
+              this.tempPlayerPos.z
+            ) ?? 0,
+          position: this.tempPlayerPos,
+          campfires: this.placementSystem?.getActiveCampfires() ?? [],
+        });
+        this.uiManager?.updateTemperatureDisplay(playerTemperatureComp);
+      }
+
+      // --- Hunger, Thirst & Stamina ---
+      playerStatsComp?.updateSurvival(delta, {
+        isSprinting:
+          this.playerController.player.userData?.stealth?.isSprinting ?? false, // Set by PlayerController last frame
+        coldExposure: playerTemperatureComp?.getColdExposure() ?? 0,
+        heatExposure: playerTemperatureComp?.getHeatExposure() ?? 0,
+      });
+      this.uiManager?.updateSurvivalBars(playerStatsComp);
+
+      // --- Timed Crafting ---
+      this.craftingSystem?.update(delta);
+      this.uiManager?.updateCraftingProgress(this.craftingSystem);
 
       this.playerController.update(delta); // Update controller logic LAST? Or does it need updated stats first? (Usually needs updated stats)
     }
@@ -1165,12 +1207,18 @@ export class Game {
     if (this.aiSystem) {
       // console.log("Calling aiSystem.update..."); // <<< Log right before the call
       this.aiSystem.update(delta);
+      this.uiManager?.updateDetectionMeter(
+        this.aiSystem.playerDetection,
+        this.aiSystem.playerSpotted
+      );
     } else {
       // console.log("Skipping aiSystem.update (instance is null/undefined)"); // <<< See if this logs
     }
 
     if (this.enemySpawner) this.enemySpawner.update(delta); // <<< UPDATE Spawner
 
+    this.gameStateManager?.update(delta); // Autosave rotation timer
+
     // <<< --- DEBUG LOGS --- >>>
     // console.log("--- Game Loop: Checking System Updates ---");
     // console.log(`this.aiSystem exists: ${!!this.aiSystem}`);
@@ -1206,5 +1254,7 @@ export class Game {
     this.isRunning = false;
     // destroy other systems
     this.soundManager?.destroy();
+    this.navigationGrid?.destroy();
+    this.craftingSystem?.destroy();
   }
 } // End Game Class
@@ -148,6 +148,9 @@ export class EnemyAnimationFSM {
       case AI_STATES.CHASING:
         nextStateName = "run";
         break;
+      case AI_STATES.FLEEING:
+        nextStateName = context.isMoving ? "run" : "idle";
+        break;
       case AI_STATES.ATTACKING:
         // If the AI says ATTACKING, the target animation should be 'attack'
         // We will handle interrupting below if needed.
@@ -0,0 +1,67 @@
+// src/config/BiomesConfig.js
+// Biomes by distance from the map center, following the terrain's shape
+// (world/Terrain.js: flat center, rolling hills, mountain rim).
+// Spawners with a `biome` (SpawnPointsConfig.js) spawn the biome's wildlife,
+// respawn at its pace and share its population cap.
+
+export const BIOMES = {
+  meadow: {
+    id: "meadow",
+    name: "Meadow",
+    maxDistanceFromCenter: 80, // Terrain's flat center
+    wildlife: {
+      maxPopulation: 8, // Live animals across all of the biome's spawners
+      respawnDelaySeconds: 120,
+      spawnList: [
+        { enemyId: "deer", weight: 7 },
+        { enemyId: "stag", weight: 3 },
+      ],
+    },
+  },
+  hills: {
+    id: "hills",
+    name: "Hills",
+    maxDistanceFromCenter: 175, // Up to where the mountain rim starts
+    wildlife: {
+      maxPopulation: 10,
+      respawnDelaySeconds: 150,
+      spawnList: [
+        { enemyId: "deer", weight: 4 },
+        { enemyId: "stag", weight: 4 },
+        { enemyId: "donkey", weight: 2 },
+      ],
+    },
+  },
+  highlands: {
+    id: "highlands",
+    name: "Highlands",
+    maxDistanceFromCenter: Infinity,
+    wildlife: {
+      maxPopulation: 4,
+      respawnDelaySeconds: 240,
+      spawnList: [
+        { enemyId: "stag", weight: 2 },
+        { enemyId: "donkey", weight: 3 },
+      ],
+    },
+  },
+};
+
+export function getBiomeData(biomeId) {
+  return BIOMES[biomeId] || null;
+}
+
+/**
+ * Biome at a world position.
+ * @param {number} x - World X.
+ * @param {number} z - World Z.
+ * @returns {object | null} Entry from BIOMES.
+ */
+export function getBiomeAt(x, z) {
+  const distance = Math.sqrt(x * x + z * z);
+  return (
+    Object.values(BIOMES).find(
+      (biome) => distance <= biome.maxDistanceFromCenter
+    ) || null
+  );
+}
@@ -1,5 +1,33 @@
 // src/config/CraftingConfig.js
 // Crafting recipes settings
+// Recipes can require a `station` (see CRAFTING_STATIONS) the player has to
+// stand near, and take `craftTime` seconds (DEFAULT_CRAFT_TIME if unset).
+// Crafts are queued and run one after another (see CraftingSystem).
+// Recipes with an `unlock` ({ pickup: itemId } and/or { level }) start locked,
+// as do recipes taught by a skill (`unlockRecipe` effects in SkillTreeConfig)
+// or a blueprint item (`unlocksRecipes` in ItemConfig). See RecipeBookComponent.
+
+export const DEFAULT_CRAFT_TIME = 2.0; // Seconds
+export const MAX_CRAFTING_QUEUE = 5;
+
+// Placed objects that unlock recipes. Keyed by the placeableId (ItemConfig)
+export const CRAFTING_STATIONS = {
+  campfire: {
+    id: "campfire",
+    name: "Campfire",
+    range: 4.0, // How close the player has to stand
+  },
+  workbench: {
+    id: "workbench",
+    name: "Workbench",
+    range: 3.5,
+  },
+  furnace: {
+    id: "furnace",
+    name: "Furnace",
+    range: 3.5,
+  },
+};
 
 export const CRAFTING_RECIPES = {
   // Key is the itemId of the output item
@@ -16,6 +44,7 @@ export const CRAFTING_RECIPES = {
   heavy_bandage: {
     outputItemId: "heavy_bandage",
     outputQuantity: 1,
+    craftTime: 3.0,
     ingredients: [
       { itemId: "wood_log", quantity: 6 },
       // { itemId: "iron_ore", quantity: 2 },
@@ -26,21 +55,65 @@ export const CRAFTING_RECIPES = {
   super_bandage: {
     outputItemId: "super_bandage",
     outputQuantity: 1,
+    unlock: { level: 5 },
+    craftTime: 4.0,
     ingredients: [
       { itemId: "mushroom_common", quantity: 2 },
       { itemId: "flower_3", quantity: 3 },
     ],
     iconSvgPath: "/icons/health-potion.svg",
   },
+  melted_snow: {
+    outputItemId: "melted_snow",
+    outputQuantity: 2,
+    unlock: { level: 2 },
+    station: "campfire",
+    craftTime: 4.0,
+    ingredients: [{ itemId: "wood_log", quantity: 1 }], // Firewood, the snow is free
+    iconSvgPath: "/icons/snowing.svg",
+  },
   campfire_kit: {
     outputItemId: "campfire_kit",
     outputQuantity: 1,
+    craftTime: 5.0,
     ingredients: [
       { itemId: "wood_log", quantity: 6 },
       { itemId: "stone", quantity: 4 },
     ],
     iconSvgPath: "/icons/campfire.svg",
   },
+  workbench_kit: {
+    outputItemId: "workbench_kit",
+    outputQuantity: 1,
+    craftTime: 6.0,
+    ingredients: [
+      { itemId: "wood_log", quantity: 10 },
+      { itemId: "rope", quantity: 2 },
+    ],
+    iconSvgPath: "/icons/log.svg",
+  },
+  furnace_kit: {
+    outputItemId: "furnace_kit",
+    outputQuantity: 1,
+    station: "workbench",
+    craftTime: 8.0,
+    ingredients: [
+      { itemId: "stone", quantity: 12 },
+      { itemId: "wood_log", quantity: 4 },
+    ],
+    iconSvgPath: "/icons/stone-block.svg",
+  },
+  storage_chest_kit: {
+    outputItemId: "storage_chest_kit",
+    outputQuantity: 1,
+    station: "workbench",
+    craftTime: 6.0,
+    ingredients: [
+      { itemId: "wood_log", quantity: 8 },
+      { itemId: "rope", quantity: 1 },
+    ],
+    iconSvgPath: "/icons/knapsack.svg",
+  },
   rope: {
     outputItemId: "rope",
     outputQuantity: 1,
@@ -55,6 +128,8 @@ export const CRAFTING_RECIPES = {
   makeshift_helmet: {
     outputItemId: "makeshift_helmet",
     outputQuantity: 1,
+    station: "workbench",
+    craftTime: 4.0,
     ingredients: [
       { itemId: "wood_log", quantity: 6 },
       // { itemId: "iron_ore", quantity: 1 },
@@ -65,6 +140,8 @@ export const CRAFTING_RECIPES = {
   makeshift_gloves: {
     outputItemId: "makeshift_gloves",
     outputQuantity: 1,
+    station: "workbench",
+    craftTime: 4.0,
     ingredients: [
       { itemId: "wood_log", quantity: 6 },
       // { itemId: "iron_ore", quantity: 1 },
@@ -75,6 +152,8 @@ export const CRAFTING_RECIPES = {
   makeshift_chest: {
     outputItemId: "makeshift_chest",
     outputQuantity: 1,
+    station: "workbench",
+    craftTime: 5.0,
     ingredients: [
       { itemId: "wood_log", quantity: 8 },
       // { itemId: "flower_3", quantity: 1 },
@@ -87,6 +166,8 @@ export const CRAFTING_RECIPES = {
   makeshift_legs: {
     outputItemId: "makeshift_legs",
     outputQuantity: 1,
+    station: "workbench",
+    craftTime: 5.0,
     ingredients: [
       // { itemId: "cloth_scrap", quantity: 2 },
       { itemId: "wood_log", quantity: 8 },
@@ -99,6 +180,8 @@ export const CRAFTING_RECIPES = {
   makeshift_feet: {
     outputItemId: "makeshift_feet",
     outputQuantity: 1,
+    station: "workbench",
+    craftTime: 4.0,
     ingredients: [
       // { itemId: "cloth_scrap", quantity: 1 },
       // { itemId: "leather_strip", quantity: 1 },
@@ -110,6 +193,8 @@ export const CRAFTING_RECIPES = {
   makeshift_bag: {
     outputItemId: "makeshift_bag",
     outputQuantity: 1,
+    station: "workbench",
+    craftTime: 4.0,
     ingredients: [
       // { itemId: "cloth_scrap", quantity: 3 },
       // { itemId: "rope", quantity: 1 },
@@ -121,6 +206,8 @@ export const CRAFTING_RECIPES = {
   makeshift_weapon: {
     outputItemId: "makeshift_weapon",
     outputQuantity: 1,
+    station: "furnace", // Smelts the iron ore
+    craftTime: 6.0,
     ingredients: [
       { itemId: "iron_ore", quantity: 2 },
       { itemId: "wood_log", quantity: 4 },
@@ -131,6 +218,8 @@ export const CRAFTING_RECIPES = {
   stone_axe: {
     outputItemId: "stone_axe",
     outputQuantity: 1,
+    station: "furnace", // Smelts the iron ore
+    craftTime: 6.0,
     ingredients: [
       { itemId: "stone", quantity: 2 },
       { itemId: "wood_log", quantity: 4 },
@@ -143,11 +232,159 @@ export const CRAFTING_RECIPES = {
       damage: 1,
     },
   },
+  stone_pickaxe: {
+    outputItemId: "stone_pickaxe",
+    outputQuantity: 1,
+    station: "workbench", // No iron needed, it's what opens up iron veins
+    craftTime: 5.0,
+    ingredients: [
+      { itemId: "stone", quantity: 4 },
+      { itemId: "wood_log", quantity: 3 },
+      { itemId: "rope", quantity: 1 },
+    ],
+    iconSvgPath: "/icons/war-pick.svg",
+  },
+
+  // From hunted wildlife
+  leather_strip: {
+    outputItemId: "leather_strip",
+    outputQuantity: 3,
+    unlock: { pickup: "hide" },
+    ingredients: [{ itemId: "hide", quantity: 1 }],
+    iconSvgPath: "/icons/rope-coil.svg",
+  },
+  cooked_meat: {
+    outputItemId: "cooked_meat",
+    outputQuantity: 1,
+    unlock: { pickup: "raw_meat" },
+    station: "campfire",
+    craftTime: 6.0,
+    ingredients: [
+      { itemId: "raw_meat", quantity: 1 },
+      { itemId: "wood_log", quantity: 1 }, // Keeps the fire going
+    ],
+    iconSvgPath: "/icons/campfire.svg",
+  },
+  hide_jacket: {
+    outputItemId: "hide_jacket",
+    outputQuantity: 1,
+    unlock: { pickup: "hide" },
+    station: "workbench",
+    craftTime: 6.0,
+    ingredients: [
+      { itemId: "hide", quantity: 3 },
+      { itemId: "leather_strip", quantity: 2 },
+    ],
+    iconSvgPath: "/icons/scale-mail.svg",
+  },
+  hide_boots: {
+    outputItemId: "hide_boots",
+    outputQuantity: 1,
+    unlock: { pickup: "hide" },
+    station: "workbench",
+    craftTime: 5.0,
+    ingredients: [
+      { itemId: "hide", quantity: 2 },
+      { itemId: "leather_strip", quantity: 1 },
+    ],
+    iconSvgPath: "/icons/steeltoe-boots.svg",
+  },
+  antler_knife: {
+    outputItemId: "antler_knife",
+    outputQuantity: 1,
+    unlock: { pickup: "antlers" },
+    station: "workbench",
+    craftTime: 5.0,
+    ingredients: [
+      { itemId: "antlers", quantity: 1 },
+      { itemId: "wood_log", quantity: 2 },
+      { itemId: "leather_strip", quantity: 1 },
+    ],
+    iconSvgPath: "/icons/winged-sword.svg",
+  },
   // more later: pickaxe: { ... }
   // this could increase the effectiveness of gathering resources. feels useless atm since we scale speed of gathering by damage
 };
 
+// Repairs restore an item's full durability (see CraftingSystem.repairItem).
+// Keyed by the itemId being repaired, cheaper than crafting a new one.
+export const REPAIR_RECIPES = {
+  makeshift_helmet: {
+    station: "workbench",
+    ingredients: [{ itemId: "wood_log", quantity: 3 }],
+  },
+  makeshift_gloves: {
+    station: "workbench",
+    ingredients: [{ itemId: "wood_log", quantity: 3 }],
+  },
+  makeshift_chest: {
+    station: "workbench",
+    ingredients: [
+      { itemId: "wood_log", quantity: 4 },
+      { itemId: "rope", quantity: 1 },
+    ],
+  },
+  makeshift_legs: {
+    station: "workbench",
+    ingredients: [
+      { itemId: "wood_log", quantity: 4 },
+      { itemId: "rope", quantity: 1 },
+    ],
+  },
+  makeshift_feet: {
+    station: "workbench",
+    ingredients: [{ itemId: "wood_log", quantity: 3 }],
+  },
+  hide_jacket: {
+    station: "workbench",
+    ingredients: [
+      { itemId: "hide", quantity: 1 },
+      { itemId: "leather_strip", quantity: 1 },
+    ],
+  },
+  hide_boots: {
+    station: "workbench",
+    ingredients: [{ itemId: "leather_strip", quantity: 1 }],
+  },
+  makeshift_weapon: {
+    station: "furnace",
+    ingredients: [
+      { itemId: "iron_ore", quantity: 1 },
+      { itemId: "wood_log", quantity: 2 },
+    ],
+  },
+  stone_axe: {
+    station: "furnace",
+    ingredients: [
+      { itemId: "iron_ore", quantity: 2 },
+      { itemId: "wood_log", quantity: 2 },
+    ],
+  },
+  stone_pickaxe: {
+    station: "workbench",
+    ingredients: [
+      { itemId: "stone", quantity: 2 },
+      { itemId: "wood_log", quantity: 1 },
+    ],
+  },
+  antler_knife: {
+    station: "workbench",
+    ingredients: [
+      { itemId: "leather_strip", quantity: 1 },
+      { itemId: "wood_log", quantity: 1 },
+    ],
+  },
+};
+
 // Helper to get recipe data
 export function getRecipeData(outputItemId) {
   return CRAFTING_RECIPES[outputItemId] || null;
 }
+
+export function getStationData(stationId) {
+  return CRAFTING_STATIONS[stationId] || null;
+}
+
+export function getRepairRecipe(itemId) {
+  return REPAIR_RECIPES[itemId] || null;
+}
@@ -4,6 +4,7 @@
 export const ENEMIES = {
   wolf_timber: {
     id: "wolf_timber",
+    faction: "beasts", // See FactionsConfig.js: hostility and player reputation
     name: "Timber Wolf", // For UI/logs
     modelConfig: {
       // Info for ResourceManager
@@ -55,29 +56,35 @@ export const ENEMIES = {
     },
     ai: {
       // Basic parameters for AI behavior
-      behavior: "aggressive_melee", // Predefined AI type
+      // AI profile from systems/AIBehaviors.js: aggressive_melee, passive_grazer,
+      // skittish, territorial, pack_hunter, ranged_caster
+      behavior: "pack_hunter",
+      packRadius: 20.0, // pack_hunter: alerts same-type enemies within this range
       wanderRadius: 15.0, // How far it wanders from spawn
       chaseDistance: 25.0, // Max distance to chase before giving up
       attackDistance: 1.8, // Distance within which it tries to attack
-      // Not implemented yet.
-      fleeHealthPercent: 0.1, // Flee below 10% health
+      fleeHealthPercent: 0.1, // Flee below 10% health (0 = never flee)
+      // Optional flee tuning, defaults in AIComponent:
+      // fleeDistance, fleeRecoverHealthPercent, fleeRegenPercentPerSecond, corneredFightDuration
     },
+    // Rolled by utils/LootTableResolver.js, entry shapes in LootTablesConfig.js
     lootTable: [
-      // Ideal loot table
       // { itemId: "wolf_pelt", quantity: 1, chance: 0.75 },
       // { itemId: "raw_meat", quantity: [1, 2], chance: 0.9 },
       {
         itemId: "flower_3", // Unique ID for loot type
         quantity: 1,
-        chance: 1.0, // Drop chance (1.0 = 100%)
-        // Optional/Test: Add model path here if needed, or handle it in EnemyManager
+        guaranteed: true, // Always dropped, ignores chance
+        // Optional: visual override, defaults to the item's modelPath
         modelPath: "/models/nature/Flower_3_Single.gltf",
       },
+      { table: "forage_common", chance: 0.5 }, // Nested shared table
     ],
     xpValue: 50, // Experience gain
   },
   wolf_dire: {
     id: "wolf_dire",
+    faction: "beasts",
     name: "Dire Wolf",
     modelConfig: {
       path: "/models/animals/Husky.gltf",
@@ -111,7 +118,9 @@ export const ENEMIES = {
       death: "Death",
     },
     ai: {
-      behavior: "aggressive_melee",
+      behavior: "pack_hunter",
+      packLeader: true, // Its death breaks the morale of its packmates
+      packRadius: 20.0,
       wanderRadius: 15.0,
       chaseDistance: 25.0,
       attackDistance: 1.8,
@@ -129,6 +138,7 @@ export const ENEMIES = {
   },
   witch: {
     id: "witch",
+    faction: "coven",
     name: "Witch",
     modelConfig: {
       path: "/models/characters/Witch.gltf",
@@ -162,24 +172,44 @@ export const ENEMIES = {
       death: "Death",
     },
     ai: {
-      behavior: "aggressive_melee",
+      behavior: "ranged_caster",
       wanderRadius: 15.0,
       chaseDistance: 25.0,
-      attackDistance: 1.8,
+      attackDistance: 4.5, // Matches stats.attackRange
+      preferredMinDistance: 2.5, // ranged_caster: backs off when closer than this
       fleeHealthPercent: 0.1,
     },
+    // Ranged attack: fired at the attack's damage point instead of a melee ray
+    projectile: {
+      id: "hex_bolt",
+      name: "Hex Bolt",
+      speed: 14.0, // m/s
+      spread: 4, // Degrees of random aim error
+      maxRange: 25.0,
+      gravity: 0, // m/s² drop, 0 = flies straight
+      damageMultiplier: 0.6, // x stats.damage
+      radius: 0.15, // Glowing sphere used when no model is set
+      color: 0x9b4dff,
+      // model: { path: "/models/...", scale: 0.5 }, // Optional GLTF instead of the sphere
+      onHit: [
+        { type: "modifier", stat: "speed", value: -1.5, durationSeconds: 3 },
+        { type: "damageOverTime", damagePerSecond: 3, durationSeconds: 4 },
+      ],
+    },
     lootTable: [
       {
         itemId: "mushroom_common",
-        quantity: 1,
+        quantity: [1, 2],
         chance: 1.0,
         modelPath: "/models/nature/Mushroom_Common.gltf",
       },
+      { table: "humanoid_pockets" },
     ],
     xpValue: 150,
   },
   rogueknight: {
     id: "rogueknight",
+    faction: "bandits",
     name: "Rogue Knight",
     modelConfig: {
       path: "/models/characters/Medieval.gltf",
@@ -226,11 +256,15 @@ export const ENEMIES = {
         chance: 1.0,
         modelPath: "/models/nature/Mushroom_Common.gltf",
       },
+      { table: "humanoid_pockets" },
+      // Better odds for armor as the player levels up
+      { table: "makeshift_armor", chance: 0.2, chancePerLevel: 0.03 },
     ],
     xpValue: 250,
   },
   horsie: {
     id: "horsie",
+    faction: "wildlife",
     name: "Mr. Kek",
     modelConfig: {
       path: "/models/animals/Donkey.gltf",
@@ -264,7 +298,7 @@ export const ENEMIES = {
       death: "Death",
     },
     ai: {
-      behavior: "aggressive_melee",
+      behavior: "skittish",
       wanderRadius: 3.0,
       chaseDistance: 1.0,
       attackDistance: 1.8,
@@ -334,8 +368,10 @@ export const ENEMIES = {
     ],
     xpValue: 30000000,
   },
+  // Huntable wildlife, spawned by biome (see BiomesConfig.js)
   stag: {
     id: "stag",
+    faction: "wildlife",
     name: "Stag",
     modelConfig: {
       path: "/models/animals/Stag.gltf",
@@ -352,13 +388,13 @@ export const ENEMIES = {
       restitution: 0.0,
     },
     stats: {
-      health: 400000,
+      health: 70,
       damage: 0.1,
-      speed: 6,
-      runSpeed: 10.5,
+      speed: 2.5,
+      runSpeed: 6.5,
       attackRange: 1.5,
       attackCooldown: 1.8,
-      perceptionRange: 1.0,
+      perceptionRange: 16.0,
     },
     animations: {
       idle: "Idle_2",
@@ -369,26 +405,77 @@ export const ENEMIES = {
       death: "Death",
     },
     ai: {
-      behavior: "aggressive_melee",
-      wanderRadius: 3.0,
+      behavior: "passive_grazer",
+      fleeOnSight: true, // passive_grazer: also bolts from hostiles it notices
+      wanderRadius: 12.0,
       chaseDistance: 1.0,
       attackDistance: 1.8,
-      fleeHealthPercent: 0.1,
+      fleeDistance: 25.0,
+      fleeHealthPercent: 0,
     },
     lootTable: [
-      // { itemId: "wolf_pelt", quantity: 1, chance: 0.75 },
-      // { itemId: "raw_meat", quantity: [1, 2], chance: 0.9 },
+      { table: "game_carcass" },
+      { itemId: "raw_meat", quantity: 1, guaranteed: true },
+      { itemId: "antlers", quantity: 1, chance: 0.75 },
     ],
-    xpValue: 1,
+    xpValue: 20,
   },
   deer: {
     id: "deer",
+    faction: "wildlife",
     name: "Deer",
     modelConfig: {
       path: "/models/animals/Deer.gltf",
       scale: 0.5,
       normalizeHeight: 1,
     },
+    physicsConfig: {
+      shape: "capsule",
+      radius: 0.85,
+      height: 0.5,
+      hy: 1.35,
+      mass: 60,
+      friction: 0.5,
+      restitution: 0.0,
+    },
+    stats: {
+      health: 40,
+      damage: 0.1,
+      speed: 2.5,
+      runSpeed: 7,
+      attackRange: 1.5,
+      attackCooldown: 1.8,
+      perceptionRange: 14.0,
+    },
+    animations: {
+      idle: "Idle_2",
+      walk: "Walk",
+      run: "Gallop",
+      attack: "Attack",
+      hurt: "Idle_HitReact1",
+      death: "Death",
+    },
+    ai: {
+      behavior: "passive_grazer",
+      fleeOnSight: true,
+      wanderRadius: 12.0,
+      chaseDistance: 1.0,
+      attackDistance: 1.8,
+      fleeDistance: 25.0,
+      fleeHealthPercent: 0,
+    },
+    lootTable: [{ table: "game_carcass" }],
+    xpValue: 10,
+  },
+  donkey: {
+    id: "donkey",
+    faction: "wildlife",
+    name: "Wild Donkey",
+    modelConfig: {
+      path: "/models/animals/Donkey.gltf",
+      scale: 0.5,
+      normalizeHeight: 1,
+    },
     physicsConfig: {
       shape: "capsule",
       radius: 0.85,
@@ -399,13 +486,13 @@ export const ENEMIES = {
       restitution: 0.0,
     },
     stats: {
-      health: 400000,
+      health: 60,
       damage: 0.1,
-      speed: 6,
-      runSpeed: 10.5,
+      speed: 2,
+      runSpeed: 5.5,
       attackRange: 1.5,
       attackCooldown: 1.8,
-      perceptionRange: 1.0,
+      perceptionRange: 10.0,
     },
     animations: {
       idle: "Idle_2",
@@ -416,17 +503,18 @@ export const ENEMIES = {
       death: "Death",
     },
     ai: {
-      behavior: "aggressive_melee",
-      wanderRadius: 3.0,
+      behavior: "passive_grazer", // Stubborn: only bolts once hit
+      wanderRadius: 10.0,
       chaseDistance: 1.0,
       attackDistance: 1.8,
-      fleeHealthPercent: 0.1,
+      fleeDistance: 20.0,
+      fleeHealthPercent: 0,
     },
     lootTable: [
-      // { itemId: "wolf_pelt", quantity: 1, chance: 0.75 },
-      // { itemId: "raw_meat", quantity: [1, 2], chance: 0.9 },
+      { table: "game_carcass" },
+      { itemId: "hide", quantity: 1, chance: 0.5 },
     ],
-    xpValue: 1,
+    xpValue: 15,
   },
 };
 
@@ -0,0 +1,87 @@
+// src/config/FactionsConfig.js
+// Creature factions. Enemies join one with `faction` in EnemiesConfig.
+// AISystem attacks on sight only where the relation is hostile: between
+// factions via FACTION_RELATIONS, towards the player (and allies) via the
+// player's reputation with the faction (see ReputationComponent).
+
+export const RELATIONS = {
+  HOSTILE: "hostile",
+  NEUTRAL: "neutral", // Leaves you alone, fights back when attacked
+  FRIENDLY: "friendly",
+};
+
+export const REPUTATION_MIN = -100;
+export const REPUTATION_MAX = 100;
+// Player standing from reputation: below HOSTILE_BELOW hostile, from FRIENDLY_FROM friendly
+export const REPUTATION_HOSTILE_BELOW = -20;
+export const REPUTATION_FRIENDLY_FROM = 50;
+// Killing a member of a faction also pleases its enemies, by this fraction of the loss
+export const RIVAL_KILL_REPUTATION_FACTOR = 0.5;
+
+export const FACTIONS = {
+  wildlife: {
+    id: "wildlife",
+    name: "Wildlife",
+    description: "Deer, horses and other grazers. Wary of people.",
+    startingReputation: -25, // Hostile: skittish animals keep their distance
+    killReputation: -2, // Reputation change per member killed
+  },
+  beasts: {
+    id: "beasts",
+    name: "Beasts",
+    description: "Wolves and other predators. Prey on wildlife.",
+    startingReputation: -50,
+    killReputation: -5,
+  },
+  bandits: {
+    id: "bandits",
+    name: "Bandits",
+    description: "Rogue knights and other outlaws.",
+    startingReputation: -40,
+    killReputation: -10,
+  },
+  coven: {
+    id: "coven",
+    name: "Witches' Coven",
+    description: "Witches and their hexes. At odds with the bandits.",
+    startingReputation: -40,
+    killReputation: -10,
+  },
+};
+
+// Relations between factions, looked up both ways. Unlisted pairs are neutral,
+// members of the same faction are friendly.
+export const FACTION_RELATIONS = {
+  beasts: { wildlife: RELATIONS.HOSTILE },
+  bandits: { coven: RELATIONS.HOSTILE },
+};
+
+export function getFactionData(factionId) {
+  return FACTIONS[factionId] || null;
+}
+
+/**
+ * Relation between two factions.
+ * @param {string | undefined} factionA
+ * @param {string | undefined} factionB
+ * @returns {string} One of RELATIONS.
+ */
+export function getFactionRelation(factionA, factionB) {
+  if (factionA === factionB) return RELATIONS.FRIENDLY;
+  return (
+    FACTION_RELATIONS[factionA]?.[factionB] ??
+    FACTION_RELATIONS[factionB]?.[factionA] ??
+    RELATIONS.NEUTRAL
+  );
+}
+
+/**
+ * Factions the given faction is hostile to.
+ * @param {string | undefined} factionId
+ * @returns {string[]}
+ */
+export function getHostileFactionIds(factionId) {
+  return Object.keys(FACTIONS).filter(
+    (otherId) => getFactionRelation(factionId, otherId) === RELATIONS.HOSTILE
+  );
+}
@@ -1,5 +1,7 @@
 // src/config/ItemConfig.js
 // Items and consumables config
+// Equipment with `maxDurability` wears out with use and is repaired with
+// REPAIR_RECIPES (CraftingConfig). Items without it never break.
 
 export const ITEMS = {
   wood_log: {
@@ -54,6 +56,76 @@ export const ITEMS = {
     iconImagePath: "/icons/mushroom.svg",
   },
 
+  // Hunted from wildlife (see LootTablesConfig game_carcass)
+  raw_meat: {
+    id: "raw_meat",
+    name: "Raw Meat",
+    description: "Fresh game meat. Better cooked than eaten raw.",
+    weight: 0.5,
+    maxStack: 5,
+    type: "consumable",
+    hungerRestore: 10, // Survival meters, see ConsumableSystem
+    modelPath: "/models/nature/Flower_3_Single.gltf",
+    iconImagePath: "/icons/bear-head.svg",
+  },
+
+  hide: {
+    id: "hide",
+    name: "Animal Hide",
+    description: "A rough hide. Cut into strips or stitched into warm clothes.",
+    weight: 1.0,
+    maxStack: 4,
+    modelPath: "/models/nature/Flower_3_Single.gltf",
+    iconImagePath: "/icons/scale-mail.svg",
+  },
+
+  antlers: {
+    id: "antlers",
+    name: "Antlers",
+    description: "Shed by a stag. Hard and sharp enough for a blade.",
+    weight: 1.0,
+    maxStack: 2,
+    modelPath: "/models/nature/Flower_3_Single.gltf",
+    iconImagePath: "/icons/bear-head.svg",
+  },
+
+  leather_strip: {
+    id: "leather_strip",
+    name: "Leather Strips",
+    description: "Strips of hide for binding and stitching.",
+    weight: 0.2,
+    maxStack: 8,
+    modelPath: "/models/nature/Flower_3_Single.gltf",
+    iconImagePath: "/icons/rope-coil.svg",
+  },
+
+  cooked_meat: {
+    id: "cooked_meat",
+    name: "Roasted Meat",
+    description:
+      "Game meat roasted over a fire. Filling, and restores some health.",
+    weight: 0.4,
+    maxStack: 5,
+    type: "consumable",
+    healAmount: 10,
+    hungerRestore: 35,
+    staminaRestore: 25,
+    modelPath: "/models/nature/Flower_3_Single.gltf",
+    iconImagePath: "/icons/campfire.svg",
+  },
+
+  melted_snow: {
+    id: "melted_snow",
+    name: "Melted Snow",
+    description: "Snow melted down over a small fire. Quenches thirst.",
+    weight: 0.5,
+    maxStack: 5,
+    type: "consumable",
+    thirstRestore: 35,
+    modelPath: "/models/nature/Flower_3_Single.gltf",
+    iconImagePath: "/icons/snowing.svg",
+  },
+
   bandage: {
     id: "bandage",
     name: "Simple Bandage",
@@ -104,6 +176,57 @@ export const ITEMS = {
     iconImagePath: "/icons/campfire.svg",
   },
 
+  smithing_notes: {
+    id: "smithing_notes",
+    name: "Smithing Notes",
+    description:
+      "A knight's scribbled notes on working iron. Read to learn its recipes.",
+    weight: 0.1,
+    maxStack: 1,
+    type: "blueprint",
+    unlocksRecipes: ["makeshift_weapon", "stone_axe"],
+    modelPath: "/models/nature/Flower_3_Single.gltf",
+    iconImagePath: "/icons/calendar.svg",
+  },
+
+  workbench_kit: {
+    id: "workbench_kit",
+    name: "Workbench Kit",
+    description:
+      "A sturdy work table for making clothing and gear. Use to place it.",
+    weight: 8.0,
+    maxStack: 1,
+    type: "placeable",
+    placeableId: "workbench",
+    modelPath: "/models/nature/Flower_3_Single.gltf",
+    iconImagePath: "/icons/log.svg",
+  },
+
+  furnace_kit: {
+    id: "furnace_kit",
+    name: "Furnace Kit",
+    description: "A stone furnace hot enough to work iron. Use to place it.",
+    weight: 10.0,
+    maxStack: 1,
+    type: "placeable",
+    placeableId: "furnace",
+    modelPath: "/models/nature/Flower_3_Single.gltf",
+    iconImagePath: "/icons/stone-block.svg",
+  },
+
+  storage_chest_kit: {
+    id: "storage_chest_kit",
+    name: "Storage Chest Kit",
+    description:
+      "A wooden chest to keep items out of your pack. Use to place it.",
+    weight: 8.0,
+    maxStack: 1,
+    type: "placeable",
+    placeableId: "storage_chest",
+    modelPath: "/models/nature/Flower_3_Single.gltf",
+    iconImagePath: "/icons/knapsack.svg",
+  },
+
   rope: {
     id: "rope",
     name: "Rope",
@@ -123,9 +246,11 @@ export const ITEMS = {
     maxStack: 1,
     type: "equipment",
     equipSlot: "head",
+    maxDurability: 40, // Hits (weapons) or hits taken (armor) until it breaks
     statsBonus: {
       maxHealth: 5,
       coldResistance: 0.05,
+      insulation: 1, // °C added to the felt temperature
       damageReduction: 0.02,
     },
     modelPath: "/models/nature/Flower_3_Single.gltf",
@@ -140,9 +265,11 @@ export const ITEMS = {
     maxStack: 1,
     type: "equipment",
     equipSlot: "gloves",
+    maxDurability: 40,
     statsBonus: {
       maxHealth: 5,
       coldResistance: 0.05,
+      insulation: 1,
       damageReduction: 0.02,
     },
     modelPath: "/models/nature/Flower_3_Single.gltf",
@@ -157,9 +284,11 @@ export const ITEMS = {
     maxStack: 1,
     type: "equipment",
     equipSlot: "chest",
+    maxDurability: 60,
     statsBonus: {
       maxHealth: 10,
       coldResistance: 0.1,
+      insulation: 3,
       damageReduction: 0.05,
     },
     modelPath: "/models/nature/Flower_3_Single.gltf",
@@ -174,9 +303,11 @@ export const ITEMS = {
     maxStack: 1,
     type: "equipment",
     equipSlot: "legs",
+    maxDurability: 50,
     statsBonus: {
       maxHealth: 10,
       coldResistance: 0.07,
+      insulation: 2,
       damageReduction: 0.03,
     },
     modelPath: "/models/nature/Flower_3_Single.gltf",
@@ -191,8 +322,10 @@ export const ITEMS = {
     maxStack: 1,
     type: "equipment",
     equipSlot: "feet",
+    maxDurability: 40,
     statsBonus: {
       coldResistance: 0.05,
+      insulation: 1,
       damageReduction: 0.02,
       speed: 0.2,
     },
@@ -218,6 +351,44 @@ export const ITEMS = {
     iconImagePath: "/icons/knapsack.svg",
   },
 
+  hide_jacket: {
+    id: "hide_jacket",
+    name: "Hide Jacket",
+    description: "A heavy jacket of stitched hides. Keeps the cold out.",
+    weight: 3.0,
+    maxStack: 1,
+    type: "equipment",
+    equipSlot: "chest",
+    maxDurability: 100,
+    statsBonus: {
+      maxHealth: 15,
+      coldResistance: 0.2,
+      insulation: 6,
+      damageReduction: 0.06,
+    },
+    modelPath: "/models/nature/Flower_3_Single.gltf",
+    iconImagePath: "/icons/scale-mail.svg",
+  },
+
+  hide_boots: {
+    id: "hide_boots",
+    name: "Hide Boots",
+    description: "Soft hide boots, warm and quiet.",
+    weight: 1.0,
+    maxStack: 1,
+    type: "equipment",
+    equipSlot: "feet",
+    maxDurability: 80,
+    statsBonus: {
+      coldResistance: 0.1,
+      insulation: 2,
+      damageReduction: 0.03,
+      speed: 0.3,
+    },
+    modelPath: "/models/nature/Flower_3_Single.gltf",
+    iconImagePath: "/icons/steeltoe-boots.svg",
+  },
+
   makeshift_weapon: {
     id: "makeshift_weapon",
     name: "Makeshift Weapon",
@@ -226,6 +397,7 @@ export const ITEMS = {
     maxStack: 1,
     type: "equipment",
     equipSlot: "weapon",
+    maxDurability: 50,
     statsBonus: {
       damage: 1,
     },
@@ -241,6 +413,9 @@ export const ITEMS = {
     maxStack: 1,
     type: "equipment",
     equipSlot: "weapon",
+    maxDurability: 120,
+    toolType: "axe", // Gathering tool, see GATHER_RULES in ResourceConfig
+    toolTier: 1,
     statsBonus: {
       damage: 5,
     },
@@ -248,6 +423,42 @@ export const ITEMS = {
     iconImagePath: "/icons/war-pick.svg",
   },
 
+  stone_pickaxe: {
+    id: "stone_pickaxe",
+    name: "Stone Pickaxe",
+    description: "A sharp stone head lashed to a handle. Breaks up ore veins.",
+    weight: 3.0,
+    maxStack: 1,
+    type: "equipment",
+    equipSlot: "weapon",
+    maxDurability: 100,
+    toolType: "pickaxe",
+    toolTier: 1,
+    statsBonus: {
+      damage: 3,
+    },
+    modelPath: "/models/nature/Flower_3_Single.gltf",
+    iconImagePath: "/icons/war-pick.svg",
+  },
+
+  antler_knife: {
+    id: "antler_knife",
+    name: "Antler Knife",
+    description: "A sharpened antler tine bound to a wooden grip.",
+    weight: 1.0,
+    maxStack: 1,
+    type: "equipment",
+    equipSlot: "weapon",
+    maxDurability: 80,
+    toolType: "knife",
+    toolTier: 1,
+    statsBonus: {
+      damage: 3,
+    },
+    modelPath: "/models/nature/Flower_3_Single.gltf",
+    iconImagePath: "/icons/winged-sword.svg",
+  },
+
   // Testing/Dev
   sword_of_the_thousand_truths: {
     id: "sword_of_the_thousand_truths",
@@ -273,3 +484,102 @@ export const ITEMS = {
 export function getItemData(itemId) {
   return ITEMS[itemId] || null; // Return null if item ID is invalid
 }
+
+// --- Item Instances (see utils/ItemInstanceFactory.js) ---
+// Equipment is stored per item with a quality tier and rolled affixes.
+// Quality scales the item's statsBonus and decides how many affixes it rolls.
+export const ITEM_QUALITIES = {
+  common: {
+    id: "common",
+    name: "Common",
+    statMultiplier: 1.0,
+    affixCount: 0,
+    weight: 60, // Roll weight when crafted or looted
+  },
+  fine: {
+    id: "fine",
+    name: "Fine",
+    statMultiplier: 1.1,
+    affixCount: 1,
+    weight: 25,
+  },
+  superior: {
+    id: "superior",
+    name: "Superior",
+    statMultiplier: 1.25,
+    affixCount: 1,
+    weight: 11,
+  },
+  masterwork: {
+    id: "masterwork",
+    name: "Masterwork",
+    statMultiplier: 1.4,
+    affixCount: 2,
+    weight: 4,
+  },
+};
+
+const ARMOR_SLOTS = ["head", "chest", "legs", "feet", "gloves"];
+
+// Random extra stats. `value` is a [min, max] range (integers roll integers)
+export const ITEM_AFFIXES = {
+  warm: {
+    id: "warm",
+    name: "Warm",
+    stat: "insulation",
+    value: [1, 3],
+    slots: ARMOR_SLOTS,
+  },
+  hardy: {
+    id: "hardy",
+    name: "Hardy",
+    stat: "coldResistance",
+    value: [0.02, 0.05],
+    slots: ARMOR_SLOTS,
+  },
+  sturdy: {
+    id: "sturdy",
+    name: "Sturdy",
+    stat: "maxHealth",
+    value: [3, 8],
+    slots: ARMOR_SLOTS,
+  },
+  guarding: {
+    id: "guarding",
+    name: "Guarding",
+    stat: "damageReduction",
+    value: [0.01, 0.03],
+    slots: ARMOR_SLOTS,
+  },
+  sharp: {
+    id: "sharp",
+    name: "Sharp",
+    stat: "damage",
+    value: [1, 3],
+    slots: ["weapon"],
+  },
+  swift: {
+    id: "swift",
+    name: "Swift",
+    stat: "speed",
+    value: [0.1, 0.2],
+    slots: ["feet", "weapon"],
+  },
+};
+
+export function getQualityData(qualityId) {
+  return ITEM_QUALITIES[qualityId] || null;
+}
+
+// Durability lost per use (see EquipmentComponent.damageItem)
+export const WEAPON_DURABILITY_LOSS_PER_HIT = 1; // Per hit landed
+export const ARMOR_DURABILITY_LOSS_PER_HIT = 1; // Per piece, per hit taken from an attacker
+export const LOW_DURABILITY_WARNING = 0.2; // Fraction of maxDurability
+
+/**
+ * Max durability of an item.
+ * @returns {number | null} Null if the item never wears out.
+ */
+export function getMaxDurability(itemId) {
+  return ITEMS[itemId]?.maxDurability ?? null;
+}
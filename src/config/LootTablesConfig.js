@@ -0,0 +1,55 @@
+// src/config/LootTablesConfig.js
+// Shared, named loot tables. Enemies, resource nodes and containers can point at
+// these with `{ table: "<id>" }` entries instead of repeating the same drops.
+//
+// Entry shapes (see utils/LootTableResolver.js):
+// { itemId, quantity: 2 | [1, 3], chance?, guaranteed?, minLevel?, maxLevel?,
+//   chancePerLevel?, quantityPerLevel?, modelPath? }       -> item drop
+// { table: "<id>" | [...entries], chance?, rolls? }           -> nested sub-table
+// { pickOne: [{ weight, ...entry }], chance?, rolls? }       -> weighted group
+
+export const LOOT_TABLES = {
+  // Common forage found on most creatures
+  forage_common: [
+    {
+      pickOne: [
+        { weight: 3, itemId: "flower_3", quantity: [1, 2] },
+        { weight: 2, itemId: "mushroom_common", quantity: 1 },
+      ],
+    },
+  ],
+  // Humanoid pocket loot, gets better with player level
+  humanoid_pockets: [
+    { itemId: "bandage", quantity: 1, chance: 0.4, chancePerLevel: 0.02 },
+    {
+      itemId: "heavy_bandage",
+      quantity: 1,
+      chance: 0.15,
+      chancePerLevel: 0.02,
+      minLevel: 3,
+    },
+    { itemId: "rope", quantity: [1, 2], chance: 0.25 },
+    { itemId: "smithing_notes", quantity: 1, chance: 0.1, minLevel: 2 },
+  ],
+  // Butchered from hunted wildlife
+  game_carcass: [
+    { itemId: "raw_meat", quantity: [1, 2], guaranteed: true },
+    { itemId: "hide", quantity: 1, chance: 0.8 },
+  ],
+  // Makeshift armor pieces, one per roll
+  makeshift_armor: [
+    {
+      pickOne: [
+        { weight: 1, itemId: "makeshift_helmet", quantity: 1 },
+        { weight: 1, itemId: "makeshift_gloves", quantity: 1 },
+        { weight: 1, itemId: "makeshift_chest", quantity: 1 },
+        { weight: 1, itemId: "makeshift_legs", quantity: 1 },
+        { weight: 1, itemId: "makeshift_feet", quantity: 1 },
+      ],
+    },
+  ],
+};
+
+export function getLootTableData(tableId) {
+  return LOOT_TABLES[tableId] || null;
+}
@@ -23,5 +23,24 @@ export const PLAYER_CONFIG = {
 
   WALK_SPEED: 3, // Player movement speed when walking (units per second).
   RUN_SPEED: 6, // Player movement speed when sprinting (units per second).
+  CROUCH_SPEED_MULTIPLIER: 0.5, // Walk speed multiplier while crouching (sneaking).
   HEALTH: 100, // Player health
+
+  // --- Survival Meters (full = 100, see StatsComponent.updateSurvival) ---
+  MAX_HUNGER: 100,
+  MAX_THIRST: 100,
+  MAX_STAMINA: 100,
+  HUNGER_DECAY_PER_SECOND: 0.05, // ~33 minutes from full to starving
+  THIRST_DECAY_PER_SECOND: 0.08, // ~21 minutes from full to parched
+  SPRINT_DECAY_MULTIPLIER: 2.5, // Hunger/thirst drain faster while sprinting
+  COLD_DECAY_MULTIPLIER: 1.75, // ...while the body is cold (see TemperatureComponent)
+  HEAT_THIRST_MULTIPLIER: 2.0, // Thirst drains faster while overheated
+  STAMINA_SPRINT_COST_PER_SECOND: 12,
+  STAMINA_JUMP_COST: 10,
+  STAMINA_REGEN_PER_SECOND: 15,
+  STAMINA_REGEN_DELAY: 1.0, // Seconds after spending stamina before it regenerates
+  STAMINA_EXHAUSTED_RECOVER: 25, // Ran dry: no sprinting until stamina is back to this
+  STARVING_STAMINA_REGEN_MULTIPLIER: 0.5, // Regen while hunger or thirst is empty
+  STARVATION_DAMAGE: 2, // Per tick while hunger or thirst is empty (each)
+  STARVATION_TICK_INTERVAL: 5.0, // Seconds between starvation damage ticks
 };
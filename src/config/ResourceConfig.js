@@ -67,6 +67,28 @@
 //   },
 // ];
 
+// --- Gathering Rules ---
+// Tools are equipped weapons with a `toolType` and `toolTier` (ItemConfig).
+// Nodes pick a rule with `gatherRule`: below `requiredTier` of the rule's tool
+// the node can't be harvested at all, and every tier of the right tool adds
+// `yieldPerTier` to the drops (on top of the gatheringYield stat from skills).
+export const GATHER_RULES = {
+  wood: { tool: "axe", requiredTier: 0, yieldPerTier: 0.5 },
+  brush: { tool: "knife", requiredTier: 0, yieldPerTier: 1.0 },
+  stone: { tool: "pickaxe", requiredTier: 0, yieldPerTier: 0.5 },
+  ore: { tool: "pickaxe", requiredTier: 1, yieldPerTier: 0.5 },
+};
+
+export const TOOL_NAMES = {
+  axe: "Axe",
+  knife: "Knife",
+  pickaxe: "Pickaxe",
+};
+
+export function getGatherRule(ruleId) {
+  return GATHER_RULES[ruleId] || null;
+}
+
 export const RESOURCE_NODE_CONFIGS = [
   {
     id: "pine_tree", // Unique ID for this node type
@@ -90,6 +112,7 @@ export const RESOURCE_NODE_CONFIGS = [
     initialHealth: 100,
     resourceId: "wood_log",
     resourceQty: 3,
+    gatherRule: "wood",
   },
   {
     id: "pine_tree_2", // Unique ID for this node type
@@ -113,6 +136,7 @@ export const RESOURCE_NODE_CONFIGS = [
     initialHealth: 100,
     resourceId: "wood_log",
     resourceQty: 3,
+    gatherRule: "wood",
   },
   {
     id: "pine_tree_3", // Unique ID for this node type
@@ -136,6 +160,7 @@ export const RESOURCE_NODE_CONFIGS = [
     initialHealth: 100,
     resourceId: "wood_log",
     resourceQty: 3,
+    gatherRule: "wood",
   },
   {
     id: "dead_tree", // Unique ID for this node type
@@ -159,6 +184,7 @@ export const RESOURCE_NODE_CONFIGS = [
     initialHealth: 80,
     resourceId: "wood_log",
     resourceQty: 2,
+    gatherRule: "wood",
   },
   {
     id: "dead_tree_2", // Unique ID for this node type
@@ -182,6 +208,7 @@ export const RESOURCE_NODE_CONFIGS = [
     initialHealth: 80,
     resourceId: "wood_log",
     resourceQty: 2,
+    gatherRule: "wood",
   },
   {
     id: "dead_tree_3", // Unique ID for this node type
@@ -205,6 +232,7 @@ export const RESOURCE_NODE_CONFIGS = [
     initialHealth: 80,
     resourceId: "wood_log",
     resourceQty: 2,
+    gatherRule: "wood",
   },
   {
     id: "bush_common", // Unique ID for this node type
@@ -228,6 +256,7 @@ export const RESOURCE_NODE_CONFIGS = [
     initialHealth: 40,
     resourceId: "wood_log",
     resourceQty: 1,
+    gatherRule: "brush",
   },
   {
     id: "rock_pile",
@@ -250,6 +279,7 @@ export const RESOURCE_NODE_CONFIGS = [
     initialHealth: 100,
     resourceId: "stone",
     resourceQty: 4,
+    gatherRule: "stone",
   },
   {
     id: "iron_vein",
@@ -271,6 +301,13 @@ export const RESOURCE_NODE_CONFIGS = [
     initialHealth: 120,
     resourceId: "iron_ore",
     resourceQty: 2,
+    gatherRule: "ore",
+    // Optional: replaces resourceId/resourceQty drops (see LootTablesConfig.js)
+    lootTable: [
+      { itemId: "iron_ore", quantity: [1, 2], guaranteed: true },
+      { itemId: "iron_ore", quantity: 1, chance: 0.1, chancePerLevel: 0.02 },
+      { itemId: "stone", quantity: [1, 2], chance: 0.5 },
+    ],
   },
   {
     id: "grass_patch", // Unique ID
@@ -128,6 +128,36 @@ export const SKILL_TREE_CONFIG = {
     iconSvgPath: "/icons/bear-head.svg",
     uiPosition: { x: 0, y: 250 },
   },
+  fieldcraft: {
+    id: "fieldcraft",
+    name: "Fieldcraft",
+    description:
+      "Unlocks the Furnace Kit recipe. Your clothing keeps you a little warmer.",
+    maxRank: 1,
+    requiredLevel: 3,
+    costPerRank: [1],
+    prerequisites: [],
+    effectsPerRank: [
+      [
+        { stat: "insulation", value: 2, type: "additive" },
+        { unlockRecipe: "furnace_kit" },
+      ],
+    ],
+    iconSvgPath: "/icons/log.svg",
+    uiPosition: { x: 100, y: 250 },
+  },
+  gathering: {
+    id: "gathering",
+    name: "Efficient Gathering",
+    description: "Trees, rocks and veins drop more resources.",
+    maxRank: 2,
+    requiredLevel: 4,
+    costPerRank: [1, 2],
+    prerequisites: ["fieldcraft"],
+    effectsPerRank: createRankedStatEffect("gatheringYield", [0.25, 0.5]), // +25%, +50% total
+    iconSvgPath: "/icons/ore.svg",
+    uiPosition: { x: 100, y: 350 },
+  },
   inner_fire: {
     id: "inner_fire",
     name: "Inner Fire",
@@ -1,5 +1,7 @@
 // src/config/SpawnPointsConfig.js
 // Spawn points for testing purposes.
+// Spawners either list their enemies (spawnList, respawnDelaySeconds) or name a
+// `biome` to spawn that biome's wildlife.
 
 export const SPAWN_POINTS_CONFIG = [
   {
@@ -47,7 +49,7 @@ export const SPAWN_POINTS_CONFIG = [
     spawnList: [{ enemyId: "witch", weight: 1 }],
   },
   {
-    id: "swamp_witches",
+    id: "swamp_witches_2",
     position: { x: -115, y: 0, z: -78 },
     radius: 18,
     activationRadius: 100,
@@ -57,7 +59,7 @@ export const SPAWN_POINTS_CONFIG = [
     spawnList: [{ enemyId: "witch", weight: 1 }],
   },
   {
-    id: "forest_wolves_easy",
+    id: "forest_wolves_easy_2",
     position: { x: -110, y: 0, z: -65 },
     radius: 20,
     activationRadius: 100,
@@ -83,7 +85,7 @@ export const SPAWN_POINTS_CONFIG = [
     ],
   },
   {
-    id: "forest_wolves_hard",
+    id: "forest_wolves_hard_2",
     position: { x: 110, y: 0, z: -65 },
     radius: 20,
     activationRadius: 100,
@@ -96,7 +98,7 @@ export const SPAWN_POINTS_CONFIG = [
     ],
   },
   {
-    id: "forest_wolves_hard",
+    id: "forest_wolves_hard_3",
     position: { x: -65, y: 0, z: 110 },
     radius: 20,
     activationRadius: 100,
@@ -109,7 +111,7 @@ export const SPAWN_POINTS_CONFIG = [
     ],
   },
   {
-    id: "mountain_pass_knights",
+    id: "mountain_pass_knights_2",
     position: { x: -35, y: 0, z: 95 },
     radius: 15,
     activationRadius: 100,
@@ -293,37 +295,51 @@ export const SPAWN_POINTS_CONFIG = [
     initialSpawnCount: 1,
     spawnList: [{ enemyId: "horsie", weight: 10 }],
   },
+  // Wildlife herds: spawnList and respawnDelaySeconds come from the biome
+  // (BiomesConfig.js), which also caps the live animals across its spawners
   {
-    id: "stag",
+    id: "meadow_herd_west",
+    biome: "meadow",
     position: { x: -23, y: 0, z: -6 },
     radius: 20,
     activationRadius: 100,
-    maxEnemies: 1,
-    respawnDelaySeconds: 60,
-    initialSpawnCount: 1,
-    spawnList: [{ enemyId: "stag", weight: 10 }],
+    maxEnemies: 4,
+    initialSpawnCount: 3,
   },
   {
-    id: "deer",
-    position: { x: -23, y: 0, z: -7 },
+    id: "meadow_herd_east",
+    biome: "meadow",
+    position: { x: 45, y: 0, z: -5 },
     radius: 20,
     activationRadius: 100,
-    maxEnemies: 1,
-    respawnDelaySeconds: 60,
-    initialSpawnCount: 1,
-    spawnList: [{ enemyId: "deer", weight: 10 }],
+    maxEnemies: 4,
+    initialSpawnCount: 3,
   },
   {
-    id: "pack",
+    id: "hills_herd_south",
+    biome: "hills",
     position: { x: -56, y: 0, z: -136 },
     radius: 20,
     activationRadius: 100,
-    maxEnemies: 9,
-    respawnDelaySeconds: 60,
-    initialSpawnCount: 9,
-    spawnList: [
-      { enemyId: "deer", weight: 8 },
-      { enemyId: "stag", weight: 2 },
-    ],
+    maxEnemies: 6,
+    initialSpawnCount: 5,
+  },
+  {
+    id: "hills_herd_east",
+    biome: "hills",
+    position: { x: 130, y: 0, z: 40 },
+    radius: 20,
+    activationRadius: 100,
+    maxEnemies: 5,
+    initialSpawnCount: 4,
+  },
+  {
+    id: "highlands_grazers",
+    biome: "highlands",
+    position: { x: -182, y: 0, z: 20 },
+    radius: 12,
+    activationRadius: 100,
+    maxEnemies: 3,
+    initialSpawnCount: 2,
   },
 ];
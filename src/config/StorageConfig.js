@@ -0,0 +1,23 @@
+// src/config/StorageConfig.js
+// Placeable storage containers (see PlacementSystem). Each placed container
+// owns an InventoryComponent, its contents are saved with the placed object.
+
+// How close the player has to be to open a container, and how far they can
+// walk away before it closes
+export const STORAGE_INTERACT_RANGE = 2.5;
+
+export const STORAGE_CONTAINERS = {
+  storage_chest: {
+    id: "storage_chest",
+    name: "Storage Chest",
+    size: 20, // Slots
+    maxWeight: 200,
+    modelPath: "/models/environment/Storage_FirstAge_Level2.gltf",
+    modelSize: 1.6, // The model is scaled so its largest side is this long
+    halfExtents: { x: 0.8, y: 0.7, z: 0.8 }, // Collider
+  },
+};
+
+export function getStorageData(placeableId) {
+  return STORAGE_CONTAINERS[placeableId] || null;
+}
@@ -0,0 +1,109 @@
+// src/config/TemperatureConfig.js
+// Body temperature settings (see game/components/TemperatureComponent.js).
+// Ambient temperature comes from the weather, time of day and altitude. Heat
+// sources and clothing insulation raise what the player feels, cold resistance
+// dampens how much a cold environment pulls the body temperature down.
+import { WeatherType } from "../world/WeatherSystem.js";
+
+export const NORMAL_BODY_TEMPERATURE = 37; // °C
+export const MIN_BODY_TEMPERATURE = 28;
+export const MAX_BODY_TEMPERATURE = 43;
+
+// Ambient (°C) by weather, during the day at sea level
+export const WEATHER_TEMPERATURES = {
+  [WeatherType.CLEAR]: 14,
+  [WeatherType.RAIN]: 8,
+  [WeatherType.SNOW]: 0,
+  [WeatherType.BLIZZARD]: -10,
+  [WeatherType.FREEZING]: -15,
+};
+export const NIGHT_TEMPERATURE_DROP = 8; // Subtracted in full darkness
+export const ALTITUDE_COOLING_PER_UNIT = 0.35; // Per unit of terrain height above 0
+
+// Felt temperature (ambient + heat + insulation) the body is comfortable in
+export const COMFORT_MIN = 10;
+export const COMFORT_MAX = 28;
+// Body temperature moves towards NORMAL -/+ (degrees outside comfort * factor)
+export const COLD_TARGET_FACTOR = 0.25;
+export const HEAT_TARGET_FACTOR = 0.15;
+export const BODY_RESPONSE_PER_SECOND = 0.02; // Fraction of the gap to the target closed per second
+
+// Campfires: full heat at the fire, fading to nothing at the radius
+export const CAMPFIRE_HEAT = 25;
+export const CAMPFIRE_WARMTH_RADIUS = 6.0;
+
+export const TEMPERATURE_DAMAGE_TICK_INTERVAL = 2.0; // Seconds between damage ticks
+
+// Graded states, ordered by the body temperature they go up to
+export const TEMPERATURE_STATES = [
+  {
+    id: "severe_hypothermia",
+    name: "Severe Hypothermia",
+    maxBodyTemperature: 32,
+    damagePerTick: 4,
+    speedMultiplier: 0.6,
+    color: "red",
+  },
+  {
+    id: "hypothermia",
+    name: "Hypothermia",
+    maxBodyTemperature: 34,
+    damagePerTick: 1.5,
+    speedMultiplier: 0.8,
+    color: "red",
+  },
+  {
+    id: "chilled",
+    name: "Chilled",
+    maxBodyTemperature: 36,
+    color: "lightblue",
+  },
+  {
+    id: "normal",
+    name: "Normal",
+    maxBodyTemperature: 38,
+    color: "green",
+  },
+  {
+    id: "overheated",
+    name: "Overheated",
+    maxBodyTemperature: 40,
+    color: "orange",
+  },
+  {
+    id: "heatstroke",
+    name: "Heatstroke",
+    maxBodyTemperature: Infinity,
+    damagePerTick: 2,
+    speedMultiplier: 0.8,
+    color: "red",
+  },
+];
+
+/**
+ * Temperature state for a body temperature.
+ * @param {number} bodyTemperature
+ * @returns {object} Entry from TEMPERATURE_STATES.
+ */
+export function getTemperatureState(bodyTemperature) {
+  return TEMPERATURE_STATES.find(
+    (state) => bodyTemperature < state.maxBodyTemperature
+  );
+}
+
+/**
+ * Ambient temperature at a place and time.
+ * @param {string} weather - One of WeatherType.
+ * @param {number} daylight - 0 (night) .. 1 (day), see DayNightSystem.
+ * @param {number} altitude - Terrain height.
+ * @returns {number} °C
+ */
+export function getAmbientTemperature(weather, daylight, altitude) {
+  const base =
+    WEATHER_TEMPERATURES[weather] ?? WEATHER_TEMPERATURES[WeatherType.CLEAR];
+  return (
+    base -
+    NIGHT_TEMPERATURE_DROP * (1 - daylight) -
+    ALTITUDE_COOLING_PER_UNIT * Math.max(0, altitude)
+  );
+}
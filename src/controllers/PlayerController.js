@@ -292,7 +292,12 @@ export class PlayerController {
       this.inputManager.isActionActive(Actions.MOVE_BACKWARD) ||
       this.inputManager.isActionActive(Actions.STRAFE_LEFT) ||
       this.inputManager.isActionActive(Actions.STRAFE_RIGHT);
-    const isSprinting = this.inputManager.isActionActive(Actions.SPRINT);
+    const statsComp = this.player?.userData?.stats; // Use 'stats' - statsComp renamed to stats on userdata for clarity
+    const isCrouching = this.inputManager.isActionActive(Actions.CROUCH);
+    const isSprinting =
+      !isCrouching &&
+      this.inputManager.isActionActive(Actions.SPRINT) &&
+      (statsComp?.canSprint() ?? true); // Can't sprint while sneaking or out of stamina
     const onGround = this.physicsEngine.isBodyOnGround(this.physicsBody);
     const actualVelocity = this.physicsBody.getLinearVelocity(); // Read once
     const currentYVelocity = actualVelocity.y();
@@ -341,7 +346,12 @@ export class PlayerController {
       onGround &&
       !this.isAttacking
     ) {
-      if (this.jumpImpulse > 0) {
+      if (
+        statsComp &&
+        !statsComp.spendStamina(PLAYER_CONFIG.STAMINA_JUMP_COST)
+      ) {
+        this.uiManager?.log("Too tired to jump.", "orange");
+      } else if (this.jumpImpulse > 0) {
         const impulseVec = this.physicsEngine.tempVec3;
         impulseVec.setValue(0, this.jumpImpulse, 0);
         this.physicsBody.applyCentralImpulse(impulseVec);
@@ -355,9 +365,6 @@ export class PlayerController {
     // --- Handle Input Actions <<< Call the helper function ---
     this._handleAbilityInput();
 
-    // --- Get Current Stats ---
-    const statsComp = this.player?.userData?.stats; // Use 'stats' - statsComp renamed to stats on userdata for clarity
-
     // --- Determine CURRENT Movement Speed ---
     let currentMovementSpeed;
     if (statsComp) {
@@ -380,6 +387,17 @@ export class PlayerController {
         )} (Sprint: ${isSprinting})`
       );
     }
+    if (isCrouching) {
+      currentMovementSpeed *= PLAYER_CONFIG.CROUCH_SPEED_MULTIPLIER;
+    }
+
+    // --- Stealth State (read by AISystem perception) ---
+    this.player.userData.stealth = {
+      isCrouching,
+      isSprinting: isSprinting && isMoving,
+      isMoving,
+    };
+
     // Store it if needed elsewhere, but primarily use the local variable 'currentMovementSpeed' now
     // this.movementSpeed = currentMovementSpeed; // Optional: Update controller property if needed elsewhere
 
@@ -11,6 +11,7 @@ export const Actions = {
   STRAFE_LEFT: "strafeLeft", // Held action - Strafe is not implemented yet
   STRAFE_RIGHT: "strafeRight", // Held action - Strafe is not implemented yet
   SPRINT: "sprint", // Held action
+  CROUCH: "crouch", // Held action - Sneak: slower, quieter, harder to spot
   JUMP: "jump", // Triggered action
   // Combat
   ATTACK: "attack", // Triggered action
@@ -66,6 +67,7 @@ export class InputManager {
     this._keyToActionMap.set("KeyD", Actions.STRAFE_RIGHT);
     this._keyToActionMap.set("ShiftLeft", Actions.SPRINT);
     this._keyToActionMap.set("ShiftRight", Actions.SPRINT); // Map both shifts
+    this._keyToActionMap.set("KeyZ", Actions.CROUCH);
     this._keyToActionMap.set("Space", Actions.JUMP);
 
     this._keyToActionMap.set("KeyE", Actions.INTERACT);
@@ -5,15 +5,17 @@ export const AI_STATES = {
   WANDERING: "WANDERING",
   CHASING: "CHASING",
   ATTACKING: "ATTACKING",
-  FLEEING: "FLEEING", // Placeholder
+  FLEEING: "FLEEING",
   DEAD: "DEAD",
 };
 
 export class AIComponent {
   /** @type {string} Current state from AI_STATES */
   currentState = AI_STATES.IDLE;
-  /** @type {THREE.Object3D | null} Current target entity (e.g., the player) */
+  /** @type {THREE.Object3D | null} Current target entity (the player, an ally or prey) */
   targetEntity = null;
+  /** @type {string | null} Instance ID of targetEntity */
+  targetId = null;
   /** @type {number} Timer for actions like attacking */
   actionTimer = 0;
   /** @type {boolean} Flag to signal animation system to play attack */
@@ -35,9 +37,68 @@ export class AIComponent {
   /** @type {number} Max duration for idling */
   maxIdleDuration = 5.0;
 
+  // Fleeing Properties (enemy config `ai` can override the tuning values)
+  /** @type {THREE.Vector3 | null} Where the enemy spawned, it returns here after fleeing */
+  homePosition = null;
+  /** @type {THREE.Vector3 | null} Current destination while fleeing */
+  fleeTargetPosition = null;
+  /** @type {number} Time left before picking a new flee destination */
+  fleeTimer = 0;
+  /** @type {number} While > 0 the enemy won't start fleeing (e.g. after being cornered) */
+  fleeCooldownTimer = 0;
+  /** @type {number} Accumulates time for once-per-second regeneration */
+  fleeRegenTimer = 0;
+  /** @type {number} How far a single flee leg goes */
+  fleeDistance = 15.0;
+  /** @type {number} Health fraction at which a fleeing enemy stops and heads home */
+  fleeRecoverHealthPercent = 0.6;
+  /** @type {number} Fraction of max health regenerated per second while fleeing */
+  fleeRegenPercentPerSecond = 0.05;
+  /** @type {number} Seconds a cornered enemy fights before it may flee again */
+  corneredFightDuration = 8.0;
+
+  // Behavior Profile State (see systems/AIBehaviors.js)
+  /** @type {number} pack_hunter: while > 0 the enemy was recently alerted and isn't alerted again */
+  alertTimer = 0;
+  /** @type {number | null} Health last frame, to notice being hit */
+  lastKnownHealth = null;
+  /** @type {number} pack_hunter: 0..1, drops when the pack leader dies and recovers slowly */
+  morale = 1.0;
+  /** @type {number | null} pack_hunter: angle (radians) of this enemy's slot around its target */
+  surroundAngle = null;
+
+  // Perception (see AISystem._updatePerception)
+  /** @type {number} 0..1, how close the enemy is to noticing the player */
+  detection = 0;
+  /** @type {boolean} Noticed the player (detection hit 1) and hasn't lost track yet */
+  isAwareOfPlayer = false;
+  /** @type {number} Id of the last loud player noise this enemy reacted to */
+  lastHeardNoiseId = 0;
+
+  // Threat (see AISystem target selection)
+  /** @type {Map<string, number>} Target instance ID -> threat, from damage dealt, pack alerts and taunts */
+  threatTable = new Map();
+  /** @type {string | null} While tauntTimer runs, this target is forced */
+  tauntTargetId = null;
+  /** @type {number} Seconds left on the current taunt */
+  tauntTimer = 0;
+
+  // Path Following (see world/NavigationGrid.js)
+  /** @type {THREE.Vector3[] | null} Waypoints to the current destination, null = walk straight */
+  navPath = null;
+  /** @type {number} Index of the waypoint currently walked towards */
+  navPathIndex = 0;
+  /** @type {THREE.Vector3 | null} Destination the current path was planned for */
+  navGoal = null;
+  /** @type {number} Time left before the path is re-planned */
+  navRepathTimer = 0;
+  /** @type {number} NavigationGrid.version the path was planned against */
+  navGridVersion = -1;
+
   constructor() {
     this.currentState = AI_STATES.IDLE;
     this.targetEntity = null;
+    this.targetId = null;
     this.actionTimer =
       Math.random() * (this.maxIdleDuration - this.minIdleDuration) +
       this.minIdleDuration;
@@ -58,6 +119,9 @@ export class AIComponent {
       this.currentState = newState;
       // Reset specific timers/flags when entering certain states
       this.triggerAttack = false; // Always reset this trigger
+      if (previousState === AI_STATES.FLEEING) {
+        this.fleeTargetPosition = null;
+      }
 
       if (newState === AI_STATES.IDLE) {
         // Set a timer for how long to remain idle
@@ -73,6 +137,11 @@ export class AIComponent {
         // Cooldown timer is set in AISystem when entering attacking
         this.wanderTargetPosition = null; // Clear wander target
         this.wanderTimer = 0;
+      } else if (newState === AI_STATES.FLEEING) {
+        this.actionTimer = 0;
+        this.wanderTargetPosition = null;
+        this.wanderTimer = 0;
+        this.fleeRegenTimer = 0;
       } else if (newState === AI_STATES.CHASING) {
         this.actionTimer = 0; // Reset action timer
         this.wanderTargetPosition = null; // Clear wander target
@@ -1,16 +1,30 @@
 // src/game/components/EquipmentComponent.js
 import eventBus from "../../core/EventBus.js";
-import { getItemData } from "../../config/ItemConfig.js";
+import {
+  getItemData,
+  getMaxDurability,
+  ARMOR_DURABILITY_LOSS_PER_HIT,
+  LOW_DURABILITY_WARNING,
+} from "../../config/ItemConfig.js";
+import {
+  getInstanceName,
+  getInstanceStatsBonus,
+} from "../../utils/ItemInstanceFactory.js";
+
+// Slots that wear out when the owner is hit (the weapon wears out on attacks)
+const ARMOR_SLOTS = ["head", "chest", "legs", "feet", "gloves"];
 
 export class EquipmentComponent {
   /** @type {import('./InventoryComponent.js').InventoryComponent | null} */
   inventoryRef = null; // Reference to the player's inventory
   /** @type {import('./StatsComponent.js').StatsComponent | null} */
   statsRef = null; // Reference to the player's stats
+  /** @type {import('../../ui/UIManager.js').UIManager | null} */
+  uiManager = null;
 
   // Define slots - keys should match 'equipSlot' values in ItemConfig
   slots = {
-    head: null, // Stores { itemId, itemData } or null
+    head: null, // Stores { itemId, name, instance } or null
     chest: null,
     legs: null,
     feet: null,
@@ -20,9 +34,13 @@ export class EquipmentComponent {
   };
 
   // Pass references to related components on creation
-  constructor(inventoryComponent, statsComponent) {
+  constructor(inventoryComponent, statsComponent, uiManager = null) {
     this.inventoryRef = inventoryComponent;
     this.statsRef = statsComponent;
+    this.uiManager = uiManager;
+
+    this._boundHandleEntityDamaged = this.handleEntityDamaged.bind(this);
+    eventBus.on("entityDamaged", this._boundHandleEntityDamaged);
     console.log("EquipmentComponent initialized.");
   }
 
@@ -67,12 +85,16 @@ export class EquipmentComponent {
       return false;
     }
     const targetSlot = itemData.equipSlot;
+    if (itemStack.instance?.durability <= 0) {
+      this.uiManager?.log(`${itemData.name} is broken and needs repair.`);
+      return false;
+    }
 
     // 3. Check if something is already equipped in the target slot
     const currentlyEquipped = this.slots[targetSlot];
 
-    // 4. Remove the item to be equipped from inventory (remove 1)
-    const removedItemInfo = this.inventoryRef.removeItem(itemIdToEquip, 1);
+    // 4. Remove the item to be equipped from inventory (remove 1, from this exact stack)
+    const removedItemInfo = this.inventoryRef.removeItemAt(inventoryIndex, 1);
     if (!removedItemInfo) {
       console.error(
         `Equip failed: Could not remove ${itemIdToEquip} from inventory (should not happen if UI is correct).`
@@ -83,16 +105,28 @@ export class EquipmentComponent {
     // 5. If an item was equipped, unequip it first (move it back to inventory)
     if (currentlyEquipped) {
       // Use internal unequip logic BUT skip removing from slot yet
-      this._handleUnequipEffects(currentlyEquipped.itemId, targetSlot);
+      this._handleUnequipEffects(
+        currentlyEquipped.itemId,
+        targetSlot,
+        currentlyEquipped.instance
+      );
       // Add the previously equipped item back to inventory
       // Important: Add it *after* removing the new item to avoid slot/weight issues if swapping same item type
-      const addedBack = this.inventoryRef.addItem(currentlyEquipped.itemId, 1);
+      const addedBack = this.inventoryRef.addItem(
+        currentlyEquipped.itemId,
+        1,
+        currentlyEquipped.instance
+      );
       if (!addedBack) {
         console.error(
           `Equip failed: Could not add UNEQUIPPED item ${currentlyEquipped.itemId} back to inventory!`
         );
         // Critical failure - try to put the item we removed back? Rollback needed.
-        this.inventoryRef.addItem(removedItemInfo.itemId, 1); // Attempt rollback
+        this.inventoryRef.addItem(
+          removedItemInfo.itemId,
+          1,
+          removedItemInfo.instance
+        ); // Attempt rollback
         return false;
       }
     }
@@ -101,11 +135,12 @@ export class EquipmentComponent {
     // Store minimal data needed (don't store the full itemData again if not necessary)
     this.slots[targetSlot] = {
       itemId: itemData.id,
-      name: itemData.name /* add other needed display props */,
+      name: getInstanceName(itemData.id, removedItemInfo.instance),
+      instance: removedItemInfo.instance, // Quality, affixes, durability...
     };
 
     // 7. Apply new item's effects/stats
-    this._handleEquipEffects(itemData, targetSlot);
+    this._handleEquipEffects(itemData, targetSlot, removedItemInfo.instance);
 
     console.log(`Equipped ${itemData.name} to ${targetSlot} slot.`);
     eventBus.emit("equipmentChanged", { component: this }); // Notify UI
@@ -165,17 +200,25 @@ export class EquipmentComponent {
     }
 
     // 2. Remove item's effects/stats
-    this._handleUnequipEffects(itemToUnequip.itemId, slot);
+    this._handleUnequipEffects(
+      itemToUnequip.itemId,
+      slot,
+      itemToUnequip.instance
+    );
 
     // 3. Add item back to inventory
-    const addedBack = this.inventoryRef.addItem(itemToUnequip.itemId, 1);
+    const addedBack = this.inventoryRef.addItem(
+      itemToUnequip.itemId,
+      1,
+      itemToUnequip.instance
+    );
 
     if (!addedBack) {
       console.error(
         `Unequip Error: Failed to add ${itemToUnequip.itemId} back to inventory!`
       );
       // Critical failure - Re-apply effects? This indicates a larger inventory issue.
-      this._handleEquipEffects(itemData, slot); // Attempt rollback of effects
+      this._handleEquipEffects(itemData, slot, itemToUnequip.instance); // Attempt rollback of effects
       return false;
     }
 
@@ -188,13 +231,96 @@ export class EquipmentComponent {
     return true;
   }
 
-  /** Internal: Applies stat bonuses */
-  _handleEquipEffects(itemData, slot) {
-    if (!itemData.statsBonus || !this.statsRef) return;
+  /**
+   * Wears down the item in a slot. At zero it breaks: its bonuses are removed
+   * and it goes back to the inventory (or is lost if there is no room).
+   * @param {string} slot
+   * @param {number} amount
+   * @returns {boolean} True if the item broke.
+   */
+  damageItem(slot, amount) {
+    const equipped = this.getEquippedItem(slot);
+    const maxDurability = equipped ? getMaxDurability(equipped.itemId) : null;
+    if (maxDurability === null || !equipped.instance || amount <= 0) {
+      return false;
+    }
+
+    const instance = equipped.instance;
+    const previous = instance.durability ?? maxDurability;
+    instance.durability = Math.max(0, previous - amount);
+    eventBus.emit("equipmentDurabilityChanged", {
+      component: this,
+      slot,
+      durability: instance.durability,
+    });
+
+    if (instance.durability <= 0) {
+      this._breakItem(slot);
+      return true;
+    }
+    const warnAt = maxDurability * LOW_DURABILITY_WARNING;
+    if (previous > warnAt && instance.durability <= warnAt) {
+      this.uiManager?.log(`Your ${equipped.name} is about to break!`, "orange");
+    }
+    return false;
+  }
+
+  /**
+   * Sets the durability of an equipped item (e.g. after a repair).
+   * @returns {boolean} False if the slot is empty or the item doesn't wear out.
+   */
+  setDurability(slot, durability) {
+    const equipped = this.getEquippedItem(slot);
+    const maxDurability = equipped ? getMaxDurability(equipped.itemId) : null;
+    if (maxDurability === null || !equipped.instance) return false;
+    equipped.instance.durability = Math.max(
+      0,
+      Math.min(maxDurability, durability)
+    );
+    eventBus.emit("equipmentChanged", { component: this });
+    return true;
+  }
+
+  /** Internal: A worn out item leaves its slot */
+  _breakItem(slot) {
+    const broken = this.slots[slot];
+    this._handleUnequipEffects(broken.itemId, slot, broken.instance);
+    this.slots[slot] = null;
 
-    console.log(`Applying stats for ${itemData.name}:`, itemData.statsBonus);
-    for (const stat in itemData.statsBonus) {
-      const bonusValue = itemData.statsBonus[stat];
+    const kept = this.inventoryRef?.addItem(broken.itemId, 1, broken.instance);
+    if (kept) {
+      this.uiManager?.log(
+        `Your ${broken.name} broke! Repair it to use it again.`,
+        "red"
+      );
+    } else {
+      this.uiManager?.log(
+        `Your ${broken.name} broke apart! No room to keep it.`,
+        "red"
+      );
+    }
+    console.log(`[Equipment] ${broken.itemId} broke in ${slot} slot.`);
+    eventBus.emit("equipmentChanged", { component: this });
+  }
+
+  /** Armor wears down when an attacker hits the owner */
+  handleEntityDamaged({ instanceId, source } = {}) {
+    const ownerId = this.statsRef?.entityRef?.userData?.instanceId;
+    // Hunger, cold etc. have no source and don't touch the armor
+    if (!source || !ownerId || instanceId !== ownerId) return;
+    ARMOR_SLOTS.forEach((slot) =>
+      this.damageItem(slot, ARMOR_DURABILITY_LOSS_PER_HIT)
+    );
+  }
+
+  /** Internal: Applies stat bonuses (scaled by quality, plus affixes) */
+  _handleEquipEffects(itemData, slot, instance = null) {
+    const statsBonus = getInstanceStatsBonus(itemData.id, instance);
+    if (Object.keys(statsBonus).length === 0 || !this.statsRef) return;
+
+    console.log(`Applying stats for ${itemData.name}:`, statsBonus);
+    for (const stat in statsBonus) {
+      const bonusValue = statsBonus[stat];
       const statKeyLower = stat.toLowerCase();
       // <<< uniqueBonusId >>>
       const uniqueBonusId = `${itemData.id}_${slot}_${statKeyLower}`; // Include the stat key
@@ -217,7 +343,7 @@ export class EquipmentComponent {
     // >>> Revisit / State, load.
     // >>> Revisit / Helper for unique ids?
     if (
-      itemData.statsBonus.maxHealth &&
+      statsBonus.maxHealth &&
       typeof this.statsRef.entityRef?.userData?.health?.updateMaxHealth ===
         "function"
     ) {
@@ -228,13 +354,15 @@ export class EquipmentComponent {
   }
 
   /** Internal: Removes stat bonuses */
-  _handleUnequipEffects(itemId, slot) {
+  _handleUnequipEffects(itemId, slot, instance = null) {
     const itemData = getItemData(itemId);
-    if (!itemData?.statsBonus || !this.statsRef) return;
+    const statsBonus = getInstanceStatsBonus(itemId, instance);
+    if (!itemData || Object.keys(statsBonus).length === 0 || !this.statsRef)
+      return;
 
-    console.log(`Removing stats for ${itemData.name}:`, itemData.statsBonus);
-    for (const stat in itemData.statsBonus) {
-      const bonusValue = itemData.statsBonus[stat];
+    console.log(`Removing stats for ${itemData.name}:`, statsBonus);
+    for (const stat in statsBonus) {
+      const bonusValue = statsBonus[stat];
       const statKeyLower = stat.toLowerCase();
       // <<< uniqueBonusId >>>
       const uniqueBonusId = `${itemData.id}_${slot}_${statKeyLower}`; // Include the stat key
@@ -255,7 +383,7 @@ export class EquipmentComponent {
     }
     // Optionally trigger health update if maxHealth changed
     if (
-      itemData.statsBonus.maxHealth &&
+      statsBonus.maxHealth &&
       typeof this.statsRef.entityRef?.userData?.health?.updateMaxHealth ===
         "function"
     ) {
@@ -286,7 +414,11 @@ export class EquipmentComponent {
     // Clear existing slots first *without* adding items back to inventory
     for (const slot in this.slots) {
       if (this.slots[slot]) {
-        this._handleUnequipEffects(this.slots[slot].itemId, slot); // Remove stats
+        this._handleUnequipEffects(
+          this.slots[slot].itemId,
+          slot,
+          this.slots[slot].instance
+        ); // Remove stats
         this.slots[slot] = null; // Just clear slot
       }
     }
@@ -297,7 +429,8 @@ export class EquipmentComponent {
       if (itemId && this.isValidSlot(slot)) {
         // Find the item in the *already loaded* inventory
         // Note: This assumes inventory is loaded *before* equipment state is applied
-        const inventoryStackIndex = this.inventoryRef.items.findIndex(
+        // Equipped items are saved after the inventory, so take the last match
+        const inventoryStackIndex = this.inventoryRef.items.findLastIndex(
           (stack) => stack.itemId === itemId
         );
 
@@ -323,4 +456,8 @@ export class EquipmentComponent {
     }
     eventBus.emit("equipmentChanged", { component: this }); // Final update after applying all
   }
+
+  destroy() {
+    eventBus.off("entityDamaged", this._boundHandleEntityDamaged);
+  }
 }
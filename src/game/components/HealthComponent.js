@@ -53,7 +53,12 @@ export class HealthComponent {
     }
   }
 
-  takeDamage(amount) {
+  /**
+   * @param {number} amount - Damage before reductions.
+   * @param {THREE.Object3D | null} [source=null] - Entity dealing the damage (attacker, caster), for threat/aggro.
+   * @returns {boolean} True if this hit killed the owner.
+   */
+  takeDamage(amount, source = null) {
     if (this.isDead() || amount <= 0) return true; // No damage or already dead
 
     let finalDamage = amount; // Start with incoming damage
@@ -109,6 +114,14 @@ export class HealthComponent {
     if (previousHealth !== this.currentHealth) {
       this._emitHealthChangedEvent(); // Event still carries the precise value
     }
+    if (finalDamage > 0 && this.ownerInstanceId) {
+      // Who hit whom, for AI threat tables
+      eventBus.emit("entityDamaged", {
+        instanceId: this.ownerInstanceId,
+        amount: finalDamage,
+        source,
+      });
+    }
 
     const diedThisHit = this.currentHealth <= 0;
 
@@ -119,7 +132,10 @@ export class HealthComponent {
         console.log(
           `HealthComponent: Emitting enemyDied for ${this.ownerInstanceId}`
         );
-        eventBus.emit("enemyDied", { instanceId: this.ownerInstanceId });
+        eventBus.emit("enemyDied", {
+          instanceId: this.ownerInstanceId,
+          killer: source, // null for unattributed damage
+        });
       } else {
         console.log(
           `HealthComponent: Player ${this.ownerInstanceId} died! (Game Over logic needed)`
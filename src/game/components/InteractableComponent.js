@@ -8,15 +8,30 @@ export class InteractableComponent {
   type;
   /** @type {string | null} Optional: Tool required for interaction (e.g., 'axe', 'pickaxe'). */
   requiresTool;
+  /** @type {number} Minimum `toolTier` of the required tool. */
+  requiredToolTier;
   /** @type {boolean} Is the interaction currently possible? */
   enabled = true;
 
   /**
    * @param {string} type - The interaction type.
    * @param {string | null} [requiresTool=null] - Tool required.
+   * @param {number} [requiredToolTier=1] - Minimum tier of the required tool.
    */
-  constructor(type = "static", requiresTool = null) {
+  constructor(type = "static", requiresTool = null, requiredToolTier = 1) {
     this.type = type;
     this.requiresTool = requiresTool;
+    this.requiredToolTier = requiredToolTier;
+  }
+
+  /**
+   * Whether a tool is good enough for this interaction.
+   * @param {string | null} toolType - `toolType` of the equipped item, null for bare hands.
+   * @param {number} [toolTier=0]
+   * @returns {boolean} Always true if no tool is required.
+   */
+  allowsTool(toolType, toolTier = 0) {
+    if (!this.requiresTool) return true;
+    return toolType === this.requiresTool && toolTier >= this.requiredToolTier;
   }
 }
@@ -1,12 +1,20 @@
 // src/game/components/InventoryComponent.js
 import eventBus from "../../core/EventBus.js";
-import { getItemData } from "../../config/ItemConfig.js";
+import { getItemData, getMaxDurability } from "../../config/ItemConfig.js";
+import {
+  createsInstances,
+  createItemInstance,
+  sanitizeItemInstance,
+} from "../../utils/ItemInstanceFactory.js";
+
+// Item types in "type" sort order, anything else (resources) comes last
+const SORT_TYPE_ORDER = ["equipment", "consumable", "placeable", "blueprint"];
 
 /**
  * Manages an entity's inventory using an Array to allow multiple stacks of the same item.
  */
 export class InventoryComponent {
-  /** @type {Array<{itemId: string, quantity: number, item: object}>} Array of item stacks. */
+  /** @type {Array<{itemId: string, quantity: number, item: object, instance?: import('../../utils/ItemInstanceFactory.js').ItemInstance}>} Array of item stacks. Equipment stacks hold one item with its `instance`. */
   items; // <<<< Note: changed from Map
   /** @type {number} Maximum number of inventory slots (stacks). */
   size;
@@ -45,9 +53,13 @@ export class InventoryComponent {
 
   /**
    * Adds an item to the inventory. Handles stacking, weight, slots, and max stacks.
+   * @param {string} itemId
+   * @param {number} [quantity=1]
+   * @param {object | null} [instance=null] - Instance data (quality, durability...) for
+   *   the first item added, the rest get fresh instances. Ignored for plain items.
    * @returns {number} The number of items successfully added.
    */
-  addItem(itemId, quantity = 1) {
+  addItem(itemId, quantity = 1, instance = null) {
     if (quantity <= 0 || !itemId) return 0;
 
     const itemData = getItemData(itemId);
@@ -58,6 +70,7 @@ export class InventoryComponent {
 
     const itemWeight = itemData.weight || 0;
     const maxStack = itemData.maxStack || 99;
+    const usesInstances = createsInstances(itemId);
     let remainingQuantityToAdd = quantity;
     let successfullyAdded = 0;
 
@@ -88,7 +101,12 @@ export class InventoryComponent {
     // --- 1. Fill Existing Stacks ---
     for (const stack of this.items) {
       // <<<< Iterate Array
-      if (stack.itemId === itemId && stack.quantity < maxStack) {
+      // Instances never merge, each item keeps its own data
+      if (
+        !usesInstances &&
+        stack.itemId === itemId &&
+        stack.quantity < maxStack
+      ) {
         const spaceInStack = maxStack - stack.quantity;
         const amountToAdd = Math.min(remainingQuantityToAdd, spaceInStack);
 
@@ -115,16 +133,23 @@ export class InventoryComponent {
         break;
       }
 
-      const amountToAdd = Math.min(remainingQuantityToAdd, maxStack);
+      // One item per stack for instances
+      const amountToAdd = usesInstances
+        ? 1
+        : Math.min(remainingQuantityToAdd, maxStack);
       if (amountToAdd > 0) {
         // Create a new stack object and push it to the array
         const newItemDataForStack = { id: itemData.id, name: itemData.name }; // Basic item info
-        this.items.push({
-          // <<<< Push new object to Array
+        const newStack = {
           itemId: itemId,
           quantity: amountToAdd,
           item: newItemDataForStack,
-        });
+        };
+        if (usesInstances) {
+          newStack.instance =
+            (successfullyAdded === 0 && instance) || createItemInstance(itemId);
+        }
+        this.items.push(newStack); // <<<< Push new object to Array
 
         this.currentWeight += amountToAdd * itemWeight;
         remainingQuantityToAdd -= amountToAdd;
@@ -157,7 +182,7 @@ export class InventoryComponent {
 
   /**
    * Removes a specified quantity of an item from the inventory, potentially across multiple stacks.
-   * @returns {object | null} An object {itemId, quantity, itemData} representing the *total* removed items, or null if failed.
+   * @returns {object | null} An object {itemId, quantity, itemData, instances} representing the *total* removed items, or null if failed.
    */
   removeItem(itemId, quantity = 1) {
     if (quantity <= 0 || !itemId) return null;
@@ -172,6 +197,7 @@ export class InventoryComponent {
     let quantityToRemove = quantity;
     let actuallyRemoved = 0;
     let removedItemBaseData = null; // To store the item details
+    const removedInstances = []; // Instance data of removed equipment
 
     // Iterate backwards through the array to safely remove empty stacks using splice
     for (let i = this.items.length - 1; i >= 0; i--) {
@@ -196,6 +222,7 @@ export class InventoryComponent {
           );
 
           if (stack.quantity <= 0) {
+            if (stack.instance) removedInstances.push(stack.instance);
             this.items.splice(i, 1); // Remove empty stack from array
             console.log(`Inventory: Removed empty stack ${i} for ${itemId}.`);
           }
@@ -217,6 +244,7 @@ export class InventoryComponent {
         itemId: itemId,
         quantity: actuallyRemoved,
         itemData: removedItemBaseData,
+        instances: removedInstances,
       };
     } else {
       console.warn(
@@ -226,6 +254,204 @@ export class InventoryComponent {
     }
   }
 
+  /**
+   * Removes from one specific stack (e.g. the one the player clicked).
+   * @param {number} index - Index in the items array.
+   * @param {number} [quantity=1]
+   * @returns {object | null} {itemId, quantity, itemData, instance} of what was removed, or null.
+   */
+  removeItemAt(index, quantity = 1) {
+    const stack = this.items[index];
+    if (!stack || quantity <= 0) return null;
+    const itemData = getItemData(stack.itemId);
+    const amount = Math.min(quantity, stack.quantity);
+
+    stack.quantity -= amount;
+    this.currentWeight = Math.max(
+      0,
+      this.currentWeight - amount * (itemData?.weight || 0)
+    );
+    if (stack.quantity <= 0) this.items.splice(index, 1);
+
+    eventBus.emit("inventoryChanged", { inventory: this });
+    return {
+      itemId: stack.itemId,
+      quantity: amount,
+      itemData: stack.item,
+      instance: stack.instance,
+    };
+  }
+
+  /**
+   * Sets the durability of a stack's instance, clamped to the item's maxDurability.
+   * @returns {boolean} False if the stack doesn't wear out.
+   */
+  setDurabilityAt(index, durability) {
+    const stack = this.items[index];
+    const maxDurability = stack ? getMaxDurability(stack.itemId) : null;
+    if (maxDurability === null || !stack.instance) return false;
+    stack.instance.durability = Math.max(
+      0,
+      Math.min(maxDurability, durability)
+    );
+    eventBus.emit("inventoryChanged", { inventory: this });
+    return true;
+  }
+
+  /** Index of the stack holding an item instance, -1 if not here */
+  findInstanceIndex(uid) {
+    return this.items.findIndex((stack) => stack?.instance?.uid === uid);
+  }
+
+  /**
+   * Moves a stack onto another slot (drag and drop). A stack of the same item
+   * is topped up to maxStack, anything else swaps places. Slots past the last
+   * stack are empty, so moving there puts the stack at the end.
+   * @param {number} fromIndex
+   * @param {number} toIndex
+   * @returns {boolean} True if anything moved.
+   */
+  moveItem(fromIndex, toIndex) {
+    const source = this.items[fromIndex];
+    if (!source || fromIndex === toIndex || toIndex < 0) return false;
+    if (toIndex >= this.size) return false;
+
+    const target = this.items[toIndex];
+    if (!target) {
+      this.items.splice(fromIndex, 1);
+      this.items.push(source);
+    } else if (
+      target.itemId === source.itemId &&
+      !source.instance &&
+      !target.instance
+    ) {
+      const maxStack = getItemData(source.itemId)?.maxStack || 99;
+      const amount = Math.min(source.quantity, maxStack - target.quantity);
+      if (amount <= 0) return false;
+      target.quantity += amount;
+      source.quantity -= amount;
+      if (source.quantity <= 0) this.items.splice(fromIndex, 1);
+    } else {
+      this.items[toIndex] = source;
+      this.items[fromIndex] = target;
+    }
+
+    eventBus.emit("inventoryChanged", { inventory: this });
+    return true;
+  }
+
+  /**
+   * Splits part of a stack off into a new stack right after it.
+   * @param {number} index
+   * @param {number} quantity - How many go to the new stack.
+   * @returns {boolean} False if there is no free slot or nothing to split.
+   */
+  splitStack(index, quantity) {
+    const stack = this.items[index];
+    if (!stack || quantity <= 0 || quantity >= stack.quantity) return false;
+    if (this.items.length >= this.size) {
+      console.warn("Inventory: No free slot to split the stack into.");
+      return false;
+    }
+    stack.quantity -= quantity;
+    this.items.splice(index + 1, 0, {
+      itemId: stack.itemId,
+      quantity,
+      item: { ...stack.item },
+    });
+    eventBus.emit("inventoryChanged", { inventory: this });
+    return true;
+  }
+
+  /**
+   * Merges partial stacks and sorts the inventory.
+   * @param {"type" | "weight" | "name"} [mode="type"] - "weight" puts the
+   *   heaviest stacks first.
+   */
+  sortItems(mode = "type") {
+    // --- Merge partial stacks of the same item ---
+    const merged = [];
+    for (const stack of this.items) {
+      if (stack.instance) {
+        merged.push(stack);
+        continue;
+      }
+      const maxStack = getItemData(stack.itemId)?.maxStack || 99;
+      let remaining = stack.quantity;
+      for (const other of merged) {
+        if (remaining <= 0) break;
+        if (other.itemId !== stack.itemId || other.quantity >= maxStack) {
+          continue;
+        }
+        const amount = Math.min(remaining, maxStack - other.quantity);
+        other.quantity += amount;
+        remaining -= amount;
+      }
+      if (remaining > 0) merged.push({ ...stack, quantity: remaining });
+    }
+
+    const name = (stack) => getItemData(stack.itemId)?.name || stack.itemId;
+    const typeRank = (stack) => {
+      const rank = SORT_TYPE_ORDER.indexOf(getItemData(stack.itemId)?.type);
+      return rank === -1 ? SORT_TYPE_ORDER.length : rank;
+    };
+    const weight = (stack) =>
+      (getItemData(stack.itemId)?.weight || 0) * stack.quantity;
+    const comparators = {
+      type: (a, b) => typeRank(a) - typeRank(b),
+      weight: (a, b) => weight(b) - weight(a),
+      name: () => 0,
+    };
+    const compare = comparators[mode] || comparators.type;
+    merged.sort(
+      (a, b) =>
+        compare(a, b) ||
+        name(a).localeCompare(name(b)) ||
+        b.quantity - a.quantity
+    );
+
+    this.items = merged;
+    eventBus.emit("inventoryChanged", { inventory: this });
+  }
+
+  /**
+   * Moves items from one stack into another inventory (e.g. a container).
+   * The target checks its own weight, slots and maxStack.
+   * @param {number} index
+   * @param {InventoryComponent} targetInventory
+   * @param {number} [quantity] - Defaults to the whole stack.
+   * @returns {number} How many items moved.
+   */
+  transferItemAt(index, targetInventory, quantity) {
+    const stack = this.items[index];
+    if (!stack || !targetInventory || targetInventory === this) return 0;
+    const amount = Math.min(quantity ?? stack.quantity, stack.quantity);
+    const moved = targetInventory.addItem(stack.itemId, amount, stack.instance);
+    if (moved > 0) this.removeItemAt(index, moved);
+    return moved;
+  }
+
+  /**
+   * Drops items from one specific stack into the world, keeping its instance.
+   * @param {number} index
+   * @param {number} [quantity] - Defaults to the whole stack.
+   * @returns {boolean}
+   */
+  dropItemAt(index, quantity) {
+    const removedInfo = this.removeItemAt(
+      index,
+      quantity ?? this.items[index]?.quantity
+    );
+    if (!removedInfo) return false;
+    eventBus.emit("itemDropped", {
+      itemId: removedInfo.itemId,
+      quantity: removedInfo.quantity,
+      itemData: removedInfo.itemData,
+      instances: removedInfo.instance ? [removedInfo.instance] : [],
+    });
+    return true;
+  }
+
   /** Removes items and triggers drop event (no change needed here) */
   dropItem(itemId, quantity = 1) {
     console.log(`Inventory: Attempting to drop ${quantity} of ${itemId}`);
@@ -239,6 +465,7 @@ export class InventoryComponent {
         itemId: removedInfo.itemId,
         quantity: removedInfo.quantity, // Quantity actually removed
         itemData: removedInfo.itemData,
+        instances: removedInfo.instances, // Equipment keeps its instance data on the ground
       });
       return true;
     } else {
@@ -249,6 +476,42 @@ export class InventoryComponent {
     }
   }
 
+  /** Plain copy of the stacks for saving (containers) */
+  getItemsState() {
+    return this.items.map((stack) => ({
+      itemId: stack.itemId,
+      quantity: stack.quantity,
+      ...(stack.instance && { instance: structuredClone(stack.instance) }),
+    }));
+  }
+
+  /**
+   * Replaces the contents with saved stacks. Unknown items and stacks past
+   * the slot count are skipped.
+   * @param {Array<{itemId: string, quantity: number, instance?: object}>} stacks
+   */
+  applyItemsState(stacks) {
+    this.items = [];
+    (Array.isArray(stacks) ? stacks : []).forEach((saved) => {
+      const itemData = getItemData(saved?.itemId);
+      if (!itemData || !(saved.quantity > 0)) {
+        console.warn("Inventory: Skipping invalid saved stack:", saved);
+        return;
+      }
+      if (this.items.length >= this.size) return;
+      const stack = {
+        itemId: itemData.id,
+        quantity: saved.quantity,
+        item: { id: itemData.id, name: itemData.name },
+      };
+      const instance = sanitizeItemInstance(itemData.id, saved.instance);
+      if (instance) stack.instance = instance;
+      this.items.push(stack);
+    });
+    this.recalculateWeight();
+    eventBus.emit("inventoryChanged", { inventory: this });
+  }
+
   /** Gets the current total weight of the inventory */
   getTotalWeight() {
     // Recalculate just to be safe, though incremental updates should be okay
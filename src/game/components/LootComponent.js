@@ -8,13 +8,17 @@ export class LootComponent {
   itemId;
   /** @type {number} The quantity of the item. */
   quantity;
+  /** @type {import('../../utils/ItemInstanceFactory.js').ItemInstance | null} Quality, affixes, durability of a dropped equipment item. */
+  instance;
 
   /**
    * @param {string} itemId - The item ID (e.g., 'wood_log', 'stone').
    * @param {number} [quantity=1] - The number of items represented.
+   * @param {object | null} [instance=null] - Item instance data, equipment only.
    */
-  constructor(itemId = "unknown_item", quantity = 1) {
+  constructor(itemId = "unknown_item", quantity = 1, instance = null) {
     this.itemId = itemId;
     this.quantity = quantity;
+    this.instance = instance;
   }
 }
@@ -0,0 +1,275 @@
+// src/game/components/RecipeBookComponent.js
+import eventBus from "../../core/EventBus.js";
+import {
+  CRAFTING_RECIPES,
+  getRecipeData,
+} from "../../config/CraftingConfig.js";
+import { ITEMS, getItemData } from "../../config/ItemConfig.js";
+import { SKILL_TREE_CONFIG } from "../../config/SkillTreeConfig.js";
+
+// Locked recipes with a level unlock are hinted this many levels early
+const LEVEL_HINT_RANGE = 2;
+
+/**
+ * Every way a recipe can be learned. Recipes declare pickup/level unlocks
+ * (`unlock` in CraftingConfig), skills and blueprints point at the recipes
+ * they teach (`unlockRecipe` effects, `unlocksRecipes` on blueprint items).
+ * @param {string} recipeId
+ * @returns {Array<{type: "pickup" | "level" | "skill" | "blueprint", itemId?: string, level?: number, skillId?: string}>}
+ */
+function getUnlockSources(recipeId) {
+  const recipe = getRecipeData(recipeId);
+  const sources = [];
+  if (recipe?.unlock?.pickup) {
+    sources.push({ type: "pickup", itemId: recipe.unlock.pickup });
+  }
+  if (recipe?.unlock?.level) {
+    sources.push({ type: "level", level: recipe.unlock.level });
+  }
+  Object.values(SKILL_TREE_CONFIG).forEach((skill) => {
+    const teaches = (skill.effectsPerRank || [])
+      .flat()
+      .some((effect) => effect?.unlockRecipe === recipeId);
+    if (teaches) sources.push({ type: "skill", skillId: skill.id });
+  });
+  Object.values(ITEMS).forEach((item) => {
+    if (item.type === "blueprint" && item.unlocksRecipes?.includes(recipeId)) {
+      sources.push({ type: "blueprint", itemId: item.id });
+    }
+  });
+  return sources;
+}
+
+/**
+ * The player's known recipes. Recipes without unlock sources are known from
+ * the start, the rest are learned by picking up an item for the first time,
+ * leveling up, taking a skill or reading a blueprint.
+ */
+export class RecipeBookComponent {
+  /** @type {Set<string>} Recipe IDs the player can craft */
+  knownRecipes = new Set();
+  /** @type {Set<string>} Item IDs the player has ever held, for pickup unlocks and hints */
+  discoveredItems = new Set();
+  /** @type {import('./StatsComponent.js').StatsComponent | null} */
+  statsRef = null;
+  /** @type {import('./InventoryComponent.js').InventoryComponent | null} */
+  inventoryRef = null;
+  /** @type {import('../../ui/UIManager.js').UIManager | null} */
+  uiManager = null;
+
+  /** @type {Map<string, Array<object>>} Recipe ID -> unlock sources, built once */
+  unlockSources = new Map();
+
+  constructor(statsComponentRef, inventoryComponentRef, uiManager = null) {
+    this.statsRef = statsComponentRef;
+    this.inventoryRef = inventoryComponentRef;
+    this.uiManager = uiManager;
+    Object.keys(CRAFTING_RECIPES).forEach((recipeId) =>
+      this.unlockSources.set(recipeId, getUnlockSources(recipeId))
+    );
+    this.reset();
+
+    this._boundHandleInventoryChanged = this.handleInventoryChanged.bind(this);
+    this._boundHandleLeveledUp = this.handleLeveledUp.bind(this);
+    eventBus.on("inventoryChanged", this._boundHandleInventoryChanged);
+    eventBus.on("playerLeveledUp", this._boundHandleLeveledUp);
+  }
+
+  /** Back to the recipes every new character knows */
+  reset() {
+    this.knownRecipes.clear();
+    this.discoveredItems.clear();
+    this.unlockSources.forEach((sources, recipeId) => {
+      if (sources.length === 0) this.knownRecipes.add(recipeId);
+    });
+  }
+
+  isKnown(recipeId) {
+    return this.knownRecipes.has(recipeId);
+  }
+
+  /**
+   * Locked recipes the player is close to: they have found one of its
+   * ingredients or the blueprint, can take the skill, or are nearly the level.
+   */
+  isHinted(recipeId) {
+    if (this.isKnown(recipeId)) return false;
+    const recipe = getRecipeData(recipeId);
+    if (
+      recipe?.ingredients.some((ing) => this.discoveredItems.has(ing.itemId))
+    ) {
+      return true;
+    }
+    const level = this.statsRef?.level ?? 1;
+    return this.getUnlockSources(recipeId).some((source) => {
+      switch (source.type) {
+        case "level":
+          return level >= source.level - LEVEL_HINT_RANGE;
+        case "skill":
+          return (
+            level >= (SKILL_TREE_CONFIG[source.skillId]?.requiredLevel ?? 1)
+          );
+        case "blueprint":
+        case "pickup":
+          return this.discoveredItems.has(source.itemId);
+        default:
+          return false;
+      }
+    });
+  }
+
+  /** @returns {"known" | "hinted" | "locked"} */
+  getRecipeStatus(recipeId) {
+    if (this.isKnown(recipeId)) return "known";
+    return this.isHinted(recipeId) ? "hinted" : "locked";
+  }
+
+  getUnlockSources(recipeId) {
+    return this.unlockSources.get(recipeId) || [];
+  }
+
+  /**
+   * Human readable ways to learn a recipe, for hints.
+   * @returns {string[]}
+   */
+  describeUnlockSources(recipeId) {
+    return this.getUnlockSources(recipeId).map((source) => {
+      switch (source.type) {
+        case "pickup":
+          return `Find ${getItemData(source.itemId)?.name || source.itemId}`;
+        case "level":
+          return `Reach level ${source.level}`;
+        case "skill":
+          return `Learn ${
+            SKILL_TREE_CONFIG[source.skillId]?.name || source.skillId
+          }`;
+        case "blueprint":
+          return `Read ${getItemData(source.itemId)?.name || source.itemId}`;
+        default:
+          return "Unknown";
+      }
+    });
+  }
+
+  /**
+   * Learns a recipe.
+   * @param {string} recipeId
+   * @param {boolean} [silent=false] - Skip the log line (loading, batches).
+   * @returns {boolean} True if it was new.
+   */
+  learnRecipe(recipeId, silent = false) {
+    if (!getRecipeData(recipeId) || this.isKnown(recipeId)) return false;
+    this.knownRecipes.add(recipeId);
+    if (!silent) {
+      const name = getItemData(recipeId)?.name || recipeId;
+      this.uiManager?.log(`New recipe learned: ${name}!`, "lightblue");
+    }
+    console.log(`[RecipeBook] Learned recipe '${recipeId}'.`);
+    eventBus.emit("recipeLearned", { component: this, recipeId });
+    return true;
+  }
+
+  /** Learns the recipes unlocked by first picking up these items */
+  discoverItems(itemIds) {
+    itemIds.forEach((itemId) => {
+      if (this.discoveredItems.has(itemId)) return;
+      this.discoveredItems.add(itemId);
+      this.unlockSources.forEach((sources, recipeId) => {
+        if (
+          sources.some(
+            (source) => source.type === "pickup" && source.itemId === itemId
+          )
+        ) {
+          this.learnRecipe(recipeId);
+        }
+      });
+    });
+  }
+
+  /** Learns the recipes unlocked at or below a level */
+  learnRecipesForLevel(level) {
+    this.unlockSources.forEach((sources, recipeId) => {
+      if (
+        sources.some(
+          (source) => source.type === "level" && level >= source.level
+        )
+      ) {
+        this.learnRecipe(recipeId);
+      }
+    });
+  }
+
+  /**
+   * Reads a blueprint from the inventory, consuming it if it taught anything.
+   * @param {string} itemId
+   * @returns {boolean} True if a recipe was learned.
+   */
+  readBlueprint(itemId) {
+    const itemData = getItemData(itemId);
+    if (itemData?.type !== "blueprint" || !this.inventoryRef?.hasItem(itemId)) {
+      console.warn(`[RecipeBook] Cannot read '${itemId}'.`);
+      return false;
+    }
+    const learned = (itemData.unlocksRecipes || []).filter((recipeId) =>
+      this.learnRecipe(recipeId)
+    );
+    if (learned.length === 0) {
+      this.uiManager?.log(`You already know everything in ${itemData.name}.`);
+      return false;
+    }
+    this.inventoryRef.removeItem(itemId, 1);
+    return true;
+  }
+
+  handleInventoryChanged({ inventory } = {}) {
+    if (inventory && inventory !== this.inventoryRef) return; // Other containers
+    const itemIds = this.inventoryRef?.items
+      .filter((stack) => stack && !this.discoveredItems.has(stack.itemId))
+      .map((stack) => stack.itemId);
+    if (itemIds?.length) this.discoverItems(itemIds);
+  }
+
+  handleLeveledUp({ newLevel } = {}) {
+    this.learnRecipesForLevel(newLevel ?? this.statsRef?.level ?? 1);
+  }
+
+  /** Returns a plain object for saving */
+  getRecipeBookState() {
+    return {
+      knownRecipes: [...this.knownRecipes],
+      discoveredItems: [...this.discoveredItems],
+    };
+  }
+
+  /**
+   * Applies a saved recipe book. Recipes known from the start and anything the
+   * character's level already unlocks are always known (e.g. recipes added
+   * after the save was made).
+   */
+  applyRecipeBookState(state) {
+    this.reset();
+    if (state && typeof state === "object") {
+      (state.discoveredItems || []).forEach((itemId) => {
+        if (getItemData(itemId)) this.discoveredItems.add(itemId);
+      });
+      (state.knownRecipes || []).forEach((recipeId) =>
+        this.learnRecipe(recipeId, true)
+      );
+    }
+    this.unlockSources.forEach((sources, recipeId) => {
+      const unlocked = sources.some(
+        (source) =>
+          (source.type === "pickup" &&
+            this.discoveredItems.has(source.itemId)) ||
+          (source.type === "level" &&
+            (this.statsRef?.level ?? 1) >= source.level)
+      );
+      if (unlocked) this.learnRecipe(recipeId, true);
+    });
+  }
+
+  destroy() {
+    eventBus.off("inventoryChanged", this._boundHandleInventoryChanged);
+    eventBus.off("playerLeveledUp", this._boundHandleLeveledUp);
+  }
+}
@@ -0,0 +1,112 @@
+// src/game/components/ReputationComponent.js
+import eventBus from "../../core/EventBus.js";
+import {
+  FACTIONS,
+  RELATIONS,
+  REPUTATION_MIN,
+  REPUTATION_MAX,
+  REPUTATION_HOSTILE_BELOW,
+  REPUTATION_FRIENDLY_FROM,
+  RIVAL_KILL_REPUTATION_FACTOR,
+  getFactionData,
+  getHostileFactionIds,
+} from "../../config/FactionsConfig.js";
+
+export class ReputationComponent {
+  /** @type {Map<string, number>} Faction ID -> reputation (REPUTATION_MIN..REPUTATION_MAX) */
+  reputation = new Map();
+
+  constructor() {
+    this.reset();
+  }
+
+  /** Back to every faction's starting reputation */
+  reset() {
+    this.reputation.clear();
+    Object.values(FACTIONS).forEach((faction) =>
+      this.reputation.set(faction.id, faction.startingReputation ?? 0)
+    );
+  }
+
+  getReputation(factionId) {
+    return this.reputation.get(factionId) ?? 0;
+  }
+
+  /**
+   * @param {string} factionId
+   * @returns {string} One of RELATIONS.
+   */
+  getStanding(factionId) {
+    const reputation = this.getReputation(factionId);
+    if (reputation < REPUTATION_HOSTILE_BELOW) return RELATIONS.HOSTILE;
+    if (reputation >= REPUTATION_FRIENDLY_FROM) return RELATIONS.FRIENDLY;
+    return RELATIONS.NEUTRAL;
+  }
+
+  /**
+   * Changes reputation with a faction, clamped to the allowed range.
+   * @returns {{factionId: string, amount: number, standing: string, standingChanged: boolean} | null}
+   *   What actually changed, or null if nothing did.
+   */
+  changeReputation(factionId, amount) {
+    if (!getFactionData(factionId) || !amount) return null;
+    const previous = this.getReputation(factionId);
+    const previousStanding = this.getStanding(factionId);
+    const next = Math.max(
+      REPUTATION_MIN,
+      Math.min(REPUTATION_MAX, previous + amount)
+    );
+    if (next === previous) return null;
+    this.reputation.set(factionId, next);
+
+    const change = {
+      factionId,
+      amount: next - previous,
+      standing: this.getStanding(factionId),
+      standingChanged: this.getStanding(factionId) !== previousStanding,
+    };
+    eventBus.emit("reputationChanged", {
+      component: this,
+      reputation: next,
+      ...change,
+    });
+    return change;
+  }
+
+  /**
+   * Applies the reputation changes for killing a member of a faction: a loss
+   * with that faction, and a smaller gain with the factions hostile to it.
+   * @param {string} factionId
+   * @returns {Array<object>} The changes made (see changeReputation).
+   */
+  recordKill(factionId) {
+    const faction = getFactionData(factionId);
+    if (!faction?.killReputation) return [];
+    const changes = [this.changeReputation(factionId, faction.killReputation)];
+    const rivalGain = Math.abs(
+      faction.killReputation * RIVAL_KILL_REPUTATION_FACTOR
+    );
+    getHostileFactionIds(factionId).forEach((rivalId) =>
+      changes.push(this.changeReputation(rivalId, rivalGain))
+    );
+    return changes.filter(Boolean);
+  }
+
+  /** Returns a plain object for saving */
+  getReputationState() {
+    return Object.fromEntries(this.reputation);
+  }
+
+  /** Applies saved reputation; factions missing from the save keep their starting value */
+  applyReputationState(state) {
+    this.reset();
+    if (!state || typeof state !== "object") return;
+    Object.entries(state).forEach(([factionId, value]) => {
+      if (!getFactionData(factionId) || !Number.isFinite(value)) return;
+      this.reputation.set(
+        factionId,
+        Math.max(REPUTATION_MIN, Math.min(REPUTATION_MAX, value))
+      );
+    });
+  }
+}
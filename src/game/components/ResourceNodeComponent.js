@@ -1,4 +1,5 @@
 // src/game/components/ResourceNodeComponent.js
+import { resolveLootTable } from "../../utils/LootTableResolver.js";
 
 /**
  * Defines properties for a resource node (e.g., tree, ore vein).
@@ -12,16 +13,68 @@ export class ResourceNodeComponent {
   respawnTime;
   /** @type {number} Internal timer for respawning. */
   _respawnTimer = 0;
+  /** @type {Array<object> | string | null} Optional loot table rolled when the node is depleted. */
+  lootTable = null;
+  /** @type {{tool: string, requiredTier: number, yieldPerTier: number} | null} Entry from GATHER_RULES. */
+  gatherRule = null;
 
   /**
    * @param {string} resourceId - The item ID dropped.
    * @param {number} [quantity=3] - How many times the node can be harvested.
    * @param {number} [respawnTime=-1] - Respawn time in seconds (-1 = no respawn).
+   * @param {Array<object> | string | null} [lootTable=null] - Loot table (or LOOT_TABLES id) for depletion drops.
+   * @param {object | null} [gatherRule=null] - Entry from GATHER_RULES (ResourceConfig).
    */
-  constructor(resourceId = "unknown_resource", quantity = 3, respawnTime = -1) {
+  constructor(
+    resourceId = "unknown_resource",
+    quantity = 3,
+    respawnTime = -1,
+    lootTable = null,
+    gatherRule = null
+  ) {
     this.resourceId = resourceId;
     this.quantity = quantity;
     this.respawnTime = respawnTime;
+    this.lootTable = lootTable;
+    this.gatherRule = gatherRule;
+  }
+
+  /**
+   * How much more a harvester gets out of this node.
+   * @param {string | null} toolType - `toolType` of the equipped item.
+   * @param {number} [toolTier=0]
+   * @param {number} [gatheringYield=0] - From StatsComponent (skills).
+   * @returns {number} 1 = normal drops.
+   */
+  getYieldMultiplier(toolType, toolTier = 0, gatheringYield = 0) {
+    let multiplier = 1 + gatheringYield;
+    if (this.gatherRule && toolType === this.gatherRule.tool) {
+      multiplier += this.gatherRule.yieldPerTier * toolTier;
+    }
+    return multiplier;
+  }
+
+  /**
+   * Rolls what the node drops when depleted. Without a loot table this is
+   * simply `quantity` x `resourceId`.
+   * @param {number} [level=1] - Level for level-scaled loot entries.
+   * @param {number} [yieldMultiplier=1] - See getYieldMultiplier. Fractions
+   *   become a chance at one more (1.5x of 3 = 4, plus 50% for a 5th).
+   * @returns {Array<{itemId: string, quantity: number}>}
+   */
+  rollDrops(level = 1, yieldMultiplier = 1) {
+    const drops = this.lootTable
+      ? resolveLootTable(this.lootTable, { level })
+      : [{ itemId: this.resourceId, quantity: this.quantity || 1 }];
+    if (yieldMultiplier === 1) return drops;
+    return drops.map(({ itemId, quantity }) => {
+      const scaled = quantity * yieldMultiplier;
+      const whole = Math.floor(scaled);
+      return {
+        itemId,
+        quantity: whole + (Math.random() < scaled - whole ? 1 : 0),
+      };
+    });
   }
 
   /** Deplete one unit of the resource. Returns true if successful, false if empty. */
@@ -9,10 +9,13 @@ export class SkillTreeComponent {
   statsRef = null;
   /** @type {import('./AbilityComponent.js').AbilityComponent | null} */
   abilityRef = null;
+  /** @type {import('./RecipeBookComponent.js').RecipeBookComponent | null} */
+  recipeBookRef = null;
 
-  constructor(statsComponentRef, abilityComponentRef) {
+  constructor(statsComponentRef, abilityComponentRef, recipeBookRef = null) {
     this.statsRef = statsComponentRef;
     this.abilityRef = abilityComponentRef;
+    this.recipeBookRef = recipeBookRef;
     // Note: No root node concept needed if Tier 1 skills have no prerequisites
     console.log("SkillTreeComponent initialized.");
   }
@@ -191,6 +194,9 @@ export class SkillTreeComponent {
         // Unlock ability effect (usually only on rank 1)
         console.log(`-> Unlocking ability: ${effect.unlockAbility}`);
         this.abilityRef.learnAbility(effect.unlockAbility);
+      } else if (effect.unlockRecipe) {
+        console.log(`-> Unlocking recipe: ${effect.unlockRecipe}`);
+        this.recipeBookRef?.learnRecipe(effect.unlockRecipe);
       } else {
         console.warn(
           `Unknown effect structure for ${skillId} Rank ${achievedRank}:`,
@@ -266,6 +272,8 @@ export class SkillTreeComponent {
           );
         } else if (effect.unlockAbility) {
           this.abilityRef?.learnAbility(effect.unlockAbility); //
+        } else if (effect.unlockRecipe) {
+          this.recipeBookRef?.learnRecipe(effect.unlockRecipe, true);
         }
       });
     });
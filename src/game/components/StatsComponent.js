@@ -28,6 +28,9 @@ const XP_TO_LEVEL_UP = [
 ];
 const MAX_LEVEL = XP_TO_LEVEL_UP.length - 1;
 
+/** Survival meters, see updateSurvival */
+export const SURVIVAL_STATS = ["hunger", "thirst", "stamina"];
+
 /**
  * Holds base and current stats for an entity (e.g., player, enemy).
  * Current stats can be modified by effects/abilities.
@@ -42,6 +45,8 @@ export class StatsComponent {
   baseMaxHealth; // <<< Base value
   baseDamageReduction = 0; // Base Damage Reduction (0% default)
   baseColdResistance = 0; // Base Cold Resistance (0% default)
+  baseInsulation = 0; // °C clothing adds to the felt temperature
+  baseGatheringYield = 0; // Extra resource node drops (0.25 = +25%)
 
   // --- Current Stats --- (Recalculated from base + modifiers)
   currentSpeed;
@@ -51,6 +56,8 @@ export class StatsComponent {
   currentMaxHealth; // <<< Derived value
   currentDamageReduction = 0; // Current Damage Reduction
   currentColdResistance = 0; // Current Cold Resistance
+  currentInsulation = 0; // Current Insulation
+  currentGatheringYield = 0; // Current Gathering Yield
 
   // speedMultiplier = 1.0;
   // damageMultiplier = 1.0;
@@ -72,6 +79,18 @@ export class StatsComponent {
   // Skill Points
   availableSkillPoints = 0;
 
+  // --- Survival Meters (player only, full = max) ---
+  maxHunger = 0;
+  hunger = 0;
+  maxThirst = 0;
+  thirst = 0;
+  maxStamina = 0;
+  stamina = 0;
+  /** @type {boolean} Ran out of stamina, can't sprint until it recovers */
+  isExhausted = false;
+  staminaRegenDelay = 0;
+  starvationTimer = 0;
+
   /** @type {Array<object>} List of active timed stat modifiers { id, stat, value, remainingDuration } */
   activeTimedModifiers = [];
   /** @type {Map<string, {stat: string, value: number, type?: 'additive' | 'multiplicative'}>} */ // Allow type for equip bonuses too (optional)
@@ -92,6 +111,8 @@ export class StatsComponent {
     this.baseDamageReduction = baseStats.damageReduction ?? 0;
 
     this.baseColdResistance = baseStats.coldResistance ?? 0;
+    this.baseInsulation = baseStats.insulation ?? 0;
+    this.baseGatheringYield = baseStats.gatheringYield ?? 0;
 
     this.entityRef = entityRef;
     this.isPlayer = isPlayer;
@@ -103,6 +124,9 @@ export class StatsComponent {
       // Ensure skill points are initialized, potentially from saved state later
       this.availableSkillPoints = baseStats.initialSkillPoints || 0; // Default to 0 if not provided
       this.xpToNextLevel = this.calculateXpToNextLevel(this.level);
+      this.maxHunger = this.hunger = PLAYER_CONFIG.MAX_HUNGER ?? 100;
+      this.maxThirst = this.thirst = PLAYER_CONFIG.MAX_THIRST ?? 100;
+      this.maxStamina = this.stamina = PLAYER_CONFIG.MAX_STAMINA ?? 100;
       console.log(
         `[StatsComponent Player Init] Lvl: ${this.level}, XP: ${this.currentXP}/${this.xpToNextLevel}, Skill Points: ${this.availableSkillPoints}` // Log skill points
       );
@@ -373,6 +397,8 @@ export class StatsComponent {
     this.currentMaxHealth = this.baseMaxHealth; // <<< Start with base max health
     this.currentDamageReduction = this.baseDamageReduction; // <<< Reset to base
     this.currentColdResistance = this.baseColdResistance; // <<< Reset to base
+    this.currentInsulation = this.baseInsulation;
+    this.currentGatheringYield = this.baseGatheringYield;
 
     // --- ADD Multiplier Initialization ---
     this.currentSpeedMultiplier = this.speedMultiplier = 1.0;
@@ -527,6 +553,8 @@ export class StatsComponent {
     this.currentAttackRange += additiveBonuses["attackrange"] || 0;
     this.currentDamageReduction += additiveBonuses["damagereduction"] || 0;
     this.currentColdResistance += additiveBonuses["coldresistance"] || 0;
+    this.currentInsulation += additiveBonuses["insulation"] || 0;
+    this.currentGatheringYield += additiveBonuses["gatheringyield"] || 0;
     // Add others...
 
     // --- Apply Multiplicative Bonuses Second ---
@@ -580,6 +608,8 @@ export class StatsComponent {
       0,
       Math.min(1.0, this.currentColdResistance)
     ); // 0% to 100%
+    this.currentInsulation = Math.max(0, this.currentInsulation);
+    this.currentGatheringYield = Math.max(0, this.currentGatheringYield);
 
     // --- Update Health Component if Max Health Changed ---
     const healthComp = this.entityRef?.userData?.health;
@@ -623,6 +653,131 @@ export class StatsComponent {
     // }
   }
 
+  /**
+   * Drains hunger and thirst, spends or regenerates stamina and deals
+   * starvation damage while hunger or thirst is empty. Player only, call every frame.
+   * @param {number} delta
+   * @param {object} [conditions]
+   * @param {boolean} [conditions.isSprinting=false] - Sprinting this frame.
+   * @param {number} [conditions.coldExposure=0] - 0..1, how cold the body is.
+   * @param {number} [conditions.heatExposure=0] - 0..1, how overheated the body is.
+   */
+  updateSurvival(
+    delta,
+    { isSprinting = false, coldExposure = 0, heatExposure = 0 } = {}
+  ) {
+    if (!this.isPlayer) return;
+
+    const decayMultiplier =
+      (isSprinting ? PLAYER_CONFIG.SPRINT_DECAY_MULTIPLIER : 1) *
+      (1 + (PLAYER_CONFIG.COLD_DECAY_MULTIPLIER - 1) * coldExposure);
+    const thirstMultiplier =
+      decayMultiplier *
+      (1 + (PLAYER_CONFIG.HEAT_THIRST_MULTIPLIER - 1) * heatExposure);
+    this.hunger = Math.max(
+      0,
+      this.hunger -
+        PLAYER_CONFIG.HUNGER_DECAY_PER_SECOND * decayMultiplier * delta
+    );
+    this.thirst = Math.max(
+      0,
+      this.thirst -
+        PLAYER_CONFIG.THIRST_DECAY_PER_SECOND * thirstMultiplier * delta
+    );
+    const isStarving = this.hunger <= 0 || this.thirst <= 0;
+
+    // --- Stamina ---
+    if (isSprinting) {
+      const cost = PLAYER_CONFIG.STAMINA_SPRINT_COST_PER_SECOND * delta;
+      this.spendStamina(Math.min(this.stamina, cost)); // Sprints down to empty
+    } else if (this.staminaRegenDelay > 0) {
+      this.staminaRegenDelay -= delta;
+    } else if (this.stamina < this.maxStamina) {
+      const regen =
+        PLAYER_CONFIG.STAMINA_REGEN_PER_SECOND *
+        (isStarving ? PLAYER_CONFIG.STARVING_STAMINA_REGEN_MULTIPLIER : 1);
+      this.stamina = Math.min(this.maxStamina, this.stamina + regen * delta);
+    }
+    if (
+      this.isExhausted &&
+      this.stamina >= PLAYER_CONFIG.STAMINA_EXHAUSTED_RECOVER
+    ) {
+      this.isExhausted = false;
+    }
+
+    // --- Starvation / Dehydration ---
+    if (!isStarving) {
+      this.starvationTimer = 0;
+      return;
+    }
+    this.starvationTimer += delta;
+    if (this.starvationTimer < PLAYER_CONFIG.STARVATION_TICK_INTERVAL) return;
+    this.starvationTimer -= PLAYER_CONFIG.STARVATION_TICK_INTERVAL;
+    const causes = ["hunger", "thirst"].filter((stat) => this[stat] <= 0);
+    const damage = PLAYER_CONFIG.STARVATION_DAMAGE * causes.length;
+    this.entityRef?.userData?.health?.takeDamage(damage);
+    eventBus.emit("survivalDamage", { component: this, damage, causes });
+  }
+
+  /** True if the player has the stamina to sprint */
+  canSprint() {
+    return !this.isPlayer || (!this.isExhausted && this.stamina > 0);
+  }
+
+  /**
+   * Spends stamina. Running dry leaves the player exhausted for a while.
+   * @param {number} amount
+   * @returns {boolean} False (and nothing spent) if there wasn't enough.
+   */
+  spendStamina(amount) {
+    if (!this.isPlayer) return true;
+    if (this.stamina <= 0 || this.stamina < amount) return false;
+    this.stamina = Math.max(0, this.stamina - amount);
+    this.staminaRegenDelay = PLAYER_CONFIG.STAMINA_REGEN_DELAY;
+    if (this.stamina <= 0) this.isExhausted = true;
+    return true;
+  }
+
+  /**
+   * Refills a survival meter.
+   * @param {string} stat - One of SURVIVAL_STATS.
+   * @param {number} amount
+   * @returns {number} How much was actually restored.
+   */
+  restoreSurvivalStat(stat, amount) {
+    if (!SURVIVAL_STATS.includes(stat) || !(amount > 0)) return 0;
+    const max = this[`max${stat.charAt(0).toUpperCase()}${stat.slice(1)}`];
+    const previous = this[stat];
+    this[stat] = Math.min(max, previous + amount);
+    return this[stat] - previous;
+  }
+
+  /** Returns the survival meters for saving */
+  getSurvivalState() {
+    return {
+      hunger: this.hunger,
+      thirst: this.thirst,
+      stamina: this.stamina,
+    };
+  }
+
+  /** Applies saved survival meters; missing values start full */
+  applySurvivalState(state) {
+    this.hunger = this.maxHunger;
+    this.thirst = this.maxThirst;
+    this.stamina = this.maxStamina;
+    this.isExhausted = false;
+    this.staminaRegenDelay = 0;
+    this.starvationTimer = 0;
+    if (!state || typeof state !== "object") return;
+    SURVIVAL_STATS.forEach((stat) => {
+      if (Number.isFinite(state[stat])) {
+        this[stat] = 0;
+        this.restoreSurvivalStat(stat, state[stat]);
+      }
+    });
+  }
+
   // --- Getters for current stats ---
   getCurrentSpeed() {
     return this.currentSpeed;
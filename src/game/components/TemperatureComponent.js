@@ -0,0 +1,195 @@
+// src/game/components/TemperatureComponent.js
+import eventBus from "../../core/EventBus.js";
+import {
+  NORMAL_BODY_TEMPERATURE,
+  MIN_BODY_TEMPERATURE,
+  MAX_BODY_TEMPERATURE,
+  COMFORT_MIN,
+  COMFORT_MAX,
+  COLD_TARGET_FACTOR,
+  HEAT_TARGET_FACTOR,
+  BODY_RESPONSE_PER_SECOND,
+  CAMPFIRE_HEAT,
+  CAMPFIRE_WARMTH_RADIUS,
+  TEMPERATURE_DAMAGE_TICK_INTERVAL,
+  getTemperatureState,
+  getAmbientTemperature,
+} from "../../config/TemperatureConfig.js";
+
+const TEMPERATURE_MODIFIER_SPEED_ID = "temperature_speed";
+
+/**
+ * Simulates the owner's body temperature. The body drifts towards a target set
+ * by the felt temperature (ambient + heat sources + clothing insulation), and
+ * its state (chilled, hypothermia, heatstroke...) applies graded effects.
+ */
+export class TemperatureComponent {
+  /** @type {object} Reference to the owning entity (e.g., player model) */
+  ownerEntityRef = null;
+  /** @type {import('./StatsComponent.js').StatsComponent | null} */
+  statsComponent = null;
+  /** @type {import('./HealthComponent.js').HealthComponent | null} */
+  healthComponent = null;
+  /** @type {import('../../ui/UIManager.js').UIManager | null} */
+  uiManager = null;
+
+  bodyTemperature = NORMAL_BODY_TEMPERATURE;
+  /** @type {number} Last computed ambient temperature, for the UI */
+  ambientTemperature = 0;
+  /** @type {number} Last felt temperature (ambient + heat + insulation) */
+  feltTemperature = 0;
+  /** @type {object} Current entry from TEMPERATURE_STATES */
+  state = getTemperatureState(NORMAL_BODY_TEMPERATURE);
+  damageTimer = 0;
+
+  /**
+   * @param {object} ownerEntityRef - The entity this component is attached to.
+   * @param {StatsComponent} statsComponent - Insulation and cold resistance.
+   * @param {HealthComponent} healthComponent - Takes hypothermia/heatstroke damage.
+   * @param {UIManager} [uiManager] - Optional reference to the UI manager.
+   */
+  constructor(
+    ownerEntityRef,
+    statsComponent,
+    healthComponent,
+    uiManager = null
+  ) {
+    this.ownerEntityRef = ownerEntityRef;
+    this.statsComponent = statsComponent;
+    this.healthComponent = healthComponent;
+    this.uiManager = uiManager;
+  }
+
+  /**
+   * Heat from nearby campfires, strongest one wins.
+   * @param {THREE.Vector3} position - Owner's position.
+   * @param {Array<{position: THREE.Vector3}>} campfires
+   * @returns {number} °C
+   */
+  getHeatFromCampfires(position, campfires) {
+    let heat = 0;
+    for (const campfire of campfires) {
+      const distance = position.distanceTo(campfire.position);
+      if (distance < CAMPFIRE_WARMTH_RADIUS) {
+        heat = Math.max(
+          heat,
+          CAMPFIRE_HEAT * (1 - distance / CAMPFIRE_WARMTH_RADIUS)
+        );
+      }
+    }
+    return heat;
+  }
+
+  /**
+   * Call every frame.
+   * @param {number} delta
+   * @param {object} environment
+   * @param {string} environment.weather - Current WeatherType.
+   * @param {number} environment.daylight - 0..1, see DayNightSystem.
+   * @param {number} environment.altitude - Terrain height at the owner.
+   * @param {THREE.Vector3} environment.position - Owner's position.
+   * @param {Array<{position: THREE.Vector3}>} [environment.campfires]
+   */
+  update(delta, { weather, daylight, altitude, position, campfires = [] }) {
+    if (!this.statsComponent || !this.healthComponent) return;
+
+    this.ambientTemperature = getAmbientTemperature(
+      weather,
+      daylight,
+      altitude
+    );
+    const heat = this.getHeatFromCampfires(position, campfires);
+    // Read by AISystem (firelight) and WeatherEffectComponent
+    this.ownerEntityRef.userData.isNearCampfire = heat > 0;
+    this.feltTemperature =
+      this.ambientTemperature +
+      heat +
+      (this.statsComponent.currentInsulation || 0);
+
+    // --- Drift towards the target body temperature ---
+    let target = NORMAL_BODY_TEMPERATURE;
+    if (this.feltTemperature < COMFORT_MIN) {
+      const coldResistance = this.statsComponent.currentColdResistance || 0;
+      target -=
+        (COMFORT_MIN - this.feltTemperature) *
+        COLD_TARGET_FACTOR *
+        (1 - coldResistance);
+    } else if (this.feltTemperature > COMFORT_MAX) {
+      target += (this.feltTemperature - COMFORT_MAX) * HEAT_TARGET_FACTOR;
+    }
+    const response = Math.min(1, BODY_RESPONSE_PER_SECOND * delta);
+    this.bodyTemperature = Math.max(
+      MIN_BODY_TEMPERATURE,
+      Math.min(
+        MAX_BODY_TEMPERATURE,
+        this.bodyTemperature + (target - this.bodyTemperature) * response
+      )
+    );
+
+    const nextState = getTemperatureState(this.bodyTemperature);
+    if (nextState !== this.state) this._changeState(nextState);
+
+    // --- Damage while hypothermic / heatstruck ---
+    if (!this.state.damagePerTick) {
+      this.damageTimer = 0;
+      return;
+    }
+    this.damageTimer += delta;
+    if (this.damageTimer >= TEMPERATURE_DAMAGE_TICK_INTERVAL) {
+      this.damageTimer -= TEMPERATURE_DAMAGE_TICK_INTERVAL;
+      this.healthComponent.takeDamage(this.state.damagePerTick);
+      this.uiManager?.log(
+        `${this.state.name}: took ${this.state.damagePerTick} damage.`,
+        "red"
+      );
+    }
+  }
+
+  _changeState(nextState) {
+    const previous = this.state;
+    this.state = nextState;
+    this.damageTimer = 0;
+    console.log(
+      `[Temperature] ${previous.name} -> ${nextState.name} (${this.bodyTemperature.toFixed(1)}°C)`
+    );
+
+    this.statsComponent.removeModifierById(TEMPERATURE_MODIFIER_SPEED_ID);
+    if (nextState.speedMultiplier) {
+      this.statsComponent.applyModifier(
+        "speed",
+        nextState.speedMultiplier,
+        Infinity, // Removed on the next state change
+        TEMPERATURE_MODIFIER_SPEED_ID,
+        "multiplicative"
+      );
+    }
+
+    this.uiManager?.log(
+      nextState.id === "normal"
+        ? "Your body temperature is back to normal."
+        : `You are ${nextState.name.toLowerCase()}.`,
+      nextState.color
+    );
+    eventBus.emit("temperatureStateChanged", {
+      component: this,
+      previousState: previous.id,
+      state: nextState.id,
+    });
+  }
+
+  /** 0 (normal or warmer) .. 1 (hypothermic), for hunger/thirst drain */
+  getColdExposure() {
+    return Math.max(
+      0,
+      Math.min(1, (NORMAL_BODY_TEMPERATURE - this.bodyTemperature) / 5)
+    );
+  }
+
+  /** 0 (normal or colder) .. 1 (heatstroke), for thirst drain */
+  getHeatExposure() {
+    return Math.max(
+      0,
+      Math.min(1, (this.bodyTemperature - NORMAL_BODY_TEMPERATURE) / 3)
+    );
+  }
+}
@@ -5,13 +5,11 @@ import { WeatherType } from "../../world/WeatherSystem.js";
 
 // Constants for effects
 // const BLIZZARD_SLOW_AMOUNT = -1.0; // How much speed is reduced (negative)
-const FREEZING_DAMAGE_PER_TICK = 2.5; // Damage per tick
-const FREEZING_TICK_INTERVAL = 2.0; // Seconds between damage ticks
+// Cold damage comes from body temperature now (TemperatureComponent)
 const BLIZZARD_SPEED_MULTIPLIER = 0.5; // Multiplier for Blizzard/Slow (0.5 = 50% speed)
 
 // Unique IDs for weather modifiers (to help remove them later) - add boots to remove blizzard effect
 const WEATHER_MODIFIER_SLOW_ID = "weather_slow";
-const WEATHER_MODIFIER_FREEZE_ID = "weather_freeze_dot"; // DOT isn't a stat mod
 
 export class WeatherEffectComponent {
   /** @type {object} Reference to the owning entity (e.g., player model) */
@@ -26,9 +24,6 @@ export class WeatherEffectComponent {
   // State for managing effects
   activeWeather = WeatherType.CLEAR;
   activeModifiers = new Map(); // Stores references to applied stat modifiers { id: modifierObject }
-  dotTimer = 0;
-  // dotInterval = FREEZING_TICK_INTERVAL;
-  currentDotInterval = 0; // Initialize current interval
 
   /**
    * @param {object} ownerEntityRef - The entity this component is attached to.
@@ -47,9 +42,6 @@ export class WeatherEffectComponent {
     this.healthComponent = healthComponent;
     this.uiManager = uiManager;
 
-    this.dotTimer = 0; // Reset DOT timer
-    this.currentDotInterval = 0; // Reset DOT interval
-
     if (!this.statsComponent || !this.healthComponent) {
       console.error(
         "WeatherEffectComponent requires Stats and Health components!"
@@ -109,18 +101,11 @@ export class WeatherEffectComponent {
         } else {
           console.warn("StatsComponent missing applyModifier method.");
         }
-
-        this.currentDotInterval = FREEZING_TICK_INTERVAL * 5; // <<< Blizzard ticks less often and slows
-        this.dotTimer = this.currentDotInterval; // <<< Start timer for the first tick
-
         break;
 
       // add Pitch Black type effect reducing visual clarity
       // fog?
       case WeatherType.FREEZING:
-        // Start DOT timer
-        this.currentDotInterval = FREEZING_TICK_INTERVAL; // <<< Use original freezing interval
-        this.dotTimer = this.currentDotInterval; // <<< Start timer for the first tick
         this.uiManager?.log("The air chills you to the bone...");
         this.uiManager?.showChatBubble(
           "It's freezing, better watch out for my health and cold resistances.",
@@ -128,7 +113,6 @@ export class WeatherEffectComponent {
         );
         break;
       case WeatherType.CLEAR:
-        this.currentDotInterval = 0;
         console.log("Clear weather effect applied.");
         this.uiManager?.log("The air is clear, and feels warmer than usual.");
         this.uiManager?.showChatBubble(
@@ -136,10 +120,7 @@ export class WeatherEffectComponent {
           4000
         );
         break;
-      case WeatherType.RAIN: // Rain should dot but less often than freezing
-        this.currentDotInterval = FREEZING_TICK_INTERVAL * 8; // <<< Rain ticks less often
-        this.dotTimer = this.currentDotInterval; // <<< Start timer for the first tick
-        console.log(this.dotTimer);
+      case WeatherType.RAIN: // Colder than clear, see TemperatureConfig
         console.log("Rain weather effect applied.");
         this.uiManager?.log(
           "Rain starts pouring down, your clothes are soaked."
@@ -180,80 +161,9 @@ export class WeatherEffectComponent {
       }
     }
     this.activeModifiers.clear(); // Clear the map
-
-    // Stop DOT
-    this.dotTimer = 0;
     // this.activeWeather = WeatherType.CLEAR; // Reset internal state
   }
 
-  update(delta) {
-    if (!this.healthComponent || !this.statsComponent) return; // statsComponent check
-
-    const isNearCampfire =
-      this.ownerEntityRef?.userData?.isNearCampfire ?? false; // <<< Get the flag
-
-    // Handle Damage Over Time (DOT) for FREEZING
-    if (
-      (this.activeWeather === WeatherType.FREEZING ||
-        this.activeWeather === WeatherType.RAIN ||
-        this.activeWeather === WeatherType.BLIZZARD) &&
-      this.currentDotInterval > 0
-    ) {
-      this.dotTimer -= delta;
-
-      if (this.dotTimer <= 0 && !isNearCampfire) {
-        // --- Calculate Damage with Resistance ---
-        let actualDamage = FREEZING_DAMAGE_PER_TICK;
-
-        if (this.activeWeather === WeatherType.BLIZZARD) {
-          actualDamage *= 0.75; // Blizzard does 75% of freezing damage per tick
-        }
-        if (this.activeWeather === WeatherType.RAIN) {
-          actualDamage *= 0.5; // Rain does 50% of freezing damage per tick
-        }
-
-        // Get CURRENT cold resistance from the StatsComponent
-        const coldResistance = this.statsComponent.currentColdResistance || 0; // <<< READ FROM STATS
-
-        if (coldResistance > 0) {
-          const damageReduction = Math.max(0, Math.min(1, coldResistance)); // Clamp 0-1
-          actualDamage *= 1.0 - damageReduction; // Reduce damage
-          console.log(
-            `${this.ownerEntityRef?.name} Cold Resistance: ${(
-              coldResistance * 100
-            ).toFixed(0)}%, Damage Multiplier: ${(
-              1.0 - damageReduction
-            ).toFixed(2)}`
-          );
-        }
-        actualDamage = Math.max(0, actualDamage); // Ensure damage isn't negative
-        // --- End Calculation ---
-
-        if (actualDamage > 0) {
-          this.healthComponent.takeDamage(actualDamage);
-          this.uiManager?.log(
-            `Took ${actualDamage.toFixed(1)} freezing damage.`
-          );
-          console.log(
-            `${this.ownerEntityRef?.name} took ${actualDamage.toFixed(
-              1
-            )} freezing damage.`
-          );
-        } else {
-          this.uiManager?.log(`You resisted the freezing cold.`);
-          console.log(`${this.ownerEntityRef?.name} resisted freezing damage.`);
-        }
-
-        this.dotTimer += this.currentDotInterval; // Change to current interval eg either 2 or 6 seconds ticks
-      } else if (this.dotTimer <= 0 && isNearCampfire) {
-        // Handle campfire warmth >>>
-        this.dotTimer = this.currentDotInterval; // Reset timer
-        console.log("Campfire warmth detected!");
-        this.uiManager?.log("The campfire warms up, you feel warmer.");
-      }
-    }
-  }
-
   // Cleanup method
   destroy() {
     eventBus.off("weatherChanged", this.handleWeatherChange.bind(this));
@@ -297,10 +297,20 @@ export class PhysicsEngine {
           ? new HealthComponent(options.initialHealth, options.instanceId)
           : null,
       interactableComponent: options.interactionType
-        ? new InteractableComponent(options.interactionType)
+        ? new InteractableComponent(
+            options.interactionType,
+            options.requiresTool,
+            options.requiredToolTier
+          )
         : null,
       resourceNodeComponent: options.resourceId
-        ? new ResourceNodeComponent(options.resourceId, options.resourceQty)
+        ? new ResourceNodeComponent(
+            options.resourceId,
+            options.resourceQty,
+            undefined,
+            options.lootTable,
+            options.gatherRule
+          )
         : null,
       statsComponent: options.baseStats
         ? new StatsComponent(options.baseStats)
@@ -13,7 +13,10 @@ import { AbilityComponent } from "../game/components/AbilityComponent.js";
 import { EquipmentComponent } from "../game/components/EquipmentComponent.js";
 import { ABILITIES } from "../config/AbilityConfig.js";
 import { WeatherEffectComponent } from "../game/components/WeatherEffectComponent.js";
+import { TemperatureComponent } from "../game/components/TemperatureComponent.js";
 import { SkillTreeComponent } from "../game/components/SkillTreeComponent.js";
+import { ReputationComponent } from "../game/components/ReputationComponent.js";
+import { RecipeBookComponent } from "../game/components/RecipeBookComponent.js";
 
 /**
  * Creates the player entity, including loading the model, setting up physics,
@@ -156,15 +159,27 @@ export async function createPlayer(dependencies) {
     // --- Create Equipment Component ---
     const equipmentComponent = new EquipmentComponent(
       inventoryComponent,
-      statsComponent
+      statsComponent,
+      uiManager // Durability warnings
+    );
+
+    // --- Create Recipe Book Component (known crafting recipes) ---
+    const recipeBookComponent = new RecipeBookComponent(
+      statsComponent,
+      inventoryComponent,
+      uiManager
     );
 
     // --- Create Skill Tree Component ---
     const skillTreeComponent = new SkillTreeComponent(
       statsComponent,
-      abilityComponent
+      abilityComponent,
+      recipeBookComponent // Skills can teach recipes
     );
 
+    // --- Create Reputation Component (standing with creature factions) ---
+    const reputationComponent = new ReputationComponent();
+
     // Learn default abilities
     Object.values(ABILITIES).forEach((ability) =>
       abilityComponent.learnAbility(ability.id)
@@ -180,6 +195,13 @@ export async function createPlayer(dependencies) {
     console.log("WeatherEffectComponent created for Player.");
     // --- End Create WeatherEffectComponent ---
 
+    const temperatureComponent = new TemperatureComponent(
+      model,
+      statsComponent,
+      healthComponent,
+      uiManager
+    );
+
     // Assign components to model userData (primary storage)
     model.userData.health = healthComponent;
     model.userData.stats = statsComponent;
@@ -187,7 +209,10 @@ export async function createPlayer(dependencies) {
     model.userData.abilityComponent = abilityComponent;
     model.userData.equipment = equipmentComponent;
     model.userData.weatherEffect = weatherEffectComponent;
+    model.userData.temperature = temperatureComponent;
     model.userData.skillTree = skillTreeComponent;
+    model.userData.reputation = reputationComponent;
+    model.userData.recipeBook = recipeBookComponent;
 
     // Link components to physics body userData if needed by systems accessing physics directly
     playerBody.userData.healthComponent = healthComponent;
@@ -196,6 +221,7 @@ export async function createPlayer(dependencies) {
     playerBody.userData.instanceId = playerInstanceId; // Ensure body also has ID
     playerBody.userData.equipment = equipmentComponent;
     playerBody.userData.skillTree = skillTreeComponent;
+    playerBody.userData.reputation = reputationComponent;
 
     // 5. Setup Animation FSM
     let modelAnimations = null;
@@ -0,0 +1,173 @@
+// src/systems/AIBehaviors.js
+// AI behavior profiles, selected per enemy by `ai.behavior` in EnemiesConfig.
+// A profile only decides state transitions; perception, movement, facing and
+// animation stay in AISystem. Profiles build on AISystem's shared helpers
+// (updateChase, updateAttack, updateIdleWander, startFleeing, ...).
+import { AI_STATES } from "../game/components/AIComponent.js";
+
+/**
+ * @typedef {object} AIBehaviorContext
+ * @property {string} instanceId
+ * @property {object} enemy - AISystem enemy record ({model, physicsBody, aiComponent, healthComponent, ...}).
+ * @property {number} delta
+ * @property {import('./AISystem.js').AITarget | null} target - Picked by threat (see AISystem targeting): the player, an ally, prey or an attacker.
+ * @property {number} distanceToTargetSq - Infinity without a target.
+ * @property {number} perceptionRangeSq
+ * @property {number} attackDistanceSq
+ * @property {boolean} targetNear - Has a target it is aware of.
+ * @property {boolean} wasHit - Took damage since the previous frame.
+ * @property {THREE.Vector3} targetPosition - Without a target, the player's position.
+ * @property {THREE.Vector3} enemyPosition
+ */
+
+/**
+ * @typedef {object} AIBehavior
+ * @property {string} id
+ * @property {string} description
+ * @property {(system: import('./AISystem.js').AISystem, ctx: AIBehaviorContext) => string} update - Returns the next AI state.
+ * @property {boolean} [surroundsTarget] - Chasing members of a pack spread out around their target.
+ */
+
+export const DEFAULT_AI_BEHAVIOR = "aggressive_melee";
+
+/** @type {Object<string, AIBehavior>} */
+export const AI_BEHAVIORS = {
+  aggressive_melee: {
+    id: "aggressive_melee",
+    description:
+      "Chases and attacks its target on sight, flees when badly hurt.",
+    update(system, ctx) {
+      const state = ctx.enemy.aiComponent.currentState;
+      if (state === AI_STATES.FLEEING) return system.updateFleeing(ctx);
+      if (system.shouldFleeFromWounds(ctx)) return system.startFleeing(ctx);
+      if (state === AI_STATES.ATTACKING) return system.updateAttack(ctx);
+      if (ctx.targetNear) return system.updateChase(ctx);
+      return system.updateIdleWander(ctx);
+    },
+  },
+
+  passive_grazer: {
+    id: "passive_grazer",
+    description:
+      "Ignores the player and grazes, bolts from its attacker when hit (with ai.fleeOnSight, as soon as it notices a hostile). Never fights.",
+    update(system, ctx) {
+      if (ctx.enemy.aiComponent.currentState === AI_STATES.FLEEING) {
+        return system.updateFleeing(ctx, { canFight: false });
+      }
+      const spooked = ctx.targetNear && ctx.enemy.enemyConfig.ai?.fleeOnSight;
+      if (ctx.wasHit || spooked) {
+        return system.startFleeing(ctx, { canFight: false });
+      }
+      return system.updateIdleWander(ctx);
+    },
+  },
+
+  skittish: {
+    id: "skittish",
+    description: "Runs from its target on sight, only fights when cornered.",
+    update(system, ctx) {
+      const ai = ctx.enemy.aiComponent;
+      const state = ai.currentState;
+      if (state === AI_STATES.FLEEING) return system.updateFleeing(ctx);
+      if (state === AI_STATES.ATTACKING) return system.updateAttack(ctx);
+      // Cornered enemies fight until their cooldown runs out
+      if (ctx.targetNear && ai.fleeCooldownTimer > 0) {
+        return system.updateChase(ctx);
+      }
+      if (ctx.targetNear) return system.startFleeing(ctx);
+      return system.updateIdleWander(ctx);
+    },
+  },
+
+  territorial: {
+    id: "territorial",
+    description:
+      "Attacks intruders inside its territory, returns home when they leave.",
+    update(system, ctx) {
+      const { aiComponent: ai, enemyConfig: config } = ctx.enemy;
+      const state = ai.currentState;
+      const territoryRadius =
+        config.ai?.territoryRadius ?? config.ai?.wanderRadius ?? 15.0;
+      const targetInTerritory =
+        !ai.homePosition ||
+        ctx.targetPosition.distanceToSquared(ai.homePosition) <
+          territoryRadius * territoryRadius;
+
+      if (state === AI_STATES.FLEEING) return system.updateFleeing(ctx);
+      if (system.shouldFleeFromWounds(ctx)) return system.startFleeing(ctx);
+      if (state === AI_STATES.ATTACKING) return system.updateAttack(ctx);
+      if (ctx.targetNear && targetInTerritory) return system.updateChase(ctx);
+      if (state === AI_STATES.CHASING) {
+        // Intruder left (or was lost): walk back instead of pursuing
+        return system.returnHome(ctx);
+      }
+      return system.updateIdleWander(ctx);
+    },
+  },
+
+  pack_hunter: {
+    id: "pack_hunter",
+    description:
+      "Hunts with its spawner's pack: alerts packmates when it spots a target or is hit, surrounds the target, scatters when the leader dies.",
+    surroundsTarget: true, // AISystem spreads chasing packmates around their target
+    update(system, ctx) {
+      const ai = ctx.enemy.aiComponent;
+      const state = ai.currentState;
+      if (state === AI_STATES.FLEEING) return system.updateFleeing(ctx);
+      if (ctx.targetNear && system.isMoraleBroken(ctx)) {
+        return system.startFleeing(ctx);
+      }
+      if (system.shouldFleeFromWounds(ctx)) return system.startFleeing(ctx);
+      if (state === AI_STATES.ATTACKING) return system.updateAttack(ctx);
+      if (ctx.wasHit || (ctx.targetNear && state !== AI_STATES.CHASING)) {
+        system.alertPack(ctx);
+      }
+      // Alerted packmates have threat on the target, so they're targetNear too
+      if (ctx.targetNear) return system.updateChase(ctx);
+      return system.updateIdleWander(ctx);
+    },
+  },
+
+  ranged_caster: {
+    id: "ranged_caster",
+    description:
+      "Attacks from range and backs off when its target gets too close.",
+    update(system, ctx) {
+      const { aiComponent: ai, enemyConfig: config } = ctx.enemy;
+      const state = ai.currentState;
+      if (state === AI_STATES.FLEEING) return system.updateFleeing(ctx);
+      if (system.shouldFleeFromWounds(ctx)) return system.startFleeing(ctx);
+      if (state === AI_STATES.ATTACKING) return system.updateAttack(ctx);
+      if (!ctx.targetNear) return system.updateIdleWander(ctx);
+
+      const minDistance = config.ai?.preferredMinDistance ?? 0;
+      if (ctx.distanceToTargetSq < minDistance * minDistance) {
+        // Too close: back off, or stand and fight if there's no room
+        const retreatState = system.retreatFromTarget(ctx, minDistance * 2);
+        if (retreatState) return retreatState;
+      }
+      return system.updateChase(ctx);
+    },
+  },
+};
+
+const _warnedBehaviorIds = new Set(); // Warn once per unknown ID, update() runs every frame
+
+/**
+ * Looks up a behavior profile, falling back to the default for unknown IDs.
+ * @param {string | undefined} behaviorId
+ * @returns {AIBehavior}
+ */
+export function getAIBehavior(behaviorId) {
+  const behavior = AI_BEHAVIORS[behaviorId];
+  if (!behavior) {
+    if (behaviorId && !_warnedBehaviorIds.has(behaviorId)) {
+      _warnedBehaviorIds.add(behaviorId);
+      console.warn(
+        `[AIBehaviors] Unknown behavior "${behaviorId}", using ${DEFAULT_AI_BEHAVIOR}.`
+      );
+    }
+    return AI_BEHAVIORS[DEFAULT_AI_BEHAVIOR];
+  }
+  return behavior;
+}
@@ -1,16 +1,130 @@
 // src/systems/AISystem.js
 import { AI_STATES } from "../game/components/AIComponent.js";
+import { getAIBehavior } from "./AIBehaviors.js";
+import {
+  RELATIONS,
+  getFactionRelation,
+  getHostileFactionIds,
+} from "../config/FactionsConfig.js";
+import eventBus from "../core/EventBus.js";
 // import { PLAYER_CONFIG } from "../config/PlayerConfig.js";
 import * as THREE from "three";
 
+// Fleeing tuning
+const FLEE_DIRECTION_ANGLES = [
+  0,
+  Math.PI / 6,
+  -Math.PI / 6,
+  Math.PI / 3,
+  -Math.PI / 3,
+  Math.PI / 2,
+  -Math.PI / 2,
+]; // Tried in order, fanning out from "straight away from the player"
+const FLEE_MAX_SLOPE = 0.5; // Max height change per meter of a flee path
+const FLEE_LEG_MAX_SECONDS = 6.0; // Re-plan a flee leg after this long even if not reached
+const RETURN_HOME_MAX_SECONDS = 30.0; // Wander timer when walking home after fleeing
+const DEFAULT_PACK_RADIUS = 20.0; // pack_hunter: how far an alert reaches
+const PACK_ALERT_SECONDS = 8.0; // pack_hunter: alerted packmates aren't alerted again for this long
+const SURROUND_RADIUS_FACTOR = 0.8; // Surround slots sit at this fraction of attackDistance from the player
+const LEADER_DEATH_MORALE_LOSS = 0.7; // Morale lost by packmates when their leader dies
+const MORALE_BREAK_THRESHOLD = 0.5; // Below this, pack members flee on sight
+const MORALE_RECOVERY_PER_SECOND = 0.01; // ~1 minute to recover from a leader's death
+// Pathfinding tuning
+const NAV_REPATH_SECONDS = 1.0; // Re-plan paths this often (moving targets)
+const NAV_GOAL_MOVED_SQ = 4.0; // Re-plan at once if the destination moved more than 2m
+const NAV_WAYPOINT_REACHED_SQ = 0.64; // Within 0.8m a waypoint counts as reached
+const MAX_PATH_QUERIES_PER_FRAME = 3; // Spread A* cost over frames; others keep their old path
+// Perception tuning (enemy config `ai` can override viewAngle and hearingMultiplier)
+const DEFAULT_VIEW_ANGLE_DEGREES = 120; // Full width of the view cone
+const PERIPHERAL_RANGE_FACTOR = 0.25; // Outside the cone, the player is only seen this close (fraction of sight range)
+const TOUCH_RADIUS = 2.0; // Always noticed this close, seen or not
+const NIGHT_SIGHT_FACTOR = 0.45; // Sight range multiplier in full darkness
+const CROUCH_SIGHT_FACTOR = 0.5; // Sight range multiplier against a crouching player
+const DETECTION_GAIN_PER_SECOND = 2.5; // Seen at point blank; scales down to 20% at the edge of sight
+const DETECTION_DECAY_PER_SECOND = 0.25; // While the player is neither seen nor heard
+const AWARENESS_LOST_LEVEL = 0.2; // An aware enemy loses track of the player below this
+const WALK_NOISE_RADIUS = 4.0; // Footsteps heard within this range (sprinting and crouching below)
+const SPRINT_NOISE_RADIUS = 14.0;
+const NOISE_GAIN_PER_SECOND = 1.0; // Detection gained while hearing footsteps
+const LOUD_NOISE_RADIUS = 15.0; // Attacks and abilities
+const LOUD_NOISE_DETECTION = 0.6; // Detection gained per loud noise heard
+const LOUD_NOISE_MEMORY_SECONDS = 1.0; // Throttled (LOD) enemies can still hear a recent noise
+// Threat / targeting tuning
+const DAMAGE_THREAT_PER_POINT = 1.0; // Threat gained per point of damage taken from a target
+const NOTICED_THREAT = 5.0; // Score of a perceived hostile target with no threat yet
+const PROXIMITY_THREAT = 10.0; // Extra score at point blank, fading out at the edge of perception
+const PACK_ALERT_THREAT = 16.0; // Given to packmates on the alerting enemy's target (~8s of pursuit)
+const TAUNT_THREAT = 20.0; // Left behind on the taunter when a taunt starts
+const DEFAULT_TAUNT_RADIUS = 15.0;
+const DEFAULT_TAUNT_SECONDS = 6.0;
+const THREAT_DECAY_PER_SECOND = 2.0;
+const THREAT_LEASH_FACTOR = 2.5; // Threat on targets beyond perceptionRange * this is dropped
+const TARGET_SWITCH_MARGIN = 1.2; // Another target must out-score the current one by 20%
+
+/**
+ * Something enemies can fight: the player, an ally (tamed animal, summon),
+ * another player, or another enemy (see isHostile).
+ * @typedef {object} AITarget
+ * @property {string} id - Instance ID, also used as threat table key.
+ * @property {THREE.Object3D} object
+ * @property {Ammo.btRigidBody | null} physicsBody - Hit by melee raycasts, aimed at by projectiles.
+ * @property {import('../game/components/HealthComponent.js').HealthComponent} healthComponent
+ * @property {boolean} isPlayer
+ */
+
+/**
+ * Level-of-detail scheduling defaults, overridable per performance profile.
+ * Enemies tick at their tier's interval (seconds, by distance to the player)
+ * with the time accumulated since their last tick, so timers, cooldowns and
+ * regeneration catch up. Beyond their spawner's activation radius (or
+ * freezeDistance) they are frozen: no ticks and no accumulated time.
+ */
+export const DEFAULT_AI_LOD = {
+  tiers: [
+    { maxDistance: 30, interval: 0 }, // Every frame
+    { maxDistance: 60, interval: 0.2 },
+    { maxDistance: Infinity, interval: 0.5 },
+  ],
+  freezeDistance: 150, // For enemies not spawned by a spawner
+  frameBudgetMs: 4, // Ticks past this are deferred to the next frame (nearest tier is never deferred)
+  maxCatchUpSeconds: 2.0, // Longest gap a single tick simulates
+};
+const LOD_FROZEN = -1;
+
 export class AISystem {
   activeEnemies = new Map();
   playerRef = null;
+  /** @type {Map<string, AITarget>} Targets that aren't enemies (player, allies), by instance ID */
+  targets = new Map();
   physicsEngine = null;
   uiManager = null; // Assuming UIManager might be needed for feedback later
+  /** @type {import('../world/NavigationGrid.js').NavigationGrid | null} */
+  navigationGrid = null;
+  _pathQueriesThisFrame = 0;
+  /** @type {typeof DEFAULT_AI_LOD} */
+  lodSettings = DEFAULT_AI_LOD;
+  /** @type {{updated: number, deferred: number, frozen: number}} Last frame's scheduling counts */
+  lodStats = { updated: 0, deferred: 0, frozen: 0 };
+  /** @type {import('../world/DayNightSystem.js').DayNightSystem | null} */
+  dayNightSystem = null;
+  /** @type {import('../world/EnvironmentalEffectsSystem.js').EnvironmentalEffectsSystem | null} */
+  environmentalEffectsSystem = null;
+  /** @type {number} Highest detection level (0..1) any active enemy has of the player */
+  playerDetection = 0;
+  /** @type {boolean} True if any active enemy is aware of the player */
+  playerSpotted = false;
+
+  _sightFactor = 1.0; // Light level multiplier for sight range, per frame
+  _fogSightDistance = Infinity; // Per frame
+  _loudNoise = { id: 0, position: new THREE.Vector3(), timeLeft: 0 };
+  _losFrom = new THREE.Vector3();
+  _losTo = new THREE.Vector3();
+  _toPlayer = new THREE.Vector3();
 
   _enemyPos = new THREE.Vector3();
   _playerPos = new THREE.Vector3();
+  _targetPos = new THREE.Vector3(); // Current enemy's target, see _updateEnemy
+  _candidatePos = new THREE.Vector3();
   _moveDirection = new THREE.Vector3();
   // Add forward vector if needed for raycast inside applyEnemyAttackDamage
   _forward = new THREE.Vector3();
@@ -22,11 +136,34 @@ export class AISystem {
   _ammoQuaternion = null; // Initialize in constructor after Ammo load check
 
   _wanderOrigin = new THREE.Vector3(); // Reusable vector for wander origin
+  _fleeAway = new THREE.Vector3();
+  _fleeCandidate = new THREE.Vector3();
+  _upAxis = new THREE.Vector3(0, 1, 0);
+  _packmatePos = new THREE.Vector3();
+  _packOrigin = new THREE.Vector3();
+  _chaseDestination = new THREE.Vector3();
+  _steerTarget = new THREE.Vector3();
+  _lodPos = new THREE.Vector3();
 
-  constructor(physicsEngine, uiManager = null) {
+  /**
+   * @param {PhysicsEngine} physicsEngine
+   * @param {UIManager} [uiManager]
+   * @param {Partial<typeof DEFAULT_AI_LOD>} [lodSettings] - From the performance profile.
+   */
+  constructor(physicsEngine, uiManager = null, lodSettings = {}) {
     // Made uiManager optional
     this.physicsEngine = physicsEngine;
     this.uiManager = uiManager; // Store UIManager reference
+    this.lodSettings = { ...DEFAULT_AI_LOD, ...lodSettings };
+
+    // Loud player actions can be heard by enemies that don't see the player
+    this._boundOnLoudNoise = this._onPlayerLoudNoise.bind(this);
+    eventBus.on("playerAttack", this._boundOnLoudNoise);
+    eventBus.on("useAbility", this._boundOnLoudNoise);
+    // Damage dealt to enemies feeds their threat tables
+    eventBus.on("entityDamaged", this._onEntityDamaged.bind(this));
+    // Allies and abilities can pull enemies onto themselves
+    eventBus.on("taunt", this._onTaunt.bind(this));
 
     this._wanderOrigin = new THREE.Vector3(); // Initialize
 
@@ -60,9 +197,172 @@ export class AISystem {
     //   console.error("AISystem received NULL or UNDEFINED player reference!");
     // }
     this.playerRef = player;
+    if (player) this.registerTarget(player);
     console.log("AISystem: Player reference set.");
   }
 
+  /**
+   * Makes an entity a possible enemy target: allies, tamed animals, summons or
+   * another player. Enemies pick their target by threat, see _selectTarget.
+   * @param {THREE.Object3D} object - Needs userData.instanceId.
+   * @param {object} [options]
+   * @param {Ammo.btRigidBody} [options.physicsBody] - Defaults to userData.physicsBody.
+   * @param {import('../game/components/HealthComponent.js').HealthComponent} [options.healthComponent] - Defaults to userData.health / healthComponent.
+   * @returns {string | null} The target's ID, or null if it can't be a target.
+   */
+  registerTarget(object, { physicsBody, healthComponent } = {}) {
+    const id = object?.userData?.instanceId;
+    const health =
+      healthComponent ??
+      object?.userData?.health ??
+      object?.userData?.healthComponent;
+    if (!id || !health) {
+      console.warn(
+        "AISystem: Cannot register target without userData.instanceId and a HealthComponent.",
+        object
+      );
+      return null;
+    }
+    this.targets.set(id, {
+      id,
+      object,
+      physicsBody: physicsBody ?? object.userData.physicsBody ?? null,
+      healthComponent: health,
+      isPlayer: !!object.userData.isPlayer,
+    });
+    return id;
+  }
+
+  unregisterTarget(id) {
+    if (!this.targets.delete(id)) return;
+    this._forgetTarget(id);
+  }
+
+  /**
+   * @param {string | null} id
+   * @returns {AITarget | null} A registered target or a living enemy.
+   */
+  getTarget(id) {
+    if (!id) return null;
+    return this.targets.get(id) ?? this.activeEnemies.get(id)?.asTarget ?? null;
+  }
+
+  /**
+   * Whether an enemy attacks a target on sight. Towards the player and allies
+   * this follows the player's reputation with the enemy's faction, towards
+   * other enemies the faction relations (see FactionsConfig.js). Enemies
+   * without a faction attack the player on sight. Being hurt by anything makes
+   * an enemy fight back regardless (threat).
+   * @param {object} enemy - AISystem enemy record.
+   * @param {AITarget} target
+   */
+  isHostile(enemy, target) {
+    if (target === enemy.asTarget) return false;
+    const faction = enemy.enemyConfig.faction;
+    const other = this.activeEnemies.get(target.id);
+    if (!other) {
+      const reputation = this.playerRef?.userData?.reputation;
+      if (!faction || !reputation) return true;
+      return reputation.getStanding(faction) === RELATIONS.HOSTILE;
+    }
+    return (
+      getFactionRelation(faction, other.enemyConfig.faction) ===
+      RELATIONS.HOSTILE
+    );
+  }
+
+  /** Adds (or with a negative amount, removes) threat towards a target */
+  addThreat(enemy, targetId, amount) {
+    const threatTable = enemy.aiComponent.threatTable;
+    const threat = (threatTable.get(targetId) ?? 0) + amount;
+    if (threat > 0) threatTable.set(targetId, threat);
+    else threatTable.delete(targetId);
+  }
+
+  /**
+   * Forces living enemies around a point to attack the source for a while.
+   * @param {THREE.Object3D} source - A registered target (player or ally).
+   * @param {object} [options]
+   * @param {THREE.Vector3} [options.position] - Defaults to the source's position.
+   * @param {number} [options.radius]
+   * @param {number} [options.durationSeconds]
+   * @returns {number} Number of enemies taunted.
+   */
+  taunt(
+    source,
+    {
+      position = null,
+      radius = DEFAULT_TAUNT_RADIUS,
+      durationSeconds = DEFAULT_TAUNT_SECONDS,
+    } = {}
+  ) {
+    const target = this.getTarget(source?.userData?.instanceId);
+    if (!target) {
+      console.warn("AISystem: Taunt source is not a registered target.");
+      return 0;
+    }
+    const center = position ?? source.getWorldPosition(new THREE.Vector3());
+    const radiusSq = radius * radius;
+    let tauntedCount = 0;
+    for (const enemy of this.activeEnemies.values()) {
+      if (enemy.healthComponent.isDead() || enemy.asTarget === target) continue;
+      enemy.model.getWorldPosition(this._candidatePos);
+      if (this._candidatePos.distanceToSquared(center) > radiusSq) continue;
+      enemy.aiComponent.tauntTargetId = target.id;
+      enemy.aiComponent.tauntTimer = durationSeconds;
+      this.addThreat(enemy, target.id, TAUNT_THREAT);
+      tauntedCount++;
+    }
+    console.log(`AISystem: ${target.id} taunted ${tauntedCount} enemies.`);
+    return tauntedCount;
+  }
+
+  _onTaunt({ source, ...options } = {}) {
+    this.taunt(source, options);
+  }
+
+  _onEntityDamaged({ instanceId, amount, source } = {}) {
+    const enemy = this.activeEnemies.get(instanceId);
+    const sourceId = source?.userData?.instanceId;
+    if (!enemy || !sourceId || sourceId === instanceId) return;
+    if (!this.getTarget(sourceId)) return;
+    this.addThreat(enemy, sourceId, amount * DAMAGE_THREAT_PER_POINT);
+    // Getting hit by the player gives them away at once
+    if (source === this.playerRef) enemy.aiComponent.detection = 1;
+  }
+
+  /** Drops a target from every threat table and taunt */
+  _forgetTarget(id) {
+    for (const enemy of this.activeEnemies.values()) {
+      const ai = enemy.aiComponent;
+      ai.threatTable.delete(id);
+      if (ai.tauntTargetId === id) {
+        ai.tauntTargetId = null;
+        ai.tauntTimer = 0;
+      }
+    }
+  }
+
+  /**
+   * Enables pathfinding around obstacles and steep terrain.
+   * Without a grid, enemies steer straight at their destination.
+   * @param {import('../world/NavigationGrid.js').NavigationGrid | null} navigationGrid
+   */
+  setNavigationGrid(navigationGrid) {
+    this.navigationGrid = navigationGrid;
+    console.log("AISystem: Navigation grid set.");
+  }
+
+  /**
+   * Lets perception react to darkness and fog. Both are optional.
+   * @param {import('../world/DayNightSystem.js').DayNightSystem | null} dayNightSystem
+   * @param {import('../world/EnvironmentalEffectsSystem.js').EnvironmentalEffectsSystem | null} environmentalEffectsSystem
+   */
+  setEnvironmentSystems(dayNightSystem, environmentalEffectsSystem) {
+    this.dayNightSystem = dayNightSystem;
+    this.environmentalEffectsSystem = environmentalEffectsSystem;
+  }
+
   registerEnemy(instanceId, model, physicsBody) {
     // Check necessary components
     if (
@@ -85,6 +385,15 @@ export class AISystem {
       statsComponent: model.userData.statsComponent,
       enemyConfig: model.userData.enemyConfig,
       healthComponent: model.userData.healthComponent,
+      lod: { tier: 0, pendingDelta: 0, frozen: false }, // Scheduling state, see update()
+      // Lets other enemies (hunters, anything it hurt) target this one
+      asTarget: {
+        id: instanceId,
+        object: model,
+        physicsBody,
+        healthComponent: model.userData.healthComponent,
+        isPlayer: false,
+      },
     });
     console.log(
       `AISystem: Registered enemy ${instanceId}. Total: ${this.activeEnemies.size}`
@@ -93,6 +402,7 @@ export class AISystem {
 
   unregisterEnemy(instanceId) {
     this.activeEnemies.delete(instanceId);
+    this._forgetTarget(instanceId);
     console.log(
       `AISystem: Unregistered enemy ${instanceId}. Total: ${this.activeEnemies.size}`
     );
@@ -116,7 +426,12 @@ export class AISystem {
       // Check terrain height at the potential target location
       const targetY = this.physicsEngine.getHeightAt(targetX, targetZ);
 
-      if (targetY !== null) {
+      // Skip spots inside obstacles or on cliffs, if we have a nav grid
+      if (
+        targetY !== null &&
+        (!this.navigationGrid?.isReady ||
+          this.navigationGrid.isWalkableAt(targetX, targetZ))
+      ) {
         // Found a valid spot on the ground
         aiComponent.wanderTargetPosition = new THREE.Vector3(
           targetX,
@@ -134,6 +449,488 @@ export class AISystem {
     aiComponent.wanderTargetPosition = null; // Ensure target is cleared
   }
 
+  // ==========================================================================
+  // Shared behavior helpers
+  // Used by the profiles in AIBehaviors.js. Each takes the per-enemy context
+  // built in update() and returns the next AI state.
+  // ==========================================================================
+
+  /**
+   * Finds a destination away from the target, trying directions that fan out
+   * from "straight away" and skipping points off the terrain or up/down steep
+   * slopes. Expects this._enemyPos / this._targetPos to be current.
+   * @param {number} distance - How far to go.
+   * @returns {THREE.Vector3 | null} Null if every direction is blocked (cornered).
+   */
+  findFleeDestination(distance) {
+    this._fleeAway.subVectors(this._enemyPos, this._targetPos).setY(0);
+    if (this._fleeAway.lengthSq() < 0.0001) {
+      this._fleeAway.set(Math.random() - 0.5, 0, Math.random() - 0.5);
+    }
+    this._fleeAway.normalize();
+
+    for (const angle of FLEE_DIRECTION_ANGLES) {
+      this._fleeCandidate
+        .copy(this._fleeAway)
+        .applyAxisAngle(this._upAxis, angle);
+      const targetX = this._enemyPos.x + this._fleeCandidate.x * distance;
+      const targetZ = this._enemyPos.z + this._fleeCandidate.z * distance;
+      const midX = (this._enemyPos.x + targetX) / 2;
+      const midZ = (this._enemyPos.z + targetZ) / 2;
+      const targetY = this.physicsEngine.getHeightAt(targetX, targetZ);
+      const midY = this.physicsEngine.getHeightAt(midX, midZ);
+      if (targetY === null || midY === null) continue; // Off the terrain
+      if (
+        this.navigationGrid?.isReady &&
+        !this.navigationGrid.isWalkableAt(targetX, targetZ)
+      ) {
+        continue; // Inside an obstacle
+      }
+
+      const maxClimb = distance * FLEE_MAX_SLOPE;
+      if (
+        Math.abs(midY - this._enemyPos.y) > maxClimb / 2 ||
+        Math.abs(targetY - midY) > maxClimb / 2
+      ) {
+        continue; // Too steep to run through
+      }
+      return new THREE.Vector3(targetX, targetY, targetZ);
+    }
+    return null;
+  }
+
+  /** True if the enemy is wounded below its config's fleeHealthPercent */
+  shouldFleeFromWounds(ctx) {
+    const { aiComponent: ai, healthComponent: health } = ctx.enemy;
+    const fleeHealthPercent = ctx.enemy.enemyConfig.ai?.fleeHealthPercent ?? 0;
+    return (
+      fleeHealthPercent > 0 &&
+      ai.fleeCooldownTimer <= 0 &&
+      ctx.targetNear &&
+      health.currentHealth / health.maxHealth <= fleeHealthPercent
+    );
+  }
+
+  /**
+   * Breaks off and starts fleeing from the target.
+   * @param {object} ctx - Behavior context.
+   * @param {object} [options]
+   * @param {boolean} [options.canFight=true] - If false, a cornered enemy stands still instead of fighting.
+   */
+  startFleeing(ctx, { canFight = true } = {}) {
+    const { instanceId, enemy } = ctx;
+    const { aiComponent: ai, enemyConfig: config } = enemy;
+    const destination = this.findFleeDestination(
+      config.ai?.fleeDistance ?? ai.fleeDistance
+    );
+    if (!destination && canFight) {
+      return this.fightCornered(ctx);
+    }
+    ai.fleeTargetPosition = destination;
+    ai.fleeTimer = FLEE_LEG_MAX_SECONDS;
+    console.log(
+      `%c[${instanceId}] State: ${ai.currentState} -> FLEEING`,
+      "color: orange;"
+    );
+    this.uiManager?.log(`${config.name} is fleeing!`);
+    return AI_STATES.FLEEING;
+  }
+
+  /**
+   * Runs the FLEEING state: regenerates, re-plans flee legs, heads home once
+   * recovered and out of sight, and re-engages if caught or cornered.
+   * @param {object} ctx - Behavior context.
+   * @param {object} [options]
+   * @param {boolean} [options.canFight=true] - If false, never turns to fight.
+   */
+  updateFleeing(ctx, { canFight = true } = {}) {
+    const { enemy, delta, targetNear, distanceToTargetSq, attackDistanceSq } =
+      ctx;
+    const {
+      aiComponent: ai,
+      healthComponent: health,
+      enemyConfig: config,
+    } = enemy;
+
+    // Regenerate once per elapsed second (heal() logs/emits per call).
+    // Throttled LOD ticks can carry several seconds of catch-up delta.
+    ai.fleeRegenTimer += delta;
+    const regenPercent =
+      config.ai?.fleeRegenPercentPerSecond ?? ai.fleeRegenPercentPerSecond;
+    while (ai.fleeRegenTimer >= 1.0) {
+      ai.fleeRegenTimer -= 1.0;
+      health.heal(health.maxHealth * regenPercent);
+    }
+
+    const recoverPercent =
+      config.ai?.fleeRecoverHealthPercent ?? ai.fleeRecoverHealthPercent;
+    if (
+      health.currentHealth / health.maxHealth >= recoverPercent &&
+      !targetNear
+    ) {
+      // Recovered and safe: walk back to the spawn area
+      console.log(
+        `%c[${ctx.instanceId}] State: FLEEING -> WANDERING (recovered, returning home)`,
+        "color: orange;"
+      );
+      return this.returnHome(ctx);
+    }
+
+    // Caught: turn and fight
+    if (canFight && distanceToTargetSq < attackDistanceSq) {
+      return this.fightCornered(ctx);
+    }
+
+    ai.fleeTimer -= delta;
+    const reachedTarget =
+      !ai.fleeTargetPosition ||
+      this._enemyPos.distanceToSquared(ai.fleeTargetPosition) < 1.0;
+    if (reachedTarget || ai.fleeTimer <= 0) {
+      ai.fleeTimer = FLEE_LEG_MAX_SECONDS;
+      if (targetNear) {
+        ai.fleeTargetPosition = this.findFleeDestination(
+          config.ai?.fleeDistance ?? ai.fleeDistance
+        );
+        if (!ai.fleeTargetPosition && canFight) {
+          return this.fightCornered(ctx);
+        }
+      } else if (
+        ai.homePosition &&
+        this._enemyPos.distanceToSquared(ai.homePosition) > 4.0
+      ) {
+        // Out of sight: limp back home while regenerating
+        ai.fleeTargetPosition = ai.homePosition.clone();
+      } else {
+        ai.fleeTargetPosition = null; // Rest in place until recovered
+      }
+    }
+    return AI_STATES.FLEEING;
+  }
+
+  /** Cornered enemies re-engage and won't try to flee again for a while */
+  fightCornered(ctx) {
+    const { aiComponent: ai, enemyConfig: config } = ctx.enemy;
+    ai.fleeCooldownTimer =
+      config.ai?.corneredFightDuration ?? ai.corneredFightDuration;
+    console.log(
+      `%c[${ctx.instanceId}] Cornered! Re-engaging for ${ai.fleeCooldownTimer}s.`,
+      "color: orange;"
+    );
+    ai.actionTimer = 0; // Ready to attack right away
+    return AI_STATES.CHASING;
+  }
+
+  /** Walks back to the spawn position (via WANDERING) */
+  returnHome(ctx) {
+    const ai = ctx.enemy.aiComponent;
+    ai.wanderTargetPosition = ai.homePosition?.clone() ?? null;
+    ai.wanderTimer = RETURN_HOME_MAX_SECONDS;
+    return AI_STATES.WANDERING;
+  }
+
+  /**
+   * Backs away from the target (walking, still WANDERING) to open up distance.
+   * @returns {string | null} WANDERING, or null if there's no room to back off.
+   */
+  retreatFromTarget(ctx, distance) {
+    const ai = ctx.enemy.aiComponent;
+    const needsNewTarget =
+      ai.currentState !== AI_STATES.WANDERING ||
+      !ai.wanderTargetPosition ||
+      this._enemyPos.distanceToSquared(ai.wanderTargetPosition) < 0.25;
+    if (needsNewTarget) {
+      const destination = this.findFleeDestination(distance);
+      if (!destination) return null;
+      ai.wanderTargetPosition = destination;
+      ai.wanderTimer = FLEE_LEG_MAX_SECONDS;
+    }
+    return AI_STATES.WANDERING;
+  }
+
+  /** CHASING: closes in on the target and starts an attack when in range and off cooldown */
+  updateChase(ctx) {
+    const { instanceId, enemy, distanceToTargetSq, attackDistanceSq } = ctx;
+    const { aiComponent: ai, statsComponent: stats } = enemy;
+
+    if (ai.currentState !== AI_STATES.CHASING) {
+      ai.actionTimer = 0; // Ensure cooldown is ready
+    }
+
+    // Check if ALSO in attack range AND cooldown ready to transition CHASING -> ATTACKING
+    if (distanceToTargetSq < attackDistanceSq && ai.actionTimer <= 0) {
+      console.log(
+        `%c[${instanceId}] State: CHASING -> ATTACKING`,
+        "color: red;"
+      );
+      ai.triggerAttack = true; // Signal FSM
+      ai.actionTimer = stats.attackCooldown || 2.0; // Start cooldown timer
+      ai.damageAppliedThisAttack = false; // Reset damage flag
+      ai.attackDamageTimer = null; // Reset damage timer
+      return AI_STATES.ATTACKING;
+    }
+    return AI_STATES.CHASING;
+  }
+
+  /** ATTACKING: runs the cooldown, applies damage mid-swing, then re-evaluates */
+  updateAttack(ctx) {
+    const {
+      instanceId,
+      enemy,
+      delta,
+      distanceToTargetSq,
+      perceptionRangeSq,
+      attackDistanceSq,
+    } = ctx;
+    const ai = enemy.aiComponent;
+
+    // Check if target moved completely out of PERCEPTION range (or is gone) first
+    if (distanceToTargetSq >= perceptionRangeSq * 1.2) {
+      // Hysteresis
+      console.log(
+        `%c[${instanceId}] State: ATTACKING -> IDLE (Target lost completely)`,
+        "color: red;"
+      );
+      ai.actionTimer = 0; // Reset cooldown
+      ai.damageAppliedThisAttack = false; // Reset flags
+      ai.attackDamageTimer = null;
+      return AI_STATES.IDLE;
+    }
+
+    // Target is still perceived. Continue attack cycle.
+    // --- NO LONGER checking if player moved just outside attack range ---
+    // --- Let the timer run down ---
+
+    // Continue Cooldown and Damage Application Logic
+    if (ai.actionTimer > 0) {
+      ai.actionTimer -= delta;
+
+      // Damage Application Timer Logic (with final range check)
+      if (!ai.damageAppliedThisAttack) {
+        const damageApplyDelay = 0.5;
+        if (ai.attackDamageTimer === null)
+          ai.attackDamageTimer = damageApplyDelay;
+        ai.attackDamageTimer -= delta;
+        if (ai.attackDamageTimer <= 0) {
+          const finalDamageCheckSq = this._enemyPos.distanceToSquared(
+            this._targetPos
+          );
+          if (enemy.enemyConfig.projectile) {
+            // Ranged: the projectile itself decides whether it hits
+            this.fireEnemyProjectile(enemy);
+          } else if (finalDamageCheckSq < attackDistanceSq) {
+            this.applyEnemyAttackDamage(enemy);
+          } else {
+            console.log(
+              `[${instanceId}] Attack damage skipped: Target moved out of range just before hit.`
+            );
+          }
+          ai.damageAppliedThisAttack = true;
+          ai.attackDamageTimer = null;
+        }
+      }
+    } // End if (ai.actionTimer > 0)
+
+    // Cooldown still running, REMAIN IN ATTACKING state
+    if (ai.actionTimer > 0) return AI_STATES.ATTACKING;
+
+    console.log(
+      `%c[${instanceId}] State: ATTACKING -> Cooldown Finished. Re-evaluating...`,
+      "color: green;"
+    );
+    // Reset flags for the *next* potential attack
+    ai.damageAppliedThisAttack = false;
+    ai.attackDamageTimer = null;
+    // Attack cycle complete, decide next state based on perception range
+    // Action timer remains 0, CHASING state will handle transition
+    return distanceToTargetSq < perceptionRangeSq
+      ? AI_STATES.CHASING
+      : AI_STATES.IDLE;
+  }
+
+  /** IDLE / WANDERING when no target is a concern */
+  updateIdleWander(ctx) {
+    const { enemy, delta } = ctx;
+    const { aiComponent: ai, model } = enemy;
+
+    switch (ai.currentState) {
+      case AI_STATES.IDLE:
+        ai.actionTimer -= delta;
+        return ai.actionTimer <= 0 ? AI_STATES.WANDERING : AI_STATES.IDLE;
+
+      case AI_STATES.WANDERING: {
+        let nextState = AI_STATES.WANDERING;
+        ai.wanderTimer -= delta;
+        if (!ai.wanderTargetPosition || ai.wanderTimer <= 0) {
+          this._pickWanderTarget(ai, model);
+          if (ai.wanderTargetPosition) {
+            ai.wanderTimer =
+              Math.random() * (ai.maxWanderDuration - ai.minWanderDuration) +
+              ai.minWanderDuration;
+          } else {
+            nextState = AI_STATES.IDLE;
+          }
+        }
+        if (ai.wanderTargetPosition) {
+          const distToWanderTargetSq = this._enemyPos.distanceToSquared(
+            ai.wanderTargetPosition
+          );
+          // Throttled (LOD) ticks cover more ground between checks
+          const reachThreshold = Math.max(
+            0.5,
+            (enemy.statsComponent.speed || 3.0) * delta
+          );
+          const reachThresholdSq = reachThreshold * reachThreshold;
+          if (distToWanderTargetSq < reachThresholdSq) {
+            nextState = AI_STATES.IDLE;
+            ai.wanderTargetPosition = null;
+            ai.wanderTimer = 0;
+          }
+        }
+        return nextState;
+      }
+
+      default: // Includes CHASING case where the target was lost this frame
+        return AI_STATES.IDLE;
+    }
+  }
+
+  /**
+   * Enemies from the same spawner form a pack. Enemies without a spawner fall
+   * back to grouping by type.
+   */
+  getPackKey(enemy) {
+    return enemy.model.userData.spawnerId || enemy.enemyConfig.id;
+  }
+
+  /**
+   * Living packmates of an enemy within a radius.
+   * @param {string} instanceId
+   * @param {object} enemy - AISystem enemy record.
+   * @param {number} radius
+   * @returns {Array<[string, object]>} [instanceId, enemy] pairs.
+   */
+  _getPackmatesInRadius(instanceId, enemy, radius) {
+    const packKey = this.getPackKey(enemy);
+    const radiusSq = radius * radius;
+    enemy.model.getWorldPosition(this._packOrigin);
+    const packmates = [];
+    for (const [otherId, other] of this.activeEnemies.entries()) {
+      if (
+        otherId === instanceId ||
+        other.healthComponent.isDead() ||
+        this.getPackKey(other) !== packKey
+      ) {
+        continue;
+      }
+      other.model.getWorldPosition(this._packmatePos);
+      if (this._packmatePos.distanceToSquared(this._packOrigin) < radiusSq) {
+        packmates.push([otherId, other]);
+      }
+    }
+    return packmates;
+  }
+
+  /**
+   * Puts nearby packmates on alert: they gain threat on this enemy's target,
+   * so they join the chase even if they can't perceive it themselves.
+   */
+  alertPack(ctx) {
+    const { instanceId, enemy, target } = ctx;
+    if (!target) return;
+    const packRadius = enemy.enemyConfig.ai?.packRadius ?? DEFAULT_PACK_RADIUS;
+    let alertedCount = 0;
+    this._getPackmatesInRadius(instanceId, enemy, packRadius).forEach(
+      ([, other]) => {
+        if (other.aiComponent.alertTimer > 0) return;
+        other.aiComponent.alertTimer = PACK_ALERT_SECONDS;
+        this.addThreat(other, target.id, PACK_ALERT_THREAT);
+        alertedCount++;
+      }
+    );
+    if (alertedCount > 0) {
+      console.log(`[${instanceId}] Alerted ${alertedCount} packmates.`);
+    }
+  }
+
+  /** True if the pack's morale is broken (e.g. its leader just died) */
+  isMoraleBroken(ctx) {
+    return ctx.enemy.aiComponent.morale < MORALE_BREAK_THRESHOLD;
+  }
+
+  /** A pack leader died: nearby packmates lose morale */
+  _onPackLeaderDied(instanceId, enemy) {
+    const packRadius =
+      (enemy.enemyConfig.ai?.packRadius ?? DEFAULT_PACK_RADIUS) * 2;
+    const packmates = this._getPackmatesInRadius(instanceId, enemy, packRadius);
+    if (packmates.length === 0) return;
+    packmates.forEach(([, other]) => {
+      other.aiComponent.morale = Math.max(
+        0,
+        other.aiComponent.morale - LEADER_DEATH_MORALE_LOSS
+      );
+    });
+    console.log(
+      `%c[${instanceId}] Pack leader died, ${packmates.length} packmates lose morale.`,
+      "color: orange;"
+    );
+    this.uiManager?.log(
+      `The ${enemy.enemyConfig.name} falls, and its pack loses heart!`,
+      "orange"
+    );
+  }
+
+  /**
+   * Spreads chasing members of each pack around their shared target at evenly
+   * spaced angles, keeping their current circular order so they don't cross
+   * paths. Sets aiComponent.surroundAngle (null = chase the target directly).
+   */
+  _assignSurroundSlots() {
+    const packs = new Map(); // `${packKey}|${targetId}` -> [{ai, angle}]
+    for (const enemy of this.activeEnemies.values()) {
+      const ai = enemy.aiComponent;
+      ai.surroundAngle = null;
+      if (
+        !getAIBehavior(enemy.enemyConfig.ai?.behavior).surroundsTarget ||
+        (ai.currentState !== AI_STATES.CHASING &&
+          ai.currentState !== AI_STATES.ATTACKING)
+      ) {
+        continue;
+      }
+      const target = this.getTarget(ai.targetId);
+      if (!target) continue;
+      target.object.getWorldPosition(this._candidatePos);
+      enemy.model.getWorldPosition(this._packmatePos);
+      const angle = Math.atan2(
+        this._packmatePos.z - this._candidatePos.z,
+        this._packmatePos.x - this._candidatePos.x
+      );
+      const packKey = `${this.getPackKey(enemy)}|${target.id}`;
+      if (!packs.has(packKey)) packs.set(packKey, []);
+      packs.get(packKey).push({ ai, angle });
+    }
+
+    packs.forEach((members) => {
+      if (members.length < 2) return; // A lone hunter just charges
+      members.sort((a, b) => a.angle - b.angle);
+      const step = (Math.PI * 2) / members.length;
+      members.forEach((member, index) => {
+        member.ai.surroundAngle = members[0].angle + index * step;
+      });
+    });
+  }
+
+  /** Where a chasing enemy runs to: its surround slot, or the target */
+  _getChaseDestination(ai, config, result) {
+    if (ai.surroundAngle === null) return result.copy(this._targetPos);
+    const slotRadius =
+      (config.ai.attackDistance || 1.8) * SURROUND_RADIUS_FACTOR;
+    return result.set(
+      this._targetPos.x + Math.cos(ai.surroundAngle) * slotRadius,
+      this._targetPos.y,
+      this._targetPos.z + Math.sin(ai.surroundAngle) * slotRadius
+    );
+  }
+
   /** Main AI update loop, called by Game.js */
   update(delta) {
     // Add a check if the Ammo object failed to initialize
@@ -152,322 +949,680 @@ export class AISystem {
     }
 
     this.playerRef.getWorldPosition(this._playerPos);
+    this._assignSurroundSlots();
+    this._pathQueriesThisFrame = 0;
+    this._updatePerceptionEnvironment(delta);
 
+    // --- LOD Scheduling ---
+    // Pick who ticks this frame: nearest tier first, then the most overdue
+    const dueEnemies = [];
+    let frozenCount = 0;
+    let highestDetection = 0;
+    let spotted = false;
     for (const [instanceId, enemy] of this.activeEnemies.entries()) {
-      const {
-        model,
-        physicsBody: body,
-        aiComponent: ai,
-        animationFSM: fsm,
-        statsComponent: stats,
-        enemyConfig: config,
-        healthComponent: health,
-      } = enemy;
-
-      if (!ai || !body || !model || !stats || !config || !fsm || !health) {
-        console.warn(
-          `Skipping AI update for ${instanceId}: Missing components/config.`
-        );
+      const lod = enemy.lod;
+      const tier = this._getLodTier(enemy);
+      if (tier === LOD_FROZEN) {
+        if (!lod.frozen) this._freezeEnemy(enemy);
+        lod.pendingDelta = 0; // Frozen time is not simulated
+        frozenCount++;
         continue;
       }
+      lod.frozen = false;
+      lod.tier = tier;
+      if (!enemy.healthComponent.isDead()) {
+        highestDetection = Math.max(
+          highestDetection,
+          enemy.aiComponent.detection
+        );
+        spotted ||= enemy.aiComponent.isAwareOfPlayer;
+      }
+      lod.pendingDelta = Math.min(
+        lod.pendingDelta + delta,
+        this.lodSettings.maxCatchUpSeconds
+      );
+      if (lod.pendingDelta >= this.lodSettings.tiers[tier].interval) {
+        dueEnemies.push([instanceId, enemy]);
+      }
+    }
+    dueEnemies.sort(
+      ([, a], [, b]) =>
+        a.lod.tier - b.lod.tier || b.lod.pendingDelta - a.lod.pendingDelta
+    );
 
-      // --- DEATH CHECK ---
-      if (health.isDead()) {
-        // If state isn't DEAD yet, set it and stop physics
-        if (ai.currentState !== AI_STATES.DEAD) {
-          console.log(
-            `%c[${instanceId}] AISystem detected health <= 0. Setting state to DEAD.`,
-            "color: red; font-weight: bold;"
-          );
-          ai.setState(AI_STATES.DEAD);
-
-          // Stop physics movement immediately
-          if (body && !body.isStaticObject() && this.physicsEngine?.tempVec3) {
-            const physicsTempVec = this.physicsEngine.tempVec3;
-            physicsTempVec.setValue(0, 0, 0);
-            body.setLinearVelocity(physicsTempVec);
-            body.setAngularVelocity(physicsTempVec); // Stop rotation too
-            body.activate(true); // Ensure changes apply
-          }
-        }
-        // Update FSM to ensure it reflects the DEAD state
-        fsm?.update({
-          aiState: AI_STATES.DEAD,
-          isMoving: false,
-          triggerAttack: false,
-        });
-        // Skip all other AI logic for this dead enemy
-        continue;
+    const frameStart = performance.now();
+    let updatedCount = 0;
+    for (const [instanceId, enemy] of dueEnemies) {
+      // Over budget: the rest keep accumulating time and go first next frame
+      if (
+        enemy.lod.tier > 0 &&
+        performance.now() - frameStart > this.lodSettings.frameBudgetMs
+      ) {
+        break;
       }
+      this._updateEnemy(instanceId, enemy, enemy.lod.pendingDelta);
+      enemy.lod.pendingDelta = 0;
+      updatedCount++;
+    }
+    this.lodStats.updated = updatedCount;
+    this.lodStats.deferred = dueEnemies.length - updatedCount;
+    this.lodStats.frozen = frozenCount;
+    this.playerDetection = highestDetection;
+    this.playerSpotted = spotted;
+  } // End update()
 
-      // --- Perception & Distance ---
-      const currentState = ai.currentState;
-      model.getWorldPosition(this._enemyPos);
-      const distanceToPlayerSq = this._enemyPos.distanceToSquared(
-        this._playerPos
-      );
-      const perceptionRangeSq =
-        (stats.perceptionRange || 10.0) * (stats.perceptionRange || 10.0);
-      const attackDistanceSq =
-        (config.ai.attackDistance || 1.8) * (config.ai.attackDistance || 1.8);
+  /**
+   * LOD tier index for an enemy, or LOD_FROZEN. Enemies in combat or fleeing,
+   * and ones that just died, always run at full rate.
+   */
+  _getLodTier(enemy) {
+    const { aiComponent: ai, healthComponent: health, model } = enemy;
+    if (
+      ai.currentState === AI_STATES.CHASING ||
+      ai.currentState === AI_STATES.ATTACKING ||
+      ai.currentState === AI_STATES.FLEEING ||
+      (health.isDead() && ai.currentState !== AI_STATES.DEAD)
+    ) {
+      return 0;
+    }
+    model.getWorldPosition(this._lodPos);
+    const distanceSq = this._lodPos.distanceToSquared(this._playerPos);
+    const freezeDistance =
+      model.userData.activationRadius ?? this.lodSettings.freezeDistance;
+    if (distanceSq > freezeDistance * freezeDistance) return LOD_FROZEN;
 
-      let nextState = currentState;
-      let targetEntity = ai.targetEntity;
-      ai.triggerAttack = false; // Reset trigger
+    const tiers = this.lodSettings.tiers;
+    for (let i = 0; i < tiers.length; i++) {
+      if (distanceSq <= tiers[i].maxDistance * tiers[i].maxDistance) return i;
+    }
+    return tiers.length - 1;
+  }
 
-      // --- State Machine Logic ---
+  /** Stops a frozen enemy in place (keeping gravity) and idles its animation */
+  _freezeEnemy(enemy) {
+    const { physicsBody: body, aiComponent: ai, animationFSM: fsm } = enemy;
+    enemy.lod.frozen = true;
+    if (body && !body.isStaticObject() && this.physicsEngine?.tempVec3) {
+      const physicsTempVec = this.physicsEngine.tempVec3;
+      physicsTempVec.setValue(0, body.getLinearVelocity().y(), 0);
+      body.setLinearVelocity(physicsTempVec);
+    }
+    fsm?.update({
+      aiState: ai.currentState,
+      isMoving: false,
+      triggerAttack: false,
+    });
+  }
 
-      // 1. Check if player is detected (highest priority, unless already attacking)
-      if (
-        currentState !== AI_STATES.ATTACKING && // Don't interrupt attack immediately
-        distanceToPlayerSq < perceptionRangeSq &&
-        currentState !== AI_STATES.DEAD
-      ) {
-        // Player detected or still perceived (and not dead)
-        if (currentState !== AI_STATES.CHASING) {
-          // ... (Log transition to CHASING) ...
-          nextState = AI_STATES.CHASING;
-          ai.actionTimer = 0; // Ensure cooldown is ready
-          // ... (reset wander state) ...
-        } else {
-          nextState = AI_STATES.CHASING; // Remain chasing
-        }
-        targetEntity = this.playerRef;
-
-        // Check if ALSO in attack range AND cooldown ready to transition CHASING -> ATTACKING
-        if (distanceToPlayerSq < attackDistanceSq && ai.actionTimer <= 0) {
-          // ... (Log transition CHASING -> ATTACKING) ...
-          nextState = AI_STATES.ATTACKING;
-          ai.triggerAttack = true; // Signal FSM
-          ai.actionTimer = stats.attackCooldown || 2.0; // Start cooldown timer
-          ai.damageAppliedThisAttack = false; // Reset damage flag
-          ai.attackDamageTimer = null; // Reset damage timer
-        }
+  /**
+   * Runs one tick of an enemy's state machine, steering and animation.
+   * @param {string} instanceId
+   * @param {object} enemy - AISystem enemy record.
+   * @param {number} delta - Time since this enemy's last tick.
+   */
+  _updateEnemy(instanceId, enemy, delta) {
+    const {
+      model,
+      physicsBody: body,
+      aiComponent: ai,
+      animationFSM: fsm,
+      statsComponent: stats,
+      enemyConfig: config,
+      healthComponent: health,
+    } = enemy;
+
+    if (!ai || !body || !model || !stats || !config || !fsm || !health) {
+      console.warn(
+        `Skipping AI update for ${instanceId}: Missing components/config.`
+      );
+      return;
+    }
 
-        // 2. Logic for ATTACKING state
-      } else if (currentState === AI_STATES.ATTACKING) {
-        targetEntity = this.playerRef; // Keep targeting
+    // --- DEATH CHECK ---
+    if (health.isDead()) {
+      // If state isn't DEAD yet, set it and stop physics
+      if (ai.currentState !== AI_STATES.DEAD) {
+        console.log(
+          `%c[${instanceId}] AISystem detected health <= 0. Setting state to DEAD.`,
+          "color: red; font-weight: bold;"
+        );
+        ai.setState(AI_STATES.DEAD);
+        if (config.ai?.packLeader) {
+          this._onPackLeaderDied(instanceId, enemy);
+        }
 
-        // Check if target moved completely out of PERCEPTION range first
-        if (distanceToPlayerSq >= perceptionRangeSq * 1.2) {
-          // Hysteresis
-          console.log(
-            `%c[${instanceId}] State: ATTACKING -> IDLE (Player lost completely)`,
-            "color: red;"
-          );
-          nextState = AI_STATES.IDLE;
-          targetEntity = null;
-          ai.actionTimer = 0; // Reset cooldown
-          ai.damageAppliedThisAttack = false; // Reset flags
-          ai.attackDamageTimer = null;
-        } else {
-          // Player is still perceived. Continue attack cycle.
-          // --- NO LONGER checking if player moved just outside attack range ---
-          // --- Let the timer run down ---
-
-          // Continue Cooldown and Damage Application Logic
-          if (ai.actionTimer > 0) {
-            ai.actionTimer -= delta;
-
-            // Damage Application Timer Logic (with final range check)
-            if (!ai.damageAppliedThisAttack) {
-              const damageApplyDelay = 0.5;
-              if (ai.attackDamageTimer === null)
-                ai.attackDamageTimer = damageApplyDelay;
-              ai.attackDamageTimer -= delta;
-              if (ai.attackDamageTimer <= 0) {
-                const finalDamageCheckSq = this._enemyPos.distanceToSquared(
-                  this._playerPos
-                );
-                if (finalDamageCheckSq < attackDistanceSq) {
-                  this.applyEnemyAttackDamage(enemy);
-                } else {
-                  console.log(
-                    `[${instanceId}] Attack damage skipped: Target moved out of range just before hit.`
-                  );
-                }
-                ai.damageAppliedThisAttack = true;
-                ai.attackDamageTimer = null;
-              }
-            }
-          } // End if (ai.actionTimer > 0)
-
-          // Cooldown Finished Check
-          if (ai.actionTimer <= 0) {
-            console.log(
-              `%c[${instanceId}] State: ATTACKING -> Cooldown Finished. Re-evaluating...`,
-              "color: green;"
-            );
-            // Attack cycle complete, decide next state based on perception range
-            if (distanceToPlayerSq < perceptionRangeSq) {
-              console.log(` -> Transitioning back to CHASING`);
-              nextState = AI_STATES.CHASING;
-            } else {
-              console.log(
-                ` -> Transitioning back to IDLE (Player lost after attack)`
-              );
-              nextState = AI_STATES.IDLE;
-              targetEntity = null;
-            }
-            // Reset flags for the *next* potential attack
-            ai.damageAppliedThisAttack = false;
-            ai.attackDamageTimer = null;
-            // Action timer remains 0, CHASING state will handle transition
-          } else {
-            // Cooldown still running, REMAIN IN ATTACKING state
-            nextState = AI_STATES.ATTACKING;
-          }
-        } // End else (player still perceived)
-      } else if (currentState !== AI_STATES.DEAD) {
-        // --- Logic for IDLE or WANDERING when player is NOT detected ---
-        // (Keep your existing IDLE and WANDERING logic here)
-        switch (currentState) {
-          case AI_STATES.IDLE:
-            ai.actionTimer -= delta;
-            if (ai.actionTimer <= 0) {
-              nextState = AI_STATES.WANDERING;
-            } else {
-              nextState = AI_STATES.IDLE;
-            }
-            targetEntity = null;
-            break;
-
-          case AI_STATES.WANDERING:
-            ai.wanderTimer -= delta;
-            if (!ai.wanderTargetPosition || ai.wanderTimer <= 0) {
-              this._pickWanderTarget(ai, model);
-              if (ai.wanderTargetPosition) {
-                ai.wanderTimer =
-                  Math.random() *
-                    (ai.maxWanderDuration - ai.minWanderDuration) +
-                  ai.minWanderDuration;
-              } else {
-                nextState = AI_STATES.IDLE;
-              }
-            }
-            if (ai.wanderTargetPosition) {
-              const distToWanderTargetSq = this._enemyPos.distanceToSquared(
-                ai.wanderTargetPosition
-              );
-              const reachThresholdSq = 0.5 * 0.5;
-              if (distToWanderTargetSq < reachThresholdSq) {
-                nextState = AI_STATES.IDLE;
-                ai.wanderTargetPosition = null;
-                ai.wanderTimer = 0;
-              } else {
-                nextState = AI_STATES.WANDERING;
-              }
-            } else if (nextState !== AI_STATES.IDLE) {
-              nextState = AI_STATES.WANDERING;
-            }
-            targetEntity = null;
-            break;
-
-          default: // Includes CHASING case where player was lost this frame
-            nextState = AI_STATES.IDLE;
-            targetEntity = null;
-            break;
+        // Stop physics movement immediately
+        if (body && !body.isStaticObject() && this.physicsEngine?.tempVec3) {
+          const physicsTempVec = this.physicsEngine.tempVec3;
+          physicsTempVec.setValue(0, 0, 0);
+          body.setLinearVelocity(physicsTempVec);
+          body.setAngularVelocity(physicsTempVec); // Stop rotation too
+          body.activate(true); // Ensure changes apply
         }
       }
-      // End else (player not detected or dead)
+      // Update FSM to ensure it reflects the DEAD state
+      fsm?.update({
+        aiState: AI_STATES.DEAD,
+        isMoving: false,
+        triggerAttack: false,
+      });
+      // Skip all other AI logic for this dead enemy
+      return;
+    }
 
-      // --- Set final state and target ---
-      ai.targetEntity = targetEntity;
-      ai.setState(nextState); // AIComponent handles internal timer resets based on state change
+    // --- Perception & Distance ---
+    model.getWorldPosition(this._enemyPos);
+    const distanceToPlayerSq = this._enemyPos.distanceToSquared(
+      this._playerPos
+    );
+    const perceptionRangeSq =
+      (stats.perceptionRange || 10.0) * (stats.perceptionRange || 10.0);
+    const attackDistanceSq =
+      (config.ai.attackDistance || 1.8) * (config.ai.attackDistance || 1.8);
 
-      // --- Rotation / Facing Logic ---
-      let lookTargetPos = null;
-      if (ai.currentState === AI_STATES.CHASING && ai.targetEntity) {
-        lookTargetPos = this._playerPos;
-      } else if (
-        ai.currentState === AI_STATES.WANDERING &&
-        ai.wanderTargetPosition
-      ) {
-        lookTargetPos = ai.wanderTargetPosition;
-      } else if (ai.currentState === AI_STATES.ATTACKING && ai.targetEntity) {
-        lookTargetPos = this._playerPos; // Keep looking while attacking
-      }
+    ai.triggerAttack = false; // Reset trigger
+    if (ai.fleeCooldownTimer > 0) ai.fleeCooldownTimer -= delta;
+    if (ai.alertTimer > 0) ai.alertTimer -= delta;
+    if (ai.morale < 1.0) {
+      ai.morale = Math.min(1.0, ai.morale + MORALE_RECOVERY_PER_SECOND * delta);
+    }
+    // Took damage since last frame?
+    const wasHit =
+      ai.lastKnownHealth !== null && health.currentHealth < ai.lastKnownHealth;
+    ai.lastKnownHealth = health.currentHealth;
 
-      if (lookTargetPos) {
-        // Orient visual model
-        model.lookAt(lookTargetPos.x, model.position.y, lookTargetPos.z);
-
-        // Synchronize Physics Body Rotation (keep existing logic)
-        model.getWorldQuaternion(this._threeQuaternion);
-        this._ammoQuaternion.setValue(
-          this._threeQuaternion.x,
-          this._threeQuaternion.y,
-          this._threeQuaternion.z,
-          this._threeQuaternion.w
-        );
+    // --- Targeting ---
+    this._updatePerception(enemy, distanceToPlayerSq, delta);
+    const target = this._selectTarget(instanceId, enemy, delta);
+    if (target) {
+      target.object.getWorldPosition(this._targetPos);
+    } else {
+      this._targetPos.copy(this._playerPos); // Nothing to fight: keep away from the player
+    }
+    const distanceToTargetSq = target
+      ? this._enemyPos.distanceToSquared(this._targetPos)
+      : Infinity;
 
-        const transform = body.getWorldTransform();
-        transform.setRotation(this._ammoQuaternion);
-        body.setWorldTransform(transform);
-        const motionState = body.getMotionState();
-        if (motionState) {
-          motionState.setWorldTransform(transform);
-        }
-        body.activate(true);
+    // --- State Machine Logic (per behavior profile) ---
+    const behavior = getAIBehavior(config.ai?.behavior);
+    const nextState = behavior.update(this, {
+      instanceId,
+      enemy,
+      delta,
+      target,
+      distanceToTargetSq,
+      perceptionRangeSq,
+      attackDistanceSq,
+      targetNear: !!target,
+      wasHit,
+      targetPosition: this._targetPos,
+      enemyPosition: this._enemyPos,
+    });
+    // Only CHASING / ATTACKING enemies go after their target
+    const targetEntity =
+      nextState === AI_STATES.CHASING || nextState === AI_STATES.ATTACKING
+        ? (target?.object ?? null)
+        : null;
+
+    // --- Set final state and target ---
+    ai.targetEntity = targetEntity;
+    ai.targetId = target?.id ?? null;
+    ai.setState(nextState); // AIComponent handles internal timer resets based on state change
+
+    // --- Destination & Steering ---
+    // Where the current state wants to go; the nav grid picks the way there
+    let destination = null;
+    let shouldRun = false;
+    if (ai.currentState === AI_STATES.CHASING && ai.targetEntity) {
+      this._getChaseDestination(ai, config, this._chaseDestination);
+      // Hold position once in the surround slot
+      const dx = this._chaseDestination.x - this._enemyPos.x;
+      const dz = this._chaseDestination.z - this._enemyPos.z;
+      if (dx * dx + dz * dz > 0.25) destination = this._chaseDestination;
+      shouldRun = true;
+    } else if (
+      ai.currentState === AI_STATES.WANDERING &&
+      ai.wanderTargetPosition
+    ) {
+      destination = ai.wanderTargetPosition;
+    } else if (ai.currentState === AI_STATES.FLEEING && ai.fleeTargetPosition) {
+      destination = ai.fleeTargetPosition;
+      shouldRun = true;
+    }
+    const moveSpeed = shouldRun
+      ? stats.currentRunSpeed || stats.baseRunSpeed || 5.0
+      : stats.speed || 3.0;
+    const steerTarget = destination
+      ? this._getSteeringTarget(ai, destination, delta, moveSpeed * delta)
+      : null;
+
+    // --- Rotation / Facing Logic ---
+    let lookTargetPos = null;
+    if (
+      (ai.currentState === AI_STATES.CHASING ||
+        ai.currentState === AI_STATES.ATTACKING) &&
+      ai.targetEntity
+    ) {
+      // Face the target, unless a detour leads elsewhere
+      lookTargetPos =
+        steerTarget && steerTarget !== destination
+          ? steerTarget
+          : this._targetPos;
+    } else if (steerTarget) {
+      lookTargetPos = steerTarget;
+    }
+
+    if (lookTargetPos) {
+      // Orient visual model
+      model.lookAt(lookTargetPos.x, model.position.y, lookTargetPos.z);
+
+      // Synchronize Physics Body Rotation (keep existing logic)
+      model.getWorldQuaternion(this._threeQuaternion);
+      this._ammoQuaternion.setValue(
+        this._threeQuaternion.x,
+        this._threeQuaternion.y,
+        this._threeQuaternion.z,
+        this._threeQuaternion.w
+      );
+
+      const transform = body.getWorldTransform();
+      transform.setRotation(this._ammoQuaternion);
+      body.setWorldTransform(transform);
+      const motionState = body.getMotionState();
+      if (motionState) {
+        motionState.setWorldTransform(transform);
       }
+      body.activate(true);
+    }
 
-      // --- Movement Execution ---
-      const physicsTempVec = this.physicsEngine.tempVec3;
-      let desiredVelocityX = 0;
-      let desiredVelocityZ = 0;
-      let isMoving = false;
-      let moveSpeed = stats.speed || 3.0;
-
-      if (ai.currentState === AI_STATES.CHASING && ai.targetEntity) {
-        this._moveDirection
-          .subVectors(this._playerPos, this._enemyPos)
-          .normalize();
-        moveSpeed = stats.currentRunSpeed || stats.baseRunSpeed || 5.0;
-        desiredVelocityX = this._moveDirection.x * moveSpeed;
-        desiredVelocityZ = this._moveDirection.z * moveSpeed;
-        isMoving = true;
-      } else if (
-        ai.currentState === AI_STATES.WANDERING &&
-        ai.wanderTargetPosition
-      ) {
-        this._moveDirection
-          .subVectors(ai.wanderTargetPosition, this._enemyPos)
-          .normalize();
-        moveSpeed = stats.speed || 3.0;
+    // --- Movement Execution ---
+    // IDLE / ATTACKING (and arrived chasers) have no steer target and stop
+    const physicsTempVec = this.physicsEngine.tempVec3;
+    let desiredVelocityX = 0;
+    let desiredVelocityZ = 0;
+    let isMoving = false;
+
+    if (steerTarget) {
+      this._moveDirection.subVectors(steerTarget, this._enemyPos).setY(0);
+      if (this._moveDirection.lengthSq() > 0.0001) {
+        this._moveDirection.normalize();
         desiredVelocityX = this._moveDirection.x * moveSpeed;
         desiredVelocityZ = this._moveDirection.z * moveSpeed;
         isMoving = true;
-      } else if (
-        ai.currentState === AI_STATES.IDLE ||
-        ai.currentState === AI_STATES.ATTACKING
+      }
+    }
+
+    // Apply velocity
+    const currentVelocity = body.getLinearVelocity();
+    physicsTempVec.setValue(
+      desiredVelocityX,
+      currentVelocity.y(),
+      desiredVelocityZ
+    );
+    body.setLinearVelocity(physicsTempVec);
+    if (isMoving || ai.triggerAttack) {
+      body.activate(true);
+    }
+
+    // --- Update Animation FSM ---
+    const animationContext = {
+      aiState: ai.currentState,
+      isMoving: isMoving,
+      triggerAttack: ai.triggerAttack, // Pass trigger flag
+    };
+    fsm?.update(animationContext);
+  }
+
+  // ==========================================================================
+  // Perception
+  // Enemies build up a detection level (0..1) of the player from sight,
+  // footsteps and loud noises. At 1 they become aware of the player (and may
+  // target them) and stay aware until it decays below AWARENESS_LOST_LEVEL.
+  // Other targets are simply seen or not, see _canSee.
+  // ==========================================================================
+
+  /** Per-frame light and fog factors shared by every enemy */
+  _updatePerceptionEnvironment(delta) {
+    const daylight = this.dayNightSystem?.daylight ?? 1.0;
+    // Campfire light gives the player away even at night
+    const isLit = this.playerRef.userData.isNearCampfire;
+    this._sightFactor = isLit
+      ? 1.0
+      : THREE.MathUtils.lerp(NIGHT_SIGHT_FACTOR, 1.0, daylight);
+    this._fogSightDistance =
+      this.environmentalEffectsSystem?.getFogSightDistance() ?? Infinity;
+    if (this._loudNoise.timeLeft > 0) this._loudNoise.timeLeft -= delta;
+  }
+
+  _onPlayerLoudNoise() {
+    if (!this.playerRef) return;
+    this._loudNoise.id++;
+    this.playerRef.getWorldPosition(this._loudNoise.position);
+    this._loudNoise.timeLeft = LOUD_NOISE_MEMORY_SECONDS;
+  }
+
+  /**
+   * Updates an enemy's detection of the player. Expects this._enemyPos and
+   * this._playerPos to be current.
+   * @returns {boolean} True if the enemy is aware of the player.
+   */
+  _updatePerception(enemy, distanceToPlayerSq, delta) {
+    const {
+      aiComponent: ai,
+      statsComponent: stats,
+      enemyConfig: config,
+    } = enemy;
+    const stealth = this.playerRef.userData.stealth ?? {};
+    const distance = Math.sqrt(distanceToPlayerSq);
+    let gain = 0;
+
+    // Bumping into the player gives them away at once (so does hitting, see _onEntityDamaged)
+    if (distance <= TOUCH_RADIUS) {
+      ai.detection = 1;
+    }
+
+    // Sight: range shrinks in darkness, fog and against a crouching player
+    let sightRange = (stats.perceptionRange || 10.0) * this._sightFactor;
+    if (stealth.isCrouching) sightRange *= CROUCH_SIGHT_FACTOR;
+    sightRange = Math.min(sightRange, this._fogSightDistance);
+    if (
+      distance < sightRange &&
+      this._isInViewCone(enemy, distance, sightRange) &&
+      this._hasLineOfSight(enemy, this.playerRef.userData.physicsBody)
+    ) {
+      gain +=
+        DETECTION_GAIN_PER_SECOND * Math.max(0.2, 1 - distance / sightRange);
+    }
+
+    // Hearing: footsteps, plus recent attacks / ability casts
+    const hearing = config.ai?.hearingMultiplier ?? 1.0;
+    let footstepRadius = 0;
+    if (stealth.isSprinting) footstepRadius = SPRINT_NOISE_RADIUS;
+    else if (stealth.isMoving && !stealth.isCrouching)
+      footstepRadius = WALK_NOISE_RADIUS;
+    if (distance < footstepRadius * hearing) gain += NOISE_GAIN_PER_SECOND;
+
+    const noise = this._loudNoise;
+    if (
+      noise.timeLeft > 0 &&
+      ai.lastHeardNoiseId !== noise.id &&
+      this._enemyPos.distanceToSquared(noise.position) <
+        (LOUD_NOISE_RADIUS * hearing) ** 2
+    ) {
+      ai.lastHeardNoiseId = noise.id;
+      ai.detection += LOUD_NOISE_DETECTION;
+    }
+
+    ai.detection =
+      gain > 0
+        ? ai.detection + gain * delta
+        : ai.detection - DETECTION_DECAY_PER_SECOND * delta;
+    ai.detection = THREE.MathUtils.clamp(ai.detection, 0, 1);
+
+    if (ai.detection >= 1) ai.isAwareOfPlayer = true;
+    else if (ai.detection < AWARENESS_LOST_LEVEL) ai.isAwareOfPlayer = false;
+    return ai.isAwareOfPlayer;
+  }
+
+  /** Player inside the enemy's view cone, or close enough for peripheral vision */
+  _isInViewCone(enemy, distance, sightRange) {
+    if (distance < sightRange * PERIPHERAL_RANGE_FACTOR) return true;
+    const viewAngle =
+      enemy.enemyConfig.ai?.viewAngle ?? DEFAULT_VIEW_ANGLE_DEGREES;
+    enemy.model.getWorldDirection(this._forward).setY(0).normalize();
+    this._toPlayer.subVectors(this._playerPos, this._enemyPos).setY(0);
+    if (this._toPlayer.lengthSq() < 0.0001) return true;
+    this._toPlayer.normalize();
+    return (
+      this._forward.dot(this._toPlayer) >=
+      Math.cos(THREE.MathUtils.degToRad(viewAngle / 2))
+    );
+  }
+
+  /** Raycast from the enemy's head to a target's body: blocked by terrain, trees, rocks... */
+  _hasLineOfSight(enemy, targetBody) {
+    if (!targetBody) return true;
+    this._getEnemyHeadPosition(enemy, this._losFrom);
+    const targetCenter = targetBody.getWorldTransform().getOrigin();
+    this._losTo.set(targetCenter.x(), targetCenter.y(), targetCenter.z());
+
+    const hit = this.physicsEngine.raycast(
+      this._losFrom,
+      this._losTo,
+      enemy.physicsBody
+    );
+    if (!hit) return true;
+    Ammo.destroy(hit.point);
+    Ammo.destroy(hit.normal);
+    return hit.body === targetBody;
+  }
+
+  /** Plain sight check for targets other than the player: range (light, fog) and line of sight */
+  _canSee(enemy, target, distance, perceptionRange) {
+    const sightRange = Math.min(
+      perceptionRange * this._sightFactor,
+      this._fogSightDistance
+    );
+    return (
+      distance < sightRange && this._hasLineOfSight(enemy, target.physicsBody)
+    );
+  }
+
+  // ==========================================================================
+  // Targeting
+  // Each enemy keeps a threat table (damage taken from a target, pack alerts,
+  // taunts) that decays over time. Its target is the best scoring one of those
+  // and the hostile targets it perceives, closer ones scoring higher.
+  // ==========================================================================
+
+  /**
+   * Picks the enemy's target for this tick. A taunt overrides everything;
+   * otherwise the current target is kept unless another clearly out-scores it.
+   * Expects this._enemyPos to be current.
+   * @returns {AITarget | null}
+   */
+  _selectTarget(instanceId, enemy, delta) {
+    const {
+      aiComponent: ai,
+      statsComponent: stats,
+      enemyConfig: config,
+    } = enemy;
+    const perceptionRange = stats.perceptionRange || 10.0;
+    const leashRangeSq = (perceptionRange * THREAT_LEASH_FACTOR) ** 2;
+
+    // Threat fades; dead, removed or far away targets are forgotten
+    for (const [targetId, threat] of ai.threatTable) {
+      const target = this.getTarget(targetId);
+      const remaining = threat - THREAT_DECAY_PER_SECOND * delta;
+      if (
+        !target ||
+        target.healthComponent.isDead() ||
+        remaining <= 0 ||
+        this._getTargetDistanceSq(target) > leashRangeSq
       ) {
-        // Stop horizontal movement if IDLE or ATTACKING
-        desiredVelocityX = 0;
-        desiredVelocityZ = 0;
-        isMoving = false;
+        ai.threatTable.delete(targetId);
+      } else {
+        ai.threatTable.set(targetId, remaining);
       }
+    }
 
-      // Apply velocity
-      const currentVelocity = body.getLinearVelocity();
-      physicsTempVec.setValue(
-        desiredVelocityX,
-        currentVelocity.y(),
-        desiredVelocityZ
-      );
-      body.setLinearVelocity(physicsTempVec);
-      if (isMoving || ai.triggerAttack) {
-        body.activate(true);
+    if (ai.tauntTimer > 0) {
+      ai.tauntTimer -= delta;
+      const taunter = this.getTarget(ai.tauntTargetId);
+      if (taunter && !taunter.healthComponent.isDead()) return taunter;
+      ai.tauntTimer = 0;
+    }
+    ai.tauntTargetId = null;
+
+    let best = null;
+    let bestScore = 0;
+    const consider = (target) => {
+      const score = this._scoreTarget(enemy, target, perceptionRange);
+      if (score > bestScore) {
+        best = target;
+        bestScore = score;
+      }
+    };
+    this.targets.forEach(consider);
+    ai.threatTable.forEach((threat, targetId) =>
+      consider(this.getTarget(targetId))
+    );
+    const hostileFactions = getHostileFactionIds(config.faction);
+    if (hostileFactions.length > 0) {
+      for (const other of this.activeEnemies.values()) {
+        if (hostileFactions.includes(other.enemyConfig.faction)) {
+          consider(other.asTarget);
+        }
       }
+    }
 
-      // --- Update Animation FSM ---
-      const animationContext = {
-        aiState: ai.currentState,
-        isMoving: isMoving,
-        triggerAttack: ai.triggerAttack, // Pass trigger flag
-      };
-      fsm?.update(animationContext);
-    } // End loop through enemies
-  } // End update()
+    const current = this.getTarget(ai.targetId);
+    if (current && current !== best) {
+      const currentScore = this._scoreTarget(enemy, current, perceptionRange);
+      if (
+        currentScore > 0 &&
+        bestScore <= currentScore * TARGET_SWITCH_MARGIN
+      ) {
+        return current;
+      }
+    }
+    if (best && best !== current) {
+      console.log(
+        `%c[${instanceId}] Target: ${current?.id ?? "none"} -> ${best.id}`,
+        "color: orange;"
+      );
+    }
+    return best;
+  }
+
+  /** Threat plus, for perceived hostile targets, a proximity bonus. 0 = not a candidate */
+  _scoreTarget(enemy, target, perceptionRange) {
+    if (target === enemy.asTarget || target.healthComponent.isDead()) return 0;
+    let score = enemy.aiComponent.threatTable.get(target.id) ?? 0;
+    if (!this.isHostile(enemy, target)) return score;
+
+    const distance = Math.sqrt(this._getTargetDistanceSq(target));
+    const perceived =
+      target.object === this.playerRef
+        ? enemy.aiComponent.isAwareOfPlayer // Stealth model, see _updatePerception
+        : this._canSee(enemy, target, distance, perceptionRange);
+    if (perceived) {
+      score +=
+        NOTICED_THREAT +
+        PROXIMITY_THREAT * Math.max(0, 1 - distance / perceptionRange);
+    }
+    return score;
+  }
+
+  _getTargetDistanceSq(target) {
+    target.object.getWorldPosition(this._candidatePos);
+    return this._candidatePos.distanceToSquared(this._enemyPos);
+  }
+
+  /**
+   * Next point to steer towards on the way to a destination. Follows a cached
+   * NavigationGrid path, re-planned when the destination moves, the grid
+   * changes or the path gets old. Falls back to the destination itself when
+   * the way is clear, there is no grid, or no path was found.
+   * Expects this._enemyPos to be current.
+   * @param {object} ai - AIComponent.
+   * @param {THREE.Vector3} destination
+   * @param {number} delta
+   * @param {number} stepDistance - Distance covered until the next tick.
+   * @returns {THREE.Vector3}
+   */
+  _getSteeringTarget(ai, destination, delta, stepDistance) {
+    const grid = this.navigationGrid;
+    if (!grid?.isReady) return destination;
+
+    ai.navRepathTimer -= delta;
+    const goalMoved =
+      !ai.navGoal ||
+      ai.navGoal.distanceToSquared(destination) > NAV_GOAL_MOVED_SQ;
+    const needsRepath =
+      goalMoved || ai.navRepathTimer <= 0 || ai.navGridVersion !== grid.version;
+    if (
+      needsRepath &&
+      this._pathQueriesThisFrame < MAX_PATH_QUERIES_PER_FRAME
+    ) {
+      this._pathQueriesThisFrame++;
+      ai.navGoal = (ai.navGoal ?? new THREE.Vector3()).copy(destination);
+      ai.navRepathTimer = NAV_REPATH_SECONDS;
+      ai.navGridVersion = grid.version;
+      ai.navPath = grid.hasClearPath(this._enemyPos, destination)
+        ? null
+        : grid.findPath(this._enemyPos, destination);
+      ai.navPathIndex = 0;
+    } else if (goalMoved) {
+      // Out of budget and the old path leads somewhere else: go straight for now
+      return destination;
+    }
+    if (!ai.navPath) return destination;
+
+    // Skip waypoints already reached
+    const reachDistanceSq = Math.max(
+      NAV_WAYPOINT_REACHED_SQ,
+      stepDistance ** 2
+    );
+    while (ai.navPathIndex < ai.navPath.length) {
+      const waypoint = ai.navPath[ai.navPathIndex];
+      const dx = waypoint.x - this._enemyPos.x;
+      const dz = waypoint.z - this._enemyPos.z;
+      if (dx * dx + dz * dz > reachDistanceSq) break;
+      ai.navPathIndex++;
+    }
+    if (ai.navPathIndex >= ai.navPath.length) return destination;
+    return this._steerTarget.copy(ai.navPath[ai.navPathIndex]);
+  }
+
+  /**
+   * Approximate head position of an enemy (where attacks and projectiles start).
+   * @param {object} enemy - AISystem enemy record.
+   * @param {THREE.Vector3} target - Receives the position.
+   * @returns {THREE.Vector3}
+   */
+  _getEnemyHeadPosition(enemy, target) {
+    const { model, physicsBody, enemyConfig: config } = enemy;
+    const bodyHalfHeight =
+      physicsBody.userData?.bodyHalfHeight || config.physicsConfig?.hy || 0.5;
+    const bodyHalfDepth = config.physicsConfig?.hz || 0.5;
+    const headHeightFactor = 0.8;
+    const headForwardFactor = 0.6;
+    model.getWorldDirection(this._forward);
+    const bodyCenter = physicsBody.getWorldTransform().getOrigin();
+    target.set(bodyCenter.x(), bodyCenter.y(), bodyCenter.z());
+    target.y += bodyHalfHeight * headHeightFactor;
+    target.addScaledVector(this._forward, bodyHalfDepth * headForwardFactor);
+    return target;
+  }
+
+  /** Fires the enemy's configured projectile at its target's body center */
+  fireEnemyProjectile(enemy) {
+    const target = this.getTarget(enemy.aiComponent.targetId);
+    const targetBody = target?.physicsBody;
+    if (!targetBody) return;
+
+    const origin = this._getEnemyHeadPosition(enemy, new THREE.Vector3());
+    const targetCenter = targetBody.getWorldTransform().getOrigin();
+    const direction = new THREE.Vector3(
+      targetCenter.x(),
+      targetCenter.y(),
+      targetCenter.z()
+    )
+      .sub(origin)
+      .normalize();
+
+    eventBus.emit("fireProjectile", {
+      origin,
+      direction,
+      projectile: enemy.enemyConfig.projectile,
+      damage: enemy.statsComponent.currentDamage || 5,
+      casterBody: enemy.physicsBody,
+      casterName: enemy.enemyConfig.name,
+      caster: enemy.model,
+      target: target.object,
+    });
+  }
 
   /** Helper function to perform the damage check and application for an enemy attack */
   applyEnemyAttackDamage(enemy) {
@@ -478,8 +1633,8 @@ export class AISystem {
       aiComponent: ai,
       enemyConfig: config,
     } = enemy;
-    const playerBody = this.playerRef?.userData?.physicsBody;
-    const playerHealthComp = this.playerRef?.userData?.health;
+    const target = this.getTarget(ai?.targetId);
+    const targetBody = target?.physicsBody;
 
     if (
       !enemyModel ||
@@ -487,8 +1642,7 @@ export class AISystem {
       !enemyStats ||
       !ai?.targetEntity ||
       !config ||
-      !playerBody ||
-      !playerHealthComp
+      !targetBody
     ) {
       console.warn(
         "applyEnemyAttackDamage: Missing required components/references for attack check."
@@ -496,21 +1650,8 @@ export class AISystem {
       return;
     }
 
-    // --- Calculate _rayStart using head position logic
-    const bodyHalfHeight =
-      enemyBody.userData?.bodyHalfHeight || config.physicsConfig?.hy || 0.5;
-    const bodyHalfDepth = config.physicsConfig?.hz || 0.5;
-    const headHeightFactor = 0.8;
-    const headForwardFactor = 0.6;
-    enemyModel.getWorldDirection(this._forward);
-    const transform = enemyBody.getWorldTransform();
-    const bodyCenter = transform.getOrigin();
-    this._rayStart.set(bodyCenter.x(), bodyCenter.y(), bodyCenter.z());
-    this._rayStart.y += bodyHalfHeight * headHeightFactor;
-    this._rayStart.addScaledVector(
-      this._forward,
-      bodyHalfDepth * headForwardFactor
-    );
+    // --- Calculate _rayStart using head position logic (also sets this._forward)
+    this._getEnemyHeadPosition(enemy, this._rayStart);
 
     // --- Calculate Ray End ---
     const attackCheckRange =
@@ -537,25 +1678,27 @@ export class AISystem {
     const hitBody = hitResult?.body; // Get body from result
 
     // --- Process Hit ---
-    if (hitBody === playerBody) {
+    if (hitBody === targetBody) {
       // Check the extracted body
       const damage = enemyStats.currentDamage || 5;
       console.log(
-        `%c[${config.name}] Melee Hit connect! Dealing ${damage} damage to player.`,
+        `%c[${config.name}] Melee Hit connect! Dealing ${damage} damage to ${target.id}.`,
         "color: red; font-weight: bold;"
       );
-      this.uiManager?.log(
-        `Initial ${damage} damage from ${config.name}!`,
-        "red"
-      );
-      playerHealthComp.takeDamage(damage);
+      if (target.isPlayer) {
+        this.uiManager?.log(
+          `Initial ${damage} damage from ${config.name}!`,
+          "red"
+        );
+      }
+      target.healthComponent.takeDamage(damage, enemyModel);
     } else {
       const hitTargetName =
         hitBody?.userData?.nodeName ||
         hitBody?.userData?.threeObject?.name ||
         "something else"; // Use hitBody
       console.log(
-        `%c[${config.name}] Melee attack damage check missed player. Hit: ${hitTargetName}`,
+        `%c[${config.name}] Melee attack damage check missed its target. Hit: ${hitTargetName}`,
         "color: red; font-weight: bold;"
       );
     }
@@ -11,6 +11,14 @@ import { SceneManager } from "../world/SceneManager.js";
 import { UIManager } from "../ui/UIManager.js";
 import * as THREE from "three"; // For vector math, projectile creation etc.
 
+// Used when an enemy's `projectile` config leaves a value out
+const PROJECTILE_DEFAULTS = {
+  speed: 12.0, // m/s
+  maxRange: 25.0, // Despawns after travelling this far
+  radius: 0.15,
+  color: 0xff8844,
+};
+
 export class AbilitySystem {
   /** @type {PhysicsEngine} */
   physicsEngine;
@@ -18,16 +26,26 @@ export class AbilitySystem {
   sceneManager;
   /** @type {UIManager} */
   uiManager;
-  /** @type {Array<object>} List of active effects needing updates (e.g., projectiles) */
+  /** @type {import('../core/ResourceManager.js').ResourceManager | null} For projectile models */
+  resourceManager;
+  /** @type {Array<object>} In-flight projectiles {object, position, velocity, lifeTime, damage, casterBody, casterName, config} */
   activeProjectiles = []; // Tracking projectiles
+  /** @type {Array<object>} Damage-over-time effects {healthComponent, damagePerSecond, remaining, tickTimer, sourceName} */
+  activeDamageOverTime = [];
+
+  _projectileNextPos = new THREE.Vector3();
+  _spreadAxis = new THREE.Vector3();
 
-  constructor(physicsEngine, sceneManager, uiManager) {
+  constructor(physicsEngine, sceneManager, uiManager, resourceManager = null) {
     this.physicsEngine = physicsEngine;
     this.sceneManager = sceneManager;
     this.uiManager = uiManager;
+    this.resourceManager = resourceManager;
 
     // Listen for the event emitted by PlayerController
     eventBus.on("useAbility", this.handleUseAbility.bind(this));
+    // Enemies (AISystem) fire projectiles through this event
+    eventBus.on("fireProjectile", this.spawnProjectile.bind(this));
 
     console.log(
       "AbilitySystem initialized and listening for 'useAbility' events."
@@ -120,7 +138,7 @@ export class AbilitySystem {
         this.uiManager?.log(
           `Hit ${targetName} with ${abilityData.name} for ${calculatedDamage}!`
         );
-        targetHealthComp.takeDamage(calculatedDamage);
+        targetHealthComp.takeDamage(calculatedDamage, caster);
         // Handle death logic via events, not directly here
       } else {
         this.uiManager?.log(
@@ -205,63 +223,219 @@ export class AbilitySystem {
     }
   }
 
+  // --- Projectiles ---
+
+  /**
+   * Spawns a travelling projectile. Collision is checked each frame with a
+   * raycast along the distance travelled, so fast projectiles can't tunnel.
+   * @param {object} eventData
+   * @param {THREE.Vector3} eventData.origin - World position to fire from.
+   * @param {THREE.Vector3} eventData.direction - Aim direction (normalized).
+   * @param {object} eventData.projectile - Projectile config (see EnemiesConfig `projectile`).
+   * @param {number} eventData.damage - Damage dealt on hit.
+   * @param {Ammo.btRigidBody} [eventData.casterBody] - Ignored by the hit check.
+   * @param {string} [eventData.casterName] - For log messages.
+   * @param {THREE.Object3D} [eventData.caster] - Credited with the damage (threat).
+   * @param {THREE.Object3D} [eventData.target] - Intended target; besides the player, the only thing it can damage.
+   */
+  async spawnProjectile(eventData) {
+    const {
+      origin,
+      direction,
+      projectile: config = {},
+      damage = 0,
+      casterBody = null,
+      casterName = "Something",
+      caster = null,
+      target = null,
+    } = eventData || {};
+    if (!origin || !direction) {
+      console.warn("AbilitySystem: fireProjectile missing origin/direction.");
+      return;
+    }
+
+    const speed = config.speed ?? PROJECTILE_DEFAULTS.speed;
+    const maxRange = config.maxRange ?? PROJECTILE_DEFAULTS.maxRange;
+
+    // --- Aim with random spread (degrees, cone around the aim direction) ---
+    const aim = direction.clone().normalize();
+    const spreadRadians = THREE.MathUtils.degToRad(config.spread ?? 0);
+    if (spreadRadians > 0) {
+      this._spreadAxis
+        .set(Math.random() - 0.5, Math.random() - 0.5, Math.random() - 0.5)
+        .cross(aim)
+        .normalize();
+      if (this._spreadAxis.lengthSq() > 0) {
+        aim.applyAxisAngle(this._spreadAxis, Math.random() * spreadRadians);
+      }
+    }
+
+    const object = await this._createProjectileObject(config);
+    object.position.copy(origin);
+    this.sceneManager.add(object);
+
+    this.activeProjectiles.push({
+      object,
+      position: origin.clone(),
+      velocity: aim.multiplyScalar(speed),
+      lifeTime: maxRange / speed,
+      damage,
+      casterBody,
+      casterName,
+      caster,
+      target,
+      config,
+    });
+  }
+
+  /** Loads the configured model, or builds a small glowing sphere */
+  async _createProjectileObject(config) {
+    if (config.model?.path && this.resourceManager) {
+      try {
+        const { model } = await this.resourceManager.loadModel(config.model);
+        if (config.model.scale) model.scale.setScalar(config.model.scale);
+        return model;
+      } catch (error) {
+        console.warn(
+          `AbilitySystem: Failed to load projectile model ${config.model.path}, using sphere.`,
+          error
+        );
+      }
+    }
+    const color = config.color ?? PROJECTILE_DEFAULTS.color;
+    const mesh = new THREE.Mesh(
+      new THREE.SphereGeometry(
+        config.radius ?? PROJECTILE_DEFAULTS.radius,
+        8,
+        6
+      ),
+      new THREE.MeshStandardMaterial({
+        color,
+        emissive: color,
+        emissiveIntensity: 1.5,
+      })
+    );
+    mesh.userData.disposeOnRemove = true; // Generated, not shared with the model cache
+    return mesh;
+  }
+
+  _removeProjectile(index) {
+    const { object } = this.activeProjectiles[index];
+    this.sceneManager.remove(object);
+    if (object.userData.disposeOnRemove) {
+      object.geometry?.dispose();
+      object.material?.dispose();
+    }
+    this.activeProjectiles.splice(index, 1);
+  }
+
+  /** Applies damage and on-hit effects if the projectile hit the player or its intended target */
+  _handleProjectileHit(projectile, hitBody) {
+    const target = hitBody?.userData?.threeObject;
+    // Only the player and the caster's target take projectile damage, anything else just blocks it
+    const isPlayer = !!target?.userData?.isPlayer;
+    if (!target || (!isPlayer && target !== projectile.target)) return;
+
+    const { config, casterName } = projectile;
+    const projectileName = config.name || "projectile";
+    const healthComponent =
+      target.userData.health ?? target.userData.healthComponent;
+    const damage = Math.round(
+      projectile.damage * (config.damageMultiplier ?? 1.0)
+    );
+    if (healthComponent && damage > 0) {
+      if (isPlayer) {
+        this.uiManager?.log(
+          `${casterName}'s ${projectileName} hits you for ${damage}!`,
+          "red"
+        );
+      }
+      healthComponent.takeDamage(damage, projectile.caster);
+    }
+
+    (config.onHit || []).forEach((effect) => {
+      switch (effect.type) {
+        case "modifier":
+          // Fixed ID so repeated hits refresh the effect instead of stacking it
+          target.userData.stats?.applyModifier(
+            effect.stat,
+            effect.value,
+            effect.durationSeconds ?? 3,
+            `projectile_${config.id || projectileName}_${effect.stat}`
+          );
+          break;
+        case "damageOverTime":
+          if (healthComponent) {
+            this.activeDamageOverTime.push({
+              healthComponent,
+              damagePerSecond: effect.damagePerSecond ?? 1,
+              remaining: effect.durationSeconds ?? 3,
+              tickTimer: 0,
+              sourceName: projectileName,
+              source: projectile.caster,
+            });
+          }
+          break;
+        default:
+          console.warn(
+            `AbilitySystem: Unknown projectile on-hit effect '${effect.type}'.`
+          );
+      }
+    });
+  }
+
   /** Update active effects like projectiles */
   update(delta) {
     // --- Update Projectiles ---
     for (let i = this.activeProjectiles.length - 1; i >= 0; i--) {
-      const body = this.activeProjectiles[i];
-      const userData = body.userData;
-
-      userData.lifeTime -= delta;
-
-      // Check for collision (needs implementation in PhysicsEngine or here)
-      // const hitResult = this.physicsEngine.checkProjectileCollision(body); // Hypothetical collision check
-      const hitResult = null; // Placeholder
-
-      if (userData.lifeTime <= 0 || hitResult) {
-        if (hitResult) {
-          // Apply damage/effect to hitResult.targetBody
-          const targetHealth = hitResult.targetBody?.userData?.healthComponent;
-          if (targetHealth && hitResult.targetBody !== userData.casterBody) {
-            targetHealth.takeDamage(userData.abilityData.damage || 0);
-            console.log(`Projectile ${userData.abilityData.id} hit target.`);
-            this.uiManager?.log(`Projectile hit!`);
-          }
-        }
-        // Remove projectile
-        this.sceneManager.remove(userData.threeObject);
-        this.physicsEngine.removeBody(body);
-        if (userData.threeObject?.geometry)
-          userData.threeObject.geometry.dispose();
-        if (userData.threeObject?.material)
-          userData.threeObject.material.dispose();
-        this.activeProjectiles.splice(i, 1);
-        continue; // Skip movement update for removed projectile
+      const projectile = this.activeProjectiles[i];
+      projectile.lifeTime -= delta;
+      if (projectile.lifeTime <= 0) {
+        this._removeProjectile(i);
+        continue;
       }
 
-      // --- Move Kinematic Projectile ---
-      // This requires PhysicsEngine to handle kinematic bodies correctly
-      // or we manually set the transform each frame. Manual transform is simpler here:
-      const transform = body.getWorldTransform(); // Reuse existing method? Or body.getMotionState().getWorldTransform(this.physicsEngine.tempTransform)
-      const origin = transform.getOrigin();
-      const moveVec = userData.direction
-        .clone()
-        .multiplyScalar(userData.speed * delta);
-      const newPos = new THREE.Vector3(
-        origin.x() + moveVec.x,
-        origin.y() + moveVec.y,
-        origin.z() + moveVec.z
+      projectile.velocity.y -= (projectile.config.gravity ?? 0) * delta;
+      this._projectileNextPos
+        .copy(projectile.position)
+        .addScaledVector(projectile.velocity, delta);
+
+      // Swept collision check along this frame's travel
+      const hitResult = this.physicsEngine.raycast(
+        projectile.position,
+        this._projectileNextPos,
+        projectile.casterBody
       );
+      if (hitResult) {
+        this._handleProjectileHit(projectile, hitResult.body);
+        // IMPORTANT: Clean up the Ammo vectors from the raycast result
+        Ammo.destroy(hitResult.point);
+        Ammo.destroy(hitResult.normal);
+        this._removeProjectile(i);
+        continue;
+      }
 
-      // Update physics body transform directly (requires body to be kinematic and active)
-      this.physicsEngine.setBodyTransform(body, newPos, {
-        x: 0,
-        y: 0,
-        z: 0,
-        w: 1,
-      }); // Keep rotation identity for sphere
-      // Sync visual (should happen via PhysicsEngine update if linked correctly, or manual sync here)
-      // userData.threeObject.position.copy(newPos);
+      projectile.position.copy(this._projectileNextPos);
+      projectile.object.position.copy(projectile.position);
+      projectile.object.lookAt(
+        this._projectileNextPos.add(projectile.velocity)
+      ); // Face the direction of travel
+    }
+
+    // --- Update Damage Over Time (ticks once per second) ---
+    for (let i = this.activeDamageOverTime.length - 1; i >= 0; i--) {
+      const dot = this.activeDamageOverTime[i];
+      dot.remaining -= delta;
+      dot.tickTimer += delta;
+      if (dot.tickTimer >= 1.0) {
+        dot.tickTimer -= 1.0;
+        if (!dot.healthComponent.isDead()) {
+          dot.healthComponent.takeDamage(dot.damagePerSecond, dot.source);
+        }
+      }
+      if (dot.remaining <= 0 || dot.healthComponent.isDead()) {
+        this.activeDamageOverTime.splice(i, 1);
+      }
     }
   }
 } // End AbilitySystem class
@@ -2,6 +2,13 @@
 import { getItemData } from "../config/ItemConfig.js";
 import eventBus from "../core/EventBus.js";
 
+// Item field -> survival meter it refills (see StatsComponent.restoreSurvivalStat)
+const SURVIVAL_RESTORES = {
+  hungerRestore: { stat: "hunger", label: "Hunger" },
+  thirstRestore: { stat: "thirst", label: "Thirst" },
+  staminaRestore: { stat: "stamina", label: "Stamina" },
+};
+
 export class ConsumableSystem {
   /** @type {import('../Game.js').Game} */
   gameInstance; // Reference to get player components
@@ -20,6 +27,7 @@ export class ConsumableSystem {
     const player = this.gameInstance?.playerController?.player;
     const inventory = player?.userData?.inventory;
     const health = player?.userData?.health;
+    const stats = player?.userData?.stats;
     const uiManager = this.gameInstance?.uiManager;
 
     if (!itemId || !player || !inventory || !health || !uiManager) {
@@ -41,24 +49,45 @@ export class ConsumableSystem {
     }
 
     let effectApplied = false;
+    const effectsText = []; // For the single "Used X" log line
 
     // --- Apply Effects ---
     // Heal Effect
     if (itemData.healAmount && itemData.healAmount > 0) {
-      if (health.currentHealth >= health.maxHealth) {
-        uiManager.log("Your health is already full.");
-      } else {
+      if (health.currentHealth < health.maxHealth) {
         const healValue = itemData.healAmount;
         health.heal(healValue); // Use the heal method in HealthComponent
-        uiManager.log(
-          `Used ${itemData.name}. Healed for ${healValue}.`,
-          "green"
-        );
+        effectsText.push(`Healed for ${healValue}`);
         console.log(`Player used ${itemId}, healed ${healValue} HP.`);
         effectApplied = true;
       }
     }
 
+    // Survival Effects (food, drink)
+    for (const [field, { stat, label }] of Object.entries(SURVIVAL_RESTORES)) {
+      const restored = stats?.restoreSurvivalStat(stat, itemData[field]) || 0;
+      if (restored > 0) {
+        effectsText.push(`${label} +${Math.round(restored)}`);
+        effectApplied = true;
+      }
+    }
+
+    if (effectApplied) {
+      uiManager.log(
+        `Used ${itemData.name}. ${effectsText.join(", ")}.`,
+        "green"
+      );
+    } else {
+      const isMedicine = !Object.keys(SURVIVAL_RESTORES).some(
+        (field) => itemData[field] > 0
+      );
+      uiManager.log(
+        isMedicine
+          ? "Your health is already full."
+          : `You don't need ${itemData.name} right now.`
+      );
+    }
+
     // Add other consumable effects here (e.g., temporary buffs)
     // else if (itemData.buff) { ... apply buff via StatsComponent ... }
 
@@ -1,26 +1,76 @@
 // src/systems/CraftingSystem.js
-import { getRecipeData } from "../config/CraftingConfig.js";
-import { getItemData } from "../config/ItemConfig.js";
-// import eventBus from "../core/EventBus.js";
+import * as THREE from "three";
+import {
+  getRecipeData,
+  getRepairRecipe,
+  getStationData,
+  CRAFTING_STATIONS,
+  DEFAULT_CRAFT_TIME,
+  MAX_CRAFTING_QUEUE,
+} from "../config/CraftingConfig.js";
+import { getItemData, getMaxDurability } from "../config/ItemConfig.js";
+import eventBus from "../core/EventBus.js";
+import { rollItemInstance } from "../utils/ItemInstanceFactory.js";
 
+/**
+ * Timed crafting. Queued crafts take their ingredients right away (refunded on
+ * cancel) and finish one after another while the player stays near the
+ * recipe's station. Getting hit restarts the craft in progress.
+ */
 export class CraftingSystem {
   /** @type {import('../Game.js').Game} */
   gameInstance; // Reference to get player components
 
+  /**
+   * Pending crafts, the first one is in progress.
+   * @type {Array<{recipeId: string, progress: number, duration: number, waitingForStation: boolean, waitingForRoom: boolean}>}
+   */
+  queue = [];
+
+  _playerPos = new THREE.Vector3();
+
   constructor(gameInstance) {
     this.gameInstance = gameInstance;
+    this.queue = [];
+
+    this._boundHandleEntityDamaged = this.handleEntityDamaged.bind(this);
+    eventBus.on("entityDamaged", this._boundHandleEntityDamaged);
     console.log("CraftingSystem initialized.");
   }
 
+  _getPlayer() {
+    return this.gameInstance?.playerController?.player ?? null;
+  }
+
+  /**
+   * Whether the player is near the station a recipe needs.
+   * @param {object} recipe
+   * @returns {boolean} True if the recipe needs no station.
+   */
+  isNearStation(recipe) {
+    if (!recipe?.station) return true;
+    const player = this._getPlayer();
+    const placementSystem = this.gameInstance?.placementSystem;
+    if (!player || !placementSystem) return false;
+    player.getWorldPosition(this._playerPos);
+    return !!placementSystem.findNearbyStation(recipe.station, this._playerPos);
+  }
+
+  /** IDs of the crafting stations the player is standing near */
+  getNearbyStationIds() {
+    return Object.keys(CRAFTING_STATIONS).filter((stationId) =>
+      this.isNearStation({ station: stationId })
+    );
+  }
+
   /**
    * Checks if the player has enough ingredients to craft an item.
    * @param {string} outputItemId - The ID of the item to potentially craft.
-   * @returns {boolean} True if the item can be crafted, false otherwise.
+   * @returns {boolean} True if the ingredients are there.
    */
-  canCraft(outputItemId) {
+  hasIngredients(outputItemId) {
     const recipe = getRecipeData(outputItemId);
-    const inventory =
-      this.gameInstance?.playerController?.player?.userData?.inventory;
+    const inventory = this._getPlayer()?.userData?.inventory;
 
     if (!recipe || !inventory) {
       return false; // No recipe or inventory
@@ -34,15 +84,56 @@ export class CraftingSystem {
     return true; // All ingredients present
   }
 
+  /** Whether the player has learned a recipe (see RecipeBookComponent) */
+  knowsRecipe(outputItemId) {
+    const recipeBook = this._getPlayer()?.userData?.recipeBook;
+    return recipeBook ? recipeBook.isKnown(outputItemId) : true;
+  }
+
   /**
-   * Attempts to craft an item. Checks resources, consumes them, and adds the output.
+   * Checks the recipe is known, ingredients, station and queue space.
+   * @param {string} outputItemId - The ID of the item to potentially craft.
+   * @returns {boolean} True if the item can be queued right now.
+   */
+  canCraft(outputItemId) {
+    const recipe = getRecipeData(outputItemId);
+    return (
+      !!recipe &&
+      this.knowsRecipe(outputItemId) &&
+      this.queue.length < MAX_CRAFTING_QUEUE &&
+      this.hasIngredients(outputItemId) &&
+      this.isNearStation(recipe)
+    );
+  }
+
+  /**
+   * Whether the inventory can take a recipe's output.
+   * @returns {string | null} Why not, or null if it fits.
+   */
+  _getRoomProblem(recipe, inventory) {
+    const outputItemData = getItemData(recipe.outputItemId);
+    const outputWeight = (outputItemData?.weight || 0) * recipe.outputQuantity;
+    if (inventory.currentWeight + outputWeight > inventory.maxWeight) {
+      return "Not enough inventory weight capacity.";
+    }
+    // Simple slot check: Assume 1 new stack needed
+    if (
+      inventory.items.length >= inventory.size &&
+      !inventory.hasItem(recipe.outputItemId)
+    ) {
+      return "Inventory slots full.";
+    }
+    return null;
+  }
+
+  /**
+   * Queues a craft. Takes the ingredients now, the output arrives when done.
    * @param {string} outputItemId - The ID of the item to craft.
-   * @returns {boolean} True if crafting was successful, false otherwise.
+   * @returns {boolean} True if the craft was queued.
    */
-  craftItem(outputItemId) {
+  queueCraft(outputItemId) {
     const recipe = getRecipeData(outputItemId);
-    const inventory =
-      this.gameInstance?.playerController?.player?.userData?.inventory;
+    const inventory = this._getPlayer()?.userData?.inventory;
     const uiManager = this.gameInstance?.uiManager;
 
     if (!recipe || !inventory || !uiManager) {
@@ -52,80 +143,345 @@ export class CraftingSystem {
       return false;
     }
 
-    // 1. Check if craftable (enough resources)
-    if (!this.canCraft(outputItemId)) {
+    if (!this.knowsRecipe(outputItemId)) {
+      uiManager.log("Cannot craft: You don't know this recipe yet.");
+      return false;
+    }
+    if (this.queue.length >= MAX_CRAFTING_QUEUE) {
+      uiManager.log("Cannot craft: Crafting queue is full.", "orange");
+      return false;
+    }
+    if (!this.hasIngredients(outputItemId)) {
       uiManager.log("Cannot craft: Missing ingredients.");
       console.warn(`Crafting failed for ${outputItemId}: Missing ingredients.`);
       return false;
     }
-
-    // 2. Check if inventory has space/weight for the output
-    const outputItemData = getItemData(recipe.outputItemId);
-    const outputWeight = (outputItemData?.weight || 0) * recipe.outputQuantity;
-    if (inventory.currentWeight + outputWeight > inventory.maxWeight) {
-      uiManager.log("Cannot craft: Not enough inventory weight capacity.");
-      console.warn(`Crafting failed for ${outputItemId}: Overweight.`);
+    if (!this.isNearStation(recipe)) {
+      const stationName =
+        getStationData(recipe.station)?.name || recipe.station;
+      uiManager.log(`Cannot craft: You need to be near a ${stationName}.`);
       return false;
     }
-    // Simple slot check: Assume 1 new stack needed
+    const roomProblem = this._getRoomProblem(recipe, inventory);
+    if (roomProblem) {
+      uiManager.log(`Cannot craft: ${roomProblem}`);
+      console.warn(`Crafting failed for ${outputItemId}: ${roomProblem}`);
+      return false;
+    }
+
+    // Consume Ingredients
     if (
-      inventory.items.length >= inventory.size &&
-      !inventory.hasItem(recipe.outputItemId)
+      !this._consumeIngredients(recipe.ingredients, inventory, outputItemId)
     ) {
-      // Check if full AND player doesn't already have a stack of the output item
-      uiManager.log("Cannot craft: Inventory slots full.");
-      console.warn(
-        `Crafting failed for ${outputItemId}: Inventory slots full.`
-      );
+      uiManager.log("Crafting Error: Failed to consume ingredients.");
       return false;
     }
 
-    // 3. Consume Ingredients
-    let consumedSuccessfully = true;
-    for (const ingredient of recipe.ingredients) {
+    this.queue.push({
+      recipeId: outputItemId,
+      progress: 0,
+      duration: recipe.craftTime ?? DEFAULT_CRAFT_TIME,
+      waitingForStation: false,
+      waitingForRoom: false,
+    });
+    const outputName = getItemData(outputItemId)?.name || outputItemId;
+    if (this.queue.length > 1) {
+      uiManager.log(`Queued ${outputName} (${this.queue.length} in queue).`);
+    } else {
+      uiManager.log(`Crafting ${outputName}...`);
+    }
+    this._emitQueueChanged();
+    return true;
+  }
+
+  /**
+   * Takes ingredients from the inventory, all or nothing.
+   * @returns {boolean} False if something was missing (nothing is taken).
+   */
+  _consumeIngredients(ingredients, inventory, forItemId) {
+    const consumed = [];
+    for (const ingredient of ingredients) {
       const removedInfo = inventory.removeItem(
         ingredient.itemId,
         ingredient.quantity
       );
+      if (removedInfo?.quantity) {
+        consumed.push({
+          itemId: ingredient.itemId,
+          quantity: removedInfo.quantity,
+        });
+      }
       if (!removedInfo || removedInfo.quantity < ingredient.quantity) {
-        // This check *shouldn't* fail if canCraft passed, but good safety measure
-        consumedSuccessfully = false;
+        // This check *shouldn't* fail if the ingredients were checked, but good safety measure
         console.error(
-          `Crafting error: Failed to consume enough ${ingredient.itemId} for ${outputItemId}.`
+          `Crafting error: Failed to consume enough ${ingredient.itemId} for ${forItemId}.`
         );
-        // TODO: Potentially roll back previously consumed items? (More complex)
-        break;
+        consumed.forEach((item) =>
+          inventory.addItem(item.itemId, item.quantity)
+        ); // Roll back
+        return false;
       }
     }
+    return true;
+  }
 
-    if (!consumedSuccessfully) {
-      uiManager.log("Crafting Error: Failed to consume ingredients.");
-      return false; // Stop if consumption failed
+  /**
+   * Whether an item can be repaired right now: it is worn, has a repair
+   * recipe, the materials are there and the player is near its station.
+   * @param {string} itemId
+   * @param {number} durability - Current durability of the item.
+   * @returns {boolean}
+   */
+  canRepair(itemId, durability) {
+    const repair = getRepairRecipe(itemId);
+    const maxDurability = getMaxDurability(itemId);
+    const inventory = this._getPlayer()?.userData?.inventory;
+    return (
+      !!repair &&
+      !!inventory &&
+      maxDurability !== null &&
+      durability < maxDurability &&
+      repair.ingredients.every((ing) =>
+        inventory.hasItem(ing.itemId, ing.quantity)
+      ) &&
+      this.isNearStation(repair)
+    );
+  }
+
+  /**
+   * Repairs an inventory or equipped item to full durability, consuming the
+   * materials of its repair recipe.
+   * @param {{inventoryIndex?: number, slot?: string}} target - Where the item is.
+   * @returns {boolean} True if repaired.
+   */
+  repairItem({ inventoryIndex, slot } = {}) {
+    const player = this._getPlayer();
+    const inventory = player?.userData?.inventory;
+    const equipment = player?.userData?.equipment;
+    const uiManager = this.gameInstance?.uiManager;
+    const target =
+      slot !== undefined
+        ? equipment?.getEquippedItem(slot)
+        : inventory?.items[inventoryIndex];
+    if (!target || !inventory) return false;
+
+    const itemData = getItemData(target.itemId);
+    const repair = getRepairRecipe(target.itemId);
+    const maxDurability = getMaxDurability(target.itemId);
+    if (!repair || maxDurability === null) {
+      uiManager?.log(`${itemData?.name || target.itemId} can't be repaired.`);
+      return false;
+    }
+    if ((target.instance?.durability ?? maxDurability) >= maxDurability) {
+      uiManager?.log(`${itemData.name} doesn't need repairs.`);
+      return false;
+    }
+    if (!this.isNearStation(repair)) {
+      const stationName =
+        getStationData(repair.station)?.name || repair.station;
+      uiManager?.log(`Cannot repair: You need to be near a ${stationName}.`);
+      return false;
+    }
+    if (
+      !repair.ingredients.every((ing) =>
+        inventory.hasItem(ing.itemId, ing.quantity)
+      )
+    ) {
+      uiManager?.log("Cannot repair: Missing materials.");
+      return false;
+    }
+    // Taking materials can remove stacks and shift indexes, the repaired stack is looked up again below
+    const repairedItemId = target.itemId;
+    if (
+      !this._consumeIngredients(repair.ingredients, inventory, repairedItemId)
+    ) {
+      uiManager?.log("Repair Error: Failed to consume materials.");
+      return false;
+    }
+
+    if (slot !== undefined) {
+      equipment.setDurability(slot, maxDurability);
+    } else {
+      const index = inventory.findInstanceIndex(target.instance.uid);
+      inventory.setDurabilityAt(index, maxDurability);
+    }
+    uiManager?.log(`Repaired ${itemData.name}.`, "green");
+    console.log(`[Crafting] Repaired ${repairedItemId}.`);
+    return true;
+  }
+
+  /**
+   * Removes a queued craft and gives its ingredients back.
+   * @param {number} index - Position in the queue.
+   * @returns {boolean}
+   */
+  cancelCraft(index) {
+    const job = this.queue[index];
+    if (!job) return false;
+    const inventory = this._getPlayer()?.userData?.inventory;
+    if (!inventory) {
+      console.warn("CraftingSystem: No inventory to refund the craft into.");
+      return false;
     }
 
-    // 4. Add Output Item
+    // Refund the ingredients, whatever doesn't fit is dropped at the player's feet
+    const recipe = getRecipeData(job.recipeId);
+    let droppedAny = false;
+    recipe?.ingredients.forEach((ingredient) => {
+      const added = inventory.addItem(ingredient.itemId, ingredient.quantity);
+      const remainder = ingredient.quantity - added;
+      if (remainder > 0) {
+        droppedAny = true;
+        eventBus.emit("itemDropped", {
+          itemId: ingredient.itemId,
+          quantity: remainder,
+          itemData: getItemData(ingredient.itemId),
+          instances: [],
+        });
+      }
+    });
+    if (droppedAny) {
+      this.gameInstance?.uiManager?.log(
+        "Not enough room: some ingredients were dropped on the ground.",
+        "orange"
+      );
+    }
+    this.queue.splice(index, 1);
+
+    const outputName = getItemData(job.recipeId)?.name || job.recipeId;
+    this.gameInstance?.uiManager?.log(`Cancelled crafting ${outputName}.`);
+    this._emitQueueChanged();
+    return true;
+  }
+
+  /** Advances the craft in progress. Call every frame. */
+  update(delta) {
+    const job = this.queue[0];
+    if (!job) return;
+    const recipe = getRecipeData(job.recipeId);
+    const player = this._getPlayer();
+    const inventory = player?.userData?.inventory;
+    const uiManager = this.gameInstance?.uiManager;
+    if (!recipe || !inventory) {
+      console.warn(`CraftingSystem: Dropping invalid craft '${job.recipeId}'.`);
+      this.queue.shift();
+      this._emitQueueChanged();
+      return;
+    }
+
+    // --- Station: pause while away from it ---
+    if (!this.isNearStation(recipe)) {
+      if (!job.waitingForStation) {
+        job.waitingForStation = true;
+        const stationName =
+          getStationData(recipe.station)?.name || recipe.station;
+        uiManager?.log(
+          `Crafting paused. Return to a ${stationName} to continue.`,
+          "orange"
+        );
+      }
+      return;
+    }
+    job.waitingForStation = false;
+
+    job.progress = Math.min(job.duration, job.progress + delta);
+    if (job.progress < job.duration) return;
+
+    // --- Done: wait for room if the inventory filled up meanwhile ---
+    const roomProblem = this._getRoomProblem(recipe, inventory);
+    if (roomProblem) {
+      if (!job.waitingForRoom) {
+        job.waitingForRoom = true;
+        uiManager?.log(`Crafting paused: ${roomProblem}`, "orange");
+      }
+      return;
+    }
+
+    this.queue.shift();
+    // Crafted equipment rolls its quality and affixes here
     const addedCount = inventory.addItem(
       recipe.outputItemId,
-      recipe.outputQuantity
+      recipe.outputQuantity,
+      rollItemInstance(recipe.outputItemId, { craftedBy: player?.name })
     );
-
+    const outputName =
+      getItemData(recipe.outputItemId)?.name || recipe.outputItemId;
     if (addedCount >= recipe.outputQuantity) {
-      const outputName = outputItemData?.name || recipe.outputItemId;
-      uiManager.log(`Crafted ${recipe.outputQuantity}x ${outputName}!`);
+      uiManager?.log(
+        `Crafted ${recipe.outputQuantity}x ${outputName}!`,
+        "green"
+      );
       console.log(
         `Successfully crafted ${recipe.outputQuantity}x ${recipe.outputItemId}.`
       );
-      // Inventory UI update is handled by the 'inventoryChanged' event emitted by addItem/removeItem
-      return true;
+      eventBus.emit("itemCrafted", {
+        recipeId: job.recipeId,
+        itemId: recipe.outputItemId,
+        quantity: recipe.outputQuantity,
+      });
     } else {
-      uiManager.log(
+      uiManager?.log(
         `Crafting Error: Could not add ${recipe.outputItemId} to inventory.`
       );
       console.error(
         `Crafting error: Failed to add output ${recipe.outputItemId}. Added: ${addedCount}/${recipe.outputQuantity}`
       );
-      // TODO: Potentially roll back consumed items?
-      return false;
     }
+    this._emitQueueChanged();
+  }
+
+  /** Getting hit by something restarts the craft in progress */
+  handleEntityDamaged({ instanceId, source } = {}) {
+    const player = this._getPlayer();
+    const job = this.queue[0];
+    // Hunger, cold etc. have no source and don't interrupt (starving players need to cook)
+    if (!job || !source || instanceId !== player?.userData?.instanceId) return;
+    if (job.progress <= 0 || job.progress >= job.duration) return;
+
+    job.progress = 0;
+    const outputName = getItemData(job.recipeId)?.name || job.recipeId;
+    this.gameInstance?.uiManager?.log(
+      `Crafting ${outputName} interrupted!`,
+      "orange"
+    );
+    this._emitQueueChanged();
+  }
+
+  _emitQueueChanged() {
+    eventBus.emit("craftingQueueChanged", { queue: this.queue });
+  }
+
+  /** Returns a plain array for saving (ingredients are already spent) */
+  getQueueState() {
+    return this.queue.map((job) => ({
+      recipeId: job.recipeId,
+      progress: job.progress,
+    }));
+  }
+
+  /** Restores a saved queue, dropping recipes that no longer exist */
+  applyQueueState(state) {
+    this.queue = [];
+    if (Array.isArray(state)) {
+      state.forEach((saved) => {
+        const recipe = getRecipeData(saved?.recipeId);
+        if (!recipe || this.queue.length >= MAX_CRAFTING_QUEUE) return;
+        const duration = recipe.craftTime ?? DEFAULT_CRAFT_TIME;
+        this.queue.push({
+          recipeId: saved.recipeId,
+          progress: Math.max(0, Math.min(duration, saved.progress || 0)),
+          duration,
+          waitingForStation: false,
+          waitingForRoom: false,
+        });
+      });
+    }
+    this._emitQueueChanged();
+  }
+
+  destroy() {
+    eventBus.off("entityDamaged", this._boundHandleEntityDamaged);
+    this.queue = [];
+    console.log("CraftingSystem destroyed.");
   }
 }
@@ -1,5 +1,8 @@
 // src/systems/EnemyManager.js
 import { getEnemyData } from "../config/EnemiesConfig.js";
+import { getFactionData } from "../config/FactionsConfig.js";
+import { getItemData } from "../config/ItemConfig.js";
+import { resolveLootTable } from "../utils/LootTableResolver.js";
 import { HealthComponent } from "../game/components/HealthComponent.js";
 import { StatsComponent } from "../game/components/StatsComponent.js";
 import { LootComponent } from "../game/components/LootComponent.js"; // For potential loot table parsing
@@ -50,8 +53,14 @@ export class EnemyManager {
     console.log("EnemyManager initialized.");
   }
 
-  /** Spawns an enemy based on ID and position */
-  async spawnEnemy(enemyId, desiredPosition) {
+  /**
+   * Spawns an enemy based on ID and position
+   * @param {string} enemyId
+   * @param {{x: number, y?: number, z: number}} desiredPosition
+   * @param {object} [options]
+   * @param {string} [options.instanceId] - Reuse an existing instance ID (save restore).
+   */
+  async spawnEnemy(enemyId, desiredPosition, options = {}) {
     console.log(`Attempting to spawn enemy: ${enemyId} at`, desiredPosition);
     const enemyData = getEnemyData(enemyId);
     if (!enemyData) {
@@ -68,9 +77,9 @@ export class EnemyManager {
       const spawnGroundY = groundY ?? desiredPosition.y ?? 0;
 
       // Generate a unique ID for this specific instance (e.g., using UUID library or simple counter)
-      const instanceId = `${enemyId}_${Date.now()}_${Math.random()
-        .toString(16)
-        .slice(2)}`;
+      const instanceId =
+        options.instanceId ||
+        `${enemyId}_${Date.now()}_${Math.random().toString(16).slice(2)}`;
 
       // console.log(`Calculated spawn ground Y for ${enemyId}: ${spawnGroundY.toFixed(2)}`);
 
@@ -161,6 +170,11 @@ export class EnemyManager {
       // model.userData.statsComponent = new StatsComponent(enemyData.stats); // Pass base stats
 
       model.userData.aiComponent = new AIComponent(); // Basic AI state
+      model.userData.aiComponent.homePosition = new THREE.Vector3(
+        desiredPosition.x,
+        spawnGroundY,
+        desiredPosition.z
+      ); // Fleeing enemies return here
       model.userData.interactableComponent = new InteractableComponent(
         "enemy",
         { hostile: true }
@@ -228,9 +242,18 @@ export class EnemyManager {
     if (enemyInfo) {
       const { model, physicsBody, enemyId } = enemyInfo;
       const enemyData = getEnemyData(enemyId); // Get config data if needed for loot etc.
+      // Kills by other creatures (e.g. wolves hunting deer) earn the player nothing
+      const killer = eventData.killer;
+      const killedByPlayer = !killer || killer.userData?.isPlayer;
 
       // --- Grant XP to Player
-      if (
+      if (!killedByPlayer) {
+        console.log(
+          `[${instanceId}] Killed by ${
+            killer.userData?.instanceId || "another creature"
+          }, no XP granted.`
+        );
+      } else if (
         enemyData?.xpValue > 0 &&
         this.gameInstance?.playerController?.player
       ) {
@@ -259,6 +282,23 @@ export class EnemyManager {
       }
       // --- END Grant XP
 
+      // --- Adjust Player Reputation with the enemy's faction (and its rivals)
+      const playerReputation =
+        this.gameInstance?.playerController?.player?.userData?.reputation;
+      if (killedByPlayer && enemyData?.faction && playerReputation) {
+        playerReputation.recordKill(enemyData.faction).forEach((change) => {
+          const factionName =
+            getFactionData(change.factionId)?.name || change.factionId;
+          const sign = change.amount > 0 ? "+" : "";
+          this.uiManager?.log(
+            `${factionName} reputation ${sign}${change.amount}${
+              change.standingChanged ? ` (now ${change.standing})` : ""
+            }`,
+            change.amount > 0 ? "green" : "orange"
+          );
+        });
+      }
+
       // 1. Ensure AI State is DEAD and Animation is Triggered
       //    (AISystem should handle setting the state, which triggers the FSM)
       //    We assume the FSM has been updated by AISystem to play the death animation.
@@ -382,118 +422,115 @@ export class EnemyManager {
           deathPosition.y;
         const spawnOffset = 0.3; // How far apart items spawn
 
-        enemyData.lootTable.forEach(async (itemConfig, index) => {
-          // Check drop chance
-          if (Math.random() < itemConfig.chance) {
-            // Determine quantity (handle single value or range)
-            let quantityToDrop = 1;
-            if (Array.isArray(itemConfig.quantity)) {
-              quantityToDrop =
-                Math.floor(
-                  Math.random() *
-                    (itemConfig.quantity[1] - itemConfig.quantity[0] + 1)
-                ) + itemConfig.quantity[0];
-            } else {
-              quantityToDrop = itemConfig.quantity || 1;
-            }
+        // Roll the table once; level-scaled entries use the killer's level
+        const playerLevel =
+          this.gameInstance?.playerController?.player?.userData?.stats?.level ||
+          1;
+        const drops = resolveLootTable(enemyData.lootTable, {
+          level: playerLevel,
+        });
 
-            console.log(
-              `[${instanceId}] Dropping ${quantityToDrop}x ${itemConfig.itemId}`
-            );
+        drops.forEach(async (itemConfig, index) => {
+          const quantityToDrop = itemConfig.quantity;
 
-            for (let i = 0; i < quantityToDrop; i++) {
-              // Slightly randomize spawn position around death point
-              const spawnX =
-                deathPosition.x + (Math.random() - 0.5) * spawnOffset * 2;
-              const spawnZ =
-                deathPosition.z + (Math.random() - 0.5) * spawnOffset * 2;
-              // Use terrain height at the randomized spot, fallback to corpse height
-              const spawnY =
-                (this.physicsEngine.getHeightAt(spawnX, spawnZ) ?? baseSpawnY) +
-                0.35; // Spawn slightly above ground
-
-              // Define loot model path (use path from config or default)
-              const modelPath = itemConfig.modelPath;
-              // "/models/nature/Flower_3_Single.gltf"; // <<< Default/Test Path
-              if (!modelPath) {
-                console.warn(
-                  `[${instanceId}] No modelPath found for loot item ${itemConfig.itemId}. Skipping drop.`
-                );
-                continue; // Skip if no model path defined
-              }
+          console.log(
+            `[${instanceId}] Dropping ${quantityToDrop}x ${itemConfig.itemId}`
+          );
 
-              try {
-                // Load the loot model
-                // Use await here as loading is async. The forEach callback needs to be async.
-                const { model: lootModel } =
-                  await this.resourceManager.loadModel({ path: modelPath });
-                if (!lootModel) continue; // Skip if model failed to load
-
-                lootModel.position.set(spawnX, spawnY, spawnZ);
-                // Optional: Adjust loot scale or rotation
-                lootModel.scale.set(0.5, 0.5, 0.5); // Scale adjustment
-                lootModel.name = `Loot_${itemConfig.itemId}`;
-                lootModel.castShadow = true;
-                this.sceneManager.add(lootModel);
-
-                // Create physics body for the loot
-                const lootBodyOptions = {
-                  shape: "box", // Simple shape for flower base? Or sphere?
-                  hx: 0.2,
-                  hy: 0.25,
-                  hz: 0.2, // Small half-extents
-                  mass: 0.5, // Small mass to settle
-                  position: { x: spawnX, y: spawnY + 0.15, z: spawnZ - 0.3 }, // Center physics body
-                  friction: 0.8,
-                  restitution: 0.1,
-                  threeObject: lootModel,
-                  // Add components needed for interaction system
-                  interactionType: "collectable", // <<< Mark as collectable
-                  lootItemId: itemConfig.itemId, // Pass item ID for LootComponent
-                  lootQuantity: 1, // Each physics body represents 1 item stack
-                };
-                const lootBody = this.physicsEngine.createBody(lootBodyOptions);
-
-                if (lootBody) {
-                  // Link components created inside createBody
-                  lootModel.userData.physicsBody = lootBody;
-
-                  // TESTING: Add LootComponent to physics body
-                  // --- ***** EXPLICITLY ADD LootComponent ***** ---
-                  lootBody.userData.lootComponent = new LootComponent(
-                    itemConfig.itemId, // Get ID from loot table config
-                    1 // Quantity is 1 per loot object instance
-                  );
-                  // --- ***** END ADD LootComponent ***** ---
-
-                  // Add to InteractionSystem tracking if needed (check InteractionSystem structure)
-                  // Assuming InteractionSystem has a method or array like `collectableItems`
-                  // Add to InteractionSystem tracking
-                  if (
-                    this.interactionSystem &&
-                    Array.isArray(this.interactionSystem.collectableItems)
-                  ) {
-                    this.interactionSystem.collectableItems.push(lootBody);
-                    console.log(
-                      `[${instanceId}] Added ${itemConfig.itemId} loot body to InteractionSystem tracking.`
-                    );
-                  }
-                } else {
-                  console.error(
-                    `[${instanceId}] Failed to create physics body for loot ${itemConfig.itemId}. Cleaning up visual.`
+          for (let i = 0; i < quantityToDrop; i++) {
+            // Slightly randomize spawn position around death point
+            const spawnX =
+              deathPosition.x + (Math.random() - 0.5) * spawnOffset * 2;
+            const spawnZ =
+              deathPosition.z + (Math.random() - 0.5) * spawnOffset * 2;
+            // Use terrain height at the randomized spot, fallback to corpse height
+            const spawnY =
+              (this.physicsEngine.getHeightAt(spawnX, spawnZ) ?? baseSpawnY) +
+              0.35; // Spawn slightly above ground
+
+            // Define loot model path (use path from config or default)
+            const modelPath =
+              itemConfig.modelPath || getItemData(itemConfig.itemId)?.modelPath;
+            // "/models/nature/Flower_3_Single.gltf"; // <<< Default/Test Path
+            if (!modelPath) {
+              console.warn(
+                `[${instanceId}] No modelPath found for loot item ${itemConfig.itemId}. Skipping drop.`
+              );
+              continue; // Skip if no model path defined
+            }
+
+            try {
+              // Load the loot model
+              // Use await here as loading is async. The forEach callback needs to be async.
+              const { model: lootModel } = await this.resourceManager.loadModel(
+                { path: modelPath }
+              );
+              if (!lootModel) continue; // Skip if model failed to load
+
+              lootModel.position.set(spawnX, spawnY, spawnZ);
+              // Optional: Adjust loot scale or rotation
+              lootModel.scale.set(0.5, 0.5, 0.5); // Scale adjustment
+              lootModel.name = `Loot_${itemConfig.itemId}`;
+              lootModel.castShadow = true;
+              this.sceneManager.add(lootModel);
+
+              // Create physics body for the loot
+              const lootBodyOptions = {
+                shape: "box", // Simple shape for flower base? Or sphere?
+                hx: 0.2,
+                hy: 0.25,
+                hz: 0.2, // Small half-extents
+                mass: 0.5, // Small mass to settle
+                position: { x: spawnX, y: spawnY + 0.15, z: spawnZ - 0.3 }, // Center physics body
+                friction: 0.8,
+                restitution: 0.1,
+                threeObject: lootModel,
+                // Add components needed for interaction system
+                interactionType: "collectable", // <<< Mark as collectable
+                lootItemId: itemConfig.itemId, // Pass item ID for LootComponent
+                lootQuantity: 1, // Each physics body represents 1 item stack
+              };
+              const lootBody = this.physicsEngine.createBody(lootBodyOptions);
+
+              if (lootBody) {
+                // Link components created inside createBody
+                lootModel.userData.physicsBody = lootBody;
+
+                // TESTING: Add LootComponent to physics body
+                // --- ***** EXPLICITLY ADD LootComponent ***** ---
+                lootBody.userData.lootComponent = new LootComponent(
+                  itemConfig.itemId, // Get ID from loot table config
+                  1 // Quantity is 1 per loot object instance
+                );
+                // --- ***** END ADD LootComponent ***** ---
+
+                // Add to InteractionSystem tracking if needed (check InteractionSystem structure)
+                // Assuming InteractionSystem has a method or array like `collectableItems`
+                // Add to InteractionSystem tracking
+                if (
+                  this.interactionSystem &&
+                  Array.isArray(this.interactionSystem.collectableItems)
+                ) {
+                  this.interactionSystem.collectableItems.push(lootBody);
+                  console.log(
+                    `[${instanceId}] Added ${itemConfig.itemId} loot body to InteractionSystem tracking.`
                   );
-                  this.sceneManager.remove(lootModel);
-                  // Dispose geometry/material if appropriate
                 }
-              } catch (loadError) {
+              } else {
                 console.error(
-                  `[${instanceId}] Error loading loot model ${modelPath}:`,
-                  loadError
+                  `[${instanceId}] Failed to create physics body for loot ${itemConfig.itemId}. Cleaning up visual.`
                 );
+                this.sceneManager.remove(lootModel);
+                // Dispose geometry/material if appropriate
               }
-            } // end for quantity loop
-          } // end if chance check
-        }); // end forEach lootTable item
+            } catch (loadError) {
+              console.error(
+                `[${instanceId}] Error loading loot model ${modelPath}:`,
+                loadError
+              );
+            }
+          } // end for quantity loop
+        }); // end forEach rolled drop
       }
       // --- ***** END Process Loot Drop ***** ---
 
@@ -612,5 +649,116 @@ export class EnemyManager {
       );
     }
   }
-  // TODO: Add method to get active enemies, update logic etc.
+
+  /**
+   * Snapshot of living enemies for saving. Dead enemies (waiting for their
+   * delayed removal) are skipped.
+   * @returns {Array<object>} [{instanceId, enemyId, spawnerId, position, rotation, homePosition, health, aiState, actionTimer, wanderTimer}]
+   */
+  getActiveEnemiesState() {
+    const enemiesState = [];
+    this.activeEnemies.forEach(({ model, enemyId }, instanceId) => {
+      const health = model?.userData?.healthComponent;
+      const ai = model?.userData?.aiComponent;
+      if (!model || !health || health.isDead()) return;
+      enemiesState.push({
+        instanceId,
+        enemyId,
+        spawnerId: model.userData.spawnerId || null,
+        position: {
+          x: model.position.x,
+          y: model.position.y,
+          z: model.position.z,
+        },
+        rotation: {
+          x: model.quaternion.x,
+          y: model.quaternion.y,
+          z: model.quaternion.z,
+          w: model.quaternion.w,
+        },
+        homePosition: ai?.homePosition
+          ? {
+              x: ai.homePosition.x,
+              y: ai.homePosition.y,
+              z: ai.homePosition.z,
+            }
+          : null,
+        health: health.currentHealth,
+        aiState: ai?.currentState || AI_STATES.IDLE,
+        actionTimer: ai?.actionTimer ?? 0,
+        wanderTimer: ai?.wanderTimer ?? 0,
+      });
+    });
+    return enemiesState;
+  }
+
+  /**
+   * Respawns enemies from a save, restoring health, facing and AI state.
+   * @param {Array<object>} enemiesState - As produced by getActiveEnemiesState.
+   * @returns {Promise<number>} Number of enemies restored.
+   */
+  async spawnLoadedEnemies(enemiesState) {
+    if (!Array.isArray(enemiesState) || enemiesState.length === 0) return 0;
+    console.log(
+      `[EnemyManager] Restoring ${enemiesState.length} saved enemies...`
+    );
+    let restoredCount = 0;
+    for (const saved of enemiesState) {
+      if (!getEnemyData(saved.enemyId) || saved.health <= 0) {
+        console.warn(
+          `[EnemyManager] Skipping saved enemy with unknown type or no health:`,
+          saved
+        );
+        continue;
+      }
+      const instanceId = await this.spawnEnemy(saved.enemyId, saved.position, {
+        instanceId: saved.instanceId,
+      });
+      const enemyInfo = instanceId && this.activeEnemies.get(instanceId);
+      if (!enemyInfo) continue;
+
+      const { model, physicsBody } = enemyInfo;
+      if (saved.spawnerId) model.userData.spawnerId = saved.spawnerId;
+
+      const health = model.userData.healthComponent;
+      if (health) {
+        health.currentHealth = Math.min(health.maxHealth, saved.health);
+      }
+
+      if (saved.rotation) {
+        model.quaternion.set(
+          saved.rotation.x,
+          saved.rotation.y,
+          saved.rotation.z,
+          saved.rotation.w
+        );
+        const origin = physicsBody.getWorldTransform().getOrigin();
+        this.physicsEngine.setBodyTransform(
+          physicsBody,
+          { x: origin.x(), y: origin.y(), z: origin.z() },
+          saved.rotation
+        );
+      }
+
+      const ai = model.userData.aiComponent;
+      if (ai && saved.homePosition) {
+        ai.homePosition = new THREE.Vector3(
+          saved.homePosition.x,
+          saved.homePosition.y,
+          saved.homePosition.z
+        );
+      }
+      if (ai && saved.aiState && saved.aiState !== AI_STATES.DEAD) {
+        // Targets are re-acquired by AISystem on its next update
+        ai.setState(saved.aiState);
+        ai.actionTimer = saved.actionTimer ?? ai.actionTimer;
+        ai.wanderTimer = saved.wanderTimer ?? ai.wanderTimer;
+      }
+      restoredCount++;
+    }
+    console.log(
+      `[EnemyManager] Restored ${restoredCount}/${enemiesState.length} saved enemies.`
+    );
+    return restoredCount;
+  }
 }
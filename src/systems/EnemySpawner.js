@@ -2,8 +2,11 @@
 import * as THREE from "three";
 import { SPAWN_POINTS_CONFIG } from "../config/SpawnPointsConfig.js";
 import { getEnemyData } from "../config/EnemiesConfig.js";
+import { getBiomeData, getBiomeAt } from "../config/BiomesConfig.js";
 import eventBus from "../core/EventBus.js";
 
+const BIOME_SPAWN_ATTEMPTS = 5; // Random points tried to land a spawn inside the spawner's biome
+
 export class EnemySpawner {
   /** @type {import('./EnemyManager.js').EnemyManager} */
   enemyManager;
@@ -52,7 +55,29 @@ export class EnemySpawner {
     console.log("Initializing enemy spawners...");
     this.spawners = []; // Clear existing state if re-initializing
 
+    const seenIds = new Set();
     SPAWN_POINTS_CONFIG.forEach((config) => {
+      // Ids key saved cooldowns and packs, so they must be unique
+      if (seenIds.has(config.id)) {
+        console.warn(
+          `EnemySpawner: Duplicate spawner id "${config.id}", saves and packs will mix its enemies up.`
+        );
+      }
+      seenIds.add(config.id);
+      // Biome spawners default to the biome's wildlife and respawn pace
+      const biome = config.biome ? getBiomeData(config.biome) : null;
+      if (config.biome && !biome) {
+        console.warn(
+          `EnemySpawner: Unknown biome "${config.biome}" for spawner "${config.id}". Skipping.`
+        );
+        return;
+      }
+      if (biome && getBiomeAt(config.position.x, config.position.z) !== biome) {
+        console.warn(
+          `EnemySpawner: Spawner "${config.id}" is centered outside its biome "${biome.id}".`
+        );
+      }
+      const spawnList = config.spawnList ?? biome?.wildlife?.spawnList ?? [];
       const groundY = this.physicsEngine.getHeightAt(
         config.position.x,
         config.position.z
@@ -73,12 +98,16 @@ export class EnemySpawner {
           config.position.z
         ),
         activeSpawnedEnemies: new Set(), // Store instance IDs spawned by *this* spawner
+        pendingSpawns: 0, // Spawns still loading their model
         respawnTimer: 0, // Timer for respawning delay
         isActive: false, // Is the player currently within activation range?
-        totalWeight: config.spawnList.reduce(
-          (sum, item) => sum + item.weight,
-          0
-        ), // Pre-calculate total weight
+        biomeId: biome?.id ?? null,
+        spawnList,
+        respawnDelaySeconds:
+          config.respawnDelaySeconds ??
+          biome?.wildlife?.respawnDelaySeconds ??
+          60,
+        totalWeight: spawnList.reduce((sum, item) => sum + item.weight, 0), // Pre-calculate total weight
       });
     });
     console.log(
@@ -114,7 +143,7 @@ export class EnemySpawner {
         console.log(`Spawner "${spawner.config.id}" activated.`);
         spawner.isActive = true;
         this._tryInitialSpawn(spawner);
-        spawner.respawnTimer = spawner.config.respawnDelaySeconds; // Start timer after activation
+        spawner.respawnTimer = spawner.respawnDelaySeconds; // Start timer after activation
       } else if (!shouldBeActive && spawner.isActive) {
         // Player left activation radius
         console.log(`Spawner "${spawner.config.id}" deactivated.`);
@@ -131,13 +160,14 @@ export class EnemySpawner {
           spawner.respawnTimer -= delta;
         }
 
-        // Check if ready to spawn (timer done AND below max count)
+        // Check if ready to spawn (timer done AND below max count AND biome not full)
         if (
           spawner.respawnTimer <= 0 &&
-          spawner.activeSpawnedEnemies.size < spawner.config.maxEnemies
+          spawner.activeSpawnedEnemies.size < spawner.config.maxEnemies &&
+          this._getBiomeRoom(spawner) > 0
         ) {
           this._trySpawnEnemy(spawner);
-          spawner.respawnTimer = spawner.config.respawnDelaySeconds; // Reset timer after spawn attempt
+          spawner.respawnTimer = spawner.respawnDelaySeconds; // Reset timer after spawn attempt
         }
       }
     });
@@ -147,7 +177,10 @@ export class EnemySpawner {
   _tryInitialSpawn(spawner) {
     const needed = Math.max(
       0,
-      spawner.config.initialSpawnCount - spawner.activeSpawnedEnemies.size
+      Math.min(
+        spawner.config.initialSpawnCount - spawner.activeSpawnedEnemies.size,
+        this._getBiomeRoom(spawner)
+      )
     );
     console.log(
       `Spawner "${spawner.config.id}": Initial spawn - needing ${needed}`
@@ -165,7 +198,7 @@ export class EnemySpawner {
     let chosenEnemyId = null;
     const randomWeight = Math.random() * spawner.totalWeight;
     let weightSum = 0;
-    for (const spawnInfo of spawner.config.spawnList) {
+    for (const spawnInfo of spawner.spawnList) {
       weightSum += spawnInfo.weight;
       if (randomWeight <= weightSum) {
         chosenEnemyId = spawnInfo.enemyId;
@@ -181,10 +214,7 @@ export class EnemySpawner {
     }
 
     // --- Calculate Spawn Position ---
-    const angle = Math.random() * Math.PI * 2;
-    const radius = Math.random() * spawner.config.radius;
-    const spawnX = spawner.centerPosition.x + Math.cos(angle) * radius;
-    const spawnZ = spawner.centerPosition.z + Math.sin(angle) * radius;
+    const { x: spawnX, z: spawnZ } = this._pickSpawnPoint(spawner);
     const spawnY = this.physicsEngine.getHeightAt(spawnX, spawnZ); // Use actual terrain height from physicsEngine
     console.log(
       `[Spawner <span class="math-inline">\{spawner\.config\.id\}\] Attempting spawn at X\:</span>{spawnX.toFixed(1)}, Z:${spawnZ.toFixed(
@@ -213,10 +243,18 @@ export class EnemySpawner {
       `Spawner "${spawner.config.id}": Attempting to spawn ${chosenEnemyId} at`,
       spawnPosition
     );
-    const instanceId = await this.enemyManager.spawnEnemy(
-      chosenEnemyId,
-      spawnPosition
-    );
+    spawner.pendingSpawns++; // Counts towards the biome cap while loading
+    let instanceId = null;
+    try {
+      instanceId = await this.enemyManager.spawnEnemy(
+        chosenEnemyId,
+        spawnPosition
+      );
+    } catch (error) {
+      console.error(`Spawner "${spawner.config.id}": Spawn error:`, error);
+    } finally {
+      spawner.pendingSpawns--;
+    }
 
     if (instanceId) {
       spawner.activeSpawnedEnemies.add(instanceId);
@@ -224,6 +262,9 @@ export class EnemySpawner {
       const enemyInfo = this.enemyManager.activeEnemies.get(instanceId);
       if (enemyInfo?.model) {
         enemyInfo.model.userData.spawnerId = spawner.config.id;
+        // AISystem freezes the enemy when the player is beyond this range
+        enemyInfo.model.userData.activationRadius =
+          spawner.config.activationRadius * this.activationMultiplier;
       }
       console.log(
         `Spawner "${spawner.config.id}": Spawned ${instanceId} (${chosenEnemyId}). Active: ${spawner.activeSpawnedEnemies.size}/${spawner.config.maxEnemies}`
@@ -236,6 +277,48 @@ export class EnemySpawner {
     }
   }
 
+  /**
+   * Random point within the spawner's radius. Biome spawners retry a few
+   * times to keep their animals inside the biome.
+   * @returns {{x: number, z: number}}
+   */
+  _pickSpawnPoint(spawner) {
+    let point = null;
+    for (let attempt = 0; attempt < BIOME_SPAWN_ATTEMPTS; attempt++) {
+      const angle = Math.random() * Math.PI * 2;
+      const radius = Math.random() * spawner.config.radius;
+      point = {
+        x: spawner.centerPosition.x + Math.cos(angle) * radius,
+        z: spawner.centerPosition.z + Math.sin(angle) * radius,
+      };
+      if (
+        !spawner.biomeId ||
+        getBiomeAt(point.x, point.z)?.id === spawner.biomeId
+      ) {
+        break;
+      }
+    }
+    return point;
+  }
+
+  /**
+   * How many more animals the spawner's biome can hold. Counts live and
+   * still-loading spawns of every spawner in the biome.
+   * @returns {number} Infinity for spawners without a biome.
+   */
+  _getBiomeRoom(spawner) {
+    if (!spawner.biomeId) return Infinity;
+    const maxPopulation =
+      getBiomeData(spawner.biomeId)?.wildlife?.maxPopulation ?? Infinity;
+    let population = 0;
+    this.spawners.forEach((other) => {
+      if (other.biomeId === spawner.biomeId) {
+        population += other.activeSpawnedEnemies.size + other.pendingSpawns;
+      }
+    });
+    return Math.max(0, maxPopulation - population);
+  }
+
   /** Handles enemy death to decrement spawner count */
   handleEnemyDeath(eventData) {
     const instanceId = eventData?.instanceId;
@@ -257,6 +340,51 @@ export class EnemySpawner {
     });
   }
 
+  /**
+   * Snapshot of each spawner's runtime state for saving.
+   * @returns {Array<{id: string, respawnTimer: number, isActive: boolean}>}
+   */
+  getSpawnersState() {
+    return this.spawners.map((spawner) => ({
+      id: spawner.config.id,
+      respawnTimer: spawner.respawnTimer,
+      isActive: spawner.isActive,
+    }));
+  }
+
+  /**
+   * Restores spawner cooldowns from a save and re-links restored enemies to
+   * their spawner. Call after initializeSpawners() and after the saved enemies
+   * were spawned, so an active spawner doesn't fire its initial burst again.
+   * @param {Array<{id: string, respawnTimer: number, isActive: boolean}>} spawnersState
+   */
+  restoreSpawnersState(spawnersState) {
+    const savedById = new Map(
+      (Array.isArray(spawnersState) ? spawnersState : []).map((saved) => [
+        saved.id,
+        saved,
+      ])
+    );
+    this.spawners.forEach((spawner) => {
+      spawner.activeSpawnedEnemies.clear();
+      this.enemyManager.activeEnemies.forEach(({ model }, instanceId) => {
+        if (model?.userData?.spawnerId === spawner.config.id) {
+          spawner.activeSpawnedEnemies.add(instanceId);
+          model.userData.activationRadius =
+            spawner.config.activationRadius * this.activationMultiplier;
+        }
+      });
+
+      const saved = savedById.get(spawner.config.id);
+      if (!saved) return; // Spawner added after the save was made, start fresh
+      spawner.isActive = !!saved.isActive;
+      spawner.respawnTimer = Math.max(0, Number(saved.respawnTimer) || 0);
+    });
+    console.log(
+      `EnemySpawner: Restored state for ${savedById.size} saved spawners.`
+    );
+  }
+
   // TODO: Add cleanup method (e.g., clear spawners, remove listeners)
   destroy() {
     eventBus.off("enemyDied", this.handleEnemyDeath.bind(this));
@@ -13,7 +13,19 @@ import { ResourceNodeComponent } from "../game/components/ResourceNodeComponent.
 import { StatsComponent } from "../game/components/StatsComponent.js";
 import { LootComponent } from "../game/components/LootComponent.js";
 
-import { getItemData } from "../config/ItemConfig.js";
+import {
+  getItemData,
+  WEAPON_DURABILITY_LOSS_PER_HIT,
+} from "../config/ItemConfig.js";
+import { TOOL_NAMES } from "../config/ResourceConfig.js";
+import {
+  STORAGE_INTERACT_RANGE,
+  getStorageData,
+} from "../config/StorageConfig.js";
+import {
+  getInstanceName,
+  rollItemInstance,
+} from "../utils/ItemInstanceFactory.js";
 
 /**
  * Handles interactions between game entities triggered by events or checks.
@@ -39,6 +51,8 @@ export class InteractionSystem {
   closestCollectable = null;
   /** @type {Ammo.btRigidBody | null} Body of the resource node currently targeted by attack raycast */
   targetedResource = null;
+  /** @type {object | null} Placed storage container in reach (see PlacementSystem.findNearbyStorage) */
+  nearbyStorage = null;
 
   // Reusable THREE objects
   _forward = new THREE.Vector3();
@@ -172,6 +186,23 @@ export class InteractionSystem {
 
     this.uiManager.log(`Attack Hit: ${hitObjectName}`);
 
+    // --- Tool Gate (e.g. iron veins need a pickaxe) ---
+    if (isResource) {
+      const tool = this._getEquippedTool();
+      if (!interactableComp.allowsTool(tool.type, tool.tier)) {
+        const toolName =
+          TOOL_NAMES[interactableComp.requiresTool] ||
+          interactableComp.requiresTool;
+        this.uiManager.log(
+          `You need a ${toolName} (tier ${interactableComp.requiredToolTier}+) to harvest ${hitObjectName}.`,
+          "orange"
+        );
+        Ammo.destroy(hitResult.point);
+        Ammo.destroy(hitResult.normal);
+        return;
+      }
+    }
+
     // --- Handle Damageable Targets (Enemy or Resource) ---
     if (healthComp && (isEnemy || isResource)) {
       const attackerStatsComp =
@@ -212,11 +243,17 @@ export class InteractionSystem {
       // }
 
       // 2. Apply Damage
-      const died = healthComp.takeDamage(damageDealt);
+      const died = healthComp.takeDamage(damageDealt, attacker);
       console.log(
         `${hitObjectName} health after damage: ${healthComp.currentHealth}/${healthComp.maxHealth}`
       ); // Log health state *after* damage
 
+      // Every landed hit wears the weapon down (may break it)
+      attacker.userData?.equipment?.damageItem(
+        "weapon",
+        WEAPON_DURABILITY_LOSS_PER_HIT
+      );
+
       // 3. Update Bar Fill Percentage *AFTER* damage is applied
       this.uiManager.updateTargetHealth(); // <<< This now shows the health AFTER the hit
 
@@ -304,6 +341,7 @@ export class InteractionSystem {
     ) {
       this.gameInstance.permanentlyDepletedNodeIds.add(instanceId);
       console.log(`Added ${instanceId} to permanently depleted nodes.`);
+      eventBus.emit("resourceNodeDepleted", { instanceId }); // Frees nav grid cells
     }
     // --- End Add to Set ---
 
@@ -317,10 +355,10 @@ export class InteractionSystem {
 
       // --- Type-Specific Effect ---
       if (interactableComp.type === "cuttable" && resourceComp) {
-        const lootItemId = resourceComp.resourceId || "wood_log";
-        const lootQuantity = resourceComp.quantity || 1; // Note: we spawn 1 visual/physics body per unit
+        // One visual/physics body is spawned per unit
+        const lootItemIds = this._rollNodeLootItemIds(resourceComp, "wood_log");
         console.log(
-          `InteractionSystem: Cutting Tree to drop ${lootQuantity}x ${lootItemId}...`
+          `InteractionSystem: Cutting Tree to drop ${lootItemIds.join(", ")}...`
         );
 
         const originalPosition = new THREE.Vector3(
@@ -332,7 +370,8 @@ export class InteractionSystem {
         this.physicsEngine.removeBody(targetBody); // Remove original physics
 
         // --- Spawn Loot Logs ---
-        for (let i = 0; i < lootQuantity; i++) {
+        for (let i = 0; i < lootItemIds.length; i++) {
+          const lootItemId = lootItemIds[i];
           // Slightly randomize spawn position for multiple logs
           const spawnOffset = 0.4;
           const spawnX =
@@ -400,14 +439,11 @@ export class InteractionSystem {
             lootLogGeometry.dispose();
           }
         }
-        this.uiManager?.log(
-          `Spawned ${lootQuantity}x ${lootItemId} to collect.`
-        );
+        this.uiManager?.log(`Spawned ${lootItemIds.length} items to collect.`);
       } else if (interactableComp.type === "mineable" && resourceComp) {
         // ... (similar logic for spawning rocks/ore loot) ...
         // Remember to add modelPath and push to this.collectableItems
-        const lootItemId = resourceComp.resourceId || "stone";
-        const lootQuantity = resourceComp.quantity || 1;
+        const lootItemIds = this._rollNodeLootItemIds(resourceComp, "stone");
         // ... (get original position, remove old body/visual) ...
         const originalPosition = new THREE.Vector3(
           origin.x(),
@@ -417,7 +453,8 @@ export class InteractionSystem {
         this.instancedManager.hideInstance(targetBody);
         this.physicsEngine.removeBody(targetBody);
 
-        for (let i = 0; i < lootQuantity; i++) {
+        for (let i = 0; i < lootItemIds.length; i++) {
+          const lootItemId = lootItemIds[i];
           // ... (calculate randomized spawn position) ...
           const spawnOffset = 0.3;
           const spawnX =
@@ -464,16 +501,53 @@ export class InteractionSystem {
             lootGeometry.dispose();
           }
         }
-        this.uiManager?.log(
-          `Spawned ${lootQuantity}x ${lootItemId} to collect.`
-        );
+        this.uiManager?.log(`Spawned ${lootItemIds.length} items to collect.`);
       }
     }
     // Else: Already dynamic (e.g., tree part falling), or not static - ignore for spawning loot.
   } // End handleNodeDepletion
 
+  /**
+   * Rolls a depleted node's drops and flattens them to one item ID per unit,
+   * since each unit gets its own collectable body.
+   * @param {import('../game/components/ResourceNodeComponent.js').ResourceNodeComponent} resourceComp
+   * @param {string} fallbackItemId - Used if the node has no resourceId.
+   * @returns {string[]}
+   */
+  _rollNodeLootItemIds(resourceComp, fallbackItemId) {
+    const stats = this.playerRef?.userData?.stats;
+    const playerLevel = stats?.level || 1;
+    // More drops with the right tool and gathering skills
+    const tool = this._getEquippedTool();
+    const yieldMultiplier = resourceComp.getYieldMultiplier(
+      tool.type,
+      tool.tier,
+      stats?.currentGatheringYield || 0
+    );
+    const lootItemIds = [];
+    resourceComp
+      .rollDrops(playerLevel, yieldMultiplier)
+      .forEach(({ itemId, quantity }) => {
+        for (let i = 0; i < quantity; i++) {
+          lootItemIds.push(itemId || fallbackItemId);
+        }
+      });
+    return lootItemIds;
+  }
+
+  /**
+   * The player's equipped weapon as a gathering tool.
+   * @returns {{type: string | null, tier: number}} Null type for bare hands/non-tools.
+   */
+  _getEquippedTool() {
+    const weapon =
+      this.playerRef?.userData?.equipment?.getEquippedItem("weapon");
+    const itemData = weapon ? getItemData(weapon.itemId) : null;
+    return { type: itemData?.toolType ?? null, tier: itemData?.toolTier ?? 0 };
+  }
+
   async handleItemDropped(eventData) {
-    const { itemId, quantity, itemData } = eventData;
+    const { itemId, quantity, itemData, instances = [] } = eventData;
     if (
       !itemId ||
       quantity <= 0 ||
@@ -623,7 +697,11 @@ export class InteractionSystem {
         if (droppedBody) {
           droppedBody.userData.interactableComponent =
             new InteractableComponent("collectable");
-          droppedBody.userData.lootComponent = new LootComponent(itemId, 1); // Each dropped body is 1 item
+          droppedBody.userData.lootComponent = new LootComponent(
+            itemId,
+            1,
+            instances[i] ?? null
+          ); // Each dropped body is 1 item, keeping its instance
           droppedBody.userData.modelPath = modelPath; // Store path
           droppedMesh.userData.physicsBody = droppedBody;
           this.collectableItems.push(droppedBody); // Add to tracking for pickup
@@ -784,7 +862,8 @@ export class InteractionSystem {
           // Use loaded quantity, default to 1 if not present
           lootBody.userData.lootComponent = new LootComponent(
             lootData.itemId,
-            lootData.quantity || 1
+            lootData.quantity || 1,
+            lootData.instance ?? null
           );
           lootBody.userData.modelPath = modelPath;
           lootMesh.userData.physicsBody = lootBody;
@@ -856,13 +935,19 @@ export class InteractionSystem {
 
       const playerInventory = this.playerRef?.userData?.inventory;
       if (playerInventory?.addItem) {
+        // World loot that was never in an inventory rolls its instance on pickup
+        const instance = lootComp.instance ?? rollItemInstance(lootComp.itemId);
         const success = playerInventory.addItem(
           lootComp.itemId,
-          lootComp.quantity
+          lootComp.quantity,
+          instance
         );
         if (success) {
+          const collectedName = instance
+            ? getInstanceName(lootComp.itemId, instance)
+            : lootComp.itemId;
           this.uiManager?.log(
-            `Collected ${lootComp.quantity}x ${lootComp.itemId}!`,
+            `Collected ${lootComp.quantity}x ${collectedName}!`,
             "yellow"
           );
           const visualObject = this.closestCollectable.userData.threeObject;
@@ -883,6 +968,9 @@ export class InteractionSystem {
           "Player inventory component not found or missing addItem method!"
         );
       }
+    } else if (this.nearbyStorage) {
+      // No loot to pick up: open the container in reach
+      this.uiManager?.openContainer(this.nearbyStorage);
     } else {
       this.uiManager?.log("Interact: Nothing in pickup range."); // This log might be less frequent now
     }
@@ -977,6 +1065,21 @@ export class InteractionSystem {
     // --- 2. Check for Targetable Resource Node (Raycast) ---
     this.targetedResource = this._findTargetedResource();
 
+    // --- 2b. Storage containers in reach, close the open one once out of reach ---
+    this.playerRef.getWorldPosition(this._playerPosition);
+    this.nearbyStorage =
+      this.gameInstance?.placementSystem?.findNearbyStorage(
+        this._playerPosition
+      ) ?? null;
+    const openContainer = this.uiManager.openContainerRecord;
+    if (
+      openContainer &&
+      openContainer.position.distanceTo(this._playerPosition) >
+        STORAGE_INTERACT_RANGE
+    ) {
+      this.uiManager.closeContainer();
+    }
+
     // --- 3. Determine and Set Interaction Prompt ---
     let promptText = "";
     if (this.closestCollectable) {
@@ -987,6 +1090,10 @@ export class InteractionSystem {
       if (lootComp) {
         promptText = `[E] Collect ${lootComp.quantity}x ${lootComp.itemId}`; // (${name})
       }
+    } else if (this.nearbyStorage && !this.uiManager.openContainerRecord) {
+      const storageName =
+        getStorageData(this.nearbyStorage.placeableId)?.name || "Storage";
+      promptText = `[E] Open ${storageName}`;
     } else if (this.targetedResource) {
       // If no collectable nearby, check for targetable resource
       const resourceName =
@@ -2,6 +2,12 @@
 import * as THREE from "three";
 import eventBus from "../core/EventBus.js";
 import { getItemData } from "../config/ItemConfig.js";
+import { getStationData } from "../config/CraftingConfig.js";
+import {
+  STORAGE_INTERACT_RANGE,
+  getStorageData,
+} from "../config/StorageConfig.js";
+import { InventoryComponent } from "../game/components/InventoryComponent.js";
 // import { InteractableComponent } from "../game/components/InteractableComponent.js";
 
 export class PlacementSystem {
@@ -14,8 +20,12 @@ export class PlacementSystem {
 
   placementMaxDistance = 3.0; // How far in front the player can place
 
-  // Store references to placed objects if they need saving/updating
-  // placedObjects = [];
+  /**
+   * Every object placed by the player, tracked for saving.
+   * Storage containers also hold their `inventory`.
+   * @type {Array<{id: string, placeableId: string, object: THREE.Object3D, body: any, position: THREE.Vector3, rotation: THREE.Quaternion, state: object, inventory?: InventoryComponent}>}
+   */
+  placedObjects = [];
   activeCampfires = [];
 
   constructor(gameInstance) {
@@ -23,6 +33,7 @@ export class PlacementSystem {
     this.sceneManager = gameInstance.sceneManager;
     this.physicsEngine = gameInstance.physicsEngine;
 
+    this.placedObjects = [];
     this.activeCampfires = [];
 
     if (!this.sceneManager || !this.physicsEngine) {
@@ -151,12 +162,36 @@ export class PlacementSystem {
     uiManager.log(`Placed ${itemData.name}.`);
   }
 
-  /** Spawns the actual object in the world */
-  spawnPlacedObject(placeableId, position) {
+  /**
+   * Spawns the actual object in the world
+   * @param {string} placeableId - e.g. 'campfire'.
+   * @param {THREE.Vector3 | {x: number, y: number, z: number}} position - Ground position.
+   * @param {object} [options] - Used when restoring from a save.
+   * @param {string} [options.id] - Keep the saved id instead of generating one.
+   * @param {{x: number, y: number, z: number, w: number}} [options.rotation]
+   * @param {object} [options.state] - Per-object state (e.g. fuel, container items) to restore.
+   * @returns {object | null} The tracked placed object record.
+   */
+  spawnPlacedObject(placeableId, position, options = {}) {
+    const placePosition = new THREE.Vector3(position.x, position.y, position.z);
+    const objectId =
+      options.id ||
+      `placed_${placeableId}_${Date.now()}_${this.placedObjects.length}`;
+    let placedRecord = null;
+
     if (placeableId === "campfire") {
       // Use SceneManager's helper to create the visual/light group
-      const campfireObject = this.sceneManager?.createCampfireObject(position);
+      const campfireObject =
+        this.sceneManager?.createCampfireObject(placePosition);
       if (campfireObject) {
+        if (options.rotation) {
+          campfireObject.quaternion.set(
+            options.rotation.x,
+            options.rotation.y,
+            options.rotation.z,
+            options.rotation.w
+          );
+        }
         this.sceneManager.add(campfireObject); // Add the group to the scene
         campfireObject.visible = true;
         campfireObject.userData.light.visible = true;
@@ -173,9 +208,13 @@ export class PlacementSystem {
           radius: desiredCapsuleRadius,
           height: totalCapsuleHeight, // Height of the cylindrical part ONLY
           mass: 0, // Static
-          position: { x: position.x, y: position.y + 0.15, z: position.z }, // Center physics body
+          position: {
+            x: placePosition.x,
+            y: placePosition.y + 0.15,
+            z: placePosition.z,
+          }, // Center physics body
           threeObject: campfireObject, // Link to the group
-          nodeId: `placed_${placeableId}_${Date.now()}`, // Unique ID
+          nodeId: objectId, // Unique ID, also the save id
           nodeName: "Placed Campfire",
           // Add interactable component if campfires can be interacted with
           interactionType: "campfire_placed", // Interaction type
@@ -187,14 +226,22 @@ export class PlacementSystem {
           // physicsBody.userData.interactableComponent = new InteractableComponent('campfire_placed');
         }
 
-        console.log(`Placed ${placeableId} at`, position);
-        // Optional: Add to a list for saving/tracking placed objects
-        // this.placedObjects.push({ id: placeableId, position: position, objectRef: campfireObject, bodyRef: physicsBody });
+        console.log(`Placed ${placeableId} at`, placePosition);
+        placedRecord = {
+          id: objectId,
+          placeableId,
+          object: campfireObject,
+          body: physicsBody,
+          position: placePosition.clone(),
+          rotation: campfireObject.quaternion.clone(),
+          state: { lit: true, ...options.state },
+        };
         // <<< Track the placed campfire >>>
         this.activeCampfires.push({
+          id: objectId,
           object: campfireObject, // Store reference to the visual group
           body: physicsBody, // Store reference to the physics body (optional but useful)
-          position: position.clone(), // Store its position
+          position: placePosition.clone(), // Store its position
         });
         console.log(
           `Tracked placed campfire. Total active: ${this.activeCampfires.length}`
@@ -202,8 +249,307 @@ export class PlacementSystem {
       } else {
         console.error("Failed to create campfire object via SceneManager.");
       }
+    } else if (placeableId === "workbench" || placeableId === "furnace") {
+      const stationObject = this._createStationObject(
+        placeableId,
+        placePosition
+      );
+      if (options.rotation) {
+        stationObject.quaternion.set(
+          options.rotation.x,
+          options.rotation.y,
+          options.rotation.z,
+          options.rotation.w
+        );
+      }
+      this.sceneManager.add(stationObject);
+
+      const halfHeight = stationObject.userData.halfHeight;
+      const physicsBody = this.physicsEngine?.createBody({
+        shape: "box",
+        hx: stationObject.userData.halfWidth,
+        hy: halfHeight,
+        hz: stationObject.userData.halfDepth,
+        mass: 0, // Static
+        position: {
+          x: placePosition.x,
+          y: placePosition.y + halfHeight,
+          z: placePosition.z,
+        },
+        quaternion: stationObject.quaternion,
+        threeObject: stationObject,
+        nodeId: objectId,
+        nodeName: `Placed ${getStationData(placeableId)?.name || placeableId}`,
+        interactionType: `${placeableId}_placed`,
+      });
+      if (physicsBody) stationObject.userData.physicsBody = physicsBody;
+
+      console.log(`Placed ${placeableId} at`, placePosition);
+      placedRecord = {
+        id: objectId,
+        placeableId,
+        object: stationObject,
+        body: physicsBody,
+        position: placePosition.clone(),
+        rotation: stationObject.quaternion.clone(),
+        state: { ...options.state },
+      };
+    } else if (getStorageData(placeableId)) {
+      const storage = getStorageData(placeableId);
+      const storageObject = this._createStorageObject(storage, placePosition);
+      if (options.rotation) {
+        storageObject.quaternion.set(
+          options.rotation.x,
+          options.rotation.y,
+          options.rotation.z,
+          options.rotation.w
+        );
+      }
+      this.sceneManager.add(storageObject);
+
+      const { x: hx, y: hy, z: hz } = storage.halfExtents;
+      const physicsBody = this.physicsEngine?.createBody({
+        shape: "box",
+        hx,
+        hy,
+        hz,
+        mass: 0, // Static
+        position: {
+          x: placePosition.x,
+          y: placePosition.y + hy,
+          z: placePosition.z,
+        },
+        quaternion: storageObject.quaternion,
+        threeObject: storageObject,
+        nodeId: objectId,
+        nodeName: `Placed ${storage.name}`,
+        interactionType: `${placeableId}_placed`,
+      });
+      if (physicsBody) storageObject.userData.physicsBody = physicsBody;
+
+      // Contents live in the inventory, they are written back to state when saving
+      const { items, ...state } = options.state || {};
+      const inventory = new InventoryComponent(storage.size, storage.maxWeight);
+      inventory.applyItemsState(items);
+
+      console.log(`Placed ${placeableId} at`, placePosition);
+      placedRecord = {
+        id: objectId,
+        placeableId,
+        object: storageObject,
+        body: physicsBody,
+        position: placePosition.clone(),
+        rotation: storageObject.quaternion.clone(),
+        state,
+        inventory,
+      };
+    }
+    // Add else if for other placeableIds (e.g., 'tent')
+
+    if (placedRecord) {
+      this.placedObjects.push(placedRecord);
+      eventBus.emit("placedObjectAdded", {
+        id: placedRecord.id,
+        placeableId,
+        body: placedRecord.body,
+      });
+    } else {
+      console.warn(`PlacementSystem: Unknown placeable '${placeableId}'.`);
+    }
+    return placedRecord;
+  }
+
+  /**
+   * Builds the placeholder visuals for a crafting station.
+   * @param {"workbench" | "furnace"} placeableId
+   * @param {THREE.Vector3} position - Ground position.
+   * @returns {THREE.Group} Group with halfWidth/halfHeight/halfDepth in userData for the collider.
+   */
+  _createStationObject(placeableId, position) {
+    const group = new THREE.Group();
+    group.position.copy(position);
+    group.name = placeableId;
+
+    const addBox = (width, height, depth, material, x, y, z) => {
+      const mesh = new THREE.Mesh(
+        new THREE.BoxGeometry(width, height, depth),
+        material
+      );
+      mesh.position.set(x, y, z);
+      mesh.castShadow = true;
+      mesh.receiveShadow = true;
+      group.add(mesh);
+      return mesh;
+    };
+
+    if (placeableId === "workbench") {
+      const woodMaterial = new THREE.MeshStandardMaterial({
+        color: 0x8b5a2b,
+        roughness: 0.9,
+      });
+      addBox(1.6, 0.12, 0.8, woodMaterial, 0, 0.85, 0); // Table top
+      [
+        [-0.7, -0.32],
+        [0.7, -0.32],
+        [-0.7, 0.32],
+        [0.7, 0.32],
+      ].forEach(([x, z]) => addBox(0.1, 0.8, 0.1, woodMaterial, x, 0.4, z));
+      group.userData.halfWidth = 0.8;
+      group.userData.halfHeight = 0.45;
+      group.userData.halfDepth = 0.4;
+    } else {
+      const stoneMaterial = new THREE.MeshStandardMaterial({
+        color: 0x6c757d,
+        roughness: 0.8,
+      });
+      const glowMaterial = new THREE.MeshBasicMaterial({ color: 0xff6a00 });
+      addBox(1.2, 1.2, 1.2, stoneMaterial, 0, 0.6, 0); // Body
+      addBox(0.4, 1.0, 0.4, stoneMaterial, 0.25, 1.6, 0.25); // Chimney
+      addBox(0.5, 0.35, 0.05, glowMaterial, 0, 0.35, 0.6); // Firebox opening
+      group.userData.halfWidth = 0.6;
+      group.userData.halfHeight = 0.6;
+      group.userData.halfDepth = 0.6;
     }
-    // Add else if for other placeableIds (e.g., 'tent', 'workbench')
+    return group;
+  }
+
+  /**
+   * Visuals for a storage container. The model loads in the background, a
+   * plain crate stands in if it fails.
+   * @param {object} storage - Entry from STORAGE_CONTAINERS.
+   * @param {THREE.Vector3} position - Ground position.
+   * @returns {THREE.Group}
+   */
+  _createStorageObject(storage, position) {
+    const group = new THREE.Group();
+    group.position.copy(position);
+    group.name = storage.id;
+
+    const addFallbackCrate = () => {
+      const { x, y, z } = storage.halfExtents;
+      const crate = new THREE.Mesh(
+        new THREE.BoxGeometry(x * 2, y * 2, z * 2),
+        new THREE.MeshStandardMaterial({ color: 0x8b5a2b, roughness: 0.9 })
+      );
+      crate.position.y = y;
+      crate.castShadow = true;
+      crate.receiveShadow = true;
+      group.add(crate);
+    };
+
+    const resourceManager = this.gameInstance?.resourceManager;
+    if (!resourceManager) {
+      addFallbackCrate();
+      return group;
+    }
+    resourceManager
+      .loadModel({ path: storage.modelPath })
+      .then(({ model }) => {
+        // The cached model may carry another copy's transform (ENV_MODEL_CONFIGS)
+        model.position.set(0, 0, 0);
+        model.rotation.set(0, 0, 0);
+        model.scale.set(1, 1, 1);
+        resourceManager.normalizeModelScale(model, storage.modelSize);
+        group.add(model);
+      })
+      .catch((error) => {
+        console.error(
+          `PlacementSystem: Failed to load ${storage.modelPath}, using a crate.`,
+          error
+        );
+        addFallbackCrate();
+      });
+    return group;
+  }
+
+  /**
+   * Closest placed storage container in reach of a position.
+   * @param {THREE.Vector3} position - Usually the player's position.
+   * @returns {object | null} The placed object record (with `inventory`).
+   */
+  findNearbyStorage(position) {
+    let closest = null;
+    let closestDistanceSq = STORAGE_INTERACT_RANGE * STORAGE_INTERACT_RANGE;
+    for (const placed of this.placedObjects) {
+      if (!placed.inventory) continue;
+      const distanceSq = placed.position.distanceToSquared(position);
+      if (distanceSq <= closestDistanceSq) {
+        closest = placed;
+        closestDistanceSq = distanceSq;
+      }
+    }
+    return closest;
+  }
+
+  /**
+   * Closest placed crafting station of a type within its range (see CRAFTING_STATIONS).
+   * Only lit campfires count.
+   * @param {string} stationId - e.g. 'campfire', 'workbench'.
+   * @param {THREE.Vector3} position - Usually the player's position.
+   * @returns {object | null} The placed object record.
+   */
+  findNearbyStation(stationId, position) {
+    const station = getStationData(stationId);
+    if (!station) return null;
+    let closest = null;
+    let closestDistanceSq = station.range * station.range;
+    for (const placed of this.placedObjects) {
+      if (placed.placeableId !== stationId) continue;
+      if (placed.state?.lit === false) continue;
+      const distanceSq = placed.position.distanceToSquared(position);
+      if (distanceSq <= closestDistanceSq) {
+        closest = placed;
+        closestDistanceSq = distanceSq;
+      }
+    }
+    return closest;
+  }
+
+  /** Serializable snapshot of all placed objects for the save file */
+  getPlacedObjectsState() {
+    return this.placedObjects.map((placed) => ({
+      id: placed.id,
+      placeableId: placed.placeableId,
+      position: {
+        x: placed.position.x,
+        y: placed.position.y,
+        z: placed.position.z,
+      },
+      rotation: {
+        x: placed.rotation.x,
+        y: placed.rotation.y,
+        z: placed.rotation.z,
+        w: placed.rotation.w,
+      },
+      state: {
+        ...structuredClone(placed.state ?? {}),
+        ...(placed.inventory && { items: placed.inventory.getItemsState() }),
+      },
+    }));
+  }
+
+  /**
+   * Recreates placed objects from save data.
+   * @param {Array<object>} savedObjects - Output of getPlacedObjectsState().
+   */
+  restorePlacedObjects(savedObjects) {
+    if (!Array.isArray(savedObjects)) return;
+    let restoredCount = 0;
+    savedObjects.forEach((saved) => {
+      if (!saved?.placeableId || !saved.position) {
+        console.warn("PlacementSystem: Invalid placed object in save:", saved);
+        return;
+      }
+      const restored = this.spawnPlacedObject(
+        saved.placeableId,
+        saved.position,
+        { id: saved.id, rotation: saved.rotation, state: saved.state }
+      );
+      if (restored) restoredCount++;
+    });
+    console.log(
+      `PlacementSystem: Restored ${restoredCount}/${savedObjects.length} placed objects.`
+    );
   }
 
   // <<< Method to get active campfires >>>
@@ -217,6 +563,12 @@ export class PlacementSystem {
     this.activeCampfires = this.activeCampfires.filter(
       (cf) => cf.object !== campfireToRemove.object
     );
+    this.placedObjects = this.placedObjects.filter(
+      (placed) => placed.object !== campfireToRemove.object
+    );
+    if (campfireToRemove.id) {
+      eventBus.emit("placedObjectRemoved", { id: campfireToRemove.id });
+    }
     // Also remove from scene and physics...
     if (campfireToRemove.object?.parent)
       this.sceneManager?.remove(campfireToRemove.object);
@@ -0,0 +1,169 @@
+// src/ui/SaveSlotBrowser.js
+import {
+  listSaveSlots,
+  deleteSaveSlot,
+  renameSaveSlot,
+  getActiveSaveSlotId,
+  exportSaveSlot,
+  importSaveFile,
+} from "../world/GameStateManager.js";
+import { isCompressionSupported } from "../world/SaveFileCodec.js";
+
+/**
+ * Renders the list of save slots into a container element.
+ * Shared by the start screen and the game over overlay.
+ */
+export class SaveSlotBrowser {
+  /** @type {HTMLElement | null} */
+  containerElement = null;
+  /** @type {(slotId: string) => void} Called when a slot's Load button is clicked */
+  onLoadSlot = null;
+  /** @type {boolean} Export slots as gzip instead of plain JSON */
+  compressExports = false;
+  /** @type {string} Last import/export message shown above the list */
+  statusMessage = "";
+
+  /**
+   * @param {HTMLElement | null} containerElement - Element the slot list is rendered into.
+   * @param {(slotId: string) => void} onLoadSlot - Callback for loading a slot.
+   */
+  constructor(containerElement, onLoadSlot) {
+    this.containerElement = containerElement;
+    this.onLoadSlot = onLoadSlot;
+    if (!this.containerElement) {
+      console.warn("SaveSlotBrowser: Container element not found!");
+    }
+  }
+
+  /** Rebuilds the slot list from storage */
+  render() {
+    if (!this.containerElement) return;
+    this.containerElement.innerHTML = "";
+    this._renderToolbar();
+
+    const slots = listSaveSlots();
+    if (slots.length === 0) {
+      const emptyText = document.createElement("p");
+      emptyText.classList.add("save-slot-empty");
+      emptyText.textContent = "No saved games.";
+      this.containerElement.appendChild(emptyText);
+      return;
+    }
+
+    const activeSlotId = getActiveSaveSlotId();
+    slots.forEach((slot) => {
+      const row = document.createElement("div");
+      row.classList.add("save-slot");
+      row.classList.toggle("active", slot.id === activeSlotId);
+      row.classList.toggle("autosave", !!slot.isAutosave);
+
+      // --- Metadata ---
+      const info = document.createElement("div");
+      info.classList.add("save-slot-info");
+      const name = document.createElement("span");
+      name.classList.add("save-slot-name");
+      name.textContent = slot.name;
+      const details = document.createElement("span");
+      details.classList.add("save-slot-details");
+      details.textContent = `${new Date(
+        slot.timestamp
+      ).toLocaleString()} | Lvl ${slot.level} | Day ${slot.day} | Seed ${
+        slot.seed ?? "?"
+      }`;
+      info.appendChild(name);
+      info.appendChild(details);
+      row.appendChild(info);
+
+      // --- Buttons ---
+      const loadButton = document.createElement("button");
+      loadButton.textContent = "Load";
+      loadButton.onclick = () => this.onLoadSlot?.(slot.id);
+      row.appendChild(loadButton);
+
+      const exportButton = document.createElement("button");
+      exportButton.textContent = "Export";
+      exportButton.onclick = () =>
+        exportSaveSlot(slot.id, this.compressExports).catch((error) => {
+          console.error("Error exporting save slot:", error);
+          this._setStatus(`Export failed: ${error.message}`);
+        });
+      row.appendChild(exportButton);
+
+      const renameButton = document.createElement("button");
+      renameButton.textContent = "Rename";
+      renameButton.onclick = () => {
+        const newName = window.prompt("Rename save:", slot.name);
+        if (newName !== null && renameSaveSlot(slot.id, newName)) {
+          this.render();
+        }
+      };
+      row.appendChild(renameButton);
+
+      const deleteButton = document.createElement("button");
+      deleteButton.textContent = "Delete";
+      deleteButton.onclick = () => {
+        if (window.confirm(`Delete "${slot.name}"? This cannot be undone.`)) {
+          deleteSaveSlot(slot.id);
+          this.render();
+        }
+      };
+      row.appendChild(deleteButton);
+
+      this.containerElement.appendChild(row);
+    });
+  }
+
+  /** Import button, gzip toggle and status line */
+  _renderToolbar() {
+    const toolbar = document.createElement("div");
+    toolbar.classList.add("save-slot-toolbar");
+
+    const fileInput = document.createElement("input");
+    fileInput.type = "file";
+    fileInput.accept = ".json,.gz,application/json,application/gzip";
+    fileInput.style.display = "none";
+    fileInput.onchange = async () => {
+      const file = fileInput.files?.[0];
+      if (!file) return;
+      try {
+        const slot = await importSaveFile(file);
+        this._setStatus(`Imported "${slot.name}".`);
+      } catch (error) {
+        console.error("Error importing save file:", error);
+        this._setStatus(`Import failed: ${error.message}`);
+      }
+    };
+    toolbar.appendChild(fileInput);
+
+    const importButton = document.createElement("button");
+    importButton.textContent = "Import Save File";
+    importButton.onclick = () => fileInput.click();
+    toolbar.appendChild(importButton);
+
+    if (isCompressionSupported()) {
+      const compressLabel = document.createElement("label");
+      const compressToggle = document.createElement("input");
+      compressToggle.type = "checkbox";
+      compressToggle.checked = this.compressExports;
+      compressToggle.onchange = () => {
+        this.compressExports = compressToggle.checked;
+      };
+      compressLabel.appendChild(compressToggle);
+      compressLabel.append(" Compress exports (gzip)");
+      toolbar.appendChild(compressLabel);
+    }
+
+    if (this.statusMessage) {
+      const status = document.createElement("span");
+      status.classList.add("save-slot-status");
+      status.textContent = this.statusMessage;
+      toolbar.appendChild(status);
+    }
+    this.containerElement.appendChild(toolbar);
+  }
+
+  _setStatus(message) {
+    this.statusMessage = message;
+    this.render();
+  }
+}
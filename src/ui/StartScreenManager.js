@@ -1,8 +1,12 @@
 // src/ui/StartScreenManager.js
+import { SaveSlotBrowser } from "./SaveSlotBrowser.js";
+import { setActiveSaveSlotId } from "../world/GameStateManager.js";
 
 export class StartScreenManager {
   startScreenElement;
   startButton;
+  newGameButton; // Starts fresh without touching existing slots
+  saveSlotBrowser; // Lists save slots with load/rename/delete
   detailSelect; // Using one selector for simplicity
   startGameCallback; // Function to call when starting the game
 
@@ -10,6 +14,7 @@ export class StartScreenManager {
     this.startScreenElement = document.getElementById("start-screen");
     this.startButton = document.getElementById("start-game-button");
     this.detailSelect = document.getElementById("setting-detail"); // Get the main selector
+    this.newGameButton = document.getElementById("start-new-game-button");
     // Get other selectors if you added them...
 
     if (!this.startScreenElement || !this.startButton || !this.detailSelect) {
@@ -20,12 +25,21 @@ export class StartScreenManager {
     }
 
     this.startGameCallback = startGameCallback;
+    this.saveSlotBrowser = new SaveSlotBrowser(
+      document.getElementById("start-save-slot-list"),
+      this._onLoadSlotClick.bind(this)
+    );
+    this.saveSlotBrowser.render();
     this._setupEventListeners();
     console.log("StartScreenManager initialized.");
   }
 
   _setupEventListeners() {
     this.startButton.addEventListener("click", this._onStartClick.bind(this));
+    this.newGameButton?.addEventListener(
+      "click",
+      this._onNewGameClick.bind(this)
+    );
     // Add listeners for tooltip visibility if needed
   }
 
@@ -49,6 +63,16 @@ export class StartScreenManager {
     this.hide();
   }
 
+  _onNewGameClick() {
+    setActiveSaveSlotId(null); // Next save creates a new slot
+    this._onStartClick();
+  }
+
+  _onLoadSlotClick(slotId) {
+    setActiveSaveSlotId(slotId);
+    this._onStartClick();
+  }
+
   show() {
     if (this.startScreenElement) {
       this.startScreenElement.classList.remove("hidden");
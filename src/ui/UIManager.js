@@ -1,13 +1,32 @@
 // src/ui/UIManager.js
 import eventBus from "../core/EventBus.js";
 import { getAbilityData } from "../config/AbilityConfig.js";
-import { getRecipeData, CRAFTING_RECIPES } from "../config/CraftingConfig.js";
+import {
+  getRecipeData,
+  getRepairRecipe,
+  getStationData,
+  CRAFTING_RECIPES,
+  DEFAULT_CRAFT_TIME,
+} from "../config/CraftingConfig.js";
 import {
   SKILL_TREE_CONFIG,
   getSkillNodeData,
 } from "../config/SkillTreeConfig.js";
-import { getItemData } from "../config/ItemConfig.js";
+import {
+  getItemData,
+  getMaxDurability,
+  getQualityData,
+  ITEM_AFFIXES,
+} from "../config/ItemConfig.js";
+import {
+  getInstanceName,
+  getInstanceStatsBonus,
+} from "../utils/ItemInstanceFactory.js";
 import { TooltipHelper } from "./TooltipHelper.js";
+import { SaveSlotBrowser } from "./SaveSlotBrowser.js";
+import { FACTIONS } from "../config/FactionsConfig.js";
+import { TOOL_NAMES } from "../config/ResourceConfig.js";
+import { getStorageData } from "../config/StorageConfig.js";
 // Temp, for coordinates
 import * as THREE from "three";
 
@@ -47,6 +66,14 @@ export class UIManager {
   inventorySlots = null;
   /** @type {boolean} Is the inventory currently visible? */
   isInventoryVisible = false;
+  /** @type {{type: "inventory" | "container", index: number} | {type: "equipment", slot: string} | null} Slot being dragged */
+  dragSource = null;
+  /** @type {object | null} Placed storage container shown next to the inventory (see PlacementSystem) */
+  openContainerRecord = null;
+  /** @type {HTMLElement | null} */
+  containerPanel = null;
+  /** @type {HTMLElement | null} Holds one slot element per container slot */
+  containerSlotsElement = null;
   /** @type {HTMLElement | null} The interaction prompt element */
   interactionPromptElement = null;
 
@@ -83,18 +110,41 @@ export class UIManager {
   playerHealthBarText = null;
   // --- END Player Health Bar Elements
 
+  // --- Stealth Detection Meter Elements
+  detectionMeter = null;
+  detectionMeterFill = null;
+  // --- END Stealth Detection Meter Elements
+
+  // --- Survival Bar Elements
+  /** @type {Object<string, HTMLElement>} Survival stat ("hunger", ...) -> bar element */
+  survivalBars = {};
+  // --- END Survival Bar Elements
+
+  /** @type {HTMLElement | null} Body temperature readout */
+  bodyTemperatureDisplay = null;
+
   timeForwardButton = null; //  property
   timeBackwardButton = null; //  property
 
   gameOverOverlay = null;
   gameOverNewGameButton = null;
   gameOverLoadGameButton = null;
+  /** @type {SaveSlotBrowser | null} Slot list shown on the game over overlay */
+  gameOverSlotBrowser = null;
 
   // craftingSystem = null;
   // consumableSystem = null;
 
   craftingMenuElement = null;
   craftingRecipesList = null;
+  /** @type {HTMLElement | null} Queued crafts, inside the crafting menu */
+  craftingQueueList = null;
+  /** @type {HTMLElement | null} HUD bar for the craft in progress */
+  craftingProgressElement = null;
+  craftingProgressFill = null;
+  craftingProgressLabel = null;
+  /** @type {string} Nearby station IDs the crafting menu was last built for */
+  craftingMenuStationsKey = "";
 
   // --- Character Sheet Properties ---
   characterSheetElement = null;
@@ -152,6 +202,10 @@ export class UIManager {
       );
       console.log("UIManager: Game Over buttons initialized.");
     }
+    this.gameOverSlotBrowser = new SaveSlotBrowser(
+      document.getElementById("game-over-save-slot-list"),
+      (slotId) => this.gameInstance?.triggerLoadGame(slotId)
+    );
     // --- End Get Game Over Elements ---
 
     // --- Get Credits Elements ---
@@ -189,6 +243,14 @@ export class UIManager {
     ) {
       console.warn("UIManager: One or more XP bar elements not found!");
     }
+    // --- Get Stealth Detection Meter Elements
+    this.detectionMeter = document.getElementById("detection-meter");
+    this.detectionMeterFill = document.getElementById("detection-meter-fill");
+    // --- Get Survival Bar Elements
+    document.querySelectorAll(".survival-bar").forEach((bar) => {
+      this.survivalBars[bar.dataset.stat] = bar;
+    });
+    this.bodyTemperatureDisplay = document.getElementById("body-temperature");
     // --- Get Player Health Bar Elements
     this.playerHealthBarContainer = document.getElementById(
       "player-health-bar-container"
@@ -213,9 +275,17 @@ export class UIManager {
     // Get Crafting Menu elements
     this.craftingMenuElement = document.getElementById("crafting-menu");
     this.craftingRecipesList = document.getElementById("crafting-recipes");
+    this.craftingQueueList = document.getElementById("crafting-queue");
     if (!this.craftingMenuElement || !this.craftingRecipesList) {
       console.warn("UIManager: Crafting menu elements not found!");
     }
+    this.craftingProgressElement = document.getElementById("crafting-progress");
+    this.craftingProgressFill = document.getElementById(
+      "crafting-progress-fill"
+    );
+    this.craftingProgressLabel = document.getElementById(
+      "crafting-progress-label"
+    );
 
     // --- Event Listeners ---
     try {
@@ -224,6 +294,13 @@ export class UIManager {
         "inventoryChanged",
         this.handleInventoryOrCraftingUpdate.bind(this)
       );
+      eventBus.on("recipeLearned", () => {
+        if (this.isInventoryVisible) this.updateCraftingMenu();
+      });
+      eventBus.on("craftingQueueChanged", () => {
+        this.updateCraftingQueue();
+        if (this.isInventoryVisible) this.updateCraftingMenu(); // Queue space changed
+      });
       // ... other listeners (buffExpired, xpGained, etc.) ...
     } catch (e) {
       // ... error handling ...
@@ -316,9 +393,20 @@ export class UIManager {
     try {
       eventBus.on("inventoryChanged", this.handleInventoryChange.bind(this));
       eventBus.on("equipmentChanged", this.handleEquipmentChange.bind(this)); //  Listener
+      eventBus.on("equipmentDurabilityChanged", (eventData) => {
+        // Tooltips read durability live, only the Repair button needs a rebuild
+        if (this.isCharacterSheetVisible && eventData?.component) {
+          this.updateCharacterSheet(eventData.component);
+        }
+      });
       eventBus.on("statsChanged", this.handleStatsChange.bind(this)); //  listener for general stats changes (like skill points)
       eventBus.on("skillTreeChanged", this.handleSkillTreeChange.bind(this)); //  listener for skill tree updates
       eventBus.on("buffExpired", this.handleBuffExpired.bind(this));
+      eventBus.on(
+        "reputationChanged",
+        this.handleReputationChange.bind(this)
+      );
+      eventBus.on("survivalDamage", this.handleSurvivalDamage.bind(this));
       // <<< Listen for XP/Level Events
       eventBus.on("xpGained", this.handleXpChange.bind(this)); // <<< Check this line
       eventBus.on("playerLeveledUp", this.handleLevelUp.bind(this));
@@ -384,6 +472,9 @@ export class UIManager {
     }
     // --- End Get Elements ---
 
+    this._setupInventoryDragAndDrop();
+    this._setupContainerPanel();
+
     // --- Setup Time Control Button Listeners
     if (this.timeBackwardButton) {
       this.timeBackwardButton.addEventListener("click", () => {
@@ -421,6 +512,22 @@ export class UIManager {
       console.log("UIManager: Save Game button initialized.");
     } else console.error("UIManager: Save Game button not found!");
 
+    // Export/import portable save files
+    document
+      .getElementById("export-save-button")
+      ?.addEventListener("click", (event) =>
+        this.gameInstance?.gameStateManager?.exportCurrentGame(event.shiftKey)
+      );
+    const importSaveInput = document.getElementById("import-save-input");
+    document
+      .getElementById("import-save-button")
+      ?.addEventListener("click", () => importSaveInput?.click());
+    importSaveInput?.addEventListener("change", () => {
+      const file = importSaveInput.files?.[0];
+      if (file) this.gameInstance?.gameStateManager?.importSave(file);
+      importSaveInput.value = ""; // Allow re-importing the same file
+    });
+
     if (this.loadGameButton) {
       this.loadGameButton.addEventListener("click", () =>
         this.gameInstance?.triggerLoadGame()
@@ -899,6 +1006,8 @@ export class UIManager {
 
       slotElement.innerHTML = ""; // Clear previous content
       slotElement.classList.toggle("empty", !equippedItem); // Add/remove empty class
+      this._setQualityClass(slotElement, equippedItem?.instance?.quality);
+      slotElement.draggable = !!equippedItem;
 
       if (equippedItem) {
         // Item is equipped - display it
@@ -908,36 +1017,27 @@ export class UIManager {
         const getTooltipContent = () => {
           let tooltipText = "";
           if (itemData) {
-            tooltipText += itemData.name || equippedItem.itemId;
+            tooltipText += getInstanceName(
+              equippedItem.itemId,
+              equippedItem.instance
+            );
             if (itemData.description) {
               tooltipText += `\n${itemData.description}`;
             }
             if (typeof itemData.weight === "number") {
               tooltipText += `\nWeight: ${itemData.weight.toFixed(1)}`;
             }
+            tooltipText += this._getInstanceText(equippedItem.instance);
+            tooltipText += this._getDurabilityText(
+              equippedItem.itemId,
+              equippedItem.instance?.durability
+            );
+            tooltipText += this._getToolText(itemData);
             // Add Equipment Bonuses to tooltip
-            if (itemData.statsBonus) {
-              tooltipText += `\nBonuses:`;
-              for (const statKey in itemData.statsBonus) {
-                /* ... format bonuses ... */ const bonusValue =
-                  itemData.statsBonus[statKey];
-                let formattedStat = statKey.replace(/([A-Z])/g, " $1");
-                formattedStat =
-                  formattedStat.charAt(0).toUpperCase() +
-                  formattedStat.slice(1);
-                if (statKey.toLowerCase().includes("resistance")) {
-                  tooltipText += `\n  +${Math.round(
-                    bonusValue * 100
-                  )}% ${formattedStat}`;
-                } else if (statKey.toLowerCase() === "damage") {
-                  tooltipText += `\n  +${bonusValue} Damage`;
-                } else if (statKey.toLowerCase() === "maxhealth") {
-                  tooltipText += `\n  +${bonusValue} Max Health`;
-                } else {
-                  tooltipText += `\n  +${bonusValue} ${formattedStat}`;
-                }
-              }
-            }
+            tooltipText += this._getBonusesText(
+              equippedItem.itemId,
+              equippedItem.instance
+            );
           } else {
             tooltipText = equippedItem.itemId;
           }
@@ -998,6 +1098,23 @@ export class UIManager {
           // UI update is handled by the equipmentChanged event
         };
         slotElement.appendChild(unequipButton);
+
+        // --- Repair Button (worn items) ---
+        if (
+          this._needsRepair(
+            equippedItem.itemId,
+            equippedItem.instance?.durability
+          )
+        ) {
+          const repairButton = document.createElement("button");
+          repairButton.textContent = "Repair";
+          repairButton.classList.add("item-button", "repair-button");
+          repairButton.onclick = (event) => {
+            event.stopPropagation();
+            this.gameInstance?.craftingSystem?.repairItem({ slot: slotName });
+          };
+          slotElement.appendChild(repairButton);
+        }
       } else {
         // Slot is empty - display placeholder text (slot name)
         slotElement.textContent =
@@ -1042,12 +1159,33 @@ export class UIManager {
         <p>⚔️ Damage: ${statsComp.currentDamage.toFixed(1)}</p>
         <p>🛡️ Dmg. Reduction: ${dmgRedPercent}%</p>
         <p>❄️ Cold Resist: ${coldResPercent}%</p>
+        <p>🧥 Insulation: +${(statsComp.currentInsulation || 0).toFixed(0)}°C</p>
+        <p>⛏️ Gathering: +${Math.round((statsComp.currentGatheringYield || 0) * 100)}%</p>
         <p>🥾 Speed: ${statsComp.currentSpeed.toFixed(1)}</p>
         <p>🥾 Run Speed: ${statsComp.currentRunSpeed.toFixed(1)}</p>
         `;
+
+    // Faction standing
+    const reputationComp =
+      this.gameInstance?.playerController?.player?.userData?.reputation;
+    if (reputationComp) {
+      statsHTML += `<h4>Reputation</h4>`;
+      Object.values(FACTIONS).forEach((faction) => {
+        const value = Math.round(reputationComp.getReputation(faction.id));
+        const standing = reputationComp.getStanding(faction.id);
+        statsHTML += `<p class="reputation-${standing}" title="${faction.description}">${faction.name}: ${value} (${standing})</p>`;
+      });
+    }
     this.characterStatsDisplay.innerHTML = statsHTML;
   }
 
+  /** Refreshes the reputation list while the character sheet is open */
+  handleReputationChange() {
+    if (this.isCharacterSheetVisible) {
+      this.updateCharacterStatsDisplay();
+    }
+  }
+
   // --- Method to Show Game Over Screen ---
   showGameOverScreen() {
     if (!this.gameOverOverlay) return;
@@ -1064,6 +1202,8 @@ export class UIManager {
       this.targetHealthBarContainer.style.display = "none";
     if (this.inventoryPanel) this.inventoryPanel.style.display = "none"; // Hide inventory if open
 
+    this.gameOverSlotBrowser?.render(); // Refresh slots (autosaves may have changed)
+
     // Make overlay visible using CSS class for transition
     this.gameOverOverlay.style.display = "flex"; // Set display before adding class
     // Use setTimeout to allow the display change to apply before starting transition
@@ -1139,6 +1279,71 @@ export class UIManager {
     )} / ${Math.floor(maxHealth)}`; // Floor max health for display
   }
 
+  /**
+   * Shows how close the most alert enemy is to noticing the player.
+   * @param {number} level - Highest enemy detection level, 0..1.
+   * @param {boolean} isSpotted - An enemy is aware of the player.
+   */
+  updateDetectionMeter(level, isSpotted) {
+    if (!this.detectionMeter || !this.detectionMeterFill) return;
+    const isVisible = level > 0.01 || isSpotted;
+    this.detectionMeter.classList.toggle("hidden", !isVisible);
+    if (!isVisible) return;
+    this.detectionMeter.classList.toggle("spotted", isSpotted);
+    this.detectionMeterFill.style.width = `${Math.round(level * 100)}%`;
+  }
+
+  /**
+   * Updates the hunger, thirst and stamina bars.
+   * @param {import('../game/components/StatsComponent.js').StatsComponent | null} statsComp
+   */
+  updateSurvivalBars(statsComp) {
+    if (!statsComp) return;
+    const meters = {
+      hunger: [statsComp.hunger, statsComp.maxHunger],
+      thirst: [statsComp.thirst, statsComp.maxThirst],
+      stamina: [statsComp.stamina, statsComp.maxStamina],
+    };
+    for (const [stat, [value, max]] of Object.entries(meters)) {
+      const bar = this.survivalBars[stat];
+      if (!bar || !max) continue;
+      const percent = Math.round((value / max) * 100);
+      bar.firstElementChild.style.width = `${percent}%`;
+      bar.classList.toggle("low", percent <= 20);
+    }
+    this.survivalBars.stamina?.classList.toggle(
+      "exhausted",
+      statsComp.isExhausted
+    );
+  }
+
+  /**
+   * Updates the body temperature readout.
+   * @param {import('../game/components/TemperatureComponent.js').TemperatureComponent | null} temperatureComp
+   */
+  updateTemperatureDisplay(temperatureComp) {
+    if (!this.bodyTemperatureDisplay || !temperatureComp) return;
+    const text = `${temperatureComp.bodyTemperature.toFixed(1)}°C · ${
+      temperatureComp.state.name
+    }`;
+    if (this.bodyTemperatureDisplay.textContent === text) return; // Avoid DOM churn every frame
+    this.bodyTemperatureDisplay.textContent = text;
+    this.bodyTemperatureDisplay.className = `temperature-${temperatureComp.state.id}`;
+    this.bodyTemperatureDisplay.title = `Body temperature (feels like ${temperatureComp.feltTemperature.toFixed(
+      0
+    )}°C outside)`;
+  }
+
+  /** Handles starvation / dehydration damage from the survival meters */
+  handleSurvivalDamage({ damage, causes } = {}) {
+    const messages = {
+      hunger: "You are starving!",
+      thirst: "You are dehydrated!",
+    };
+    const text = (causes || []).map((cause) => messages[cause]).join(" ");
+    this.log(`${text} (-${damage} HP)`, "red");
+  }
+
   /** Handles player health change events */ // <<< NEW Handler
   handlePlayerHealthChange(eventData) {
     if (eventData?.target?.userData?.isPlayer) {
@@ -1572,6 +1777,13 @@ export class UIManager {
 
   /** Handles the inventoryChanged event */
   handleInventoryChange(eventData) {
+    const inventory = eventData?.inventory;
+    // The open container has its own pane, other containers aren't shown
+    if (inventory && inventory === this.openContainerRecord?.inventory) {
+      this.updateContainerDisplay();
+      return;
+    }
+    if (inventory && inventory !== this._getPlayerData()?.inventory) return;
     // Update the display only if it's currently visible
     if (this.isInventoryVisible) {
       // eventData might contain the inventory component directly { inventory: inventoryComp }
@@ -1601,12 +1813,30 @@ export class UIManager {
 
     const craftingSystem = this.gameInstance.craftingSystem;
     this.craftingRecipesList.innerHTML = ""; // Clear previous list items
+    const nearbyStations = craftingSystem.getNearbyStationIds();
+    this.craftingMenuStationsKey = nearbyStations.join(",");
+
+    // Known recipes first, then hinted, then locked
+    const recipeBook =
+      this.gameInstance?.playerController?.player?.userData?.recipeBook;
+    const statusOrder = { known: 0, hinted: 1, locked: 2 };
+    const recipeEntries = Object.values(CRAFTING_RECIPES)
+      .map((recipe) => ({
+        recipe,
+        status: recipeBook?.getRecipeStatus(recipe.outputItemId) ?? "known",
+      }))
+      .sort((a, b) => statusOrder[a.status] - statusOrder[b.status]);
 
     // Iterate through all defined recipes
-    for (const recipeId in CRAFTING_RECIPES) {
-      const recipe = CRAFTING_RECIPES[recipeId];
+    for (const { recipe, status } of recipeEntries) {
       const outputItemData = getItemData(recipe.outputItemId);
       if (!outputItemData) continue; // Skip if output item is invalid
+      if (status !== "known") {
+        this.craftingRecipesList.appendChild(
+          this._createUndiscoveredRecipeItem(recipe, status, recipeBook)
+        );
+        continue;
+      }
 
       const listItem = document.createElement("li");
       const button = document.createElement("button");
@@ -1615,6 +1845,17 @@ export class UIManager {
       const canCraftNow = craftingSystem.canCraft(recipe.outputItemId);
 
       button.textContent = outputItemData.name || recipe.outputItemId; // Display item name
+      const station = getStationData(recipe.station);
+      if (station) {
+        const stationLabel = document.createElement("span");
+        stationLabel.className = "crafting-station";
+        stationLabel.textContent = station.name;
+        button.appendChild(stationLabel);
+        button.classList.toggle(
+          "needs-station",
+          !nearbyStations.includes(station.id)
+        );
+      }
       // Optional: Add ingredients to tooltip
       // let tooltip = `Craft ${outputItemData.name}\nRequires:`;
       // recipe.ingredients.forEach((ing) => {
@@ -1630,6 +1871,10 @@ export class UIManager {
           const ingData = getItemData(ing.itemId);
           tooltip += `\n- ${ing.quantity}x ${ingData?.name || ing.itemId}`;
         });
+        if (station) {
+          tooltip += `\nStation: ${station.name}`;
+        }
+        tooltip += `\nTime: ${recipe.craftTime ?? DEFAULT_CRAFT_TIME}s`;
         // Add output item description
         if (outputItemData.description) {
           tooltip += `\n\n${outputItemData.description}`;
@@ -1643,7 +1888,7 @@ export class UIManager {
       button.disabled = !canCraftNow; // Disable if cannot craft
 
       button.onclick = () => {
-        craftingSystem.craftItem(recipe.outputItemId);
+        craftingSystem.queueCraft(recipe.outputItemId);
         // No need to manually update UI here, inventoryChanged event will trigger handleInventoryOrCraftingUpdate
       };
 
@@ -1655,6 +1900,97 @@ export class UIManager {
     }
   }
 
+  /**
+   * List entry for a recipe the player hasn't learned. Hinted recipes show
+   * what they make and how to learn them, locked ones show nothing.
+   * @param {object} recipe
+   * @param {"hinted" | "locked"} status
+   * @param {import('../game/components/RecipeBookComponent.js').RecipeBookComponent} recipeBook
+   * @returns {HTMLLIElement}
+   */
+  _createUndiscoveredRecipeItem(recipe, status, recipeBook) {
+    const listItem = document.createElement("li");
+    const button = document.createElement("button");
+    button.disabled = true;
+    button.classList.add(`recipe-${status}`);
+
+    if (status === "hinted") {
+      const outputItemData = getItemData(recipe.outputItemId);
+      button.textContent = `${outputItemData?.name || recipe.outputItemId} ?`;
+      this.tooltipHelper.attach(button, () => {
+        let tooltip = `${outputItemData?.name} (not learned)\nHow to learn:`;
+        recipeBook.describeUnlockSources(recipe.outputItemId).forEach(
+          (source) => (tooltip += `\n- ${source}`)
+        );
+        return tooltip;
+      });
+      const craftingIcon = document.createElement("img");
+      craftingIcon.src = recipe.iconSvgPath || "";
+      listItem.appendChild(button);
+      listItem.appendChild(craftingIcon);
+    } else {
+      button.textContent = "???";
+      this.tooltipHelper.attach(
+        button,
+        () => "Unknown recipe. Explore, hunt and level up to discover it."
+      );
+      listItem.appendChild(button);
+    }
+    return listItem;
+  }
+
+  /** Rebuilds the list of queued crafts with their cancel buttons */
+  updateCraftingQueue() {
+    const craftingSystem = this.gameInstance?.craftingSystem;
+    if (!this.craftingQueueList || !craftingSystem) return;
+    this.craftingQueueList.innerHTML = "";
+    craftingSystem.queue.forEach((job, index) => {
+      const listItem = document.createElement("li");
+      const label = document.createElement("span");
+      const cancelButton = document.createElement("button");
+      const itemName = getItemData(job.recipeId)?.name || job.recipeId;
+      label.textContent = index === 0 ? `▶ ${itemName}` : itemName;
+      cancelButton.textContent = "✕";
+      cancelButton.title = "Cancel and get the ingredients back";
+      cancelButton.onclick = () => craftingSystem.cancelCraft(index);
+      listItem.appendChild(label);
+      listItem.appendChild(cancelButton);
+      this.craftingQueueList.appendChild(listItem);
+    });
+  }
+
+  /**
+   * Updates the HUD progress bar for the craft in progress, and the crafting
+   * menu when the player walks up to or away from a station. Call every frame.
+   * @param {import('../systems/CraftingSystem.js').CraftingSystem | null} craftingSystem
+   */
+  updateCraftingProgress(craftingSystem) {
+    if (!craftingSystem || !this.craftingProgressElement) return;
+    const job = craftingSystem.queue[0];
+    this.craftingProgressElement.classList.toggle("hidden", !job);
+    if (job) {
+      const percent = Math.round((job.progress / job.duration) * 100);
+      const itemName = getItemData(job.recipeId)?.name || job.recipeId;
+      const queued = craftingSystem.queue.length - 1;
+      this.craftingProgressFill.style.width = `${percent}%`;
+      this.craftingProgressLabel.textContent = `${itemName} ${percent}%${
+        queued > 0 ? ` (+${queued})` : ""
+      }`;
+      this.craftingProgressElement.classList.toggle(
+        "paused",
+        job.waitingForStation || job.waitingForRoom
+      );
+    }
+
+    if (
+      this.isInventoryVisible &&
+      craftingSystem.getNearbyStationIds().join(",") !==
+        this.craftingMenuStationsKey
+    ) {
+      this.updateCraftingMenu();
+    }
+  }
+
   /** Toggles the visibility of the inventory panel */
   toggleInventoryDisplay() {
     if (!this.inventoryPanel || !this.craftingMenuElement) return; // Check crafting menu too
@@ -1665,6 +2001,7 @@ export class UIManager {
 
     this.inventoryPanel.style.display = displayStyle;
     this.craftingMenuElement.style.display = craftingMenuStyle; // <<< Show/hide crafting menu
+    if (!this.isInventoryVisible) this.closeContainer();
 
     if (this.isInventoryVisible) {
       const playerInventory =
@@ -1693,7 +2030,13 @@ export class UIManager {
         // Get stack data from the array
         const itemStack = itemsArray[index];
         // Pass the item details object and quantity to updateSlot
-        this.updateSlot(slot, itemStack.item, itemStack.quantity, index); // <<<< Use itemStack.item
+        this.updateSlot(
+          slot,
+          itemStack.item,
+          itemStack.quantity,
+          index,
+          itemStack.instance
+        ); // <<<< Use itemStack.item
       } else {
         // This slot is empty
         this.clearSlot(slot);
@@ -1709,9 +2052,13 @@ export class UIManager {
     }
   }
 
-  updateSlot(slotElement, item, quantity, inventoryIndex) {
-    // item is {id, name}
+  updateSlot(slotElement, item, quantity, inventoryIndex, instance = null) {
+    // item is {id, name}, instance only for equipment (quality, affixes, durability)
+    const durability = instance?.durability;
     slotElement.classList.remove("empty");
+    slotElement.classList.toggle("broken", durability === 0);
+    this._setQualityClass(slotElement, instance?.quality);
+    slotElement.draggable = true;
     slotElement.innerHTML = "";
 
     const fullItemData = getItemData(item.id); // Get full data
@@ -1720,7 +2067,9 @@ export class UIManager {
     const getTooltipContent = () => {
       let tooltipText = "";
       if (fullItemData) {
-        tooltipText += fullItemData.name || item.id;
+        tooltipText += instance
+          ? getInstanceName(item.id, instance)
+          : fullItemData.name || item.id;
         if (fullItemData.description) {
           tooltipText += `\n${fullItemData.description}`;
         }
@@ -1739,26 +2088,25 @@ export class UIManager {
         ) {
           tooltipText += `\nHeals: ${fullItemData.healAmount} HP`;
         }
-        if (fullItemData.type === "equipment" && fullItemData.statsBonus) {
-          tooltipText += `\nBonuses:`;
-          for (const statKey in fullItemData.statsBonus) {
-            /* ... format bonuses ... */ const bonusValue =
-              fullItemData.statsBonus[statKey];
-            let formattedStat = statKey.replace(/([A-Z])/g, " $1");
-            formattedStat =
-              formattedStat.charAt(0).toUpperCase() + formattedStat.slice(1);
-            if (statKey.toLowerCase().includes("resistance")) {
-              tooltipText += `\n  +${Math.round(
-                bonusValue * 100
-              )}% ${formattedStat}`;
-            } else if (statKey.toLowerCase() === "damage") {
-              tooltipText += `\n  +${bonusValue} Damage`;
-            } else if (statKey.toLowerCase() === "maxhealth") {
-              tooltipText += `\n  +${bonusValue} Max Health`;
-            } else {
-              tooltipText += `\n  +${bonusValue} ${formattedStat}`;
-            }
-          }
+        tooltipText += this._getInstanceText(instance);
+        tooltipText += this._getDurabilityText(item.id, durability);
+        tooltipText += this._getToolText(fullItemData);
+        if (fullItemData.hungerRestore) {
+          tooltipText += `\nHunger: +${fullItemData.hungerRestore}`;
+        }
+        if (fullItemData.thirstRestore) {
+          tooltipText += `\nThirst: +${fullItemData.thirstRestore}`;
+        }
+        if (fullItemData.staminaRestore) {
+          tooltipText += `\nStamina: +${fullItemData.staminaRestore}`;
+        }
+        if (fullItemData.unlocksRecipes) {
+          tooltipText += `\nTeaches: ${fullItemData.unlocksRecipes
+            .map((recipeId) => getItemData(recipeId)?.name || recipeId)
+            .join(", ")}`;
+        }
+        if (fullItemData.type === "equipment") {
+          tooltipText += this._getBonusesText(item.id, instance);
         }
       } else {
         tooltipText = item.name || item.id;
@@ -1787,7 +2135,7 @@ export class UIManager {
       event.stopPropagation();
       const playerInventory =
         this.gameInstance?.playerController?.player?.userData?.inventory;
-      if (playerInventory) playerInventory.dropItem(item.id, 1);
+      if (playerInventory) playerInventory.dropItemAt(inventoryIndex, 1);
     };
     buttonsDiv.appendChild(dropButton);
 
@@ -1840,6 +2188,36 @@ export class UIManager {
       buttonsDiv.appendChild(equipButton);
     }
 
+    // --- Repair Button (worn items) ---
+    if (this._needsRepair(item.id, durability)) {
+      const repairButton = document.createElement("button");
+      repairButton.textContent = "Fix";
+      repairButton.title = `Repair ${item.name}`;
+      repairButton.classList.add("item-button");
+      repairButton.style.color = "orange";
+      repairButton.onclick = (event) => {
+        event.stopPropagation();
+        this.gameInstance?.craftingSystem?.repairItem({ inventoryIndex });
+      };
+      buttonsDiv.appendChild(repairButton);
+    }
+
+    // --- Read Button (Blueprint) ---
+    if (fullItemData?.type === "blueprint") {
+      const readButton = document.createElement("button");
+      readButton.textContent = "R"; // 'R' for Read
+      readButton.title = `Read ${item.name}`;
+      readButton.classList.add("item-button");
+      readButton.style.color = "#00ff00"; // Green
+      readButton.onclick = (event) => {
+        event.stopPropagation();
+        this.gameInstance?.playerController?.player?.userData?.recipeBook?.readBlueprint(
+          item.id
+        );
+      };
+      buttonsDiv.appendChild(readButton);
+    }
+
     // --- Place Button (Placeable) ---
     if (fullItemData?.type === "placeable") {
       const placeButton = document.createElement("button");
@@ -1861,6 +2239,7 @@ export class UIManager {
       imgElement.src = fullItemData.iconImagePath;
       imgElement.alt = item.name || item.id; // Alt text for accessibility
       imgElement.classList.add("item-icon"); // Add class for styling
+      imgElement.draggable = false; // The slot is dragged, not the image
       // Optional: Set loading='lazy' if you have many icons
       // imgElement.loading = 'lazy';
       slotElement.appendChild(imgElement); // Append the image
@@ -1902,6 +2281,54 @@ export class UIManager {
     }
   }
 
+  /**
+   * Shows why a save could not be loaded (failed migration, corrupt data...).
+   * The save itself is left untouched in storage.
+   * @param {object} report - MigrationResult plus slotId/slotName.
+   */
+  showSaveLoadReport(report) {
+    if (!report) return;
+    let panel = document.getElementById("save-report-panel");
+    if (!panel) {
+      panel = document.createElement("div");
+      panel.id = "save-report-panel";
+      panel.classList.add("panel");
+      document.body.appendChild(panel);
+    }
+    panel.innerHTML = "";
+
+    const title = document.createElement("h3");
+    title.textContent = "Save could not be loaded";
+    panel.appendChild(title);
+
+    const lines = [
+      `Save: ${report.slotName || report.slotId || "Unknown"}`,
+      `Save version: ${report.foundVersion ?? "unknown"}`,
+      `Game version: ${report.targetVersion}`,
+    ];
+    if (report.appliedSteps?.length) {
+      lines.push(`Completed steps: ${report.appliedSteps.join("; ")}`);
+    }
+    if (report.failedStep) lines.push(`Failed step: ${report.failedStep}`);
+    lines.push(`Reason: ${report.error || "Unknown error"}`);
+    lines.push(
+      "The save was kept as-is and a new game was started. Saving now creates a new slot."
+    );
+    lines.forEach((line) => {
+      const p = document.createElement("p");
+      p.textContent = line;
+      panel.appendChild(p);
+    });
+
+    const closeButton = document.createElement("button");
+    closeButton.textContent = "OK";
+    closeButton.onclick = () => panel.classList.add("hidden");
+    panel.appendChild(closeButton);
+
+    panel.classList.remove("hidden");
+    this.log(`Save load failed: ${report.error}`, "red");
+  }
+
   //  Method to create FPS counter element >>>
   createFpsCounterElement() {
     let fpsElement = document.getElementById("fps-counter");
@@ -1927,10 +2354,478 @@ export class UIManager {
     }
   }
 
+  /** Whether an item is worn and has a repair recipe */
+  _needsRepair(itemId, durability) {
+    const maxDurability = getMaxDurability(itemId);
+    return (
+      maxDurability !== null &&
+      durability !== undefined &&
+      durability < maxDurability &&
+      !!getRepairRecipe(itemId)
+    );
+  }
+
+  /** Tooltip lines for items that wear out: durability and repair materials */
+  _getDurabilityText(itemId, durability) {
+    const maxDurability = getMaxDurability(itemId);
+    if (maxDurability === null) return "";
+    const current = durability ?? maxDurability;
+    let text =
+      current <= 0
+        ? "\nDurability: Broken"
+        : `\nDurability: ${Math.ceil(current)}/${maxDurability}`;
+    const repair = getRepairRecipe(itemId);
+    if (repair && current < maxDurability) {
+      const stationName =
+        getStationData(repair.station)?.name || repair.station;
+      text += `\nRepair (${stationName}): ${repair.ingredients
+        .map((ing) => `${ing.quantity}x ${getItemData(ing.itemId)?.name}`)
+        .join(", ")}`;
+    }
+    return text;
+  }
+
+  /** Tooltip lines for item instances: quality, affixes and crafter */
+  _getInstanceText(instance) {
+    if (!instance) return "";
+    let text = `\nQuality: ${
+      getQualityData(instance.quality)?.name || "Common"
+    }`;
+    if (instance.affixes?.length) {
+      text += `\nAffixes: ${instance.affixes
+        .map((affix) => ITEM_AFFIXES[affix.id]?.name || affix.id)
+        .join(", ")}`;
+    }
+    if (instance.craftedBy) {
+      text += `\nCrafted by ${instance.craftedBy}`;
+    }
+    return text;
+  }
+
+  /** Tooltip lines for equipment stat bonuses, with quality and affixes applied */
+  _getBonusesText(itemId, instance) {
+    const bonuses = getInstanceStatsBonus(itemId, instance);
+    if (Object.keys(bonuses).length === 0) return "";
+    let text = `\nBonuses:`;
+    for (const statKey in bonuses) {
+      const bonusValue = bonuses[statKey];
+      let formattedStat = statKey.replace(/([A-Z])/g, " $1");
+      formattedStat =
+        formattedStat.charAt(0).toUpperCase() + formattedStat.slice(1);
+      if (
+        statKey.toLowerCase().includes("resistance") ||
+        statKey.toLowerCase() === "damagereduction"
+      ) {
+        text += `\n  +${Math.round(bonusValue * 100)}% ${formattedStat}`;
+      } else if (statKey.toLowerCase() === "damage") {
+        text += `\n  +${bonusValue} Damage`;
+      } else if (statKey.toLowerCase() === "maxhealth") {
+        text += `\n  +${bonusValue} Max Health`;
+      } else if (statKey.toLowerCase() === "insulation") {
+        text += `\n  +${bonusValue}°C Insulation`;
+      } else {
+        text += `\n  +${bonusValue} ${formattedStat}`;
+      }
+    }
+    return text;
+  }
+
+  /** Colors a slot by item quality (quality-fine, quality-superior...) */
+  _setQualityClass(slotElement, qualityId) {
+    [...slotElement.classList]
+      .filter((className) => className.startsWith("quality-"))
+      .forEach((className) => slotElement.classList.remove(className));
+    if (qualityId && qualityId !== "common") {
+      slotElement.classList.add(`quality-${qualityId}`);
+    }
+  }
+
+  /** Tooltip line for gathering tools (see GATHER_RULES) */
+  _getToolText(itemData) {
+    if (!itemData?.toolType) return "";
+    const toolName = TOOL_NAMES[itemData.toolType] || itemData.toolType;
+    return `\nTool: ${toolName} (Tier ${itemData.toolTier ?? 0})`;
+  }
+
+  /**
+   * Drag and drop between inventory slots (move, merge, swap), onto equipment
+   * slots (equip), from equipment slots (unequip) and onto the game view (drop
+   * into the world). Shift-click splits a stack, ctrl-click equips/unequips
+   * (or stores the stack when a container is open).
+   * All changes go through InventoryComponent/EquipmentComponent.
+   */
+  _setupInventoryDragAndDrop() {
+    const startDrag = this._startDrag.bind(this);
+    const endDrag = this._endDrag.bind(this);
+    const acceptDrops = this._acceptDrops.bind(this);
+
+    this.inventorySlots?.forEach((slotElement, index) => {
+      slotElement.addEventListener("dragstart", (event) => {
+        if (!this._getPlayerData()?.inventory?.items[index]) {
+          event.preventDefault();
+          return;
+        }
+        startDrag(event, { type: "inventory", index });
+      });
+      slotElement.addEventListener("dragend", endDrag);
+      acceptDrops(slotElement, (source) =>
+        this._dropOnInventorySlot(source, index)
+      );
+      slotElement.addEventListener("click", (event) => {
+        if (event.shiftKey) this._splitInventoryStack(index);
+        else if (event.ctrlKey) this._quickTransferInventoryItem(index);
+      });
+    });
+
+    this.equipmentSlots?.forEach((slotElement) => {
+      const slotName = slotElement.dataset.slot;
+      if (!slotName) return;
+      slotElement.addEventListener("dragstart", (event) => {
+        if (!this._getPlayerData()?.equipment?.getEquippedItem(slotName)) {
+          event.preventDefault();
+          return;
+        }
+        startDrag(event, { type: "equipment", slot: slotName });
+      });
+      slotElement.addEventListener("dragend", endDrag);
+      acceptDrops(slotElement, (source) =>
+        this._dropOnEquipmentSlot(source, slotName)
+      );
+      slotElement.addEventListener("click", (event) => {
+        if (event.ctrlKey) {
+          this._getPlayerData()?.equipment?.unequipItem(slotName);
+        }
+      });
+    });
+
+    // --- Dropping onto the game view drops the item into the world ---
+    document.addEventListener("dragover", (event) => {
+      if (this.dragSource && event.target instanceof HTMLCanvasElement) {
+        event.preventDefault();
+      }
+    });
+    document.addEventListener("drop", (event) => {
+      if (this.dragSource && event.target instanceof HTMLCanvasElement) {
+        event.preventDefault();
+        this._dropIntoWorld(this.dragSource);
+      }
+    });
+
+    // --- Sort buttons ---
+    document
+      .querySelectorAll("#inventory-sort button[data-sort]")
+      .forEach((button) =>
+        button.addEventListener("click", () =>
+          this._getPlayerData()?.inventory?.sortItems(button.dataset.sort)
+        )
+      );
+  }
+
+  _startDrag(event, source) {
+    this.dragSource = source;
+    event.dataTransfer.effectAllowed = "move";
+    event.dataTransfer.setData("text/plain", JSON.stringify(source)); // Firefox won't drag without data
+    event.currentTarget.classList.add("dragging");
+    this.tooltipHelper.setEnabled(false);
+  }
+
+  _endDrag(event) {
+    event.currentTarget.classList.remove("dragging");
+    this.dragSource = null;
+  }
+
+  /** Makes a slot a drop target, onDrop gets the drag source */
+  _acceptDrops(slotElement, onDrop) {
+    slotElement.addEventListener("dragover", (event) => {
+      if (!this.dragSource) return;
+      event.preventDefault(); // Allows the drop
+      slotElement.classList.add("drag-over");
+    });
+    slotElement.addEventListener("dragleave", () =>
+      slotElement.classList.remove("drag-over")
+    );
+    slotElement.addEventListener("drop", (event) => {
+      event.preventDefault();
+      event.stopPropagation();
+      slotElement.classList.remove("drag-over");
+      if (this.dragSource) onDrop(this.dragSource);
+    });
+  }
+
+  /** The player's components (inventory, equipment...) */
+  _getPlayerData() {
+    return this.gameInstance?.playerController?.player?.userData ?? null;
+  }
+
+  _dropOnInventorySlot(source, index) {
+    const { inventory, equipment } = this._getPlayerData() || {};
+    if (source.type === "inventory") {
+      inventory?.moveItem(source.index, index);
+    } else if (source.type === "equipment") {
+      equipment?.unequipItem(source.slot);
+    } else if (source.type === "container") {
+      this._transferStack(
+        this.openContainerRecord?.inventory,
+        inventory,
+        source.index
+      );
+    }
+  }
+
+  _dropOnEquipmentSlot(source, slotName) {
+    const { inventory, equipment } = this._getPlayerData() || {};
+    if (source.type !== "inventory" || !inventory || !equipment) return;
+    const stack = inventory.items[source.index];
+    const itemData = getItemData(stack?.itemId);
+    if (!itemData) return;
+    if (itemData.equipSlot !== slotName) {
+      this.log(
+        `${itemData.name} doesn't go in the ${slotName} slot.`,
+        "orange"
+      );
+      return;
+    }
+    equipment.equipItem(stack.itemId, source.index);
+  }
+
+  _dropIntoWorld(source) {
+    const { inventory, equipment } = this._getPlayerData() || {};
+    if (!inventory) return;
+    if (source.type === "inventory") {
+      inventory.dropItemAt(source.index);
+    } else if (source.type === "container") {
+      this.openContainerRecord?.inventory.dropItemAt(source.index);
+    } else if (source.type === "equipment" && equipment) {
+      const instance = equipment.getEquippedItem(source.slot)?.instance;
+      if (!equipment.unequipItem(source.slot)) return;
+      const index = instance
+        ? inventory.findInstanceIndex(instance.uid)
+        : inventory.items.length - 1;
+      inventory.dropItemAt(index);
+    }
+  }
+
+  /** Shift-click: splits half of a stack off into a free slot */
+  _splitInventoryStack(index) {
+    const inventory = this._getPlayerData()?.inventory;
+    const stack = inventory?.items[index];
+    if (!stack || stack.quantity < 2) return;
+    if (!inventory.splitStack(index, Math.floor(stack.quantity / 2))) {
+      this.log("No free slot to split the stack into.", "orange");
+    }
+  }
+
+  /**
+   * Ctrl-click: stores the stack in the open container, or equips equipment
+   * straight from the inventory.
+   */
+  _quickTransferInventoryItem(index) {
+    const { inventory, equipment } = this._getPlayerData() || {};
+    const stack = inventory?.items[index];
+    if (!stack) return;
+    if (this.openContainerRecord) {
+      this._transferStack(inventory, this.openContainerRecord.inventory, index);
+    } else if (getItemData(stack.itemId)?.type === "equipment") {
+      equipment?.equipItem(stack.itemId, index);
+    }
+  }
+
+  /**
+   * Moves a stack between the player and the open container.
+   * @returns {number} How many items moved.
+   */
+  _transferStack(fromInventory, toInventory, index, quantity) {
+    if (!fromInventory || !toInventory) return 0;
+    const moved = fromInventory.transferItemAt(index, toInventory, quantity);
+    if (moved === 0) this.log("Not enough room.", "orange");
+    return moved;
+  }
+
+  // --- Storage Containers (see PlacementSystem / StorageConfig) ---
+
+  _setupContainerPanel() {
+    this.containerPanel = document.getElementById("container-panel");
+    if (!this.containerPanel) {
+      console.warn("UIManager: Container panel not found!");
+      return;
+    }
+    this.containerSlotsElement = document.getElementById("container-slots");
+    document
+      .getElementById("container-close-button")
+      ?.addEventListener("click", () => this.closeContainer());
+    document
+      .getElementById("container-take-all-button")
+      ?.addEventListener("click", () => this._takeAllFromContainer());
+    // Dropping anywhere on the pane stores the item
+    this._acceptDrops(this.containerPanel, (source) =>
+      this._dropOnContainerSlot(source, null)
+    );
+  }
+
+  /**
+   * Opens a placed container next to the inventory (dual pane). Click or drag
+   * items across to move them, Ctrl+Click in the inventory stores a stack.
+   * @param {object} placedRecord - PlacementSystem record with an `inventory`.
+   */
+  openContainer(placedRecord) {
+    if (!this.containerPanel || !placedRecord?.inventory) return;
+    this.closeContainer();
+    this.openContainerRecord = placedRecord;
+    if (!this.isInventoryVisible) this.toggleInventoryDisplay();
+
+    const storageData = getStorageData(placedRecord.placeableId);
+    const title = document.getElementById("container-title");
+    if (title) title.textContent = storageData?.name || "Storage";
+
+    // One slot element per container slot
+    for (let index = 0; index < placedRecord.inventory.size; index++) {
+      const slotElement = document.createElement("div");
+      slotElement.classList.add("inventory-slot", "container-slot", "empty");
+      slotElement.addEventListener("dragstart", (event) => {
+        if (!this.openContainerRecord?.inventory.items[index]) {
+          event.preventDefault();
+          return;
+        }
+        this._startDrag(event, { type: "container", index });
+      });
+      slotElement.addEventListener("dragend", this._endDrag.bind(this));
+      this._acceptDrops(slotElement, (source) =>
+        this._dropOnContainerSlot(source, index)
+      );
+      slotElement.addEventListener("click", (event) => {
+        const stack = this.openContainerRecord?.inventory.items[index];
+        if (!stack) return;
+        // Shift-click takes half
+        const quantity = event.shiftKey
+          ? Math.ceil(stack.quantity / 2)
+          : stack.quantity;
+        this._transferStack(
+          this.openContainerRecord.inventory,
+          this._getPlayerData()?.inventory,
+          index,
+          quantity
+        );
+      });
+      this.containerSlotsElement?.appendChild(slotElement);
+    }
+
+    this.containerPanel.style.display = "block";
+    this.updateContainerDisplay();
+    console.log(`[UIManager] Opened container ${placedRecord.id}.`);
+  }
+
+  closeContainer() {
+    if (!this.openContainerRecord) return;
+    this.openContainerRecord = null;
+    this.containerSlotsElement
+      ?.querySelectorAll(".container-slot")
+      .forEach((slotElement) => this.tooltipHelper.detach(slotElement));
+    if (this.containerSlotsElement) this.containerSlotsElement.innerHTML = "";
+    if (this.containerPanel) this.containerPanel.style.display = "none";
+  }
+
+  /** Redraws the open container's slots and weight */
+  updateContainerDisplay() {
+    const inventory = this.openContainerRecord?.inventory;
+    if (!inventory || !this.containerSlotsElement) return;
+    this.containerSlotsElement
+      .querySelectorAll(".container-slot")
+      .forEach((slotElement, index) => {
+        this.tooltipHelper.detach(slotElement);
+        const stack = inventory.items[index];
+        if (stack) {
+          this._updateContainerSlot(slotElement, stack);
+        } else {
+          this.clearSlot(slotElement);
+        }
+      });
+    const weightText = document.getElementById("container-weight");
+    if (weightText) {
+      weightText.textContent = `Weight: ${inventory
+        .getTotalWeight()
+        .toFixed(1)} / ${inventory.getMaxWeight()}`;
+    }
+  }
+
+  _updateContainerSlot(slotElement, stack) {
+    const itemData = getItemData(stack.itemId);
+    slotElement.classList.remove("empty");
+    slotElement.classList.toggle("broken", stack.instance?.durability === 0);
+    this._setQualityClass(slotElement, stack.instance?.quality);
+    slotElement.draggable = true;
+    slotElement.innerHTML = "";
+
+    this.tooltipHelper.attach(slotElement, () => {
+      let tooltipText = getInstanceName(stack.itemId, stack.instance);
+      if (itemData?.description) tooltipText += `\n${itemData.description}`;
+      tooltipText += this._getInstanceText(stack.instance);
+      tooltipText += this._getDurabilityText(
+        stack.itemId,
+        stack.instance?.durability
+      );
+      if (itemData?.type === "equipment") {
+        tooltipText += this._getBonusesText(stack.itemId, stack.instance);
+      }
+      tooltipText += "\nClick to take, Shift+Click to take half.";
+      return tooltipText;
+    });
+
+    if (itemData?.iconImagePath) {
+      const imgElement = document.createElement("img");
+      imgElement.src = itemData.iconImagePath;
+      imgElement.alt = itemData.name;
+      imgElement.classList.add("item-icon");
+      imgElement.draggable = false;
+      slotElement.appendChild(imgElement);
+    } else {
+      const fallbackIcon = document.createElement("div");
+      fallbackIcon.classList.add("item-icon");
+      fallbackIcon.textContent = stack.itemId.substring(0, 2).toUpperCase();
+      slotElement.appendChild(fallbackIcon);
+    }
+    if (stack.quantity > 1) {
+      const quantityElement = document.createElement("div");
+      quantityElement.classList.add("item-quantity");
+      quantityElement.textContent = stack.quantity;
+      slotElement.appendChild(quantityElement);
+    }
+  }
+
+  /** Drop target for the container pane, index is null for the pane itself */
+  _dropOnContainerSlot(source, index) {
+    const containerInventory = this.openContainerRecord?.inventory;
+    if (!containerInventory) return;
+    if (source.type === "inventory") {
+      this._transferStack(
+        this._getPlayerData()?.inventory,
+        containerInventory,
+        source.index
+      );
+    } else if (source.type === "container" && index !== null) {
+      containerInventory.moveItem(source.index, index);
+    }
+  }
+
+  _takeAllFromContainer() {
+    const containerInventory = this.openContainerRecord?.inventory;
+    const playerInventory = this._getPlayerData()?.inventory;
+    if (!containerInventory || !playerInventory) return;
+    // Backwards, taken stacks shift the ones after them
+    for (let i = containerInventory.items.length - 1; i >= 0; i--) {
+      containerInventory.transferItemAt(i, playerInventory);
+    }
+    if (containerInventory.items.length > 0) {
+      this.log("Not enough room to take everything.", "orange");
+    }
+  }
+
   /** Clears a single inventory slot */
   clearSlot(slotElement) {
     this.tooltipHelper.detach(slotElement); // <<< Detach tooltip when clearing
     slotElement.classList.add("empty");
+    slotElement.classList.remove("broken");
+    this._setQualityClass(slotElement, null);
+    slotElement.draggable = false;
     slotElement.innerHTML = ""; // Remove icon and quantity
     slotElement.title = ""; // Clear tooltip
   }
@@ -0,0 +1,165 @@
+// src/utils/ItemInstanceFactory.js
+// Per-item data for items that aren't interchangeable (equipment). An instance
+// travels with its inventory stack, equipment slot, world drop and save entry.
+import {
+  ITEM_QUALITIES,
+  ITEM_AFFIXES,
+  getItemData,
+  getQualityData,
+  getMaxDurability,
+} from "../config/ItemConfig.js";
+
+/**
+ * @typedef {object} ItemInstance
+ * @property {string} uid - Unique per item.
+ * @property {string} quality - ITEM_QUALITIES id.
+ * @property {Array<{id: string, stat: string, value: number}>} affixes
+ * @property {number} [durability] - Only for items with maxDurability.
+ * @property {string} [craftedBy] - Name of whoever crafted it.
+ * Any other property is kept as-is (saved and restored with the item).
+ */
+
+/** Whether an item is stored as instances instead of plain stacks */
+export function createsInstances(itemId) {
+  return getItemData(itemId)?.type === "equipment";
+}
+
+/** A new unique instance id */
+export function createInstanceUid() {
+  return `item_${Date.now().toString(36)}_${Math.random()
+    .toString(36)
+    .substring(2, 8)}`;
+}
+
+/**
+ * A plain instance: common quality, no affixes, full durability.
+ * @param {string} itemId
+ * @param {object} [properties] - Overrides/extra properties.
+ * @returns {ItemInstance | null} Null for items that don't create instances.
+ */
+export function createItemInstance(itemId, properties = {}) {
+  if (!createsInstances(itemId)) return null;
+  const instance = {
+    uid: createInstanceUid(),
+    quality: "common",
+    affixes: [],
+    ...properties,
+  };
+  const maxDurability = getMaxDurability(itemId);
+  if (maxDurability !== null && instance.durability === undefined) {
+    instance.durability = maxDurability;
+  }
+  return instance;
+}
+
+/**
+ * An instance with a random quality and affixes, for crafted and looted items.
+ * @param {string} itemId
+ * @param {object} [options]
+ * @param {() => number} [options.rng=Math.random]
+ * @param {string} [options.craftedBy]
+ * @returns {ItemInstance | null}
+ */
+export function rollItemInstance(
+  itemId,
+  { rng = Math.random, craftedBy } = {}
+) {
+  if (!createsInstances(itemId)) return null;
+  const quality = _rollQuality(rng);
+  const slot = getItemData(itemId).equipSlot;
+  const candidates = Object.values(ITEM_AFFIXES).filter((affix) =>
+    affix.slots.includes(slot)
+  );
+  const affixes = [];
+  for (let i = 0; i < quality.affixCount && candidates.length > 0; i++) {
+    const [affix] = candidates.splice(Math.floor(rng() * candidates.length), 1);
+    affixes.push({
+      id: affix.id,
+      stat: affix.stat,
+      value: _rollValue(affix.value, rng),
+    });
+  }
+  return createItemInstance(itemId, {
+    quality: quality.id,
+    affixes,
+    ...(craftedBy && { craftedBy }),
+  });
+}
+
+/**
+ * The stat bonuses an item instance gives: the item's statsBonus scaled by
+ * quality, plus its affixes.
+ * @param {string} itemId
+ * @param {ItemInstance | null} instance
+ * @returns {Object<string, number>} stat -> value
+ */
+export function getInstanceStatsBonus(itemId, instance) {
+  const itemData = getItemData(itemId);
+  const multiplier = getQualityData(instance?.quality)?.statMultiplier ?? 1;
+  const bonuses = {};
+  for (const stat in itemData?.statsBonus || {}) {
+    bonuses[stat] = _round(itemData.statsBonus[stat] * multiplier);
+  }
+  (instance?.affixes || []).forEach(({ stat, value }) => {
+    bonuses[stat] = _round((bonuses[stat] || 0) + value);
+  });
+  return bonuses;
+}
+
+/** Item name with its quality, e.g. "Fine Stone Axe" */
+export function getInstanceName(itemId, instance) {
+  const name = getItemData(itemId)?.name || itemId;
+  const quality = getQualityData(instance?.quality);
+  return quality && quality.id !== "common" ? `${quality.name} ${name}` : name;
+}
+
+/**
+ * Cleans up an instance read from a save. Fills in what's missing, drops
+ * affixes that aren't numbers and clamps durability.
+ * @returns {ItemInstance | null} Null for items that don't create instances.
+ */
+export function sanitizeItemInstance(itemId, raw) {
+  if (!createsInstances(itemId)) return null;
+  if (!raw || typeof raw !== "object") return createItemInstance(itemId);
+  const instance = {
+    ...raw,
+    uid: typeof raw.uid === "string" ? raw.uid : createInstanceUid(),
+    quality: getQualityData(raw.quality) ? raw.quality : "common",
+    affixes: Array.isArray(raw.affixes)
+      ? raw.affixes.filter(
+          (affix) =>
+            typeof affix?.stat === "string" && Number.isFinite(affix.value)
+        )
+      : [],
+  };
+  const maxDurability = getMaxDurability(itemId);
+  if (maxDurability !== null) {
+    instance.durability = Math.max(
+      0,
+      Math.min(maxDurability, raw.durability ?? maxDurability)
+    );
+  }
+  return instance;
+}
+
+function _rollQuality(rng) {
+  const qualities = Object.values(ITEM_QUALITIES);
+  const totalWeight = qualities.reduce((sum, q) => sum + q.weight, 0);
+  let roll = rng() * totalWeight;
+  for (const quality of qualities) {
+    roll -= quality.weight;
+    if (roll < 0) return quality;
+  }
+  return qualities[0];
+}
+
+function _rollValue([min, max], rng) {
+  if (Number.isInteger(min) && Number.isInteger(max)) {
+    return Math.floor(rng() * (max - min + 1)) + min;
+  }
+  return _round(min + rng() * (max - min));
+}
+
+function _round(value) {
+  return Math.round(value * 100) / 100;
+}
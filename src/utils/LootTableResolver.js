@@ -0,0 +1,128 @@
+// src/utils/LootTableResolver.js
+// Resolves loot tables (enemy drops, resource nodes, containers) into item stacks.
+// Pass a seeded rng (createLootRng) to get reproducible drops.
+import { mulberry32, cyrb128 } from "./PRNG.js";
+import { getLootTableData } from "../config/LootTablesConfig.js";
+
+const MAX_TABLE_DEPTH = 8; // Guards against tables that (indirectly) include themselves
+
+/**
+ * @typedef {object} LootDrop
+ * @property {string} itemId
+ * @property {number} quantity
+ * @property {string | null} modelPath - Visual override from the entry, if any.
+ */
+
+/**
+ * @typedef {object} LootRollOptions
+ * @property {number} [level=1] - Level used by level-scaled entries (usually the player's).
+ * @property {() => number} [rng=Math.random] - Random source returning [0, 1).
+ */
+
+/**
+ * Creates a seeded random source for loot rolls.
+ * @param {number | string} seed - Numbers are used as-is, strings are hashed.
+ * @returns {() => number}
+ */
+export function createLootRng(seed) {
+  return mulberry32(typeof seed === "string" ? cyrb128(seed) : seed >>> 0);
+}
+
+/**
+ * Rolls a loot table and returns the merged item stacks.
+ * @param {Array<object> | string} table - Entry list or a LOOT_TABLES id.
+ * @param {LootRollOptions} [options]
+ * @returns {LootDrop[]}
+ */
+export function resolveLootTable(table, { level = 1, rng = Math.random } = {}) {
+  const drops = new Map(); // `${itemId}|${modelPath}` -> LootDrop
+  _rollTable(table, { level, rng }, drops, 0);
+  return Array.from(drops.values());
+}
+
+function _rollTable(table, context, drops, depth) {
+  if (depth > MAX_TABLE_DEPTH) {
+    console.warn("[LootTable] Max nesting depth reached, skipping sub-table.");
+    return;
+  }
+  const entries = typeof table === "string" ? getLootTableData(table) : table;
+  if (!Array.isArray(entries)) {
+    console.warn(`[LootTable] Unknown loot table:`, table);
+    return;
+  }
+  entries.forEach((entry) => _rollEntry(entry, context, drops, depth));
+}
+
+function _rollEntry(entry, context, drops, depth) {
+  if (!entry || !_isLevelAllowed(entry, context.level)) return;
+  if (!entry.guaranteed && context.rng() >= _scaledChance(entry, context.level))
+    return;
+
+  const rolls = _rollQuantity(entry.rolls ?? 1, context.rng);
+  for (let i = 0; i < rolls; i++) {
+    if (entry.pickOne) {
+      const picked = _pickWeighted(entry.pickOne, context);
+      // Picked entries are not re-checked against their own chance
+      if (picked)
+        _rollEntry({ ...picked, guaranteed: true }, context, drops, depth);
+    } else if (entry.table) {
+      _rollTable(entry.table, context, drops, depth + 1);
+    } else if (entry.itemId) {
+      const baseQuantity = _rollQuantity(entry.quantity ?? 1, context.rng);
+      const bonus = Math.floor(
+        (entry.quantityPerLevel || 0) * Math.max(0, context.level - 1)
+      );
+      _addDrop(drops, entry.itemId, baseQuantity + bonus, entry.modelPath);
+    }
+  }
+}
+
+function _isLevelAllowed(entry, level) {
+  if (entry.minLevel !== undefined && level < entry.minLevel) return false;
+  if (entry.maxLevel !== undefined && level > entry.maxLevel) return false;
+  return true;
+}
+
+function _scaledChance(entry, level) {
+  const chance =
+    (entry.chance ?? 1) + (entry.chancePerLevel || 0) * Math.max(0, level - 1);
+  return Math.max(0, Math.min(1, chance));
+}
+
+/** Accepts a fixed number or an inclusive [min, max] range */
+function _rollQuantity(quantity, rng) {
+  if (Array.isArray(quantity)) {
+    const [min, max] = quantity;
+    return Math.floor(rng() * (max - min + 1)) + min;
+  }
+  return quantity;
+}
+
+function _pickWeighted(options, context) {
+  const eligible = options.filter(
+    (option) =>
+      (option.weight ?? 1) > 0 && _isLevelAllowed(option, context.level)
+  );
+  const totalWeight = eligible.reduce(
+    (sum, option) => sum + (option.weight ?? 1),
+    0
+  );
+  if (totalWeight <= 0) return null;
+  let roll = context.rng() * totalWeight;
+  for (const option of eligible) {
+    roll -= option.weight ?? 1;
+    if (roll < 0) return option;
+  }
+  return eligible[eligible.length - 1];
+}
+
+function _addDrop(drops, itemId, quantity, modelPath = null) {
+  if (quantity <= 0) return;
+  const key = `${itemId}|${modelPath || ""}`;
+  const existing = drops.get(key);
+  if (existing) {
+    existing.quantity += quantity;
+  } else {
+    drops.set(key, { itemId, quantity, modelPath: modelPath || null });
+  }
+}
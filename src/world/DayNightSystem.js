@@ -18,6 +18,8 @@ export class DayNightSystem {
 
   // Internal state
   sunAngle = 0;
+  /** @type {number} 0 (night) to 1 (midday sun), after weather dimming. Read by AISystem for sight range. */
+  daylight = 1.0;
 
   constructor(sceneManager, environmentalEffectsSystem, config = {}) {
     if (!sceneManager || !environmentalEffectsSystem) {
@@ -92,6 +94,12 @@ export class DayNightSystem {
         Math.sin(this.sunAngle + Math.PI)
       ); // Opposite phase, 0 (day) to 1 (midnight)
 
+      this.daylight = THREE.MathUtils.clamp(
+        baseSunIntensityFactor * lightMultipliers.sun,
+        0,
+        1
+      );
+
       // --- Apply Final Light Intensities (Base * Effect Multiplier) ---
       sun.intensity =
         this.baseSunIntensity * baseSunIntensityFactor * lightMultipliers.sun;
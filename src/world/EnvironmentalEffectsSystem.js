@@ -538,6 +538,18 @@ export class EnvironmentalEffectsSystem {
     return null; // No override active or transitioning
   }
 
+  /**
+   * How far one can see through the current (interpolated) fog.
+   * Used by AISystem to limit enemy sight.
+   * @returns {number} World units, Infinity when there is no fog.
+   */
+  getFogSightDistance() {
+    if (!this.currentFog) return Infinity;
+    if (this.currentFog.type === "linear") return this.currentFog.far;
+    // exp2: ~98% fogged at 2 / density
+    return this.currentFog.density > 0 ? 2 / this.currentFog.density : Infinity;
+  }
+
   destroy() {
     // ... (clear maps/sets) ...
     this.activeEffects.clear();
@@ -1,11 +1,19 @@
 // src/world/GameStateManager.js
 import eventBus from "../core/EventBus.js";
 import { getItemData } from "../config/ItemConfig.js";
+import { sanitizeItemInstance } from "../utils/ItemInstanceFactory.js";
+import { CURRENT_SAVE_VERSION, migrateSaveData } from "./SaveMigrations.js";
+import {
+  encodeSaveFile,
+  decodeSaveFile,
+  validateSaveData,
+  downloadBlob,
+} from "./SaveFileCodec.js";
 
 // Define the structure for save data, including the environment seed
 // and the new permanently depleted node list
 const defaultSaveData = {
-  saveVersion: 1.9, // <<< Increment version
+  saveVersion: CURRENT_SAVE_VERSION, // Bump in SaveMigrations.js along with a migration
   saveTimestamp: null,
   player: {
     position: { x: 0, y: 1, z: 0 },
@@ -18,16 +26,182 @@ const defaultSaveData = {
     inventory: [],
     equipment: {}, //  equipment state (object mapping slot:itemId)
     skillTree: { skillRanks: {} }, //  default skill tree state
+    reputation: {}, // Faction ID -> reputation, missing factions use their starting value
+    survival: { hunger: 100, thirst: 100, stamina: 100 }, // Survival meters
+    craftingQueue: [], // Queued crafts {recipeId, progress}, ingredients already spent
+    recipeBook: { knownRecipes: [], discoveredItems: [] }, // Starting recipes are always known
   },
   world: {
     environmentSeed: null,
     gameTime: 0,
     permanentlyDepletedNodeIds: [],
     activeLoot: [],
+    placedObjects: [], // Campfires etc. {id, placeableId, position, rotation, state}
+    enemies: [], // Living enemies {instanceId, enemyId, spawnerId, position, rotation, health, aiState, ...}
+    spawners: [], // Spawner cooldowns {id, respawnTimer, isActive}
   },
 };
 
-const SAVE_SLOT_KEY = "myGameSaveSlot_v1.9"; // <<< Update save key
+const LEGACY_SAVE_SLOT_KEY = "myGameSaveSlot_v1.9"; // Old single-slot key, imported once into the slot index
+const SAVE_SLOT_PREFIX = "myGameSaveSlot_"; // Each slot's payload lives under prefix + slotId
+const SAVE_INDEX_KEY = "myGameSaveSlots_index"; // Array of slot metadata for the slot browser
+const ACTIVE_SLOT_KEY = "myGameSaveSlots_active"; // Slot to load on the next (re)load
+
+// Autosave rotation: cycles through a fixed number of autosave slots, overwriting the oldest
+const AUTOSAVE_SLOT_COUNT = 3;
+const AUTOSAVE_INTERVAL_SECONDS = 300; // Real seconds of play between autosaves
+const DEFAULT_DAY_DURATION = 520; // Fallback if the Game instance is unavailable
+
+// --- Slot Index Helpers (usable before a Game instance exists, e.g. on the start screen) ---
+
+/**
+ * Returns metadata for every save slot, newest first.
+ * @returns {Array<{id: string, name: string, timestamp: number, level: number, day: number, seed: string, isAutosave: boolean}>}
+ */
+export function listSaveSlots() {
+  _importLegacySaveSlot();
+  let slots = [];
+  try {
+    slots = JSON.parse(localStorage.getItem(SAVE_INDEX_KEY)) || [];
+  } catch (error) {
+    console.error("Error parsing save slot index:", error);
+  }
+  // Drop index entries whose payload has gone missing
+  return slots
+    .filter((slot) => localStorage.getItem(SAVE_SLOT_PREFIX + slot.id) !== null)
+    .sort((a, b) => (b.timestamp || 0) - (a.timestamp || 0));
+}
+
+/** @returns {string | null} The slot id the game will load on start. */
+export function getActiveSaveSlotId() {
+  return localStorage.getItem(ACTIVE_SLOT_KEY);
+}
+
+/** @param {string | null} slotId - Slot to load on the next start, or null for a new game. */
+export function setActiveSaveSlotId(slotId) {
+  if (slotId) localStorage.setItem(ACTIVE_SLOT_KEY, slotId);
+  else localStorage.removeItem(ACTIVE_SLOT_KEY);
+}
+
+/** Deletes a slot's payload and index entry. */
+export function deleteSaveSlot(slotId) {
+  localStorage.removeItem(SAVE_SLOT_PREFIX + slotId);
+  _writeSlotIndex(listSaveSlots().filter((slot) => slot.id !== slotId));
+  if (getActiveSaveSlotId() === slotId) setActiveSaveSlotId(null);
+  console.log(`Deleted save slot [${slotId}].`);
+}
+
+/** Renames a slot. Returns false if the slot doesn't exist or the name is empty. */
+export function renameSaveSlot(slotId, newName) {
+  const trimmedName = newName?.trim();
+  if (!trimmedName) return false;
+  const slots = listSaveSlots();
+  const slot = slots.find((s) => s.id === slotId);
+  if (!slot) return false;
+  slot.name = trimmedName.substring(0, 40);
+  _writeSlotIndex(slots);
+  return true;
+}
+
+/**
+ * Downloads a stored slot as a portable save file.
+ * @param {string} slotId
+ * @param {boolean} [compress=false] - Gzip the file.
+ */
+export async function exportSaveSlot(slotId, compress = false) {
+  const slot = listSaveSlots().find((s) => s.id === slotId);
+  const jsonString = localStorage.getItem(SAVE_SLOT_PREFIX + slotId);
+  if (!slot || !jsonString) {
+    console.warn(`Cannot export save slot [${slotId}]: not found.`);
+    return;
+  }
+  await _downloadSaveData(JSON.parse(jsonString), slot.name, compress);
+}
+
+/**
+ * Imports a save file into a new slot. Validates checksum and schema and
+ * upgrades older saves through the migration registry.
+ * @param {File} file
+ * @returns {Promise<object>} Metadata of the new slot.
+ * @throws {Error} With a readable reason if the file can't be imported.
+ */
+export async function importSaveFile(file) {
+  const { name, saveData } = await decodeSaveFile(file);
+
+  const migration = migrateSaveData(saveData);
+  if (!migration.success) {
+    throw new Error(`Save cannot be upgraded: ${migration.error}`);
+  }
+  const errors = validateSaveData(migration.data);
+  if (errors.length > 0) {
+    throw new Error(`Save failed validation: ${errors.join(" ")}`);
+  }
+
+  const slotId = `slot_${Date.now().toString(36)}`;
+  const slotName =
+    name || file.name?.replace(/\.json(\.gz)?$/i, "") || "Imported Save";
+  localStorage.setItem(
+    SAVE_SLOT_PREFIX + slotId,
+    JSON.stringify(migration.data)
+  );
+  const metadata = _buildSlotMetadata(slotId, slotName, migration.data, false);
+  _writeSlotIndex([...listSaveSlots(), metadata]);
+  console.log(`Imported save file into slot [${slotId}].`);
+  return metadata;
+}
+
+async function _downloadSaveData(saveData, name, compress) {
+  const blob = await encodeSaveFile(saveData, { name, compress });
+  const safeName = (name || "save").replace(/[^a-z0-9_-]+/gi, "_");
+  const extension = blob.type === "application/gzip" ? ".json.gz" : ".json";
+  downloadBlob(blob, `${safeName}_${Date.now()}${extension}`);
+}
+
+function _writeSlotIndex(slots) {
+  localStorage.setItem(SAVE_INDEX_KEY, JSON.stringify(slots));
+}
+
+/** Moves a pre-slot single save into the slot index so it isn't lost */
+function _importLegacySaveSlot() {
+  const legacyJson = localStorage.getItem(LEGACY_SAVE_SLOT_KEY);
+  if (!legacyJson) return;
+  try {
+    const legacyData = JSON.parse(legacyJson);
+    const slotId = `slot_${Date.now().toString(36)}`;
+    localStorage.setItem(SAVE_SLOT_PREFIX + slotId, legacyJson);
+    let slots = [];
+    try {
+      slots = JSON.parse(localStorage.getItem(SAVE_INDEX_KEY)) || [];
+    } catch {
+      slots = [];
+    }
+    slots.push(_buildSlotMetadata(slotId, "Imported Save", legacyData, false));
+    _writeSlotIndex(slots);
+    if (!getActiveSaveSlotId()) setActiveSaveSlotId(slotId);
+    console.log(`Imported legacy save into slot [${slotId}].`);
+  } catch (error) {
+    console.error("Error importing legacy save:", error);
+  }
+  localStorage.removeItem(LEGACY_SAVE_SLOT_KEY);
+}
+
+function _buildSlotMetadata(
+  slotId,
+  name,
+  saveData,
+  isAutosave,
+  dayDuration = DEFAULT_DAY_DURATION
+) {
+  return {
+    id: slotId,
+    name,
+    timestamp: saveData?.saveTimestamp || Date.now(),
+    level: saveData?.player?.level ?? 1,
+    day: Math.floor((saveData?.world?.gameTime || 0) / dayDuration) + 1,
+    seed: saveData?.world?.environmentSeed ?? null,
+    isAutosave,
+  };
+}
 
 export class GameStateManager {
   /** @type {import('../Game.js').Game} */
@@ -37,16 +211,26 @@ export class GameStateManager {
   /** @type {import('../physics/PhysicsEngine.js').PhysicsEngine | null} */
   physicsEngine = null;
 
+  /** @type {string | null} Slot this session loads from and saves into */
+  activeSlotId = null;
+  /** @type {number} Seconds of play since the last autosave */
+  timeSinceAutosave = 0;
+
   constructor(gameInstance) {
     this.gameInstance = gameInstance;
     // Get references from the gameInstance
     this.uiManager = gameInstance.uiManager;
     this.physicsEngine = gameInstance.physicsEngine;
+    listSaveSlots(); // Imports a legacy single-slot save if one exists
+    this.activeSlotId = getActiveSaveSlotId();
   }
 
-  /** Checks if save data exists in storage */
+  /** Checks if save data exists for the active slot */
   hasSaveData() {
-    return localStorage.getItem(SAVE_SLOT_KEY) !== null;
+    return (
+      !!this.activeSlotId &&
+      localStorage.getItem(SAVE_SLOT_PREFIX + this.activeSlotId) !== null
+    );
   }
 
   /** Creates a deep copy of the default save data */
@@ -54,19 +238,48 @@ export class GameStateManager {
     return structuredClone(defaultSaveData);
   }
 
-  /** Loads game data structure from local storage */
-  loadGameDataFromStorage() {
-    const jsonString = localStorage.getItem(SAVE_SLOT_KEY);
+  /**
+   * Loads game data structure from local storage
+   * @param {string | null} [slotId] - Slot to read, defaults to the active slot.
+   */
+  loadGameDataFromStorage(slotId = this.activeSlotId) {
+    if (!slotId) return null;
+    const storageKey = SAVE_SLOT_PREFIX + slotId;
+    const jsonString = localStorage.getItem(storageKey);
     if (!jsonString) return null;
+    let loadedData = null;
     try {
-      const loadedData = JSON.parse(jsonString);
-      // --- Version Check ---
-      if (loadedData?.saveVersion !== defaultSaveData.saveVersion) {
+      loadedData = JSON.parse(jsonString);
+    } catch (error) {
+      console.error("Error parsing save data:", error);
+      this._reportLoadFailure(slotId, {
+        success: false,
+        foundVersion: undefined,
+        targetVersion: CURRENT_SAVE_VERSION,
+        appliedSteps: [],
+        failedStep: null,
+        error: `Save data is not valid JSON (${error.message}).`,
+      });
+      return null;
+    }
+
+    try {
+      // --- Version Check / Migration ---
+      if (loadedData?.saveVersion !== CURRENT_SAVE_VERSION) {
         console.warn(
-          `Save version mismatch! Expected ${defaultSaveData.saveVersion}, found ${loadedData?.saveVersion}. Discarding save.`
+          `Save version mismatch! Expected ${CURRENT_SAVE_VERSION}, found ${loadedData?.saveVersion}. Migrating...`
+        );
+        const migration = migrateSaveData(loadedData);
+        if (!migration.success) {
+          this._reportLoadFailure(slotId, migration);
+          return null;
+        }
+        loadedData = migration.data;
+        // Persist the upgraded payload so the migration only runs once
+        localStorage.setItem(storageKey, JSON.stringify(loadedData));
+        this.uiManager?.log(
+          `Save upgraded from v${migration.foundVersion} to v${migration.targetVersion}.`
         );
-        localStorage.removeItem(SAVE_SLOT_KEY); // Discard old version
-        return null;
       }
       // --- Add safety check for essential nested structures ---
       if (!loadedData.player) loadedData.player = {};
@@ -74,26 +287,63 @@ export class GameStateManager {
       if (!loadedData.player.skillTree)
         loadedData.player.skillTree = { skillRanks: {} }; // Default if missing
       if (!loadedData.player.equipment) loadedData.player.equipment = {}; // Default if missing
+      if (!loadedData.player.reputation) loadedData.player.reputation = {}; // Default if missing
+      if (!loadedData.player.craftingQueue)
+        loadedData.player.craftingQueue = []; // Default if missing
       if (!loadedData.player.inventory) loadedData.player.inventory = []; // Default if missing
       if (!loadedData.world.permanentlyDepletedNodeIds)
         loadedData.world.permanentlyDepletedNodeIds = [];
       if (!loadedData.world.activeLoot) loadedData.world.activeLoot = [];
+      if (!loadedData.world.placedObjects) loadedData.world.placedObjects = [];
+      if (!loadedData.world.enemies) loadedData.world.enemies = [];
+      if (!loadedData.world.spawners) loadedData.world.spawners = [];
 
       console.log(
         "Save game data loaded successfully (v",
         loadedData.saveVersion,
-        ")."
+        ") from slot",
+        slotId
       );
       return loadedData;
     } catch (error) {
-      console.error("Error parsing save data:", error);
-      localStorage.removeItem(SAVE_SLOT_KEY);
+      console.error("Error preparing save data:", error);
+      this._reportLoadFailure(slotId, {
+        success: false,
+        foundVersion: loadedData?.saveVersion,
+        targetVersion: CURRENT_SAVE_VERSION,
+        appliedSteps: [],
+        failedStep: null,
+        error: error.message,
+      });
       return null;
     }
   }
 
-  /** Saves the current game state to local storage */
-  saveGame() {
+  /**
+   * Keeps the failed save untouched, detaches from it so it isn't overwritten,
+   * and shows the player what went wrong.
+   * @param {string} slotId
+   * @param {import('./SaveMigrations.js').MigrationResult} result
+   */
+  _reportLoadFailure(slotId, result) {
+    const slotName =
+      listSaveSlots().find((s) => s.id === slotId)?.name || slotId;
+    console.error(
+      `[GameStateManager] Could not load save "${slotName}":`,
+      result.error
+    );
+    if (this.activeSlotId === slotId) {
+      this.activeSlotId = null;
+      setActiveSaveSlotId(null);
+    }
+    this.uiManager?.showSaveLoadReport({ ...result, slotId, slotName });
+  }
+
+  /**
+   * Saves the current game state to local storage
+   * @param {string | null} [slotId] - Slot to write, defaults to the active slot (a new slot is created if none).
+   */
+  saveGame(slotId = this.activeSlotId) {
     if (!this.gameInstance || !this.gameInstance.isRunning) {
       this.uiManager?.log(
         "Cannot save game - Game not fully initialized or running."
@@ -102,28 +352,150 @@ export class GameStateManager {
     }
 
     this.uiManager?.log("Saving game...");
+    const slots = listSaveSlots();
+    let slot = slotId ? slots.find((s) => s.id === slotId) : null;
+    // Autosave slots are rotated by autosave(), so a manual save gets its own
+    if (slot?.isAutosave) slot = null;
+    const name =
+      slot?.name || `Save ${slots.filter((s) => !s.isAutosave).length + 1}`;
+    const targetSlotId = slot?.id || `slot_${Date.now().toString(36)}`;
+
+    if (this._writeSlot(targetSlotId, name, false)) {
+      this.activeSlotId = targetSlotId;
+      setActiveSaveSlotId(targetSlotId);
+      this.timeSinceAutosave = 0;
+      console.log("Game Saved!");
+      this.uiManager?.log(`Game Saved to "${name}".`);
+    }
+  }
+
+  /** Writes the current state into the oldest (or first free) autosave slot */
+  autosave() {
+    if (!this.gameInstance?.isRunning || this.gameInstance.isGameOver) return;
+
+    const autosaves = listSaveSlots().filter((s) => s.isAutosave);
+    let targetSlotId = null;
+    for (let i = 1; i <= AUTOSAVE_SLOT_COUNT; i++) {
+      const candidateId = `autosave_${i}`;
+      if (!autosaves.some((s) => s.id === candidateId)) {
+        targetSlotId = candidateId; // Free rotation slot
+        break;
+      }
+    }
+    if (!targetSlotId) {
+      // All rotation slots taken, overwrite the oldest (list is newest first)
+      targetSlotId = autosaves[autosaves.length - 1].id;
+    }
+    const name = `Autosave ${targetSlotId.split("_")[1]}`;
+    if (this._writeSlot(targetSlotId, name, true)) {
+      this.uiManager?.log(`Autosaved (${name}).`);
+    }
+  }
+
+  /**
+   * Ticks the autosave timer. Called every frame from the game loop.
+   * @param {number} deltaTime
+   */
+  update(deltaTime) {
+    this.timeSinceAutosave += deltaTime;
+    if (this.timeSinceAutosave >= AUTOSAVE_INTERVAL_SECONDS) {
+      this.timeSinceAutosave = 0;
+      this.autosave();
+    }
+  }
+
+  /** Gathers state and writes payload + index entry. Returns true on success. */
+  _writeSlot(slotId, name, isAutosave) {
     const currentSaveData = this.gatherCurrentState();
     if (!currentSaveData) {
       this.uiManager?.log("Error gathering game state for saving!");
-      return;
+      return false;
     }
 
     currentSaveData.saveTimestamp = Date.now();
     try {
       const jsonString = JSON.stringify(currentSaveData);
-      localStorage.setItem(SAVE_SLOT_KEY, jsonString);
-      console.log("Game Saved!");
-      this.uiManager?.log("Game Saved.");
+      localStorage.setItem(SAVE_SLOT_PREFIX + slotId, jsonString);
+      const slots = listSaveSlots().filter((s) => s.id !== slotId);
+      slots.push(
+        _buildSlotMetadata(
+          slotId,
+          name,
+          currentSaveData,
+          isAutosave,
+          this.gameInstance.dayDuration
+        )
+      );
+      _writeSlotIndex(slots);
+      return true;
     } catch (error) {
       console.error("Error saving game:", error);
       this.uiManager?.log("Error saving game!");
+      return false;
+    }
+  }
+
+  /**
+   * Downloads the current (unsaved) game state as a portable save file.
+   * @param {boolean} [compress=false] - Gzip the file.
+   */
+  async exportCurrentGame(compress = false) {
+    if (!this.gameInstance?.isRunning) {
+      this.uiManager?.log("Cannot export - Game not running.");
+      return;
+    }
+    const currentSaveData = this.gatherCurrentState();
+    if (!currentSaveData) {
+      this.uiManager?.log("Error gathering game state for export!");
+      return;
+    }
+    currentSaveData.saveTimestamp = Date.now();
+    const slotName =
+      listSaveSlots().find((s) => s.id === this.activeSlotId)?.name ||
+      "Exported Save";
+    try {
+      await _downloadSaveData(currentSaveData, slotName, compress);
+      this.uiManager?.log(`Exported save${compress ? " (gzip)" : ""}.`);
+    } catch (error) {
+      console.error("Error exporting save:", error);
+      this.uiManager?.log("Error exporting save!");
+    }
+  }
+
+  /**
+   * Imports a save file into a new slot and offers to load it.
+   * @param {File} file
+   */
+  async importSave(file) {
+    try {
+      const slot = await importSaveFile(file);
+      this.uiManager?.log(`Imported save "${slot.name}".`);
+      if (window.confirm(`Imported "${slot.name}". Load it now?`)) {
+        this.loadSlot(slot.id);
+      }
+    } catch (error) {
+      console.error("Error importing save:", error);
+      this.uiManager?.log(`Import failed: ${error.message}`, "red");
+    }
+  }
+
+  /**
+   * Marks a slot to be loaded and reloads the game.
+   * @param {string} [slotId] - Defaults to the active slot.
+   */
+  loadSlot(slotId = this.activeSlotId) {
+    if (!slotId || !listSaveSlots().some((s) => s.id === slotId)) {
+      this.uiManager?.log("No save found to load.");
+      return;
     }
+    setActiveSaveSlotId(slotId);
+    this.gameInstance?.reloadGame();
   }
 
-  /** Explicitly starts a new game, clearing any existing save */
+  /** Explicitly starts a new game. Existing slots are kept, the next save creates a new one. */
   newGame() {
-    console.log("Starting New Game: Clearing save data...");
-    localStorage.removeItem(SAVE_SLOT_KEY);
+    console.log("Starting New Game: Detaching from active save slot...");
+    setActiveSaveSlotId(null);
     this.uiManager?.log("Starting New Game.");
     // Potentially trigger a game reload or state reset via the Game instance
     this.gameInstance?.reloadGame(); // Assuming Game.js has a reload method
@@ -173,6 +545,7 @@ export class GameStateManager {
       state.player.currentXP = playerStats.currentXP; // <<< SAVE XP
       state.player.baseMaxHealth = playerStats.baseMaxHealth; // <<< SAVE baseMaxHealth
       state.player.availableSkillPoints = playerStats.availableSkillPoints; // <<< SAVE Skill Points
+      state.player.survival = playerStats.getSurvivalState(); // Hunger, thirst, stamina
       console.log(
         `[GatherState] Player Level: ${state.player.level}, XP: ${state.player.currentXP}, BaseMaxHealth: ${state.player.baseMaxHealth} gathered.`
       );
@@ -228,6 +601,7 @@ export class GameStateManager {
         itemId: stack.itemId,
         quantity: stack.quantity,
         item: { id: stack.item.id, name: stack.item.name }, // Basic data
+        ...(stack.instance && { instance: structuredClone(stack.instance) }),
       }));
       console.log(
         `[GatherState] Base inventory has ${combinedInventory.length} stacks.`
@@ -251,10 +625,12 @@ export class GameStateManager {
           //      existingStack.quantity += 1;
           // } else {
           // Add as a new stack (simpler, common for equipment)
+          const instance = playerEquipment.getEquippedItem(slot)?.instance;
           combinedInventory.push({
             itemId: equippedItemId,
             quantity: 1,
             item: { id: itemData.id, name: itemData.name },
+            ...(instance && { instance: structuredClone(instance) }),
           });
           console.log(
             ` ---> Added equipped item ${equippedItemId} to save list.`
@@ -289,6 +665,23 @@ export class GameStateManager {
     }
     // --- End Skill Tree ---
 
+    // --- Player Reputation ---
+    const playerReputation = player?.userData?.reputation;
+    state.player.reputation = playerReputation
+      ? playerReputation.getReputationState()
+      : {};
+    // --- End Reputation ---
+
+    // --- Recipe Book ---
+    const playerRecipeBook = player?.userData?.recipeBook;
+    state.player.recipeBook = playerRecipeBook
+      ? playerRecipeBook.getRecipeBookState()
+      : { knownRecipes: [], discoveredItems: [] };
+
+    // --- Crafting Queue ---
+    state.player.craftingQueue =
+      this.gameInstance.craftingSystem?.getQueueState() ?? [];
+
     // --- World State ---
     state.world.environmentSeed = this.gameInstance.environmentSeed;
     state.world.gameTime = this.gameInstance.gameTime;
@@ -325,6 +718,9 @@ export class GameStateManager {
             state.world.activeLoot.push({
               itemId: lootComp.itemId,
               quantity: lootComp.quantity,
+              ...(lootComp.instance && {
+                instance: structuredClone(lootComp.instance),
+              }),
               position: { x: position.x(), y: position.y(), z: position.z() },
               rotation: {
                 x: rotation.x(),
@@ -339,6 +735,27 @@ export class GameStateManager {
       );
     }
 
+    // --- Placed Objects (campfires, structures) ---
+    if (this.gameInstance.placementSystem) {
+      state.world.placedObjects =
+        this.gameInstance.placementSystem.getPlacedObjectsState();
+      console.log(
+        `[GatherState] Placed objects gathered: ${state.world.placedObjects.length}`
+      );
+    }
+
+    // --- Enemies & Spawner Cooldowns ---
+    if (this.gameInstance.enemyManager) {
+      state.world.enemies =
+        this.gameInstance.enemyManager.getActiveEnemiesState();
+      console.log(
+        `[GatherState] Enemies gathered: ${state.world.enemies.length}`
+      );
+    }
+    if (this.gameInstance.enemySpawner) {
+      state.world.spawners = this.gameInstance.enemySpawner.getSpawnersState();
+    }
+
     console.log("[GatherState] Finished gathering state.");
     return state;
   }
@@ -354,7 +771,7 @@ export class GameStateManager {
       return;
     }
     console.log(
-      "[ApplyLoad] Applying core loaded game state (Transform, Time, Seed)..."
+      "[ApplyLoad] Applying core loaded game state (Transform, Time, Seed, Placed Objects)..."
     );
     this.gameInstance.gameTime = loadedData.world.gameTime || 0;
     this.gameInstance.environmentSeed = loadedData.world.environmentSeed;
@@ -370,6 +787,14 @@ export class GameStateManager {
         loadedData.player.rotation
       );
     }
+    // --- Recreate placed objects (campfires etc.) ---
+    if (this.gameInstance.placementSystem) {
+      this.gameInstance.placementSystem.restorePlacedObjects(
+        loadedData.world.placedObjects || []
+      );
+    } else {
+      console.warn("[ApplyLoad] PlacementSystem missing, placed objects lost.");
+    }
     // Do NOT emit event here yet, wait until all state is applied
   }
 
@@ -403,6 +828,7 @@ export class GameStateManager {
 
       // CRITICAL: Recalculate stats *after* restoring level AND baseMaxHealth
       playerStats.recalculateCurrentStats();
+      playerStats.applySurvivalState(loadedData.player.survival); // Missing meters start full
 
       console.log(
         `[ApplyStats] Applied Level: ${playerStats.level}, XP: <span class="math-inline">\{playerStats\.currentXP\}/</span>{playerStats.xpToNextLevel}, BaseMaxHealth: ${playerStats.baseMaxHealth}` // Update log
@@ -475,14 +901,20 @@ export class GameStateManager {
             typeof stackData.quantity === "number"
           ) {
             // Reconstruct the stack object - ensure 'item' object is recreated if needed
-            playerInventory.items.push({
+            const stack = {
               itemId: stackData.itemId,
               quantity: stackData.quantity,
               item: stackData.item || {
                 id: stackData.itemId,
                 name: stackData.itemId,
               }, // Use saved basic data
-            });
+            };
+            const instance = sanitizeItemInstance(
+              stackData.itemId,
+              stackData.instance
+            );
+            if (instance) stack.instance = instance;
+            playerInventory.items.push(stack);
           } else {
             console.warn(
               `[ApplyComponents] Invalid inventory stack data found in save:`,
@@ -516,6 +948,51 @@ export class GameStateManager {
     }
   }
 
+  applyPlayerReputationState(loadedData) {
+    const playerReputation =
+      this.gameInstance?.playerController?.player?.userData?.reputation;
+    if (!playerReputation) {
+      console.warn(
+        "[ApplyReputation] Player ReputationComponent not found, reputation not restored."
+      );
+      return;
+    }
+    playerReputation.applyReputationState(loadedData?.player?.reputation);
+    console.log(
+      "[ApplyReputation] Reputation restored:",
+      playerReputation.getReputationState()
+    );
+  }
+
+  applyPlayerRecipeBookState(loadedData) {
+    const playerRecipeBook =
+      this.gameInstance?.playerController?.player?.userData?.recipeBook;
+    if (!playerRecipeBook) {
+      console.warn(
+        "[ApplyRecipes] Player RecipeBookComponent not found, known recipes not restored."
+      );
+      return;
+    }
+    playerRecipeBook.applyRecipeBookState(loadedData?.player?.recipeBook);
+    console.log(
+      `[ApplyRecipes] Known recipes restored: ${playerRecipeBook.knownRecipes.size}`
+    );
+  }
+
+  applyCraftingQueueState(loadedData) {
+    const craftingSystem = this.gameInstance?.craftingSystem;
+    if (!craftingSystem) {
+      console.warn(
+        "[ApplyCrafting] CraftingSystem not found, crafting queue not restored."
+      );
+      return;
+    }
+    craftingSystem.applyQueueState(loadedData?.player?.craftingQueue);
+    console.log(
+      `[ApplyCrafting] Crafting queue restored: ${craftingSystem.queue.length} item(s).`
+    );
+  }
+
   applyPlayerSkillTreeState(loadedData) {
     if (
       !loadedData?.player?.skillTree ||
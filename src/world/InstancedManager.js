@@ -1,6 +1,7 @@
 // src/world/InstancedManager.js
 import * as THREE from "three";
 import { mulberry32, cyrb128 } from "../utils/PRNG.js";
+import { getGatherRule } from "../config/ResourceConfig.js";
 import * as SkeletonUtils from "three/examples/jsm/utils/SkeletonUtils.js";
 
 /**
@@ -354,6 +355,9 @@ export class InstancedManager {
             continue; // Skip physics for this instance
           }
 
+          // Tool gate and yield bonuses, see GATHER_RULES
+          const gatherRule = getGatherRule(config.gatherRule);
+
           // Create Physics Body Options
           let bodyOptions = {
             mass: 0,
@@ -371,6 +375,10 @@ export class InstancedManager {
             interactionType: config.interactionType,
             resourceId: config.resourceId,
             resourceQty: config.resourceQty,
+            lootTable: config.lootTable,
+            gatherRule: gatherRule,
+            requiresTool: gatherRule?.requiredTier > 0 ? gatherRule.tool : null,
+            requiredToolTier: gatherRule?.requiredTier,
             friction: config.friction ?? 0.8,
             restitution: config.restitution ?? 0.2,
           };
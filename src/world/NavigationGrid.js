@@ -0,0 +1,552 @@
+// src/world/NavigationGrid.js
+// Walkability grid over the terrain, used by AISystem for enemy pathfinding.
+// Cells are blocked by steep slopes (from the terrain heightmap) and by static
+// obstacles (trees, rocks, placed structures). Obstacles are reference counted
+// per cell, so removing one only frees the cells no other obstacle covers.
+import * as THREE from "three";
+import eventBus from "../core/EventBus.js";
+
+const NEIGHBOR_OFFSETS = [
+  [1, 0],
+  [-1, 0],
+  [0, 1],
+  [0, -1],
+  [1, 1],
+  [1, -1],
+  [-1, 1],
+  [-1, -1],
+];
+const NEAREST_WALKABLE_RINGS = 4; // How far (in cells) to look for a walkable start/goal
+
+/** Binary min-heap of cell indices, ordered by priority. */
+class IndexHeap {
+  indices = [];
+  priorities = [];
+
+  get size() {
+    return this.indices.length;
+  }
+
+  clear() {
+    this.indices.length = 0;
+    this.priorities.length = 0;
+  }
+
+  push(index, priority) {
+    const { indices, priorities } = this;
+    let i = indices.length;
+    indices.push(index);
+    priorities.push(priority);
+    while (i > 0) {
+      const parent = (i - 1) >> 1;
+      if (priorities[parent] <= priority) break;
+      indices[i] = indices[parent];
+      priorities[i] = priorities[parent];
+      i = parent;
+    }
+    indices[i] = index;
+    priorities[i] = priority;
+  }
+
+  pop() {
+    const { indices, priorities } = this;
+    const top = indices[0];
+    const lastIndex = indices.pop();
+    const lastPriority = priorities.pop();
+    const length = indices.length;
+    if (length === 0) return top;
+
+    let i = 0;
+    while (true) {
+      const left = i * 2 + 1;
+      if (left >= length) break;
+      const right = left + 1;
+      const child =
+        right < length && priorities[right] < priorities[left] ? right : left;
+      if (priorities[child] >= lastPriority) break;
+      indices[i] = indices[child];
+      priorities[i] = priorities[child];
+      i = child;
+    }
+    indices[i] = lastIndex;
+    priorities[i] = lastPriority;
+    return top;
+  }
+}
+
+export class NavigationGrid {
+  /** @type {import('./Terrain.js').Terrain | null} */
+  terrain = null;
+  /** @type {number} World size of one (square) cell */
+  cellSize;
+  /** @type {number} Max height change per meter between neighboring cells */
+  maxSlope;
+  /** @type {number} Obstacles are inflated by this so agents don't clip them */
+  agentRadius;
+  /** @type {number} A* gives up after expanding this many cells */
+  maxSearchNodes;
+
+  /** @type {number} Cells per side */
+  gridSize = 0;
+  /** @type {number} World X/Z of the grid's min corner */
+  origin = 0;
+  /** @type {Float32Array | null} Ground height at each cell center (NaN off terrain) */
+  heights = null;
+  /** @type {Uint8Array | null} 1 = too steep or off the terrain */
+  slopeBlocked = null;
+  /** @type {Uint16Array | null} Number of obstacles covering each cell */
+  obstacleCount = null;
+  /** @type {Map<string, number[]>} Obstacle key -> covered cell indices */
+  obstacles = new Map();
+  /** @type {number} Bumped on every change, so cached paths know to re-plan */
+  version = 0;
+  isReady = false;
+
+  // A* scratch buffers, reused between queries
+  _gScore = null;
+  _cameFrom = null;
+  _openStamp = null;
+  _closedStamp = null;
+  _searchId = 0;
+  _openHeap = new IndexHeap();
+
+  _aabbMin = null;
+  _aabbMax = null;
+  _unsubscribers = [];
+
+  /**
+   * @param {object} [options]
+   * @param {number} [options.cellSize=1.0]
+   * @param {number} [options.maxSlope=1.0] - Rise over run, 1.0 = 45 degrees.
+   * @param {number} [options.agentRadius=0.5]
+   * @param {number} [options.maxSearchNodes=6000]
+   */
+  constructor(options = {}) {
+    this.cellSize = options.cellSize ?? 1.0;
+    this.maxSlope = options.maxSlope ?? 1.0;
+    this.agentRadius = options.agentRadius ?? 0.5;
+    this.maxSearchNodes = options.maxSearchNodes ?? 6000;
+
+    // Incremental updates: depleted nodes free their cells, structures block them
+    this._unsubscribers = [
+      eventBus.on("resourceNodeDepleted", ({ instanceId }) =>
+        this.removeObstacle(instanceId)
+      ),
+      eventBus.on("placedObjectAdded", ({ id, body }) =>
+        this.addObstacleFromBody(id, body)
+      ),
+      eventBus.on("placedObjectRemoved", ({ id }) => this.removeObstacle(id)),
+    ];
+    console.log("NavigationGrid initialized.");
+  }
+
+  /**
+   * Builds the grid from the generated terrain and the static obstacle bodies.
+   * @param {import('./Terrain.js').Terrain} terrain - Must be generated.
+   * @param {Array<Ammo.btRigidBody>} [obstacleBodies] - Keyed by userData.instanceId.
+   */
+  build(terrain, obstacleBodies = []) {
+    if (!terrain?.heightData) {
+      console.error(
+        "NavigationGrid: Terrain has no height data, cannot build."
+      );
+      return;
+    }
+    this.terrain = terrain;
+    this.gridSize = Math.floor(terrain.size / this.cellSize);
+    this.origin = -terrain.size / 2;
+    const cellCount = this.gridSize * this.gridSize;
+
+    this.heights = new Float32Array(cellCount);
+    this.slopeBlocked = new Uint8Array(cellCount);
+    this.obstacleCount = new Uint16Array(cellCount);
+    this.obstacles.clear();
+    this._gScore = new Float32Array(cellCount);
+    this._cameFrom = new Int32Array(cellCount);
+    this._openStamp = new Uint32Array(cellCount);
+    this._closedStamp = new Uint32Array(cellCount);
+    this._searchId = 0;
+
+    for (let cz = 0; cz < this.gridSize; cz++) {
+      for (let cx = 0; cx < this.gridSize; cx++) {
+        const height = terrain.sampleHeight(
+          this._cellCenterX(cx),
+          this._cellCenterZ(cz)
+        );
+        this.heights[cz * this.gridSize + cx] = height ?? NaN;
+      }
+    }
+
+    // A cell is too steep if the climb to any direct neighbor is too high
+    const maxStep = this.maxSlope * this.cellSize;
+    let steepCount = 0;
+    for (let cz = 0; cz < this.gridSize; cz++) {
+      for (let cx = 0; cx < this.gridSize; cx++) {
+        const index = cz * this.gridSize + cx;
+        const height = this.heights[index];
+        let blocked = Number.isNaN(height);
+        for (let n = 0; n < 4 && !blocked; n++) {
+          const nx = cx + NEIGHBOR_OFFSETS[n][0];
+          const nz = cz + NEIGHBOR_OFFSETS[n][1];
+          if (!this._inBounds(nx, nz)) continue;
+          const neighborHeight = this.heights[nz * this.gridSize + nx];
+          blocked = Math.abs(neighborHeight - height) > maxStep;
+        }
+        if (blocked) {
+          this.slopeBlocked[index] = 1;
+          steepCount++;
+        }
+      }
+    }
+
+    let obstacleCount = 0;
+    obstacleBodies.forEach((body) => {
+      if (this.addObstacleFromBody(body?.userData?.instanceId, body)) {
+        obstacleCount++;
+      }
+    });
+
+    this.isReady = true;
+    this.version++;
+    console.log(
+      `NavigationGrid: Built ${this.gridSize}x${this.gridSize} cells (${this.cellSize}m). ${steepCount} too steep, ${obstacleCount} obstacles.`
+    );
+  }
+
+  /**
+   * Blocks the cells under a physics body's bounding box.
+   * @param {string} key - Unique id used to remove the obstacle later.
+   * @param {Ammo.btRigidBody} body
+   * @returns {boolean} True if the obstacle was added.
+   */
+  addObstacleFromBody(key, body) {
+    if (!key || !body || !this.heights) return false;
+    if (!this._aabbMin) {
+      this._aabbMin = new Ammo.btVector3(0, 0, 0);
+      this._aabbMax = new Ammo.btVector3(0, 0, 0);
+    }
+    body.getAabb(this._aabbMin, this._aabbMax);
+    return this.addObstacle(
+      key,
+      this._aabbMin.x(),
+      this._aabbMin.z(),
+      this._aabbMax.x(),
+      this._aabbMax.z()
+    );
+  }
+
+  /**
+   * Blocks the cells whose centers fall inside a world-space rectangle
+   * (inflated by agentRadius), plus the cell under its center.
+   * Re-adding an existing key replaces the old footprint.
+   * @returns {boolean} True if the obstacle was added.
+   */
+  addObstacle(key, minX, minZ, maxX, maxZ) {
+    if (!key || !this.heights) return false;
+    if (this.obstacles.has(key)) this.removeObstacle(key);
+
+    const r = this.agentRadius;
+    const startX = Math.max(0, Math.ceil(this._toGrid(minX - r) - 0.5));
+    const endX = Math.min(
+      this.gridSize - 1,
+      Math.floor(this._toGrid(maxX + r) - 0.5)
+    );
+    const startZ = Math.max(0, Math.ceil(this._toGrid(minZ - r) - 0.5));
+    const endZ = Math.min(
+      this.gridSize - 1,
+      Math.floor(this._toGrid(maxZ + r) - 0.5)
+    );
+
+    const cells = [];
+    for (let cz = startZ; cz <= endZ; cz++) {
+      for (let cx = startX; cx <= endX; cx++) {
+        cells.push(cz * this.gridSize + cx);
+      }
+    }
+    const centerX = this._toCell((minX + maxX) / 2);
+    const centerZ = this._toCell((minZ + maxZ) / 2);
+    if (this._inBounds(centerX, centerZ)) {
+      const centerIndex = centerZ * this.gridSize + centerX;
+      if (!cells.includes(centerIndex)) cells.push(centerIndex);
+    }
+    if (cells.length === 0) return false;
+
+    cells.forEach((index) => this.obstacleCount[index]++);
+    this.obstacles.set(key, cells);
+    this.version++;
+    return true;
+  }
+
+  /**
+   * Frees the cells of an obstacle added with addObstacle/addObstacleFromBody.
+   * @param {string} key
+   * @returns {boolean} True if the obstacle existed.
+   */
+  removeObstacle(key) {
+    const cells = this.obstacles.get(key);
+    if (!cells) return false;
+    cells.forEach((index) => {
+      if (this.obstacleCount[index] > 0) this.obstacleCount[index]--;
+    });
+    this.obstacles.delete(key);
+    this.version++;
+    return true;
+  }
+
+  /** @returns {boolean} True if the world position is on a walkable cell */
+  isWalkableAt(x, z) {
+    return this.isReady && this._isWalkable(this._toCell(x), this._toCell(z));
+  }
+
+  /**
+   * True if an agent can walk in a straight line between two points.
+   * The start cell itself is not checked (agents often stand next to obstacles).
+   * @param {THREE.Vector3} from
+   * @param {THREE.Vector3} to
+   */
+  hasClearPath(from, to) {
+    if (!this.isReady) return true;
+    return this._isLineWalkable(from.x, from.z, to.x, to.z);
+  }
+
+  /**
+   * A* path between two world positions, smoothed to as few waypoints as
+   * straight-line walkability allows.
+   * @param {THREE.Vector3} from
+   * @param {THREE.Vector3} to
+   * @returns {THREE.Vector3[] | null} Waypoints (excluding the start), or null
+   *   if there is no path or the search gave up.
+   */
+  findPath(from, to) {
+    if (!this.isReady) return null;
+    const start = this._findNearestWalkable(
+      this._toCell(from.x),
+      this._toCell(from.z)
+    );
+    const goalCellX = this._toCell(to.x);
+    const goalCellZ = this._toCell(to.z);
+    const goal = this._findNearestWalkable(goalCellX, goalCellZ);
+    if (start < 0 || goal < 0) return null;
+
+    const cells = start === goal ? [goal] : this._search(start, goal);
+    if (!cells) return null;
+
+    const waypoints = this._smoothPath(from, cells);
+    // Keep the exact destination if it was reachable, not its cell center
+    if (this._isWalkable(goalCellX, goalCellZ)) {
+      const last = waypoints[waypoints.length - 1];
+      last.set(to.x, to.y, to.z);
+    }
+    return waypoints;
+  }
+
+  destroy() {
+    this._unsubscribers.forEach((unsubscribe) => unsubscribe());
+    this._unsubscribers = [];
+    if (this._aabbMin) {
+      Ammo.destroy(this._aabbMin);
+      Ammo.destroy(this._aabbMax);
+      this._aabbMin = null;
+      this._aabbMax = null;
+    }
+    this.isReady = false;
+    this.heights = null;
+    this.obstacles.clear();
+    console.log("NavigationGrid destroyed.");
+  }
+
+  // --- Internals ---
+
+  /** @returns {number[] | null} Cell indices from start to goal */
+  _search(start, goal) {
+    const size = this.gridSize;
+    const goalX = goal % size;
+    const goalZ = Math.floor(goal / size);
+    const heuristic = (index) => {
+      const dx = Math.abs((index % size) - goalX);
+      const dz = Math.abs(Math.floor(index / size) - goalZ);
+      return dx + dz + (Math.SQRT2 - 2) * Math.min(dx, dz); // Octile distance
+    };
+
+    const searchId = ++this._searchId;
+    const heap = this._openHeap;
+    heap.clear();
+    this._gScore[start] = 0;
+    this._cameFrom[start] = -1;
+    this._openStamp[start] = searchId;
+    heap.push(start, heuristic(start));
+
+    let expanded = 0;
+    while (heap.size > 0) {
+      const current = heap.pop();
+      if (current === goal) return this._reconstruct(goal);
+      if (this._closedStamp[current] === searchId) continue; // Stale heap entry
+      this._closedStamp[current] = searchId;
+      if (++expanded > this.maxSearchNodes) return null;
+
+      const cx = current % size;
+      const cz = Math.floor(current / size);
+      for (let n = 0; n < NEIGHBOR_OFFSETS.length; n++) {
+        const [ox, oz] = NEIGHBOR_OFFSETS[n];
+        const nx = cx + ox;
+        const nz = cz + oz;
+        if (!this._isWalkable(nx, nz)) continue;
+        const diagonal = ox !== 0 && oz !== 0;
+        // No cutting corners around blocked cells
+        if (
+          diagonal &&
+          (!this._isWalkable(cx + ox, cz) || !this._isWalkable(cx, cz + oz))
+        ) {
+          continue;
+        }
+        const neighbor = nz * size + nx;
+        if (this._closedStamp[neighbor] === searchId) continue;
+
+        const tentative = this._gScore[current] + (diagonal ? Math.SQRT2 : 1);
+        if (
+          this._openStamp[neighbor] === searchId &&
+          tentative >= this._gScore[neighbor]
+        ) {
+          continue;
+        }
+        this._openStamp[neighbor] = searchId;
+        this._gScore[neighbor] = tentative;
+        this._cameFrom[neighbor] = current;
+        heap.push(neighbor, tentative + heuristic(neighbor));
+      }
+    }
+    return null;
+  }
+
+  _reconstruct(goal) {
+    const cells = [];
+    for (let index = goal; index !== -1; index = this._cameFrom[index]) {
+      cells.push(index);
+    }
+    return cells.reverse();
+  }
+
+  /** String-pulling: skip every cell that can be reached in a straight line */
+  _smoothPath(from, cells) {
+    const waypoints = [];
+    let anchorX = from.x;
+    let anchorZ = from.z;
+    for (let i = 0; i < cells.length; i++) {
+      const isLast = i === cells.length - 1;
+      if (
+        !isLast &&
+        this._isLineWalkable(
+          anchorX,
+          anchorZ,
+          this._indexCenterX(cells[i + 1]),
+          this._indexCenterZ(cells[i + 1])
+        )
+      ) {
+        continue;
+      }
+      const waypoint = this._indexCenter(cells[i], new THREE.Vector3());
+      waypoints.push(waypoint);
+      anchorX = waypoint.x;
+      anchorZ = waypoint.z;
+    }
+    return waypoints;
+  }
+
+  /** Grid traversal (DDA) over every cell the segment touches */
+  _isLineWalkable(x0, z0, x1, z1) {
+    let cx = this._toCell(x0);
+    let cz = this._toCell(z0);
+    const endX = this._toCell(x1);
+    const endZ = this._toCell(z1);
+    const dx = x1 - x0;
+    const dz = z1 - z0;
+    const stepX = Math.sign(dx);
+    const stepZ = Math.sign(dz);
+    const tDeltaX = stepX ? this.cellSize / Math.abs(dx) : Infinity;
+    const tDeltaZ = stepZ ? this.cellSize / Math.abs(dz) : Infinity;
+    let tMaxX = stepX
+      ? (this.origin + (cx + (stepX > 0 ? 1 : 0)) * this.cellSize - x0) / dx
+      : Infinity;
+    let tMaxZ = stepZ
+      ? (this.origin + (cz + (stepZ > 0 ? 1 : 0)) * this.cellSize - z0) / dz
+      : Infinity;
+
+    const maxSteps = Math.abs(endX - cx) + Math.abs(endZ - cz);
+    for (let step = 0; step < maxSteps; step++) {
+      if (tMaxX < tMaxZ) {
+        tMaxX += tDeltaX;
+        cx += stepX;
+      } else {
+        tMaxZ += tDeltaZ;
+        cz += stepZ;
+      }
+      if (!this._isWalkable(cx, cz)) return false;
+    }
+    return true;
+  }
+
+  /** Index of the closest walkable cell within a few rings, or -1 */
+  _findNearestWalkable(cx, cz) {
+    if (this._isWalkable(cx, cz)) return cz * this.gridSize + cx;
+    for (let ring = 1; ring <= NEAREST_WALKABLE_RINGS; ring++) {
+      let best = -1;
+      let bestDistSq = Infinity;
+      for (let oz = -ring; oz <= ring; oz++) {
+        for (let ox = -ring; ox <= ring; ox++) {
+          if (Math.abs(ox) !== ring && Math.abs(oz) !== ring) continue; // Ring edge only
+          if (!this._isWalkable(cx + ox, cz + oz)) continue;
+          const distSq = ox * ox + oz * oz;
+          if (distSq < bestDistSq) {
+            bestDistSq = distSq;
+            best = (cz + oz) * this.gridSize + cx + ox;
+          }
+        }
+      }
+      if (best >= 0) return best;
+    }
+    return -1;
+  }
+
+  _isWalkable(cx, cz) {
+    if (!this._inBounds(cx, cz)) return false;
+    const index = cz * this.gridSize + cx;
+    return this.slopeBlocked[index] === 0 && this.obstacleCount[index] === 0;
+  }
+
+  _inBounds(cx, cz) {
+    return cx >= 0 && cz >= 0 && cx < this.gridSize && cz < this.gridSize;
+  }
+
+  /** World coordinate -> fractional grid coordinate */
+  _toGrid(value) {
+    return (value - this.origin) / this.cellSize;
+  }
+
+  _toCell(value) {
+    return Math.floor(this._toGrid(value));
+  }
+
+  _cellCenterX(cx) {
+    return this.origin + (cx + 0.5) * this.cellSize;
+  }
+
+  _cellCenterZ(cz) {
+    return this.origin + (cz + 0.5) * this.cellSize;
+  }
+
+  _indexCenterX(index) {
+    return this._cellCenterX(index % this.gridSize);
+  }
+
+  _indexCenterZ(index) {
+    return this._cellCenterZ(Math.floor(index / this.gridSize));
+  }
+
+  _indexCenter(index, target) {
+    return target.set(
+      this._indexCenterX(index),
+      this.heights[index],
+      this._indexCenterZ(index)
+    );
+  }
+}
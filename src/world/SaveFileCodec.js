@@ -0,0 +1,279 @@
+// src/world/SaveFileCodec.js
+// Portable save files: a JSON envelope around the save payload with a checksum,
+// optionally gzip-compressed via CompressionStream.
+import { cyrb128 } from "../utils/PRNG.js";
+
+const SAVE_FILE_FORMAT = "short-bright-save";
+const SAVE_FILE_FORMAT_VERSION = 1;
+const GZIP_MAGIC = [0x1f, 0x8b];
+
+/** @returns {boolean} True if the browser can gzip/gunzip natively. */
+export function isCompressionSupported() {
+  return (
+    typeof CompressionStream !== "undefined" &&
+    typeof DecompressionStream !== "undefined"
+  );
+}
+
+/** Checksum over the exact payload string: length + 32-bit hash, detects truncation and edits. */
+function _checksum(dataString) {
+  return `${dataString.length}-${cyrb128(dataString).toString(16)}`;
+}
+
+/**
+ * Wraps a save payload into a downloadable file blob.
+ * @param {object} saveData - Save payload (as produced by gatherCurrentState).
+ * @param {object} [options]
+ * @param {string} [options.name] - Display name stored in the file.
+ * @param {boolean} [options.compress=false] - Gzip the file (ignored if unsupported).
+ * @returns {Promise<Blob>}
+ */
+export async function encodeSaveFile(
+  saveData,
+  { name = "", compress = false } = {}
+) {
+  // Payload is kept as a string so the checksum covers exactly what was written
+  const data = JSON.stringify(saveData);
+  const envelope = {
+    format: SAVE_FILE_FORMAT,
+    formatVersion: SAVE_FILE_FORMAT_VERSION,
+    name,
+    exportedAt: Date.now(),
+    checksum: _checksum(data),
+    data,
+  };
+  const jsonBlob = new Blob([JSON.stringify(envelope)], {
+    type: "application/json",
+  });
+  if (!compress || !isCompressionSupported()) return jsonBlob;
+
+  const gzipStream = jsonBlob
+    .stream()
+    .pipeThrough(new CompressionStream("gzip"));
+  const gzipBuffer = await new Response(gzipStream).arrayBuffer();
+  return new Blob([gzipBuffer], { type: "application/gzip" });
+}
+
+/**
+ * Reads a save file (plain or gzip), verifies its envelope and checksum.
+ * @param {Blob} file
+ * @returns {Promise<{name: string, saveData: object}>}
+ * @throws {Error} With a player-readable message if the file is unusable.
+ */
+export async function decodeSaveFile(file) {
+  const buffer = await file.arrayBuffer();
+  const bytes = new Uint8Array(buffer);
+  let text;
+  if (bytes[0] === GZIP_MAGIC[0] && bytes[1] === GZIP_MAGIC[1]) {
+    if (!isCompressionSupported()) {
+      throw new Error("This browser cannot read compressed save files.");
+    }
+    try {
+      const textStream = new Blob([buffer])
+        .stream()
+        .pipeThrough(new DecompressionStream("gzip"));
+      text = await new Response(textStream).text();
+    } catch (error) {
+      throw new Error(`Compressed save is damaged (${error.message}).`);
+    }
+  } else {
+    text = new TextDecoder().decode(buffer);
+  }
+
+  let envelope;
+  try {
+    envelope = JSON.parse(text);
+  } catch {
+    throw new Error(
+      "File is not a valid save (unreadable JSON, possibly truncated)."
+    );
+  }
+  if (envelope?.format !== SAVE_FILE_FORMAT) {
+    throw new Error("File is not a save exported from this game.");
+  }
+  if (envelope.formatVersion > SAVE_FILE_FORMAT_VERSION) {
+    throw new Error(
+      `Save file format v${envelope.formatVersion} is newer than this game supports.`
+    );
+  }
+  if (typeof envelope.data !== "string") {
+    throw new Error("Save file has no payload.");
+  }
+  if (_checksum(envelope.data) !== envelope.checksum) {
+    throw new Error(
+      "Checksum mismatch: the save file was modified or truncated."
+    );
+  }
+
+  let saveData;
+  try {
+    saveData = JSON.parse(envelope.data);
+  } catch {
+    throw new Error("Save payload is not valid JSON.");
+  }
+  return { name: envelope.name || "", saveData };
+}
+
+const _isFiniteNumber = (value) =>
+  typeof value === "number" && Number.isFinite(value);
+
+const _isStringArray = (value) =>
+  Array.isArray(value) && value.every((entry) => typeof entry === "string");
+
+const _isVector = (value, keys) =>
+  !!value &&
+  typeof value === "object" &&
+  keys.every((k) => _isFiniteNumber(value[k]));
+
+// Quality, affixes, durability... of a non-stackable item, see ItemInstanceFactory
+const _isValidItemInstance = (value) =>
+  !!value &&
+  typeof value === "object" &&
+  typeof value.uid === "string" &&
+  (value.affixes === undefined || Array.isArray(value.affixes)) &&
+  (value.durability === undefined ||
+    (_isFiniteNumber(value.durability) && value.durability >= 0));
+
+// An inventory stack: player inventory, container contents
+const _isValidStack = (stack) =>
+  typeof stack?.itemId === "string" &&
+  _isFiniteNumber(stack.quantity) &&
+  stack.quantity > 0 &&
+  (stack.instance === undefined || _isValidItemInstance(stack.instance));
+
+/**
+ * Checks a (migrated) save payload against the current schema.
+ * @param {object} saveData
+ * @returns {string[]} List of problems, empty if the payload is usable.
+ */
+export function validateSaveData(saveData) {
+  const errors = [];
+  if (!saveData || typeof saveData !== "object") {
+    return ["Save payload is not an object."];
+  }
+  if (!_isFiniteNumber(saveData.saveVersion))
+    errors.push("saveVersion missing.");
+
+  const player = saveData.player;
+  if (!player || typeof player !== "object") {
+    errors.push("player section missing.");
+  } else {
+    if (!_isVector(player.position, ["x", "y", "z"]))
+      errors.push("player.position is invalid.");
+    if (!_isVector(player.rotation, ["x", "y", "z", "w"]))
+      errors.push("player.rotation is invalid.");
+    if (player.level !== undefined && !_isFiniteNumber(player.level))
+      errors.push("player.level is not a number.");
+    if (!Array.isArray(player.inventory)) {
+      errors.push("player.inventory is not a list.");
+    } else if (!player.inventory.every(_isValidStack)) {
+      errors.push("player.inventory has invalid stacks.");
+    }
+    if (player.equipment && typeof player.equipment !== "object")
+      errors.push("player.equipment is invalid.");
+    if (
+      player.reputation &&
+      (typeof player.reputation !== "object" ||
+        !Object.values(player.reputation).every(_isFiniteNumber))
+    )
+      errors.push("player.reputation is invalid.");
+    if (
+      player.survival &&
+      (typeof player.survival !== "object" ||
+        !["hunger", "thirst", "stamina"].every(
+          (stat) =>
+            player.survival[stat] === undefined ||
+            (_isFiniteNumber(player.survival[stat]) &&
+              player.survival[stat] >= 0)
+        ))
+    )
+      errors.push("player.survival is invalid.");
+    if (
+      player.craftingQueue &&
+      (!Array.isArray(player.craftingQueue) ||
+        player.craftingQueue.some(
+          (job) =>
+            typeof job?.recipeId !== "string" ||
+            !_isFiniteNumber(job.progress) ||
+            job.progress < 0
+        ))
+    )
+      errors.push("player.craftingQueue is invalid.");
+    if (
+      player.recipeBook &&
+      (typeof player.recipeBook !== "object" ||
+        !_isStringArray(player.recipeBook.knownRecipes ?? []) ||
+        !_isStringArray(player.recipeBook.discoveredItems ?? []))
+    )
+      errors.push("player.recipeBook is invalid.");
+  }
+
+  const world = saveData.world;
+  if (!world || typeof world !== "object") {
+    errors.push("world section missing.");
+  } else {
+    if (typeof world.environmentSeed !== "string" || !world.environmentSeed)
+      errors.push("world.environmentSeed is missing.");
+    if (!_isFiniteNumber(world.gameTime) || world.gameTime < 0)
+      errors.push("world.gameTime is invalid.");
+    if (
+      world.permanentlyDepletedNodeIds &&
+      !Array.isArray(world.permanentlyDepletedNodeIds)
+    )
+      errors.push("world.permanentlyDepletedNodeIds is not a list.");
+    if (world.activeLoot && !Array.isArray(world.activeLoot))
+      errors.push("world.activeLoot is not a list.");
+    if (
+      world.placedObjects &&
+      (!Array.isArray(world.placedObjects) ||
+        world.placedObjects.some(
+          (placed) =>
+            typeof placed?.placeableId !== "string" ||
+            !_isVector(placed.position, ["x", "y", "z"]) ||
+            (placed.state?.items !== undefined &&
+              (!Array.isArray(placed.state.items) ||
+                !placed.state.items.every(_isValidStack)))
+        ))
+    )
+      errors.push("world.placedObjects has invalid entries.");
+    if (
+      world.enemies &&
+      (!Array.isArray(world.enemies) ||
+        world.enemies.some(
+          (enemy) =>
+            typeof enemy?.enemyId !== "string" ||
+            !_isVector(enemy.position, ["x", "y", "z"]) ||
+            !_isFiniteNumber(enemy.health)
+        ))
+    )
+      errors.push("world.enemies has invalid entries.");
+    if (
+      world.spawners &&
+      (!Array.isArray(world.spawners) ||
+        world.spawners.some(
+          (spawner) =>
+            typeof spawner?.id !== "string" ||
+            !_isFiniteNumber(spawner.respawnTimer)
+        ))
+    )
+      errors.push("world.spawners has invalid entries.");
+  }
+  return errors;
+}
+
+/**
+ * Triggers a browser download for a blob.
+ * @param {Blob} blob
+ * @param {string} fileName
+ */
+export function downloadBlob(blob, fileName) {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = fileName;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  // Give the browser a moment to start the download before revoking
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
@@ -0,0 +1,213 @@
+// src/world/SaveMigrations.js
+// Ordered registry of save schema upgrades.
+// When the save schema changes: bump CURRENT_SAVE_VERSION and append a migration
+// from the previous version. Each migration receives the parsed payload of its
+// `fromVersion` and returns (or mutates) it into the `toVersion` shape.
+import { CRAFTING_RECIPES } from "../config/CraftingConfig.js";
+import { getMaxDurability } from "../config/ItemConfig.js";
+import {
+  createsInstances,
+  createItemInstance,
+} from "../utils/ItemInstanceFactory.js";
+
+/** The schema version written by the current build. */
+export const CURRENT_SAVE_VERSION = 2.8;
+
+/**
+ * @typedef {object} SaveMigration
+ * @property {number} fromVersion - Version this step upgrades from.
+ * @property {number} toVersion - Version this step produces.
+ * @property {string} description - Short summary shown in migration reports.
+ * @property {(data: object) => object | void} migrate - Upgrades the payload.
+ */
+
+/** @type {SaveMigration[]} Keep in ascending version order. */
+export const SAVE_MIGRATIONS = [
+  {
+    fromVersion: 1.9,
+    toVersion: 2.0,
+    description: "Track player-placed objects",
+    migrate: (data) => {
+      data.world = data.world || {};
+      data.world.placedObjects = data.world.placedObjects || [];
+    },
+  },
+  {
+    fromVersion: 2.0,
+    toVersion: 2.1,
+    description: "Persist live enemies and spawner cooldowns",
+    migrate: (data) => {
+      data.world = data.world || {};
+      data.world.enemies = data.world.enemies || [];
+      data.world.spawners = data.world.spawners || [];
+    },
+  },
+  {
+    fromVersion: 2.1,
+    toVersion: 2.2,
+    description: "Track player reputation with creature factions",
+    migrate: (data) => {
+      data.player = data.player || {};
+      // Empty = every faction's starting reputation
+      data.player.reputation = data.player.reputation || {};
+    },
+  },
+  {
+    fromVersion: 2.2,
+    toVersion: 2.3,
+    description: "Track hunger, thirst and stamina",
+    migrate: (data) => {
+      data.player = data.player || {};
+      // Older characters never got hungry: start them full
+      data.player.survival = data.player.survival || {
+        hunger: 100,
+        thirst: 100,
+        stamina: 100,
+      };
+    },
+  },
+  {
+    fromVersion: 2.3,
+    toVersion: 2.4,
+    description: "Track the crafting queue",
+    migrate: (data) => {
+      data.player = data.player || {};
+      // Crafting used to be instant, nothing was ever queued
+      data.player.craftingQueue = data.player.craftingQueue || [];
+    },
+  },
+  {
+    fromVersion: 2.4,
+    toVersion: 2.5,
+    description: "Track known recipes",
+    migrate: (data) => {
+      data.player = data.player || {};
+      // Every recipe used to be known: older characters keep them all
+      data.player.recipeBook = data.player.recipeBook || {
+        knownRecipes: Object.keys(CRAFTING_RECIPES),
+        discoveredItems: [],
+      };
+    },
+  },
+  {
+    fromVersion: 2.5,
+    toVersion: 2.6,
+    description: "Track equipment durability",
+    migrate: (data) => {
+      // Nothing wore out before: everything starts in mint condition
+      (data.player?.inventory || []).forEach((stack) => {
+        const maxDurability = getMaxDurability(stack?.itemId);
+        if (maxDurability !== null && stack.durability === undefined) {
+          stack.durability = maxDurability;
+        }
+      });
+    },
+  },
+  {
+    fromVersion: 2.6,
+    toVersion: 2.7,
+    description: "Store equipment as item instances",
+    migrate: (data) => {
+      if (!Array.isArray(data.player?.inventory)) return;
+      // Old equipment becomes common quality, one instance per stack
+      data.player.inventory = data.player.inventory.flatMap((stack) => {
+        if (!createsInstances(stack?.itemId)) return [stack];
+        const { durability, ...rest } = stack;
+        const count = Math.max(1, Math.floor(stack.quantity) || 1);
+        return Array.from({ length: count }, () => ({
+          ...rest,
+          quantity: 1,
+          instance: createItemInstance(
+            stack.itemId,
+            durability !== undefined ? { durability } : {}
+          ),
+        }));
+      });
+    },
+  },
+  {
+    fromVersion: 2.7,
+    toVersion: 2.8,
+    description: "Store items in placed containers",
+    migrate: () => {
+      // No-op: `state.items` on placed containers is new in 2.8; validateSaveData checks it.
+    },
+  },
+];
+
+/**
+ * @typedef {object} MigrationResult
+ * @property {boolean} success
+ * @property {object | null} data - Upgraded payload (null on failure).
+ * @property {number | undefined} foundVersion - Version the payload had before migrating.
+ * @property {number} targetVersion - CURRENT_SAVE_VERSION.
+ * @property {string[]} appliedSteps - Descriptions of steps that ran successfully.
+ * @property {string | null} failedStep - Description of the step that failed, if any.
+ * @property {string | null} error - Human readable failure reason.
+ */
+
+/**
+ * Upgrades a parsed save payload step by step to CURRENT_SAVE_VERSION.
+ * Never throws; failures are described in the returned result.
+ * @param {object} saveData - Parsed save payload.
+ * @returns {MigrationResult}
+ */
+export function migrateSaveData(saveData) {
+  const result = {
+    success: false,
+    data: null,
+    foundVersion: saveData?.saveVersion,
+    targetVersion: CURRENT_SAVE_VERSION,
+    appliedSteps: [],
+    failedStep: null,
+    error: null,
+  };
+
+  if (!saveData || typeof saveData !== "object") {
+    result.error = "Save payload is empty or not an object.";
+    return result;
+  }
+  if (typeof saveData.saveVersion !== "number") {
+    result.error = `Save has no valid version (found "${saveData.saveVersion}").`;
+    return result;
+  }
+  if (saveData.saveVersion > CURRENT_SAVE_VERSION) {
+    result.error = `Save was created by a newer version (v${saveData.saveVersion}) than this build supports (v${CURRENT_SAVE_VERSION}).`;
+    return result;
+  }
+
+  // Work on a copy so a failed step can't leave a half-migrated payload behind
+  let data = structuredClone(saveData);
+  // Each migration can run at most once, which also guards against version loops
+  for (let step = 0; step <= SAVE_MIGRATIONS.length; step++) {
+    if (data.saveVersion === CURRENT_SAVE_VERSION) {
+      result.success = true;
+      result.data = data;
+      return result;
+    }
+
+    const migration = SAVE_MIGRATIONS.find(
+      (m) => m.fromVersion === data.saveVersion
+    );
+    if (!migration) {
+      result.error = `No migration registered from v${data.saveVersion}.`;
+      return result;
+    }
+
+    const stepLabel = `v${migration.fromVersion} → v${migration.toVersion}: ${migration.description}`;
+    try {
+      data = migration.migrate(data) ?? data;
+      data.saveVersion = migration.toVersion;
+      result.appliedSteps.push(stepLabel);
+      console.log(`[SaveMigrations] Applied ${stepLabel}`);
+    } catch (error) {
+      console.error(`[SaveMigrations] Failed ${stepLabel}`, error);
+      result.failedStep = stepLabel;
+      result.error = error?.message || String(error);
+      return result;
+    }
+  }
+
+  result.error = "Migration chain did not reach the current version.";
+  return result;
+}
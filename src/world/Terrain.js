@@ -13,6 +13,12 @@ export class Terrain {
   physicsEngine;
   /** @type {SceneManager} Reference to the scene manager instance. */
   sceneManager;
+  /** @type {Float32Array | null} Vertex heights, row-major from -Z to +Z (see sampleHeight). */
+  heightData = null;
+  /** @type {number} Width/Length of the generated terrain. */
+  size = 0;
+  /** @type {number} Segments per side of the generated terrain. */
+  segments = 0;
 
   /**
    * @param {SceneManager} sceneManager
@@ -87,6 +93,9 @@ export class Terrain {
     const halfSize = size / 2.0;
 
     const colors = []; // <<< Array to hold vertex colors
+    this.size = size;
+    this.segments = segments;
+    this.heightData = new Float32Array(positionAttribute.count);
 
     for (let i = 0; i < positionAttribute.count; i++) {
       vertex.fromBufferAttribute(positionAttribute, i);
@@ -133,6 +142,7 @@ export class Terrain {
 
       // Apply the final combined height
       positionAttribute.setZ(i, finalHeight);
+      this.heightData[i] = finalHeight;
 
       // --- Calculate Vertex Color Based on Height  ---
       const normalizedHeight = THREE.MathUtils.clamp(
@@ -229,6 +239,38 @@ export class Terrain {
     );
   }
 
+  /**
+   * Terrain height at a world position, interpolated from the generated
+   * heightmap. Cheaper than a physics raycast, used for bulk sampling.
+   * @param {number} x - World X.
+   * @param {number} z - World Z.
+   * @returns {number | null} Null outside the terrain or before generate().
+   */
+  sampleHeight(x, z) {
+    if (!this.heightData) return null;
+    const halfSize = this.size / 2.0;
+    const step = this.size / this.segments;
+    // The plane is rotated flat, so vertex rows run along world Z
+    const gx = (x + halfSize) / step;
+    const gz = (z + halfSize) / step;
+    if (gx < 0 || gz < 0 || gx > this.segments || gz > this.segments) {
+      return null;
+    }
+    const col = Math.min(Math.floor(gx), this.segments - 1);
+    const row = Math.min(Math.floor(gz), this.segments - 1);
+    const tx = gx - col;
+    const tz = gz - row;
+    const rowLength = this.segments + 1;
+    const h00 = this.heightData[row * rowLength + col];
+    const h10 = this.heightData[row * rowLength + col + 1];
+    const h01 = this.heightData[(row + 1) * rowLength + col];
+    const h11 = this.heightData[(row + 1) * rowLength + col + 1];
+    return (
+      THREE.MathUtils.lerp(h00, h10, tx) * (1 - tz) +
+      THREE.MathUtils.lerp(h01, h11, tx) * tz
+    );
+  }
+
   // ... (_createAmmoShapeFromGeometry and destroy methods remain the same) ...
   _createAmmoShapeFromGeometry(geometry) {
     const ammoTriangleMesh = new Ammo.btTriangleMesh(true, true); // Use default flags